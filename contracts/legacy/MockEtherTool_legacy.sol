@@ -0,0 +1,92 @@
+pragma solidity 0.4.24;
+
+// Recipients for EtherTool payments, each refusing or misusing the ether it is sent
+
+contract EtherToolLike {
+    function globalLocked() public view returns (bool);
+}
+
+// No fallback function: every payment is refused
+contract NonReceivable {
+}
+
+contract RevertingReceiver {
+    function () public payable {
+        revert("Receiver rejects ether");
+    }
+}
+
+// Hashes `rounds` times on every payment, far beyond the 2300 gas of transfer()
+contract GasGuzzler {
+    uint256 public rounds;
+    bytes32 public digest;
+
+    constructor(uint256 _rounds) public {
+        rounds = _rounds;
+    }
+
+    function () public payable {
+        bytes32 value = digest;
+        for (uint256 i = 0; i < rounds; i++) {
+            value = keccak256(abi.encodePacked(value));
+        }
+        digest = value;
+    }
+}
+
+// Calls back into the tool when paid. Targets: 0 none, 1 withdrawEther, 2 batchTransfer1
+contract ReentrantReceiver {
+    address public tool;
+    uint8 public target;
+    bool public strict;      // refuse the payment when the call back fails
+    uint256 public attempts;
+    uint256 public reentered;
+    bool public sawLocked;
+
+    constructor(address _tool) public {
+        tool = _tool;
+    }
+
+    function deposit() public payable {
+        require(tool.call.value(msg.value)(abi.encodeWithSignature("depositEther()")));
+    }
+
+    function setAttack(uint8 _target, bool _strict) public {
+        target = _target;
+        strict = _strict;
+    }
+
+    function () public payable {
+        if (target == 0) {
+            return;
+        }
+        attempts++;
+        sawLocked = EtherToolLike(tool).globalLocked();
+        bool success;
+        if (target == 1) {
+            success = tool.call(abi.encodeWithSignature("withdrawEther()"));
+        } else {
+            address[] memory tos = new address[](1);
+            tos[0] = address(this);
+            success = tool.call(abi.encodeWithSignature("batchTransfer1(address[],uint256)", tos, uint256(1)));
+        }
+        if (success) {
+            reentered++;
+        } else {
+            require(!strict, "Reentry failed");
+        }
+    }
+}
+
+// Passes every payment on to its heir by selfdestructing
+contract SelfDestructingReceiver {
+    address public heir;
+
+    constructor(address _heir) public {
+        heir = _heir;
+    }
+
+    function () public payable {
+        selfdestruct(heir);
+    }
+}
@@ -0,0 +1,61 @@
+pragma solidity 0.4.24;
+
+// Calls a contract through execute() and, whenever it is paid with enough gas to
+// act, calls back into the targets it was given, up to `maxDepth` levels deep
+contract ReentrancyAttacker {
+    address[] public targets;
+    bytes[] public payloads;
+    uint256[] public values;
+    uint256 public maxDepth;
+    uint256 public depth;
+    uint256 public payments;   // payments received with gas to spare
+    uint256 public attempts;   // calls back into a target
+    uint256 public reentered;  // calls back that did not revert
+
+    function addReentry(address target, bytes payload, uint256 value) public {
+        targets.push(target);
+        payloads.push(payload);
+        values.push(value);
+    }
+
+    function clearReentries() public {
+        delete targets;
+        delete payloads;
+        delete values;
+    }
+
+    function setMaxDepth(uint256 _maxDepth) public {
+        maxDepth = _maxDepth;
+    }
+
+    // Call `target` as this contract, passing its revert data on
+    function execute(address target, bytes payload) public payable {
+        uint256 value = msg.value;
+        assembly {
+            let success := call(gas, target, value, add(payload, 32), mload(payload), 0, 0)
+            if iszero(success) {
+                returndatacopy(0, 0, returndatasize)
+                revert(0, returndatasize)
+            }
+        }
+    }
+
+    function () public payable {
+        // Paid through transfer() or send(): the stipend leaves nothing to act with
+        if (gasleft() < 10000) {
+            return;
+        }
+        payments++;
+        if (depth >= maxDepth) {
+            return;
+        }
+        depth++;
+        for (uint256 i = 0; i < targets.length; i++) {
+            attempts++;
+            if (targets[i].call.value(values[i])(payloads[i])) {
+                reentered++;
+            }
+        }
+        depth--;
+    }
+}
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+// Recipients for EtherTool payments, each refusing or misusing the ether it is sent
+
+interface EtherToolLike {
+    function globalLocked() external view returns (bool);
+}
+
+// No receive or fallback function: every payment is refused
+contract NonReceivable {
+}
+
+contract RevertingReceiver {
+    receive() external payable {
+        revert("Receiver rejects ether");
+    }
+}
+
+// Hashes `rounds` times on every payment, far beyond the 2300 gas of transfer()
+contract GasGuzzler {
+    uint256 public rounds;
+    bytes32 public digest;
+
+    constructor(uint256 _rounds) {
+        rounds = _rounds;
+    }
+
+    receive() external payable {
+        bytes32 value = digest;
+        for (uint256 i = 0; i < rounds; i++) {
+            value = keccak256(abi.encodePacked(value));
+        }
+        digest = value;
+    }
+}
+
+// Calls back into the tool when paid. Targets: 0 none, 1 withdrawEther, 2 batchTransfer1
+contract ReentrantReceiver {
+    address public tool;
+    uint8 public target;
+    bool public strict;      // refuse the payment when the call back fails
+    uint256 public attempts;
+    uint256 public reentered;
+    bool public sawLocked;
+
+    constructor(address _tool) {
+        tool = _tool;
+    }
+
+    function deposit() public payable {
+        (bool success, ) = tool.call{value: msg.value}(abi.encodeWithSignature("depositEther()"));
+        require(success);
+    }
+
+    function setAttack(uint8 _target, bool _strict) public {
+        target = _target;
+        strict = _strict;
+    }
+
+    receive() external payable {
+        if (target == 0) {
+            return;
+        }
+        attempts++;
+        sawLocked = EtherToolLike(tool).globalLocked();
+        bool success;
+        if (target == 1) {
+            (success, ) = tool.call(abi.encodeWithSignature("withdrawEther()"));
+        } else {
+            address[] memory tos = new address[](1);
+            tos[0] = address(this);
+            (success, ) = tool.call(abi.encodeWithSignature("batchTransfer1(address[],uint256)", tos, uint256(1)));
+        }
+        if (success) {
+            reentered++;
+        } else {
+            require(!strict, "Reentry failed");
+        }
+    }
+}
+
+// Passes every payment on to its heir by selfdestructing
+contract SelfDestructingReceiver {
+    address payable public heir;
+
+    constructor(address payable _heir) {
+        heir = _heir;
+    }
+
+    receive() external payable {
+        selfdestruct(heir);
+    }
+}
@@ -0,0 +1,177 @@
+const { artifacts, ethers } = require("hardhat");
+
+// Kinds of ABI items compared, in report order
+const KINDS = ["constructor", "function", "event", "error", "fallback", "receive"];
+
+/**
+ * One difference between two ABIs.
+ * @typedef {Object} AbiChange
+ * @property {"added"|"removed"|"changed"} change
+ * @property {string} kind       One of KINDS
+ * @property {string} signature  e.g. "transfer(address,uint256)"
+ * @property {string[]} [details]  What changed, for "changed" items
+ */
+
+function formatParams(params) {
+  return params.map(param => ethers.ParamType.from(param).format("sighash")).join(",");
+}
+
+// Compilers before 0.4.16 only emit `constant` and `payable`
+function mutabilityOf(item) {
+  if (item.stateMutability) {
+    return item.stateMutability;
+  }
+  if (item.constant) {
+    return "view";
+  }
+  return item.payable ? "payable" : "nonpayable";
+}
+
+// Key identifying an ABI entry across versions, and the properties compared once matched.
+// Raw entries are used because ethers merges receive into fallback and, for
+// constructors, only trusts the legacy `payable` flag.
+function describeEntry(item) {
+  switch (item.type) {
+    case "function": {
+      const fragment = ethers.FunctionFragment.from(item);
+      return {
+        key: fragment.format("sighash"),
+        properties: {
+          returns: `(${formatParams(item.outputs || [])})`,
+          mutability: mutabilityOf(item)
+        }
+      };
+    }
+    case "event":
+      return {
+        key: ethers.EventFragment.from(item).format("sighash"),
+        properties: {
+          indexed: item.inputs.map(input => (input.indexed ? "indexed" : "-")).join(","),
+          anonymous: Boolean(item.anonymous)
+        }
+      };
+    case "error":
+      return { key: ethers.ErrorFragment.from(item).format("sighash"), properties: {} };
+    case "constructor":
+      return {
+        key: "constructor",
+        properties: { inputs: `(${formatParams(item.inputs || [])})`, mutability: mutabilityOf(item) }
+      };
+    default:
+      // fallback and receive have no signature
+      return { key: item.type, properties: { mutability: mutabilityOf(item) } };
+  }
+}
+
+function indexEntries(abi) {
+  const items = new Map();
+  abi.forEach(item => {
+    const { key, properties } = describeEntry(item);
+    items.set(`${item.type}:${key}`, { kind: item.type, signature: key, properties });
+  });
+  return items;
+}
+
+/**
+ * Compare two ABIs item by item.
+ *
+ * @param {Object[]} legacyAbi  ABI as stored in the artifact
+ * @param {Object[]} upgradedAbi
+ * @returns {AbiChange[]}
+ */
+function compareAbis(legacyAbi, upgradedAbi) {
+  const legacy = indexEntries(legacyAbi);
+  const upgraded = indexEntries(upgradedAbi);
+  const changes = [];
+
+  legacy.forEach((item, id) => {
+    const other = upgraded.get(id);
+    if (!other) {
+      changes.push({ change: "removed", kind: item.kind, signature: item.signature });
+      return;
+    }
+    const details = Object.keys(item.properties)
+      .filter(property => item.properties[property] !== other.properties[property])
+      .map(property => `${property}: ${item.properties[property]} -> ${other.properties[property]}`);
+    if (details.length > 0) {
+      changes.push({ change: "changed", kind: item.kind, signature: item.signature, details });
+    }
+  });
+  upgraded.forEach((item, id) => {
+    if (!legacy.has(id)) {
+      changes.push({ change: "added", kind: item.kind, signature: item.signature });
+    }
+  });
+
+  return changes.sort((a, b) =>
+    KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || a.signature.localeCompare(b.signature));
+}
+
+/**
+ * Compare the ABIs of two compiled contracts.
+ *
+ * @param {string} legacyName  Fully qualified name of the legacy contract
+ * @param {string} upgradedName  Fully qualified name of the upgraded contract
+ */
+async function compareArtifacts(legacyName, upgradedName) {
+  const legacy = await artifacts.readArtifact(legacyName);
+  const upgraded = await artifacts.readArtifact(upgradedName);
+  return compareAbis(legacy.abi, upgraded.abi);
+}
+
+/**
+ * An intentional interface change. Entries are matched on change, kind and
+ * signature, and optionally on the variant they were accepted for.
+ * @typedef {Object} AllowedChange
+ * @property {"added"|"removed"|"changed"} change
+ * @property {string} kind
+ * @property {string} signature
+ * @property {string} [variant]
+ * @property {string} reason
+ */
+
+function isAllowedChange(entry, change, variant) {
+  return entry.change === change.change &&
+    entry.kind === change.kind &&
+    entry.signature === change.signature &&
+    (entry.variant === undefined || entry.variant === variant);
+}
+
+/**
+ * Split changes into accepted and unexpected ones, and report allowlist
+ * entries that no longer match anything.
+ *
+ * @param {AbiChange[]} changes
+ * @param {AllowedChange[]} allowlist
+ * @param {string} variant
+ */
+function classifyChanges(changes, allowlist, variant) {
+  const entries = allowlist.filter(entry => entry.variant === undefined || entry.variant === variant);
+  return {
+    allowed: changes.filter(change => entries.some(entry => isAllowedChange(entry, change, variant))),
+    unexpected: changes.filter(change => !entries.some(entry => isAllowedChange(entry, change, variant))),
+    stale: entries.filter(entry => !changes.some(change => isAllowedChange(entry, change, variant)))
+  };
+}
+
+// Report grouped by kind of change, used in assertion messages
+function formatChanges(changes) {
+  if (changes.length === 0) {
+    return "  (none)";
+  }
+  return ["removed", "changed", "added"]
+    .flatMap(kind => changes.filter(change => change.change === kind))
+    .map(change => {
+      const details = change.details ? ` [${change.details.join("; ")}]` : "";
+      return `  ${change.change} ${change.kind} ${change.signature}${details}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  KINDS,
+  compareAbis,
+  compareArtifacts,
+  classifyChanges,
+  formatChanges
+};
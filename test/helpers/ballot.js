@@ -0,0 +1,264 @@
+const { ethers } = require("hardhat");
+const { panic, PANIC_CODES } = require("./reverts");
+
+/**
+ * Reference tally for Ballot, and generators of delegation graphs to check the
+ * contract against it.
+ *
+ * The model follows the contract check by check, including what it lets
+ * through: an account without the right to vote may still delegate (a weight
+ * of 0), and an account that received delegated weight may vote without ever
+ * being given the right to.
+ */
+
+const OUT_OF_RANGE = { legacy: "invalid opcode", upgraded: panic(PANIC_CODES.ARRAY_OUT_OF_BOUNDS) };
+
+/**
+ * @typedef {Object} VoterRecord
+ * @property {bigint} weight
+ * @property {boolean} voted
+ * @property {string} delegate
+ * @property {bigint} vote
+ */
+
+/**
+ * @typedef {Object} BallotAction
+ * @property {"giveRightToVote"|"delegate"|"vote"} type
+ * @property {number} from      Index of the sender in the voter list, 0 being the chairperson
+ * @property {number} [to]      Index of the voter given the right to vote or delegated to
+ * @property {number} [proposal]
+ */
+
+/**
+ * Model of a ballot deployed by `chairperson` with `proposalNames`. Each action
+ * returns the revertForVersion expectation of the call, or null once applied.
+ *
+ * @param {string} chairperson
+ * @param {string[]} proposalNames  bytes32 names
+ */
+function createBallotModel(chairperson, proposalNames) {
+  const voters = new Map();
+
+  const record = address => {
+    if (!voters.has(address)) {
+      voters.set(address, { weight: 0n, voted: false, delegate: ethers.ZeroAddress, vote: 0n });
+    }
+    return voters.get(address);
+  };
+  record(chairperson).weight = 1n;
+
+  const model = {
+    proposals: proposalNames.map(name => ({ name, voteCount: 0n })),
+
+    /** @returns {VoterRecord} */
+    voter(address) {
+      return { ...record(address) };
+    },
+
+    giveRightToVote(sender, address) {
+      if (sender !== chairperson) {
+        return { default: "Only chairperson can give right to vote." };
+      }
+      const voter = record(address);
+      if (voter.voted) {
+        return { default: "The voter already voted." };
+      }
+      if (voter.weight !== 0n) {
+        return { default: "bare" };
+      }
+      voter.weight = 1n;
+      return null;
+    },
+
+    delegate(sender, to) {
+      const voter = record(sender);
+      if (voter.voted) {
+        return { default: "You already voted." };
+      }
+      if (to === sender) {
+        return { default: "Self-delegation is disallowed." };
+      }
+      while (record(to).delegate !== ethers.ZeroAddress) {
+        to = record(to).delegate;
+        if (to === sender) {
+          return { default: "Found loop in delegation." };
+        }
+      }
+      voter.voted = true;
+      voter.delegate = to;
+      const delegate = record(to);
+      if (delegate.voted) {
+        model.proposals[Number(delegate.vote)].voteCount += voter.weight;
+      } else {
+        delegate.weight += voter.weight;
+      }
+      return null;
+    },
+
+    vote(sender, proposal) {
+      const voter = record(sender);
+      if (voter.weight === 0n) {
+        return { default: "Has no right to vote" };
+      }
+      if (voter.voted) {
+        return { default: "Already voted." };
+      }
+      if (proposal >= model.proposals.length) {
+        return OUT_OF_RANGE;
+      }
+      voter.voted = true;
+      voter.vote = BigInt(proposal);
+      model.proposals[proposal].voteCount += voter.weight;
+      return null;
+    },
+
+    // First proposal with the strictly highest count, 0 when nothing was counted
+    winningProposal() {
+      let winning = 0;
+      model.proposals.forEach((proposal, index) => {
+        if (proposal.voteCount > model.proposals[winning].voteCount) {
+          winning = index;
+        }
+      });
+      return BigInt(winning);
+    },
+
+    winnerName() {
+      return model.proposals[Number(model.winningProposal())].name;
+    },
+
+    /**
+     * Apply an action given by voter indexes.
+     * @param {BallotAction} action
+     * @param {string[]} addresses  Address of each index
+     */
+    apply(action, addresses) {
+      const sender = addresses[action.from];
+      if (action.type === "vote") {
+        return model.vote(sender, action.proposal);
+      }
+      return model[action.type](sender, addresses[action.to]);
+    }
+  };
+  return model;
+}
+
+/**
+ * Shapes of delegation graphs. Each returns a list of actions over
+ * `voterCount` voters, index 0 being the chairperson.
+ *
+ * - chain:  every voter delegates to the next, and the head votes before or
+ *           after the chain is built
+ * - tree:   every voter delegates to a random earlier one; some of them vote
+ *           first, so later delegations land on voters who already voted
+ * - cycle:  a chain closed by delegations back into it, which must all fail
+ * - voted:  delegations to voters who already voted, directly or through a chain
+ * - random: any action from any voter, rights included
+ */
+const SHAPES = {
+  chain(rng, voterCount, proposalCount) {
+    const actions = giveRights(voterCount);
+    const order = rng.shuffle(range(0, voterCount - 1));
+    const head = order[order.length - 1];
+    const headVote = { type: "vote", from: head, proposal: rng.int(0, proposalCount - 1) };
+    const early = rng.bool();
+    if (early) {
+      actions.push(headVote);
+    }
+    for (let i = 0; i < order.length - 1; i++) {
+      actions.push({ type: "delegate", from: order[i], to: order[i + 1] });
+    }
+    if (!early) {
+      actions.push(headVote);
+    }
+    return actions;
+  },
+
+  tree(rng, voterCount, proposalCount) {
+    const actions = giveRights(voterCount);
+    const order = rng.shuffle(range(0, voterCount - 1));
+    order.forEach((from, position) => {
+      if (position === 0 || rng.bool(0.25)) {
+        actions.push({ type: "vote", from, proposal: rng.int(0, proposalCount - 1) });
+      } else {
+        actions.push({ type: "delegate", from, to: order[rng.int(0, position - 1)] });
+      }
+    });
+    return actions;
+  },
+
+  cycle(rng, voterCount, proposalCount) {
+    const actions = giveRights(voterCount);
+    const chain = rng.shuffle(range(0, voterCount - 1)).slice(0, rng.int(2, voterCount));
+    for (let i = 0; i < chain.length - 1; i++) {
+      actions.push({ type: "delegate", from: chain[i], to: chain[i + 1] });
+    }
+    const tail = chain[chain.length - 1];
+    // Closing the loop at any point of the chain, the tail itself included
+    for (let i = 0; i < 3; i++) {
+      actions.push({ type: "delegate", from: tail, to: rng.pick(chain) });
+    }
+    actions.push({ type: "vote", from: tail, proposal: rng.int(0, proposalCount - 1) });
+    return actions;
+  },
+
+  voted(rng, voterCount, proposalCount) {
+    const actions = giveRights(voterCount);
+    const order = rng.shuffle(range(0, voterCount - 1));
+    const voterTotal = rng.int(1, Math.max(1, Math.floor(voterCount / 3)));
+    const voted = order.slice(0, voterTotal);
+    voted.forEach(from => actions.push({ type: "vote", from, proposal: rng.int(0, proposalCount - 1) }));
+    const delegated = [];
+    order.slice(voterTotal).forEach(from => {
+      // Either straight to a voter or to someone whose chain ends at one
+      const to = delegated.length && rng.bool() ? rng.pick(delegated) : rng.pick(voted);
+      actions.push({ type: "delegate", from, to });
+      delegated.push(from);
+    });
+    return actions;
+  },
+
+  random(rng, voterCount, proposalCount) {
+    const actions = [];
+    const steps = voterCount * 3;
+    for (let i = 0; i < steps; i++) {
+      const type = rng.weighted({ giveRightToVote: 3, delegate: 4, vote: 3 });
+      const from = rng.bool(type === "giveRightToVote" ? 0.8 : 0.1) ? 0 : rng.int(0, voterCount - 1);
+      if (type === "vote") {
+        // Now and then a proposal past the end of the array
+        actions.push({ type, from, proposal: rng.int(0, proposalCount) });
+      } else {
+        actions.push({ type, from, to: rng.int(0, voterCount - 1) });
+      }
+    }
+    return actions;
+  }
+};
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, index) => from + index);
+}
+
+// The chairperson gives the right to vote to everyone else
+function giveRights(voterCount) {
+  return range(1, voterCount - 1).map(to => ({ type: "giveRightToVote", from: 0, to }));
+}
+
+/**
+ * Generate the actions of a delegation graph.
+ *
+ * @param {ReturnType<import("./random").createRandom>} rng
+ * @param {keyof SHAPES} shape
+ * @param {number} voterCount     Chairperson included
+ * @param {number} proposalCount
+ * @returns {BallotAction[]}
+ */
+function generateDelegationGraph(rng, shape, voterCount, proposalCount) {
+  return SHAPES[shape](rng, voterCount, proposalCount);
+}
+
+module.exports = {
+  SHAPES,
+  createBallotModel,
+  generateDelegationGraph
+};
@@ -0,0 +1,145 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Bidders for BlindAuction's commit-reveal scheme, and a model of the auction
+ * to predict its outcome.
+ *
+ * A bid is committed as keccak256(abi.encodePacked(value, fake, secret)) with a
+ * deposit, and revealed after the bidding end with one entry per committed bid,
+ * in commit order. Entries that do not match their commitment are skipped and
+ * their deposit stays in the contract.
+ */
+
+// Commitment sent with bid()
+function blindBid(value, fake, secret) {
+  return ethers.keccak256(ethers.solidityPacked(["uint256", "bool", "bytes32"], [value, fake, secret]));
+}
+
+/**
+ * @typedef {Object} CommittedBid
+ * @property {bigint} value
+ * @property {boolean} fake
+ * @property {string} secret
+ * @property {bigint} deposit
+ * @property {string} blindedBid
+ */
+
+/**
+ * Bidder agent: commits bids, keeps their secrets and builds the arrays reveal()
+ * expects.
+ *
+ * @param {import("ethers").Signer} signer
+ * @param {{ rng?: ReturnType<import("./random").createRandom> }} [options]
+ *   Secrets come from `rng` when given, for replayable runs
+ */
+function createBidder(signer, options = {}) {
+  const newSecret = () => (options.rng
+    ? ethers.toBeHex(options.rng.bigint(0n, ethers.MaxUint256), 32)
+    : ethers.hexlify(ethers.randomBytes(32)));
+
+  const bidder = {
+    signer,
+    address: signer.address,
+    /** @type {CommittedBid[]} */
+    bids: [],
+
+    /**
+     * Record a new bid and return the arguments of bid(). The deposit defaults
+     * to the value, and may be lower to place a bid that can never count.
+     */
+    commit({ value, fake = false, deposit = value }) {
+      const entry = { value: BigInt(value), fake, secret: newSecret(), deposit: BigInt(deposit) };
+      entry.blindedBid = blindBid(entry.value, entry.fake, entry.secret);
+      bidder.bids.push(entry);
+      return { blindedBid: entry.blindedBid, overrides: { value: entry.deposit } };
+    },
+
+    /**
+     * Arguments of reveal(): values, fakes and secrets. Bids listed in `hide`
+     * are sent with a wrong secret, which the contract skips.
+     *
+     * @param {{ hide?: number[] }} [revealOptions]  Indexes of bids not to reveal
+     * @returns {[bigint[], boolean[], string[]]}
+     */
+    revealArgs(revealOptions = {}) {
+      const hidden = new Set(revealOptions.hide || []);
+      return [
+        bidder.bids.map(entry => entry.value),
+        bidder.bids.map(entry => entry.fake),
+        bidder.bids.map((entry, index) => (hidden.has(index) ? ethers.ZeroHash : entry.secret))
+      ];
+    },
+
+    // Place a bid on a single auction
+    async bid(auction, bidOptions) {
+      const { blindedBid, overrides } = bidder.commit(bidOptions);
+      return auction.connect(signer).bid(blindedBid, overrides);
+    },
+
+    async reveal(auction, revealOptions) {
+      return auction.connect(signer).reveal(...bidder.revealArgs(revealOptions));
+    }
+  };
+  return bidder;
+}
+
+/**
+ * Reference model of the auction's reveal, withdraw and end logic.
+ */
+function createAuctionModel() {
+  const model = {
+    highestBid: 0n,
+    highestBidder: ethers.ZeroAddress,
+    pendingReturns: new Map(),
+    revealed: new Set(),
+
+    pendingOf(address) {
+      return model.pendingReturns.get(address) || 0n;
+    },
+
+    /**
+     * Apply a reveal in which the bids listed in `hide` do not match, and
+     * return the refund sent to the bidder.
+     */
+    reveal(bidder, { hide = [] } = {}) {
+      let refund = 0n;
+      bidder.bids.forEach((entry, index) => {
+        const key = `${bidder.address}:${index}`;
+        if (hide.includes(index) || model.revealed.has(key)) {
+          return;
+        }
+        model.revealed.add(key);
+        refund += entry.deposit;
+        if (!entry.fake && entry.deposit >= entry.value && entry.value > model.highestBid) {
+          if (model.highestBidder !== ethers.ZeroAddress) {
+            model.pendingReturns.set(model.highestBidder, model.pendingOf(model.highestBidder) + model.highestBid);
+          }
+          model.highestBid = entry.value;
+          model.highestBidder = bidder.address;
+          refund -= entry.value;
+        }
+      });
+      return refund;
+    },
+
+    withdraw(address) {
+      const amount = model.pendingOf(address);
+      model.pendingReturns.set(address, 0n);
+      return amount;
+    },
+
+    // Deposits of bids never revealed by the end of the auction
+    unrevealed(bidders) {
+      return bidders.reduce((sum, bidder) => sum + bidder.bids
+        .filter((entry, index) => !model.revealed.has(`${bidder.address}:${index}`))
+        .reduce((total, entry) => total + entry.deposit, 0n), 0n);
+    }
+  };
+  return model;
+}
+
+module.exports = {
+  blindBid,
+  createBidder,
+  createAuctionModel
+};
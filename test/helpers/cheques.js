@@ -0,0 +1,186 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Cheques for ReceiverPays: the owner signs
+ * keccak256(abi.encodePacked(recipient, amount, nonce, contract)) with the
+ * Ethereum signed message prefix, and the recipient claims the amount once per
+ * nonce with claimPayment(amount, nonce, signature).
+ *
+ * Verification replicates the contract's splitSignature and recoverSigner,
+ * including what the ecrecover precompile accepts: any s below the curve order
+ * (ethers only handles the low half) and v of exactly 27 or 28.
+ */
+
+const CURVE_ORDER = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const HALF_ORDER = CURVE_ORDER / 2n;
+
+/**
+ * @typedef {Object} Cheque
+ * @property {string} recipient  Account allowed to claim it
+ * @property {bigint} amount
+ * @property {bigint} nonce
+ * @property {string} contract   Address of the ReceiverPays contract
+ * @property {string} signature
+ */
+
+// Message hashed by the contract, before the signed message prefix
+function chequeHash({ recipient, amount, nonce, contract }) {
+  return ethers.keccak256(ethers.solidityPacked(
+    ["address", "uint256", "uint256", "address"],
+    [recipient, amount, nonce, contract]
+  ));
+}
+
+/**
+ * Sign a cheque.
+ *
+ * @returns {Promise<Cheque>}
+ */
+async function signCheque(signer, recipient, amount, nonce, contract) {
+  const cheque = { recipient, amount: BigInt(amount), nonce: BigInt(nonce), contract };
+  return { ...cheque, signature: await signer.signMessage(ethers.getBytes(chequeHash(cheque))) };
+}
+
+/**
+ * splitSignature of the contract: r, s and v read from a 65 byte signature.
+ * Throws on any other length, where the contract reverts.
+ */
+function splitSignature(signature) {
+  const bytes = ethers.getBytes(signature);
+  if (bytes.length !== 65) {
+    throw new Error("Invalid signature length");
+  }
+  return {
+    r: ethers.hexlify(bytes.slice(0, 32)),
+    s: ethers.hexlify(bytes.slice(32, 64)),
+    v: bytes[64]
+  };
+}
+
+/**
+ * ecrecover as the precompile does it: the zero address for unusable
+ * signatures, and the same signer for s and its high counterpart.
+ *
+ * @param {string} digest  Prefixed message hash
+ */
+function ecrecover(digest, { v, r, s }) {
+  const rValue = BigInt(r);
+  let sValue = BigInt(s);
+  let recovery = v;
+  if ((v !== 27 && v !== 28) || rValue === 0n || rValue >= CURVE_ORDER || sValue === 0n || sValue >= CURVE_ORDER) {
+    return ethers.ZeroAddress;
+  }
+  if (sValue > HALF_ORDER) {
+    // (r, n - s) with the other recovery id is the same point
+    sValue = CURVE_ORDER - sValue;
+    recovery = v === 27 ? 28 : 27;
+  }
+  try {
+    return ethers.recoverAddress(digest, { r, s: ethers.toBeHex(sValue, 32), v: recovery });
+  } catch (error) {
+    // No point on the curve for r
+    return ethers.ZeroAddress;
+  }
+}
+
+// recoverSigner of the contract
+function recoverSigner(digest, signature) {
+  return ecrecover(digest, splitSignature(signature));
+}
+
+/**
+ * The other valid encoding of a signature: s replaced by n - s and v flipped.
+ * Recovers the same signer, so only nonces prevent it from being replayed.
+ */
+function malleate(signature) {
+  const { v, r, s } = splitSignature(signature);
+  return ethers.concat([r, ethers.toBeHex(CURVE_ORDER - BigInt(s), 32), ethers.toBeHex(v === 27 ? 28 : 27, 1)]);
+}
+
+/**
+ * Cheque book of the owner of a ReceiverPays contract. It hands out nonces,
+ * remembers which ones were claimed and predicts what claimPayment does with a
+ * cheque.
+ *
+ * @param {import("ethers").Signer} owner
+ * @param {import("ethers").Contract} contract
+ */
+async function createChequeBook(owner, contract) {
+  const address = await contract.getAddress();
+  const ownerAddress = await owner.getAddress();
+  const issued = new Map();
+  const used = new Set();
+  let nextNonce = 0n;
+
+  const book = {
+    contract: address,
+
+    /**
+     * Sign a cheque for `recipient`, with the next unissued nonce unless one is given.
+     * @returns {Promise<Cheque>}
+     */
+    async issue(recipient, amount, nonce) {
+      if (nonce === undefined) {
+        while (issued.has(nextNonce) || used.has(nextNonce)) {
+          nextNonce += 1n;
+        }
+        nonce = nextNonce;
+      }
+      const cheque = await signCheque(owner, recipient, amount, nonce, address);
+      issued.set(cheque.nonce, cheque);
+      return cheque;
+    },
+
+    isUsed(nonce) {
+      return used.has(BigInt(nonce));
+    },
+
+    usedNonces() {
+      return [...used].sort((a, b) => (a < b ? -1 : 1));
+    },
+
+    // Issued cheques not claimed yet
+    unusedNonces() {
+      return [...issued.keys()].filter(nonce => !used.has(nonce)).sort((a, b) => (a < b ? -1 : 1));
+    },
+
+    /**
+     * Why claimPayment would revert for `claimer`, in the contract's order of
+     * checks, or null when the claim goes through.
+     * @returns {null|"Nonce already used"|"Invalid signature length"|"Invalid signature"}
+     */
+    verify(cheque, claimer = cheque.recipient) {
+      if (used.has(BigInt(cheque.nonce))) {
+        return "Nonce already used";
+      }
+      let signer;
+      try {
+        const digest = ethers.hashMessage(ethers.getBytes(chequeHash({ ...cheque, recipient: claimer, contract: address })));
+        signer = recoverSigner(digest, cheque.signature);
+      } catch (error) {
+        return "Invalid signature length";
+      }
+      return signer === ownerAddress ? null : "Invalid signature";
+    },
+
+    // Claim a cheque and record its nonce as used when the claim succeeds
+    async claim(claimer, cheque) {
+      const tx = await contract.connect(claimer).claimPayment(cheque.amount, cheque.nonce, cheque.signature);
+      const receipt = await tx.wait();
+      used.add(BigInt(cheque.nonce));
+      return receipt;
+    }
+  };
+  return book;
+}
+
+module.exports = {
+  CURVE_ORDER,
+  chequeHash,
+  signCheque,
+  splitSignature,
+  ecrecover,
+  recoverSigner,
+  malleate,
+  createChequeBook
+};
@@ -0,0 +1,255 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createVersionContext, selectedVariants, variantsOf } = require("./dualVersion");
+const { decodeRevert, formatRevert } = require("./reverts");
+const { recordGas } = require("./gas");
+const { SELF, normalize, stringify, decodeEvents, compareEvents, formatEventDifferences } = require("./events");
+
+// Aspects compared for every replayed call
+const ASPECTS = ["outcome", "revert", "return", "events", "balances"];
+
+/**
+ * A divergence between legacy and upgraded that is known and accepted.
+ * @typedef {Object} Divergence
+ * @property {string} method  Function name, or "*" for every function
+ * @property {string} aspect  One of "outcome", "revert", "return", "events", "balances"
+ * @property {string} [variant]  Candidate the entry applies to, every candidate when omitted
+ * @property {string} [reason]  Why the divergence is accepted
+ */
+
+async function addressBalances(addresses) {
+  const balances = {};
+  for (const address of addresses) {
+    balances[address] = await ethers.provider.getBalance(address);
+  }
+  return balances;
+}
+
+// Addresses passed as arguments are tracked together with the caller and the contract
+function trackedAddresses(fragment, args, caller, extra) {
+  const addresses = new Set([caller, ...extra]);
+  fragment.inputs.forEach((input, index) => {
+    if (input.type === "address" && ethers.isAddress(args[index])) {
+      addresses.add(ethers.getAddress(args[index]));
+    }
+  });
+  return [...addresses];
+}
+
+// Plain ether sent to the contract, shaped like a contract method taking only overrides
+function etherTransfer(contract, signer) {
+  const send = async (overrides = {}) => signer.sendTransaction({ ...overrides, to: await contract.getAddress() });
+  send.staticCall = async (overrides = {}) => {
+    await signer.call({ ...overrides, to: await contract.getAddress() });
+  };
+  send.fragment = { constant: false, inputs: [] };
+  return send;
+}
+
+/**
+ * Execute one call on one variant and record everything a user can observe.
+ * A null method sends `overrides.value` to the contract without calldata.
+ */
+async function observe(ctx, signer, method, args, overrides, extra) {
+  const contract = ctx.contract.connect(signer);
+  const fn = method === null ? etherTransfer(contract, signer) : contract.getFunction(method);
+  const selfAddress = await ctx.contract.getAddress();
+  const caller = await signer.getAddress();
+  const observation = { method, outcome: "success", revert: null, returned: null, events: [], balances: {} };
+
+  try {
+    const returned = await fn.staticCall(...args, overrides);
+    observation.returned = normalize(returned, selfAddress);
+  } catch (error) {
+    observation.outcome = "revert";
+    observation.revert = decodeRevert(error, contract.interface);
+    return observation;
+  }
+
+  if (fn.fragment.constant) {
+    return observation;
+  }
+
+  const addresses = trackedAddresses(fn.fragment, args, caller, extra);
+  const before = await addressBalances([selfAddress, ...addresses]);
+  const receipt = await (await fn(...args, overrides)).wait();
+  const after = await addressBalances([selfAddress, ...addresses]);
+
+  observation.receipt = receipt;
+  recordGas(ctx, method || "(ether)", receipt.gasUsed);
+  observation.events = decodeEvents(receipt, contract.interface, selfAddress);
+  observation.balances[SELF] = after[selfAddress] - before[selfAddress];
+  addresses.forEach(address => {
+    let delta = after[address] - before[address];
+    if (address === caller) {
+      // The caller pays for gas, which is not part of the contract's behavior
+      delta += receipt.fee;
+    }
+    observation.balances[address] = delta;
+  });
+  return observation;
+}
+
+function compareObservations(legacy, upgraded) {
+  const differences = [];
+  if (legacy.outcome !== upgraded.outcome) {
+    differences.push({
+      aspect: "outcome",
+      legacy: legacy.outcome === "revert" ? formatRevert(legacy.revert) : "success",
+      upgraded: upgraded.outcome === "revert" ? formatRevert(upgraded.revert) : "success"
+    });
+    return differences;
+  }
+  if (legacy.outcome === "revert") {
+    if (stringify(legacy.revert) !== stringify(upgraded.revert)) {
+      differences.push({ aspect: "revert", legacy: formatRevert(legacy.revert), upgraded: formatRevert(upgraded.revert) });
+    }
+    return differences;
+  }
+  if (stringify(legacy.returned) !== stringify(upgraded.returned)) {
+    differences.push({ aspect: "return", legacy: stringify(legacy.returned), upgraded: stringify(upgraded.returned) });
+  }
+  const events = compareEvents(legacy.events, upgraded.events);
+  if (events.length > 0) {
+    differences.push({ aspect: "events", legacy: stringify(legacy.events), upgraded: stringify(upgraded.events), events });
+  }
+  if (stringify(legacy.balances) !== stringify(upgraded.balances)) {
+    differences.push({ aspect: "balances", legacy: stringify(legacy.balances), upgraded: stringify(upgraded.balances) });
+  }
+  return differences;
+}
+
+function isAllowed(allow, variant, method, aspect) {
+  return allow.some(entry =>
+    (entry.method === "*" || entry.method === method) &&
+    entry.aspect === aspect &&
+    (entry.variant === undefined || entry.variant === variant)
+  );
+}
+
+function formatDifferences(variant, method, differences) {
+  const width = Math.max("legacy".length, variant.length) + 2;
+  return differences
+    .map(diff => {
+      const detail = diff.events ? `\n  ${formatEventDifferences(diff.events)}` : "";
+      return `${method} [${diff.aspect}]\n    ${"legacy:".padEnd(width)}${diff.legacy}\n    ${`${variant}:`.padEnd(width)}${diff.upgraded}${detail}`;
+    })
+    .join("\n  ");
+}
+
+/**
+ * Deploy legacy and an upgrade candidate side by side and replay every action on both.
+ *
+ * @param {string} name  Source base name, as in describeForVersions
+ * @param {Function|Object|null} setup  Same setup accepted by describeForVersions
+ * @param {{ allow?: Divergence[], track?: string[], candidate?: string }} [options]
+ *   `candidate` is the variant compared against legacy, "upgraded" by default
+ */
+function createDifferentialPair(name, setup, options = {}) {
+  const allow = options.allow || [];
+  const legacy = createVersionContext(name, "legacy", setup);
+  // Held as `upgraded` whatever its folder, since every candidate plays that role
+  const upgraded = createVersionContext(name, options.candidate || "upgraded", setup);
+
+  const pair = {
+    name,
+    legacy,
+    upgraded,
+    tracked: [...(options.track || [])],
+    // Allowlisted differences observed so far, for reporting
+    knownDivergences: [],
+
+    async deploy() {
+      const signers = await ethers.getSigners();
+      for (const ctx of [legacy, upgraded]) {
+        ctx.signers = signers;
+        ctx.contract = await ctx.deploy(...await ctx.setup.args(ctx));
+      }
+      return pair;
+    },
+
+    track(...addresses) {
+      pair.tracked.push(...addresses);
+    },
+
+    // Replay a call on both variants and fail on any undeclared divergence
+    async call(signer, method, args = [], overrides = {}) {
+      const legacyResult = await observe(legacy, signer, method, args, overrides, pair.tracked);
+      const upgradedResult = await observe(upgraded, signer, method, args, overrides, pair.tracked);
+      const differences = compareObservations(legacyResult, upgradedResult);
+
+      const candidate = upgraded.variant;
+      const unexpected = differences.filter(diff => !isAllowed(allow, candidate, method, diff.aspect));
+      differences
+        .filter(diff => isAllowed(allow, candidate, method, diff.aspect))
+        .forEach(diff => pair.knownDivergences.push({ method, ...diff }));
+
+      expect(unexpected, `${name}: legacy and ${candidate} diverge\n  ${formatDifferences(candidate, method, unexpected)}`)
+        .to.be.empty;
+      return { legacy: legacyResult, upgraded: upgradedResult };
+    },
+
+    // Compare a view function called by the default signer
+    async read(method, args = []) {
+      const [signer] = await ethers.getSigners();
+      const { legacy: result } = await pair.call(signer, method, args);
+      return result.returned;
+    },
+
+    // Compare a list of getters, each a name or a [name, args] pair
+    async compareGetters(getters) {
+      for (const getter of getters) {
+        const [method, args] = Array.isArray(getter) ? getter : [getter, []];
+        await pair.read(method, args);
+      }
+    }
+  };
+
+  return pair;
+}
+
+// Candidates of `name` selected by CONTRACT_VERSION, none when legacy is left out
+function comparedCandidates(name) {
+  const selected = selectedVariants().filter(variant => variantsOf(name).includes(variant));
+  return selected.includes("legacy") ? selected.filter(variant => variant !== "legacy") : [];
+}
+
+/**
+ * Run a suite against a freshly deployed legacy/candidate pair, once for every
+ * selected candidate. Skipped when CONTRACT_VERSION leaves out legacy or every
+ * candidate, since there is nothing to compare.
+ */
+function describeDifferential(name, setup, options, suiteFn) {
+  const candidates = comparedCandidates(name);
+  if (candidates.length === 0) {
+    describe.skip(`Differential ${name}: legacy vs upgraded`, function() {
+      suiteFn.call(this, createDifferentialPair(name, setup, options));
+    });
+    return;
+  }
+
+  candidates.forEach(candidate => {
+    describe(`Differential ${name}: legacy vs ${candidate}`, function() {
+      const pair = createDifferentialPair(name, setup, { ...options, candidate });
+      // Tag the suite so that reporters can attribute every result to the pair
+      this.differentialPair = pair;
+
+      beforeEach(async function () {
+        pair.tracked = [...((options && options.track) || [])];
+        await pair.deploy();
+      });
+
+      suiteFn.call(this, pair);
+    });
+  });
+}
+
+module.exports = {
+  ASPECTS,
+  SELF,
+  observe,
+  compareObservations,
+  comparedCandidates,
+  createDifferentialPair,
+  describeDifferential
+};
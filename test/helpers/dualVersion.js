@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, config } = require("hardhat");
+const { solcFor } = require("./solc");
+const { trackGas, trackDeployment } = require("./gas");
+// Registers the revertForVersion chai matcher for every suite using the harness
+require("./reverts");
+
+// Reference variants, listed first in the matrix; any other directory under
+// contracts/ is an upgrade candidate (another model, prompt or a hand-written upgrade)
+const VARIANTS = ["legacy", "upgraded"];
+
+// Source folder as it appears in fully qualified names, e.g. "contracts"
+const SOURCES_DIR = path.relative(config.paths.root, config.paths.sources).split(path.sep).join("/");
+
+/**
+ * @typedef {Object} VersionContext
+ * @property {string} name                Source base name, e.g. "Ballot"
+ * @property {string} variant             Folder under contracts/, e.g. "legacy", "upgraded" or "gpt"
+ * @property {string} role                "legacy" for the legacy variant, "upgraded" for every other one
+ * @property {string} contractName        Fully qualified name of the contract under test
+ * @property {boolean} isLegacy
+ * @property {ReturnType<typeof solcFor>} solc  Compiler version from the build-info, e.g. `solc.gte("0.8.0")`
+ * @property {boolean} isSolidity8OrHigher  Shorthand for `solc.gte("0.8.0")`
+ * @property {import("ethers").Signer[]} signers   Populated before each deployment
+ * @property {import("ethers").BaseContract} contract  Instance deployed for the current test
+ * @property {(source: string, contract?: string) => string} fqn
+ * @property {(...args: any[]) => Promise<import("ethers").BaseContract>} deploy
+ * @property {(source: string, contract: string, ...args: any[]) => Promise<import("ethers").BaseContract>} deployArtifact
+ * @property {() => Promise<{ contract: import("ethers").BaseContract, signers: import("ethers").Signer[] }>} fixture
+ */
+
+// Reference variants first, then the candidates alphabetically
+function compareVariants(a, b) {
+  const rank = variant => (VARIANTS.includes(variant) ? VARIANTS.indexOf(variant) : VARIANTS.length);
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+// Every folder under contracts/, each one a variant
+function discoverVariants() {
+  return fs.readdirSync(config.paths.sources, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort(compareVariants);
+}
+
+// Variants shipping contracts/<variant>/<name>_<variant>.sol
+function variantsOf(name) {
+  return discoverVariants().filter(variant =>
+    fs.existsSync(path.join(config.paths.sources, variant, `${name}_${variant}.sol`))
+  );
+}
+
+// "gpt-*" or "claude?" to a regular expression
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+/**
+ * Determine which contract variant(s) to test based on the CONTRACT_VERSION
+ * environment variable: a comma separated list of names or globs, e.g.
+ * `legacy,gpt` or `legacy,claude-*`. Every discovered variant runs when unset.
+ */
+function selectedVariants() {
+  const available = discoverVariants();
+  const requestedVersion = (process.env.CONTRACT_VERSION || "").trim();
+  if (!requestedVersion) {
+    return available;
+  }
+
+  const selected = new Set();
+  requestedVersion.split(",").map(pattern => pattern.trim()).filter(Boolean).forEach(pattern => {
+    const regExp = globToRegExp(pattern);
+    const matches = available.filter(variant => regExp.test(variant));
+    if (matches.length === 0) {
+      throw new Error(
+        `CONTRACT_VERSION: "${pattern}" matches no variant under ${SOURCES_DIR}/ (available: ${available.join(", ")})`
+      );
+    }
+    matches.forEach(variant => selected.add(variant));
+  });
+  return [...selected].sort(compareVariants);
+}
+
+// Build the fully qualified name of a contract inside a variant source file
+function contractPath(source, variant, contract = source) {
+  return `${SOURCES_DIR}/${variant}/${source}_${variant}.sol:${contract}`;
+}
+
+async function deployContract(fullyQualifiedName, args) {
+  const Factory = await ethers.getContractFactory(fullyQualifiedName);
+  const instance = await Factory.deploy(...args);
+  await instance.waitForDeployment();
+  return instance;
+}
+
+// Accept either a constructor-arguments function or an options object
+function normalizeSetup(setup) {
+  if (typeof setup === "function") {
+    return { args: setup, deploy: true };
+  }
+  const options = setup || {};
+  return {
+    contract: options.contract,
+    args: options.args || (() => []),
+    deploy: options.deploy !== false
+  };
+}
+
+/**
+ * Create the version context handed to every suite.
+ * @returns {VersionContext}
+ */
+function createVersionContext(name, variant, setup = {}) {
+  const options = normalizeSetup(setup);
+  const contract = options.contract || name;
+
+  const ctx = {
+    name,
+    variant,
+    role: variant === "legacy" ? "legacy" : "upgraded",
+    contractName: contractPath(name, variant, contract),
+    isLegacy: variant === "legacy",
+    signers: [],
+    contract: undefined,
+
+    // Read lazily so that contexts can be created before compilation
+    get solc() {
+      return solcFor(ctx.contractName);
+    },
+
+    get isSolidity8OrHigher() {
+      return ctx.solc.gte("0.8.0");
+    },
+
+    fqn(source, sourceContract = source) {
+      return contractPath(source, variant, sourceContract);
+    },
+
+    // Deployments of the contract under test are recorded by the gas report
+    async deploy(...args) {
+      const instance = await deployContract(ctx.contractName, args);
+      await trackDeployment(ctx, instance);
+      return trackGas(ctx, instance);
+    },
+
+    deployArtifact(source, sourceContract, ...args) {
+      return deployContract(ctx.fqn(source, sourceContract), args);
+    }
+  };
+
+  // Named so that loadFixture can cache it per variant
+  ctx.fixture = async function deployVersionFixture() {
+    const signers = await ethers.getSigners();
+    ctx.signers = signers;
+    const instance = await ctx.deploy(...await options.args(ctx));
+    return { contract: instance, signers };
+  };
+
+  ctx.setup = options;
+  return ctx;
+}
+
+// Variant a mocha test or suite runs under, read from the tag set by describeForVersions
+function variantOf(runnable) {
+  for (let suite = runnable; suite; suite = suite.parent) {
+    if (suite.versionContext) {
+      return suite.versionContext.variant;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Run the same suite against every selected variant of a contract. Selected
+ * variants without a source file for `name` are left out of the matrix.
+ *
+ * @param {string} name  Source base name, e.g. "Ballot" for contracts/<variant>/Ballot_<variant>.sol
+ * @param {Function|Object|null} setup  Constructor arguments function `(ctx) => args`, or
+ *   `{ contract, args, deploy }` where `contract` is the contract name inside the source file
+ *   (defaults to `name`) and `deploy: false` disables the automatic deployment in beforeEach
+ * @param {(ctx: VersionContext) => void} suiteFn
+ */
+function describeForVersions(name, setup, suiteFn) {
+  const available = variantsOf(name);
+  selectedVariants().filter(variant => available.includes(variant)).forEach(variant => {
+    const ctx = createVersionContext(name, variant, setup);
+
+    describe(`Testing ${ctx.contractName}`, function() {
+      // Tag the suite so that reporters can attribute every result to its variant
+      this.versionContext = ctx;
+
+      if (ctx.setup.deploy) {
+        beforeEach(async function () {
+          ctx.signers = await ethers.getSigners();
+          ctx.contract = await ctx.deploy(...await ctx.setup.args(ctx));
+        });
+      }
+
+      suiteFn.call(this, ctx);
+    });
+  });
+}
+
+module.exports = {
+  VARIANTS,
+  SOURCES_DIR,
+  discoverVariants,
+  variantsOf,
+  selectedVariants,
+  contractPath,
+  createVersionContext,
+  variantOf,
+  describeForVersions
+};
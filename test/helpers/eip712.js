@@ -0,0 +1,118 @@
+const { ethers } = require("hardhat");
+
+/**
+ * EIP-712 typed data for the signature based functions of Entropy:
+ * delegateBySig (Delegation) and permit (Permit).
+ *
+ * The domain has no version field. Legacy reads the chain id with the
+ * `chainid()` assembly opcode and upgraded with `block.chainid`; both return the
+ * id of the network, so the domain is built from the provider for either.
+ */
+
+const DOMAIN_FIELDS = [
+  { name: "name", type: "string" },
+  { name: "chainId", type: "uint256" },
+  { name: "verifyingContract", type: "address" }
+];
+
+const ENTROPY_TYPES = {
+  Delegation: [
+    { name: "delegatee", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" }
+  ],
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * keccak256 of the encoded type, to compare with the *_TYPEHASH constants.
+ *
+ * @param {string} primaryType  "EIP712Domain", "Delegation" or "Permit"
+ */
+function typeHash(primaryType, types = ENTROPY_TYPES) {
+  const fields = primaryType === "EIP712Domain" ? DOMAIN_FIELDS : types[primaryType];
+  const encoded = ethers.TypedDataEncoder.from({ [primaryType]: fields }).encodeType(primaryType);
+  return ethers.keccak256(ethers.toUtf8Bytes(encoded));
+}
+
+/**
+ * Domain the contract verifies signatures against.
+ *
+ * @param {import("ethers").Contract} contract
+ * @param {{ chainId?: bigint }} [overrides]  e.g. another chain id, to sign for the wrong chain
+ */
+async function domainOf(contract, overrides = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  return {
+    name: await contract.name(),
+    chainId,
+    verifyingContract: await contract.getAddress(),
+    ...overrides
+  };
+}
+
+/**
+ * Sign a typed message for the contract.
+ *
+ * @param {import("ethers").Signer} signer
+ * @param {import("ethers").Contract} contract
+ * @param {string} primaryType  "Delegation" or "Permit"
+ * @param {Object} message
+ * @param {{ domain?: Object }} [options]  Domain fields to override
+ * @returns {Promise<import("ethers").Signature>}  with v, r and s
+ */
+async function signTyped(signer, contract, primaryType, message, options = {}) {
+  const domain = await domainOf(contract, options.domain);
+  const signature = await signer.signTypedData(domain, { [primaryType]: ENTROPY_TYPES[primaryType] }, message);
+  return ethers.Signature.from(signature);
+}
+
+/**
+ * Sign a Delegation for delegateBySig. The nonce defaults to the signer's
+ * current nonce on the contract.
+ *
+ * @returns {Promise<{ delegatee: string, nonce: bigint, expiry: bigint, v: number, r: string, s: string }>}
+ */
+async function signDelegation(signer, contract, { delegatee, nonce, expiry }, options) {
+  const message = {
+    delegatee,
+    nonce: nonce === undefined ? await contract.nonces(await signer.getAddress()) : BigInt(nonce),
+    expiry: BigInt(expiry)
+  };
+  const { v, r, s } = await signTyped(signer, contract, "Delegation", message, options);
+  return { ...message, v, r, s };
+}
+
+/**
+ * Sign a Permit. The owner defaults to the signer and the nonce to the owner's
+ * current nonce on the contract.
+ *
+ * @returns {Promise<{ owner: string, spender: string, value: bigint, nonce: bigint, deadline: bigint, v: number, r: string, s: string }>}
+ */
+async function signPermit(signer, contract, { owner, spender, value, nonce, deadline }, options) {
+  const permitOwner = owner || await signer.getAddress();
+  const message = {
+    owner: permitOwner,
+    spender,
+    value: BigInt(value),
+    nonce: nonce === undefined ? await contract.nonces(permitOwner) : BigInt(nonce),
+    deadline: BigInt(deadline)
+  };
+  const { v, r, s } = await signTyped(signer, contract, "Permit", message, options);
+  return { ...message, v, r, s };
+}
+
+module.exports = {
+  ENTROPY_TYPES,
+  typeHash,
+  domainOf,
+  signTyped,
+  signDelegation,
+  signPermit
+};
@@ -0,0 +1,326 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { allowanceMethods } = require("./erc20Properties");
+
+/**
+ * ERC20 conformance suite shared by the token tests, so that every token gets
+ * the same checks of transfers, allowances, events, return values and zero
+ * address handling. Behaviour that differs between tokens on purpose is
+ * declared through options instead of being skipped.
+ *
+ * The suite reads `ctx.contract` and expects the first signer to hold the
+ * supply once `setup` has run. Failures are checked against the token's
+ * revertForVersion expectations given in `reverts`, and only to revert for
+ * the ones it leaves out.
+ */
+
+/**
+ * @typedef {Object} ERC20BehaviorOptions
+ * @property {"reject"|"burn"|"hold"} [transferToZero]  What a transfer to the zero address does:
+ *   revert (default), leave the supply because totalSupply() subtracts the zero address balance,
+ *   or stay in the zero address balance
+ * @property {"allow"|"reject"} [approveToZero]  Approving the zero address, allowed by default
+ * @property {"allow"|"reject"} [zeroAmountTransfer]  Allowed by default
+ * @property {"revert"|"floor"} [decreaseBelowZero]  Decreasing an allowance by more than it holds
+ *   reverts (default) or sets it to zero
+ * @property {boolean} [approveMustResetToZero]  A non-zero allowance can only be set back to zero
+ * @property {{ open: (contract: import("ethers").Contract) => Promise<any> }} [sale]
+ *   Transfers are closed until `open` is called by the owner
+ * @property {(amount: bigint) => bigint} [burnOnTransfer]  Part of a transfer burned, reported
+ *   with a second Transfer event to the zero address
+ * @property {(amount: bigint) => bigint} [reflectionFee]  Part of a transfer shared among the
+ *   holders instead of being received, added up by totalFees()
+ * @property {(contract: import("ethers").Contract, signers: import("ethers").Signer[]) => Promise<void>} [setup]
+ *   Called before each test, e.g. to hand the supply to the first signer
+ * @property {Object<string, Object>} [reverts]  revertForVersion expectations by failure: "balance",
+ *   "allowance", "zeroAddress", "zeroAmount", "approveToZero", "approveChange", "decreaseBelowZero"
+ *   and "saleClosed"
+ */
+
+/**
+ * Add the conformance suite to a describeForVersions suite.
+ *
+ * @param {import("./dualVersion").VersionContext} ctx
+ * @param {ERC20BehaviorOptions} [options]
+ */
+function shouldBehaveLikeERC20(ctx, options = {}) {
+  const transferToZero = options.transferToZero || "reject";
+  const burnOnTransfer = options.burnOnTransfer || (() => 0n);
+  const reflectionFee = options.reflectionFee || (() => 0n);
+  const reverts = options.reverts || {};
+  // Known before deployment, so that tokens without them get no allowance change tests
+  const methods = allowanceMethods(new ethers.Interface(artifacts.readArtifactSync(ctx.contractName).abi));
+
+  describe("ERC20 Conformance", function() {
+    let token;
+    let holder;
+    let spender;
+    let recipient;
+    let amount;
+
+    beforeEach(async function() {
+      token = ctx.contract;
+      [holder, spender, recipient] = ctx.signers;
+      if (options.setup) {
+        await options.setup(token, ctx.signers);
+      }
+      // Small enough for any per-transaction cap
+      amount = await token.totalSupply() / 1000n;
+    });
+
+    async function openSale() {
+      if (options.sale) {
+        await (await options.sale.open(token)).wait();
+      }
+    }
+
+    function expectRevert(call, failure) {
+      return reverts[failure] ? expect(call).to.revertForVersion(ctx, reverts[failure]) : expect(call).to.be.reverted;
+    }
+
+    async function balancesOf(...accounts) {
+      return Promise.all(accounts.map(account => token.balanceOf(account)));
+    }
+
+    // Balances of `from` and `to` after sending `value`, with the token's burn or fee
+    async function expectMoved(tx, from, to, value, before) {
+      const burned = burnOnTransfer(value);
+      const fee = reflectionFee(value);
+      const received = value - burned - fee;
+      const [fromAfter, toAfter] = await balancesOf(from, to);
+
+      await expect(tx).to.emit(token, "Transfer").withArgs(from, to, received);
+      if (burned > 0n) {
+        await expect(tx).to.emit(token, "Transfer").withArgs(from, ethers.ZeroAddress, burned);
+      }
+      if (fee > 0n) {
+        // Holders, the sender and recipient included, get a share of the fee
+        expect(toAfter).to.be.at.least(before[1] + received);
+        expect(fromAfter).to.be.at.least(before[0] - value);
+        expect(fromAfter).to.be.at.most(before[0] - received);
+      } else {
+        expect(fromAfter).to.equal(before[0] - value);
+        expect(toAfter).to.equal(before[1] + received);
+      }
+    }
+
+    it("should hold the whole supply in the first account", async function() {
+      const supply = await token.totalSupply();
+      expect(supply).to.be.greaterThan(0n);
+      expect(await token.balanceOf(holder.address)).to.equal(supply);
+    });
+
+    if (options.sale) {
+      describe("Sale Gating", function() {
+        it("should refuse transfers before the sale opens", async function() {
+          await token.approve(spender.address, amount);
+          await expectRevert(token.transfer(recipient.address, amount), "saleClosed");
+          await expectRevert(token.connect(spender).transferFrom(holder.address, recipient.address, amount), "saleClosed");
+          expect(await token.balanceOf(recipient.address)).to.equal(0n);
+        });
+
+        it("should accept transfers once the sale is open", async function() {
+          await openSale();
+          await token.transfer(recipient.address, amount);
+          expect(await token.balanceOf(recipient.address)).to.equal(amount);
+        });
+      });
+    }
+
+    describe("Transfers", function() {
+      beforeEach(openSale);
+
+      it("should move the amount, emit Transfer and return true", async function() {
+        expect(await token.transfer.staticCall(recipient.address, amount)).to.equal(true);
+        const before = await balancesOf(holder.address, recipient.address);
+        const tx = await token.transfer(recipient.address, amount);
+        await expectMoved(tx, holder.address, recipient.address, amount, before);
+      });
+
+      it("should revert a transfer above the balance and keep the balances", async function() {
+        await token.transfer(spender.address, amount);
+        const before = await balancesOf(spender.address, recipient.address);
+        await expectRevert(token.connect(spender).transfer(recipient.address, before[0] + 1n), "balance");
+        expect(await balancesOf(spender.address, recipient.address)).to.deep.equal(before);
+      });
+
+      it("should revert a transfer from an empty account", async function() {
+        await expectRevert(token.connect(recipient).transfer(spender.address, 1n), "balance");
+      });
+
+      if (options.zeroAmountTransfer === "reject") {
+        it("should reject a transfer of zero", async function() {
+          await expectRevert(token.transfer(recipient.address, 0n), "zeroAmount");
+        });
+      } else {
+        it("should accept a transfer of zero", async function() {
+          const before = await balancesOf(holder.address, recipient.address);
+          await expect(token.transfer(recipient.address, 0n))
+            .to.emit(token, "Transfer").withArgs(holder.address, recipient.address, 0n);
+          expect(await balancesOf(holder.address, recipient.address)).to.deep.equal(before);
+        });
+      }
+
+      if (transferToZero === "reject") {
+        it("should reject a transfer to the zero address", async function() {
+          await expectRevert(token.transfer(ethers.ZeroAddress, amount), "zeroAddress");
+        });
+      } else {
+        it(`should ${transferToZero === "burn" ? "take tokens sent to the zero address out of the supply" : "keep tokens sent to the zero address in the supply"}`, async function() {
+          const supply = await token.totalSupply();
+          await token.transfer(ethers.ZeroAddress, amount);
+          expect(await token.balanceOf(ethers.ZeroAddress)).to.equal(amount);
+          expect(await token.totalSupply()).to.equal(transferToZero === "burn" ? supply - amount : supply);
+        });
+      }
+    });
+
+    describe("Allowances", function() {
+      beforeEach(openSale);
+
+      it("should set the allowance, emit Approval and return true", async function() {
+        expect(await token.approve.staticCall(spender.address, amount)).to.equal(true);
+        await expect(token.approve(spender.address, amount))
+          .to.emit(token, "Approval").withArgs(holder.address, spender.address, amount);
+        expect(await token.allowance(holder.address, spender.address)).to.equal(amount);
+      });
+
+      if (options.approveMustResetToZero) {
+        it("should only change a non-zero allowance through zero", async function() {
+          await token.approve(spender.address, amount);
+          await expectRevert(token.approve(spender.address, amount * 2n), "approveChange");
+          await token.approve(spender.address, 0n);
+          await token.approve(spender.address, amount * 2n);
+          expect(await token.allowance(holder.address, spender.address)).to.equal(amount * 2n);
+        });
+      } else {
+        it("should overwrite an existing allowance", async function() {
+          await token.approve(spender.address, amount);
+          await token.approve(spender.address, amount * 2n);
+          expect(await token.allowance(holder.address, spender.address)).to.equal(amount * 2n);
+        });
+      }
+
+      if (options.approveToZero === "reject") {
+        it("should reject approving the zero address", async function() {
+          await expectRevert(token.approve(ethers.ZeroAddress, amount), "approveToZero");
+        });
+      } else {
+        it("should accept approving the zero address", async function() {
+          await token.approve(ethers.ZeroAddress, amount);
+          expect(await token.allowance(holder.address, ethers.ZeroAddress)).to.equal(amount);
+        });
+      }
+
+      it("should keep allowances separate per owner and spender", async function() {
+        await token.approve(spender.address, amount);
+        expect(await token.allowance(holder.address, recipient.address)).to.equal(0n);
+        expect(await token.allowance(spender.address, holder.address)).to.equal(0n);
+      });
+    });
+
+    describe("Delegated Transfers", function() {
+      beforeEach(async function() {
+        await openSale();
+        await token.approve(spender.address, amount);
+      });
+
+      it("should move the amount, spend the allowance and return true", async function() {
+        const value = amount / 2n;
+        expect(await token.connect(spender).transferFrom.staticCall(holder.address, recipient.address, value)).to.equal(true);
+        const before = await balancesOf(holder.address, recipient.address);
+        const tx = await token.connect(spender).transferFrom(holder.address, recipient.address, value);
+        await expectMoved(tx, holder.address, recipient.address, value, before);
+        expect(await token.allowance(holder.address, spender.address)).to.equal(amount - value);
+      });
+
+      it("should spend the whole allowance", async function() {
+        await token.connect(spender).transferFrom(holder.address, recipient.address, amount);
+        expect(await token.allowance(holder.address, spender.address)).to.equal(0n);
+        await expectRevert(token.connect(spender).transferFrom(holder.address, recipient.address, 1n), "allowance");
+      });
+
+      it("should revert above the allowance and keep the state", async function() {
+        const before = await balancesOf(holder.address, recipient.address);
+        await expectRevert(token.connect(spender).transferFrom(holder.address, recipient.address, amount + 1n), "allowance");
+        expect(await balancesOf(holder.address, recipient.address)).to.deep.equal(before);
+        expect(await token.allowance(holder.address, spender.address)).to.equal(amount);
+      });
+
+      it("should revert above the owner's balance even within the allowance", async function() {
+        await token.transfer(recipient.address, amount);
+        await token.connect(recipient).approve(spender.address, amount * 2n);
+        const balance = await token.balanceOf(recipient.address);
+        await expectRevert(token.connect(spender).transferFrom(recipient.address, holder.address, balance + 1n), "balance");
+      });
+
+      it("should not let a spender use another spender's allowance", async function() {
+        await expectRevert(token.connect(recipient).transferFrom(holder.address, recipient.address, 1n), "allowance");
+      });
+
+      if (transferToZero === "reject") {
+        it("should reject a delegated transfer to the zero address", async function() {
+          await expectRevert(token.connect(spender).transferFrom(holder.address, ethers.ZeroAddress, amount), "zeroAddress");
+        });
+      }
+    });
+
+    if (methods.increase || methods.decrease) {
+      describe("Allowance Changes", function() {
+        beforeEach(async function() {
+          await openSale();
+          await token.approve(spender.address, amount);
+        });
+
+        if (methods.increase) {
+          it(`should increase the allowance with ${methods.increase} and emit the new total`, async function() {
+            await expect(token[methods.increase](spender.address, amount))
+              .to.emit(token, "Approval").withArgs(holder.address, spender.address, amount * 2n);
+            expect(await token.allowance(holder.address, spender.address)).to.equal(amount * 2n);
+          });
+        }
+
+        if (methods.decrease) {
+          it(`should decrease the allowance with ${methods.decrease} and emit the new total`, async function() {
+            await expect(token[methods.decrease](spender.address, amount / 4n))
+              .to.emit(token, "Approval").withArgs(holder.address, spender.address, amount - amount / 4n);
+            expect(await token.allowance(holder.address, spender.address)).to.equal(amount - amount / 4n);
+          });
+
+          if (options.decreaseBelowZero === "floor") {
+            it("should floor the allowance at zero when decreasing by more than it holds", async function() {
+              await token[methods.decrease](spender.address, amount + 1n);
+              expect(await token.allowance(holder.address, spender.address)).to.equal(0n);
+            });
+          } else {
+            it("should revert when decreasing the allowance by more than it holds", async function() {
+              await expectRevert(token[methods.decrease](spender.address, amount + 1n), "decreaseBelowZero");
+              expect(await token.allowance(holder.address, spender.address)).to.equal(amount);
+            });
+          }
+        }
+      });
+    }
+
+    if (options.reflectionFee) {
+      describe("Reflection Fee", function() {
+        it("should add the fee of every transfer to the total fees", async function() {
+          const fees = await token.totalFees();
+          await token.transfer(recipient.address, amount);
+          expect(await token.totalFees()).to.equal(fees + reflectionFee(amount));
+        });
+
+        it("should share the fee with holders who take no part in the transfer", async function() {
+          await token.transfer(spender.address, amount);
+          const before = await token.balanceOf(spender.address);
+          await token.transfer(recipient.address, amount);
+          expect(await token.balanceOf(spender.address)).to.be.greaterThan(before);
+        });
+      });
+    }
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeERC20
+};
@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { checkProperty, shrinkSequence, shrinkBigInt } = require("./property");
+
+/**
+ * ERC20 invariants checked over random sequences of transfer, approve,
+ * transferFrom and allowance changes, for every token suite:
+ *
+ * - the balances of all accounts add up to totalSupply
+ * - a successful call moves exactly the amounts it names, and transferFrom
+ *   takes exactly its amount off the allowance
+ * - a failed call leaves balances, allowances and the supply untouched
+ *
+ * Calls are sent with a fixed gas limit so that failures are mined as reverted
+ * transactions instead of being caught by gas estimation.
+ */
+
+// Four signers; index 4 is the zero address, used as a recipient or spender only
+const SIGNER_COUNT = 4;
+const ZERO = SIGNER_COUNT;
+const GAS_LIMIT = 1000000;
+
+// Allowance functions under the names the token uses
+const INCREASE = ["increaseAllowance", "increaseApproval"];
+const DECREASE = ["decreaseAllowance", "decreaseApproval"];
+
+/**
+ * @typedef {Object} ERC20Step
+ * @property {string} method   "transfer", "approve", "transferFrom", "increase" or "decrease"
+ * @property {number} sender
+ * @property {number} [from]   transferFrom only
+ * @property {number} [to]     Recipient, or spender for the allowance methods
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} ERC20PropertyOptions
+ * @property {(amount: bigint) => bigint} [burnOnTransfer]  Part of a transfer destroyed instead of received
+ * @property {boolean} [supplyExcludesZeroAddress]  totalSupply() subtracts the zero address balance,
+ *   so tokens sent there leave the supply
+ * @property {(contract: import("ethers").Contract, signers: import("ethers").Signer[]) => Promise<void>} [setup]
+ *   Called once before the runs, e.g. to open transfers
+ * @property {number} [runs]
+ * @property {number} [maxSteps]  Longest generated sequence, 20 by default
+ */
+
+// Names of the allowance change functions in an ABI, undefined for a token without them
+function allowanceMethods(iface) {
+  const has = name => iface.getFunction(name) !== null;
+  return {
+    increase: INCREASE.find(has),
+    decrease: DECREASE.find(has)
+  };
+}
+
+// Amounts around the edges that matter: nothing, dust, shares of the supply and overflows
+function generateAmount(rng, supply) {
+  switch (rng.weighted({ zero: 1, dust: 2, share: 6, supply: 1, above: 1, max: 1 })) {
+    case "zero":
+      return 0n;
+    case "dust":
+      return rng.bigint(1n, 1000n);
+    case "share":
+      return rng.bigint(1n, supply >> BigInt(rng.int(1, 12)));
+    case "supply":
+      return supply;
+    case "above":
+      return supply + rng.bigint(1n, 1000n);
+    default:
+      return ethers.MaxUint256;
+  }
+}
+
+function generateSteps(rng, methods, supply, maxSteps) {
+  const available = { transfer: 4, approve: 3, transferFrom: 4 };
+  if (methods.increase) {
+    available.increase = 1;
+  }
+  if (methods.decrease) {
+    available.decrease = 1;
+  }
+  const account = () => (rng.bool(0.4) ? 0 : rng.int(0, SIGNER_COUNT - 1));
+  const target = () => (rng.bool(0.05) ? ZERO : rng.int(0, SIGNER_COUNT - 1));
+
+  return Array.from({ length: rng.int(1, maxSteps) }, () => {
+    const method = rng.weighted(available);
+    const step = { method, sender: account(), to: target(), amount: generateAmount(rng, supply) };
+    if (method === "transferFrom") {
+      step.from = account();
+    }
+    return step;
+  });
+}
+
+function formatSteps(steps) {
+  const name = index => (index === ZERO ? "zero" : `signer ${index}`);
+  return steps.map((step, index) => {
+    const from = step.method === "transferFrom" ? ` from ${name(step.from)}` : "";
+    return `  ${index + 1}. ${name(step.sender)} ${step.method}${from} to ${name(step.to)}: ${step.amount}`;
+  }).join("\n");
+}
+
+// Smaller amounts for a step
+function* shrinkStep(step) {
+  for (const amount of shrinkBigInt(step.amount)) {
+    yield { ...step, amount };
+  }
+}
+
+/**
+ * Play steps against the token, checking every call against the state observed
+ * before it and the whole state once the sequence is over.
+ */
+async function runSteps(contract, signers, addresses, methods, options, initial, steps) {
+  const burnOnTransfer = options.burnOnTransfer || (() => 0n);
+  const balances = [...initial.balances];
+  const allowances = new Map(initial.allowances);
+  let supply = initial.supply;
+
+  const key = (owner, spender) => `${owner}:${spender}`;
+  const suppliedBalance = () => balances
+    .filter((balance, index) => !(options.supplyExcludesZeroAddress && index === ZERO))
+    .reduce((sum, balance) => sum + balance, 0n);
+
+  for (const [index, step] of steps.entries()) {
+    const where = `step ${index + 1} (${step.method})`;
+    const from = step.method === "transferFrom" ? step.from : step.sender;
+    const holder = ["transfer", "transferFrom"].includes(step.method) ? from : step.sender;
+    const spender = step.method === "transferFrom" ? step.sender : step.to;
+    const allowanceKey = key(holder, spender);
+    const allowanceBefore = allowances.get(allowanceKey);
+
+    const token = contract.connect(signers[step.sender]);
+    const overrides = { gasLimit: GAS_LIMIT };
+    const args = {
+      transfer: () => token.transfer(addresses[step.to], step.amount, overrides),
+      transferFrom: () => token.transferFrom(addresses[step.from], addresses[step.to], step.amount, overrides),
+      approve: () => token.approve(addresses[step.to], step.amount, overrides),
+      increase: () => token[methods.increase](addresses[step.to], step.amount, overrides),
+      decrease: () => token[methods.decrease](addresses[step.to], step.amount, overrides)
+    };
+    let succeeded = true;
+    try {
+      await (await args[step.method]()).wait();
+    } catch (error) {
+      succeeded = false;
+    }
+
+    const touched = [...new Set([from, step.to])];
+    const after = new Map();
+    for (const account of touched) {
+      after.set(account, await contract.balanceOf(addresses[account]));
+    }
+    const allowanceAfter = await contract.allowance(addresses[holder], addresses[spender]);
+    const supplyAfter = await contract.totalSupply();
+
+    if (!succeeded) {
+      for (const account of touched) {
+        expect(after.get(account), `${where} reverted but changed the balance of account ${account}`).to.equal(balances[account]);
+      }
+      expect(allowanceAfter, `${where} reverted but changed the allowance`).to.equal(allowanceBefore);
+      expect(supplyAfter, `${where} reverted but changed the total supply`).to.equal(supply);
+      continue;
+    }
+
+    if (step.method === "transfer" || step.method === "transferFrom") {
+      const burned = burnOnTransfer(step.amount);
+      if (from === step.to) {
+        expect(after.get(from), `${where}: balance of a self transfer`).to.equal(balances[from] - burned);
+      } else {
+        expect(after.get(from), `${where}: sender balance`).to.equal(balances[from] - step.amount);
+        expect(after.get(step.to), `${where}: recipient balance`).to.equal(balances[step.to] + step.amount - burned);
+      }
+    }
+    const expectedAllowance = {
+      transfer: allowanceBefore,
+      transferFrom: allowanceBefore - step.amount,
+      approve: step.amount,
+      increase: allowanceBefore + step.amount,
+      // Tokens either revert below zero or floor the allowance at zero
+      decrease: step.amount > allowanceBefore ? 0n : allowanceBefore - step.amount
+    }[step.method];
+    expect(allowanceAfter, `${where}: allowance`).to.equal(expectedAllowance);
+
+    for (const account of touched) {
+      balances[account] = after.get(account);
+    }
+    allowances.set(allowanceKey, allowanceAfter);
+    supply = supplyAfter;
+    expect(suppliedBalance(), `${where}: sum of balances against totalSupply`).to.equal(supply);
+  }
+
+  // Accounts and allowances no step touched must not have moved either
+  const final = await readState(contract, addresses);
+  expect(final.balances, "balances at the end of the sequence").to.deep.equal(balances);
+  expect(Object.fromEntries(final.allowances), "allowances at the end of the sequence")
+    .to.deep.equal(Object.fromEntries(allowances));
+}
+
+// Balances, allowances between all accounts and the supply
+async function readState(contract, addresses) {
+  const balances = [];
+  const allowances = new Map();
+  for (const [owner, ownerAddress] of addresses.entries()) {
+    balances.push(await contract.balanceOf(ownerAddress));
+    for (const [spender, spenderAddress] of addresses.entries()) {
+      allowances.set(`${owner}:${spender}`, await contract.allowance(ownerAddress, spenderAddress));
+    }
+  }
+  return { balances, allowances, supply: await contract.totalSupply() };
+}
+
+/**
+ * Add the ERC20 property suite to a describeForVersions suite. The contract
+ * under test must hold its whole supply in the first signer's account.
+ *
+ * @param {import("./dualVersion").VersionContext} ctx
+ * @param {ERC20PropertyOptions} [options]
+ */
+function shouldHoldERC20Properties(ctx, options = {}) {
+  describe("ERC20 Properties", function() {
+    it("should keep balances, allowances and the supply consistent over random call sequences", async function() {
+      const contract = ctx.contract;
+      const signers = ctx.signers.slice(0, SIGNER_COUNT);
+      const addresses = [...signers.map(signer => signer.address), ethers.ZeroAddress];
+      const methods = allowanceMethods(contract.interface);
+      if (options.setup) {
+        await options.setup(contract, signers);
+      }
+
+      const initial = await readState(contract, addresses);
+      expect(initial.balances[0], "the first signer must hold the supply").to.equal(initial.supply);
+      const snapshot = await takeSnapshot();
+
+      await checkProperty(`ERC20 invariants of ${ctx.name} (${ctx.variant})`, {
+        generate: rng => generateSteps(rng, methods, initial.supply, options.maxSteps || 20),
+        run: steps => runSteps(contract, signers, addresses, methods, options, initial, steps),
+        shrink: steps => shrinkSequence(steps, shrinkStep),
+        format: formatSteps,
+        reset: () => snapshot.restore()
+      }, { runs: options.runs });
+    });
+  });
+}
+
+module.exports = {
+  allowanceMethods,
+  shouldHoldERC20Properties
+};
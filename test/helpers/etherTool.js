@@ -0,0 +1,158 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Reference model of EtherTool's ledger (userEtherOf) and of its payments to
+ * recipients that refuse or misuse ether, the ones in MockEtherTool.
+ *
+ * The legacy contract pays with transfer(), which forwards 2300 gas: a
+ * recipient that refuses the ether or runs anything beyond that stipend makes
+ * the whole call revert. The upgraded one pays with call(); withdrawals revert
+ * on a failed payment, while batch transfers give the amount back to the
+ * sender and log the entry as not done.
+ *
+ * Actions return `{ revert, ... }`: the revertForVersion expectation of the
+ * call, or null once applied, with `payouts` listing the [recipient, amount]
+ * payments made.
+ */
+
+// Whether each kind of recipient accepts a payment made with transfer() or call().
+// A failed transfer() passes on the recipient's revert data, empty when it ran out of gas
+const RECIPIENTS = {
+  account: { transfer: true, call: true },
+  nonReceivable: { transfer: false, call: false },
+  reverting: { transfer: false, call: false, reason: "Receiver rejects ether" },
+  guzzler: { transfer: false, call: true },
+  // The call back is blocked by the lock and the receiver lets it go...
+  reentrant: { transfer: false, call: true },
+  // ...unless it is strict, and refuses the payment
+  strictReentrant: { transfer: false, call: false },
+  selfDestructing: { transfer: false, call: true }
+};
+
+const BATCH_REVERTS = {
+  zeroAmount: { legacy: "bare", upgraded: "Amount must be greater than 0" },
+  noAmounts: { legacy: "bare", upgraded: "Amounts list cannot be empty" },
+  noRecipients: { legacy: "bare", upgraded: "Recipients list cannot be empty" },
+  lengthMismatch: { legacy: "bare", upgraded: "Recipients and amounts must match" }
+};
+
+/**
+ * @typedef {Object} BatchEntry
+ * @property {string} to
+ * @property {bigint} amount
+ * @property {boolean} done  What OnTransfer logs for the entry
+ */
+
+/**
+ * @param {{ isLegacy: boolean }} params
+ */
+function createEtherToolModel({ isLegacy }) {
+  const ledger = new Map();
+  // Kind of every recipient that is not a plain account, and where its ether ends up
+  const recipients = new Map();
+  let eventId = 1n;
+
+  const balanceOf = user => ledger.get(user) || 0n;
+  const kindOf = to => (recipients.get(to) || { kind: "account" }).kind;
+  const accepts = to => RECIPIENTS[kindOf(to)][isLegacy ? "transfer" : "call"];
+  const transferRevert = to => RECIPIENTS[kindOf(to)].reason || "bare";
+
+  const model = {
+    balanceOf,
+    currentEventId: () => eventId,
+
+    /**
+     * @param {string} address
+     * @param {keyof RECIPIENTS} kind
+     * @param {string} [heir]  Where a selfdestructing recipient sends what it receives
+     */
+    register(address, kind, heir) {
+      recipients.set(address, { kind, heir });
+    },
+
+    // Address whose ether balance grows when `to` is paid
+    payee(to) {
+      const recipient = recipients.get(to);
+      return recipient && recipient.heir ? recipient.heir : to;
+    },
+
+    users() {
+      return [...ledger.keys()];
+    },
+
+    total() {
+      return [...ledger.values()].reduce((sum, value) => sum + value, 0n);
+    },
+
+    deposit(user, value) {
+      ledger.set(user, balanceOf(user) + value);
+    },
+
+    // withdrawEtherTo(to) sent by `sender`; `result` is what it returns
+    withdraw(sender, to) {
+      if (to === ethers.ZeroAddress) {
+        return { revert: { legacy: "bare", upgraded: "Invalid address" } };
+      }
+      const amount = balanceOf(sender);
+      if (amount === 0n) {
+        return { revert: null, result: false, payouts: [] };
+      }
+      if (!accepts(to)) {
+        return { revert: { legacy: transferRevert(to), upgraded: "Transfer failed" } };
+      }
+      ledger.set(sender, 0n);
+      return { revert: null, result: true, payouts: [[to, amount]] };
+    },
+
+    /**
+     * batchTransfer1 when `amounts` is a single amount, batchTransfer2 when it
+     * is a list, with `value` deposited first.
+     *
+     * @returns {{ revert: object|null, entries: BatchEntry[], payouts: [string, bigint][] }}
+     */
+    batchTransfer(sender, tos, amounts, value = 0n) {
+      const single = !Array.isArray(amounts);
+      const failed = revert => ({ revert, entries: [], payouts: [] });
+      if (single && amounts === 0n) {
+        return failed(BATCH_REVERTS.zeroAmount);
+      }
+      if (!single && amounts.length === 0) {
+        return failed(BATCH_REVERTS.noAmounts);
+      }
+      if (tos.length === 0) {
+        return failed(BATCH_REVERTS.noRecipients);
+      }
+      if (!single && tos.length !== amounts.length) {
+        return failed(BATCH_REVERTS.lengthMismatch);
+      }
+
+      let balance = balanceOf(sender) + value;
+      const entries = [];
+      const payouts = [];
+      for (const [index, to] of tos.entries()) {
+        const amount = single ? amounts : amounts[index];
+        let done = false;
+        if (to !== ethers.ZeroAddress && amount > 0n && balance >= amount) {
+          if (accepts(to)) {
+            balance -= amount;
+            payouts.push([to, amount]);
+            done = true;
+          } else if (isLegacy) {
+            return failed({ legacy: transferRevert(to) });
+          }
+        }
+        entries.push({ to, amount, done });
+      }
+
+      ledger.set(sender, balance);
+      eventId += BigInt(tos.length);
+      return { revert: null, entries, payouts };
+    }
+  };
+  return model;
+}
+
+module.exports = {
+  RECIPIENTS,
+  createEtherToolModel
+};
@@ -0,0 +1,220 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * Decoded event sequences of transactions, compared between versions.
+ *
+ * Logs are decoded with the interface of the contract that sent the
+ * transaction; logs it cannot decode are kept with their raw topic and data so
+ * that nothing emitted goes unnoticed.
+ */
+
+// Placeholder for the address of the contract under test, since legacy and
+// upgraded are deployed at different addresses
+const SELF = "<contract>";
+
+/**
+ * @typedef {Object} RecordedEvent
+ * @property {string} name       Event name, or the raw topic when not decodable
+ * @property {string} signature  e.g. "Transfer(address,address,uint256)"
+ * @property {string} emitter    SELF, or the address of another contract
+ * @property {Array} args        Decoded arguments, or [data] when not decodable
+ */
+
+// Turn ethers Results into plain arrays and hide the contract's own address
+function normalize(value, selfAddress) {
+  if (typeof value === "string" && ethers.isAddress(value)) {
+    return value.toLowerCase() === selfAddress.toLowerCase() ? SELF : ethers.getAddress(value);
+  }
+  if (Array.isArray(value)) {
+    return [...value].map(item => normalize(item, selfAddress));
+  }
+  return value;
+}
+
+function stringify(value) {
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+/**
+ * Decode every log of a receipt, in emission order.
+ *
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @param {import("ethers").Interface} [iface]  Defaults to the interface the
+ *   receipt was decoded with, for receipts of contract calls
+ * @param {string} [selfAddress]  Defaults to the receipt's target or created contract
+ * @returns {RecordedEvent[]}
+ */
+function decodeEvents(receipt, iface, selfAddress = receipt.to || receipt.contractAddress) {
+  return receipt.logs.map(log => {
+    const parsed = iface ? iface.parseLog(log) : log.fragment && log;
+    const emitter = normalize(log.address, selfAddress);
+    if (!parsed) {
+      return { name: log.topics[0], signature: log.topics[0], emitter, args: [log.data] };
+    }
+    const fragment = parsed.fragment;
+    return {
+      name: fragment.name,
+      signature: fragment.format("sighash"),
+      emitter,
+      args: normalize([...parsed.args], selfAddress)
+    };
+  });
+}
+
+/**
+ * Wait for a transaction and return its decoded event sequence. Accepts a
+ * transaction response, a receipt, or an already recorded sequence.
+ *
+ * @returns {Promise<RecordedEvent[]>}
+ */
+async function recordEvents(transaction) {
+  if (Array.isArray(transaction)) {
+    return transaction;
+  }
+  const receipt = typeof transaction.wait === "function" ? await transaction.wait() : transaction;
+  return decodeEvents(receipt);
+}
+
+function formatEvent(event) {
+  const emitter = event.emitter === SELF ? "" : `@${event.emitter} `;
+  return `${emitter}${event.name}(${event.args.map(stringify).join(", ")})`;
+}
+
+function sameEvent(a, b) {
+  return a.signature === b.signature && a.emitter === b.emitter && stringify(a.args) === stringify(b.args);
+}
+
+// Longest common subsequence of identical events, as index pairs
+function matchInOrder(legacy, upgraded) {
+  const lengths = Array.from({ length: legacy.length + 1 }, () => new Array(upgraded.length + 1).fill(0));
+  for (let i = legacy.length - 1; i >= 0; i--) {
+    for (let j = upgraded.length - 1; j >= 0; j--) {
+      lengths[i][j] = sameEvent(legacy[i], upgraded[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0, j = 0; i < legacy.length && j < upgraded.length;) {
+    if (sameEvent(legacy[i], upgraded[j])) {
+      pairs.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * A difference between two event sequences.
+ * @typedef {Object} EventDifference
+ * @property {"missing"|"extra"|"reordered"|"changed"} change
+ * @property {RecordedEvent} [legacy]
+ * @property {RecordedEvent} [upgraded]
+ * @property {number} [legacyIndex]
+ * @property {number} [upgradedIndex]
+ */
+
+/**
+ * Compare two event sequences. Events left over after matching identical
+ * events in order are paired up: the same event elsewhere is reordered, the
+ * same signature with other arguments is changed, and the rest is missing
+ * from upgraded or extra in it.
+ *
+ * @param {RecordedEvent[]} legacy
+ * @param {RecordedEvent[]} upgraded
+ * @returns {EventDifference[]}
+ */
+function compareEvents(legacy, upgraded) {
+  const pairs = matchInOrder(legacy, upgraded);
+  const unmatchedLegacy = legacy.map((event, index) => index).filter(index => !pairs.some(([i]) => i === index));
+  let unmatchedUpgraded = upgraded.map((event, index) => index).filter(index => !pairs.some(([, j]) => j === index));
+  const differences = [];
+
+  const pairWith = (index, predicate, change) => {
+    const other = unmatchedUpgraded.find(j => predicate(legacy[index], upgraded[j]));
+    if (other === undefined) {
+      return false;
+    }
+    unmatchedUpgraded = unmatchedUpgraded.filter(j => j !== other);
+    differences.push({ change, legacy: legacy[index], upgraded: upgraded[other], legacyIndex: index, upgradedIndex: other });
+    return true;
+  };
+  const sameSignature = (a, b) => a.signature === b.signature && a.emitter === b.emitter;
+
+  unmatchedLegacy
+    .filter(index => !pairWith(index, sameEvent, "reordered"))
+    .filter(index => !pairWith(index, sameSignature, "changed"))
+    .forEach(index => differences.push({ change: "missing", legacy: legacy[index], legacyIndex: index }));
+  unmatchedUpgraded.forEach(index =>
+    differences.push({ change: "extra", upgraded: upgraded[index], upgradedIndex: index }));
+  return differences;
+}
+
+function formatEventDifferences(differences) {
+  return differences.map(diff => {
+    switch (diff.change) {
+      case "missing":
+        return `  missing #${diff.legacyIndex} ${formatEvent(diff.legacy)}`;
+      case "extra":
+        return `  extra #${diff.upgradedIndex} ${formatEvent(diff.upgraded)}`;
+      case "reordered":
+        return `  reordered ${formatEvent(diff.legacy)} (#${diff.legacyIndex} -> #${diff.upgradedIndex})`;
+      default:
+        return `  changed #${diff.legacyIndex} ${formatEvent(diff.legacy)} -> #${diff.upgradedIndex} ${formatEvent(diff.upgraded)}`;
+    }
+  }).join("\n");
+}
+
+function formatSequence(events) {
+  return events.length === 0 ? "(none)" : events.map(formatEvent).join(", ");
+}
+
+/**
+ * Assert that two transactions emitted the same events, in the same order and
+ * with the same arguments. Each `allowExtra` entry, an event name or
+ * signature, accepts one additional event emitted by upgraded; list it twice
+ * to accept two.
+ *
+ * @param {*} legacyTx  Transaction response, receipt or recorded sequence
+ * @param {*} upgradedTx
+ * @param {{ allowExtra?: string[] }} [options]
+ * @returns {Promise<{ legacy: RecordedEvent[], upgraded: RecordedEvent[] }>}
+ */
+async function expectSameEvents(legacyTx, upgradedTx, options = {}) {
+  const legacy = await recordEvents(legacyTx);
+  const upgraded = await recordEvents(upgradedTx);
+  const allowance = [...(options.allowExtra || [])];
+
+  const unexpected = compareEvents(legacy, upgraded).filter(diff => {
+    if (diff.change !== "extra") {
+      return true;
+    }
+    const index = allowance.findIndex(entry => entry === diff.upgraded.name || entry === diff.upgraded.signature);
+    if (index === -1) {
+      return true;
+    }
+    allowance.splice(index, 1);
+    return false;
+  });
+
+  expect(unexpected, `Events differ between versions:\n${formatEventDifferences(unexpected)}\n` +
+    `  legacy:   ${formatSequence(legacy)}\n  upgraded: ${formatSequence(upgraded)}`).to.be.empty;
+  return { legacy, upgraded };
+}
+
+module.exports = {
+  SELF,
+  normalize,
+  stringify,
+  decodeEvents,
+  recordEvents,
+  compareEvents,
+  formatEventDifferences,
+  expectSameEvents
+};
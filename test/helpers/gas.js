@@ -0,0 +1,127 @@
+const { createJsonReport } = require("./report");
+
+/**
+ * Gas recording for harnessed contracts, enabled with REPORT_GAS=true.
+ *
+ * Deployments made through ctx.deploy and every transaction sent through the
+ * returned contract (including instances obtained with connect) are recorded
+ * per contract, variant and function. Results are written after the run to
+ * GAS_REPORT_FILE (test-results/gas.json by default) and rendered by
+ * test/reporting/gasReport.js.
+ */
+
+const report = createJsonReport("REPORT_GAS", "test-results/gas.json");
+const ENABLED = report.enabled;
+
+const records = [];
+// Transactions sent during the current test, resolved in afterEach
+let pending = [];
+
+function recordGas(ctx, method, gasUsed) {
+  if (!ENABLED) {
+    return;
+  }
+  records.push({ contract: ctx.name, variant: ctx.variant, method, gasUsed: Number(gasUsed) });
+}
+
+// Nothing to record when the transaction never made it into a block
+async function settle({ ctx, method, response }) {
+  try {
+    const receipt = await response.wait();
+    recordGas(ctx, method, receipt.gasUsed);
+  } catch (error) {
+    // A reverted transaction is already reported by the test that sent it
+  }
+}
+
+// Wrap a contract method so that the transactions it sends are recorded
+function trackMethod(ctx, method) {
+  return new Proxy(method, {
+    apply(target, thisArg, args) {
+      const sent = Reflect.apply(target, thisArg, args);
+      sent.then(
+        response => pending.push({ ctx, method: method.fragment.name, response }),
+        () => {}
+      );
+      return sent;
+    }
+  });
+}
+
+/**
+ * Return a view of `contract` whose state-changing calls are recorded for the
+ * variant of `ctx`. The contract is returned as is when gas reporting is off.
+ */
+function trackGas(ctx, contract) {
+  if (!ENABLED) {
+    return contract;
+  }
+  return new Proxy(contract, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (property === "connect") {
+        return (...args) => trackGas(ctx, target.connect(...args));
+      }
+      if (typeof property !== "string" || typeof value !== "function" || !value.fragment) {
+        return value;
+      }
+      if (value.fragment.type !== "function" || value.fragment.constant) {
+        return value;
+      }
+      return trackMethod(ctx, value);
+    }
+  });
+}
+
+// Record the gas of the transaction that created `contract`
+async function trackDeployment(ctx, contract, label = "deploy") {
+  if (!ENABLED) {
+    return;
+  }
+  const receipt = await contract.deploymentTransaction().wait();
+  recordGas(ctx, label, receipt.gasUsed);
+}
+
+// Calls, min, max and average gas per contract, variant and function
+function aggregate(entries) {
+  const groups = new Map();
+  entries.forEach(({ contract, variant, method, gasUsed }) => {
+    const key = `${contract}\u0000${variant}\u0000${method}`;
+    if (!groups.has(key)) {
+      groups.set(key, { contract, variant, method, calls: 0, min: gasUsed, max: gasUsed, total: 0 });
+    }
+    const group = groups.get(key);
+    group.calls += 1;
+    group.total += gasUsed;
+    group.min = Math.min(group.min, gasUsed);
+    group.max = Math.max(group.max, gasUsed);
+  });
+  return [...groups.values()].map(group => ({ ...group, average: Math.round(group.total / group.calls) }));
+}
+
+const reportContent = () => ({ functions: aggregate(records) });
+
+function writeGasReport(output) {
+  report.write(reportContent(), output);
+}
+
+// Registered on the root suite the first time a test file requires the harness
+if (ENABLED && typeof afterEach === "function") {
+  afterEach(async function () {
+    const sent = pending;
+    pending = [];
+    for (const entry of sent) {
+      await settle(entry);
+    }
+  });
+}
+report.writeAfterRun(reportContent);
+
+module.exports = {
+  ENABLED,
+  recordGas,
+  trackGas,
+  trackDeployment,
+  aggregate,
+  writeGasReport
+};
@@ -0,0 +1,168 @@
+const { INITIAL_BALANCE, SUB_OVERFLOW } = require("./vesting");
+
+/**
+ * Reference model of the IcoLib sale: phases, the rate set by the rate setter,
+ * bonus tiers, the private sale hardcaps and the balance left to the ICO.
+ *
+ * calculateReward converts wei to token units (8 decimals) at
+ * `currentRate / 1000` cents per ether, then applies the bonus of the highest
+ * tier the base amount reaches in the current phase. A reward that does not fit
+ * under the phase's hardcap or thisBalance is 0, which buy() refuses.
+ */
+
+const PHASES = ["pause", "privateSale1", "privateSale2", "sales1", "sales2", "sales3", "sales4", "preFinish", "finish"];
+const PHASE = Object.fromEntries(PHASES.map((name, index) => [name, index]));
+
+const RATE_M = 1000n;
+const HARDCAPS = { privateSale1: 4n * 10n ** 16n, privateSale2: 64n * 10n ** 15n };
+
+// [minimum base amount, percentage paid], highest tier first
+const BONUS_TIERS = {
+  privateSale1: [[25n * 10n ** 13n, 142n], [10n * 10n ** 13n, 137n], [2n * 10n ** 13n, 133n]],
+  privateSale2: [[125n * 10n ** 13n, 129n], [100n * 10n ** 13n, 124n], [10n * 10n ** 13n, 121n]],
+  sales1: [[10n ** 12n, 117n]],
+  sales2: [[10n ** 12n, 112n]],
+  sales3: [[10n ** 12n, 109n]],
+  sales4: [[10n ** 12n, 102n]],
+  preFinish: [[1n, 100n]]
+};
+
+const BUYING_PHASES = ["privateSale2", "sales1", "sales2", "sales3", "sales4", "preFinish"];
+
+/**
+ * Each action returns what revertForVersion should expect of its call, or null if applied.
+ *
+ * @param {Object} params
+ * @param {string} params.owner
+ * @param {string} params.offchainUploader
+ * @param {string} params.kycSetter
+ * @param {string} params.rateSetter
+ * @param {boolean} params.isLegacy  The legacy offchainUpload ignores what bulkTransfer returns
+ */
+function createIcoModel({ owner, offchainUploader, kycSetter, rateSetter, isLegacy }) {
+  const kyc = new Set();
+  const hardcaps = { ...HARDCAPS };
+  let phase = "pause";
+  let rate = 0n;
+  let thisBalance = INITIAL_BALANCE;
+  let transferSuccess = true;
+
+  const model = {
+    phase: () => PHASE[phase],
+    rate: () => rate,
+    thisBalance: () => thisBalance,
+    hardcap: name => hardcaps[name],
+    hasKYC: address => kyc.has(address),
+
+    // Base amount before the bonus, in token units
+    baseAmount(input) {
+      return input * 10n ** 8n * 100n * rate / 10n ** 18n / RATE_M;
+    },
+
+    // Smallest input whose base amount reaches `amount` at the current rate
+    inputFor(amount) {
+      const unit = 10n ** 8n * 100n * rate;
+      return (amount * 10n ** 18n * RATE_M + unit - 1n) / unit;
+    },
+
+    calculateReward(input) {
+      if (rate === 0n || input === 0n) {
+        return 0n;
+      }
+      const amount = model.baseAmount(input);
+      const tier = (BONUS_TIERS[phase] || []).find(([minimum]) => amount >= minimum);
+      let reward = tier ? amount * tier[1] / 100n : 0n;
+      if (reward > 0n && phase in hardcaps && hardcaps[phase] < reward) {
+        reward = 0n;
+      }
+      return thisBalance < reward ? 0n : reward;
+    },
+
+    setCurrentPhase(sender, name) {
+      if (sender !== owner) {
+        return { legacy: "bare", upgraded: "Not owner" };
+      }
+      phase = name;
+      return null;
+    },
+
+    setCurrentRate(sender, newRate) {
+      if (sender !== rateSetter) {
+        return { legacy: "bare", upgraded: "Not authorized to set rate" };
+      }
+      if (newRate < RATE_M) {
+        return { legacy: "bare", upgraded: "Rate too low" };
+      }
+      rate = newRate;
+      return null;
+    },
+
+    setKYC(sender, on, off) {
+      if (sender !== kycSetter) {
+        return { legacy: "bare", upgraded: "Not authorized to set KYC" };
+      }
+      on.forEach(address => kyc.add(address));
+      off.forEach(address => kyc.delete(address));
+      return null;
+    },
+
+    // What the mock token answers to transfer and bulkTransfer
+    setTransferSuccess(success) {
+      transferSuccess = success;
+    },
+
+    buy(sender, value) {
+      if (!BUYING_PHASES.includes(phase)) {
+        return { legacy: "bare", upgraded: "Invalid phase for buying" };
+      }
+      if (!kyc.has(sender)) {
+        return { legacy: "bare", upgraded: "KYC not approved" };
+      }
+      const reward = model.calculateReward(value);
+      if (reward === 0n) {
+        return { legacy: "bare", upgraded: "Invalid reward calculation" };
+      }
+      if (!transferSuccess) {
+        return { legacy: "bare", upgraded: "Token transfer failed" };
+      }
+      thisBalance -= reward;
+      if (phase in hardcaps) {
+        hardcaps[phase] -= reward;
+      }
+      return null;
+    },
+
+    offchainUpload(sender, beneficiaries, rewards) {
+      if (sender !== offchainUploader) {
+        return { legacy: "bare", upgraded: "Not authorized for offchain upload" };
+      }
+      if (phase === "pause" || phase === "finish") {
+        return { legacy: "bare", upgraded: "Invalid phase" };
+      }
+      if (beneficiaries.length !== rewards.length) {
+        return { legacy: "bare", upgraded: "Array length mismatch" };
+      }
+      const total = rewards.reduce((sum, reward) => sum + reward, 0n);
+      if (total > thisBalance || (phase in hardcaps && total > hardcaps[phase])) {
+        return SUB_OVERFLOW;
+      }
+      if (!transferSuccess && !isLegacy) {
+        return { upgraded: "Bulk transfer failed" };
+      }
+      thisBalance -= total;
+      if (phase in hardcaps) {
+        hardcaps[phase] -= total;
+      }
+      return null;
+    }
+  };
+  return model;
+}
+
+module.exports = {
+  PHASES,
+  PHASE,
+  BONUS_TIERS,
+  BUYING_PHASES,
+  createIcoModel
+};
@@ -0,0 +1,57 @@
+/**
+ * Pieces shared by the reference models in this folder, and the convention
+ * they follow: an action returns the revertForVersion expectation of the call
+ * it stands for, or null when the call goes through, in which case the model
+ * has applied it.
+ */
+
+/**
+ * Thrown inside a model action to make the call it stands for revert, with the
+ * revertForVersion expectation; a string is short for `{ default: string }`.
+ */
+class ModelRevert extends Error {
+  constructor(expectation) {
+    super(typeof expectation === "string" ? expectation : JSON.stringify(expectation));
+    this.expectation = typeof expectation === "string" ? { default: expectation } : expectation;
+  }
+}
+
+/**
+ * Model state changed copy-on-write, so that an action reverting halfway
+ * leaves nothing behind.
+ *
+ * `attempt(change)` runs `change` on a copy made by `clone` and keeps it,
+ * returning null, unless `change` throws a ModelRevert: the state is then left
+ * as it was and the expectation of the revert returned.
+ *
+ * @template T
+ * @param {T} initial
+ * @param {(state: T) => T} clone  Copies every collection an action may change
+ * @returns {{ state: T, attempt: (change: () => void) => Object|null }}
+ */
+function createModelState(initial, clone) {
+  const store = {
+    state: initial,
+
+    attempt(change) {
+      const saved = store.state;
+      store.state = clone(saved);
+      try {
+        change();
+        return null;
+      } catch (error) {
+        store.state = saved;
+        if (error instanceof ModelRevert) {
+          return error.expectation;
+        }
+        throw error;
+      }
+    }
+  };
+  return store;
+}
+
+module.exports = {
+  ModelRevert,
+  createModelState
+};
@@ -0,0 +1,158 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Off-chain side of SimplePaymentChannel.
+ *
+ * The sender signs vouchers for the cumulative amount owed, as
+ * keccak256(abi.encodePacked(channel, amount)) with the Ethereum signed message
+ * prefix. The recipient keeps the best valid voucher and closes the channel
+ * with it before the expiration, after which the sender can reclaim the deposit.
+ */
+
+/**
+ * @typedef {Object} Voucher
+ * @property {string} channel    Address of the channel contract
+ * @property {bigint} amount     Cumulative amount paid so far
+ * @property {string} signature  65 bytes, r ‖ s ‖ v
+ */
+
+// Hash signed by the sender, before the signed message prefix
+function voucherHash(channel, amount) {
+  return ethers.keccak256(ethers.solidityPacked(["address", "uint256"], [channel, amount]));
+}
+
+/**
+ * Sign a voucher for `amount` on `channel`.
+ *
+ * @returns {Promise<Voucher>}
+ */
+async function signVoucher(signer, channel, amount) {
+  const signature = await signer.signMessage(ethers.getBytes(voucherHash(channel, amount)));
+  return { channel, amount: BigInt(amount), signature };
+}
+
+// Address that signed a voucher, recovered the way the contract does
+function recoverVoucherSigner(voucher) {
+  return ethers.verifyMessage(ethers.getBytes(voucherHash(voucher.channel, voucher.amount)), voucher.signature);
+}
+
+/**
+ * Client of the account that opened the channel. Every payment adds to the
+ * cumulative amount and produces a voucher for the new total.
+ *
+ * @param {import("ethers").Signer} signer  The channel's sender
+ * @param {import("ethers").Contract} contract
+ */
+async function createChannelSender(signer, contract) {
+  const channel = await contract.getAddress();
+  const deposit = await ethers.provider.getBalance(channel);
+
+  const client = {
+    channel,
+    deposit,
+    paid: 0n,
+    vouchers: [],
+
+    // Pay `increment` more; a payment beyond the deposit could never be redeemed
+    async pay(increment) {
+      const amount = client.paid + BigInt(increment);
+      if (amount > deposit) {
+        throw new Error(`Payment of ${amount} exceeds the channel deposit of ${deposit}`);
+      }
+      const voucher = await signVoucher(signer, channel, amount);
+      client.paid = amount;
+      client.vouchers.push(voucher);
+      return voucher;
+    },
+
+    // Push the expiration back, e.g. to keep paying past the current one
+    async extend(seconds) {
+      const expiration = await contract.expiration();
+      return contract.connect(signer).extend(expiration + BigInt(seconds));
+    },
+
+    async claimTimeout(overrides = {}) {
+      return contract.connect(signer).claimTimeout(overrides);
+    }
+  };
+  return client;
+}
+
+/**
+ * Client of the recipient. Vouchers are checked as the recipient would before
+ * delivering anything: right channel, signed by the sender, more than the best
+ * voucher held and covered by the channel balance.
+ *
+ * @param {import("ethers").Signer} signer  The channel's recipient
+ * @param {import("ethers").Contract} contract
+ */
+async function createChannelRecipient(signer, contract) {
+  const channel = await contract.getAddress();
+  const sender = await contract.sender();
+
+  const client = {
+    channel,
+    best: null,
+    rejected: [],
+
+    /**
+     * Reason a voucher is refused, or null when it is acceptable.
+     * @param {Voucher} voucher
+     */
+    async validate(voucher) {
+      if (voucher.channel.toLowerCase() !== channel.toLowerCase()) {
+        return "voucher is for another channel";
+      }
+      let signer;
+      try {
+        signer = recoverVoucherSigner(voucher);
+      } catch (error) {
+        return "malformed signature";
+      }
+      if (signer !== sender) {
+        return "not signed by the channel sender";
+      }
+      if (client.best && voucher.amount <= client.best.amount) {
+        return "does not pay more than the best voucher held";
+      }
+      if (voucher.amount > await ethers.provider.getBalance(channel)) {
+        return "exceeds the channel balance";
+      }
+      return null;
+    },
+
+    // Keep the voucher if it is valid and better; returns the reason when refused
+    async receive(voucher) {
+      const reason = await client.validate(voucher);
+      if (reason) {
+        client.rejected.push({ voucher, reason });
+        return reason;
+      }
+      client.best = voucher;
+      return null;
+    },
+
+    // Seconds left before the sender may reclaim the deposit
+    async timeLeft() {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      return Number(await contract.expiration()) - timestamp;
+    },
+
+    // Redeem the best voucher held
+    async close(overrides = {}) {
+      if (!client.best) {
+        throw new Error("No valid voucher to close the channel with");
+      }
+      return contract.connect(signer).close(client.best.amount, client.best.signature, overrides);
+    }
+  };
+  return client;
+}
+
+module.exports = {
+  voucherHash,
+  signVoucher,
+  recoverVoucherSigner,
+  createChannelSender,
+  createChannelRecipient
+};
@@ -0,0 +1,247 @@
+const { ethers } = require("hardhat");
+const { panic, PANIC_CODES } = require("./reverts");
+const { ModelRevert, createModelState } = require("./model");
+
+/**
+ * Reference model of PonderAirdropToken: balances, holds, the owner set, the
+ * freeze flag and the list of accounts the owners can page through.
+ *
+ * The model follows the contract step by step, quirks included:
+ * - initAccounts sets each balance outright and settles the difference with
+ *   the calling owner, in array order, so an owner listed in its own batch
+ *   ends up with exactly the value given for it
+ * - the legacy initAccounts declares its two differences inside the loop
+ *   without initialising them, and 0.4 scoping keeps their values from one
+ *   entry to the next: after an entry that raised a balance, every later
+ *   entry that lowers one also charges the owner that earlier raise again
+ * - a transfer or transferFrom while frozen returns false instead of reverting
+ * - zero-value and self transfers emit Transfer but do not register the
+ *   recipient as an account
+ * - the upgraded kill() freezes the token; the legacy one selfdestructs, which
+ *   since EIP-6780 only sends away the token's ether and leaves it working
+ *
+ * Views that can revert return `{ revert }` or `{ result }`.
+ */
+
+const NOT_OWNER = { legacy: "bare", upgraded: "Not an owner" };
+const LENGTH_MISMATCH = { legacy: "bare", upgraded: "Array length mismatch" };
+// Legacy safeSub asserts, the upgraded one relies on checked arithmetic
+const UNDERFLOW = { legacy: "invalid opcode", upgraded: panic(PANIC_CODES.ARITHMETIC_OVERFLOW) };
+
+/**
+ * @param {{ deployer: string, totalSupply: bigint, isLegacy: boolean }} params
+ */
+function createPonderModel({ deployer, totalSupply, isLegacy }) {
+  const store = createModelState({
+    balances: new Map([[deployer, totalSupply]]),
+    holds: new Map(),
+    allowances: new Map(),
+    owners: new Set([deployer]),
+    accountList: [deployer],
+    frozen: false
+  }, saved => ({
+    ...saved,
+    balances: new Map(saved.balances),
+    holds: new Map(saved.holds),
+    allowances: new Map(saved.allowances),
+    owners: new Set(saved.owners),
+    accountList: [...saved.accountList]
+  }));
+
+  const balanceOf = account => store.state.balances.get(account) || 0n;
+  const holdOf = account => store.state.holds.get(account) || 0n;
+  const allowanceKey = (owner, spender) => `${owner}:${spender}`;
+
+  function requireOwner(sender) {
+    if (!store.state.owners.has(sender)) {
+      throw new ModelRevert(NOT_OWNER);
+    }
+  }
+
+  function sub(a, b) {
+    if (b > a) {
+      throw new ModelRevert(UNDERFLOW);
+    }
+    return a - b;
+  }
+
+  function register(account) {
+    if (!store.state.accountList.includes(account)) {
+      store.state.accountList.push(account);
+    }
+  }
+
+  function move(from, to, value) {
+    if (value > 0n && from !== to) {
+      store.state.balances.set(from, sub(balanceOf(from), value));
+      register(to);
+      store.state.balances.set(to, balanceOf(to) + value);
+    }
+  }
+
+  function setHolds(sender, accounts, values) {
+    requireOwner(sender);
+    if (accounts.length !== values.length) {
+      throw new ModelRevert(LENGTH_MISMATCH);
+    }
+    accounts.forEach((account, index) => store.state.holds.set(account, values[index]));
+  }
+
+  function initAccounts(sender, accounts, values) {
+    requireOwner(sender);
+    if (accounts.length !== values.length) {
+      throw new ModelRevert(LENGTH_MISMATCH);
+    }
+    let toAdd = 0n;
+    let toSub = 0n;
+    accounts.forEach((account, index) => {
+      const current = balanceOf(account);
+      if (!isLegacy) {
+        toAdd = 0n;
+        toSub = 0n;
+      }
+      if (values[index] > current) {
+        toAdd = values[index] - current;
+      } else {
+        toSub = current - values[index];
+      }
+      store.state.balances.set(sender, sub(balanceOf(sender) + toSub, toAdd));
+      register(account);
+      store.state.balances.set(account, values[index]);
+    });
+  }
+
+  const model = {
+    balanceOf,
+    hold: holdOf,
+    frozen: () => store.state.frozen,
+    isOwner: account => store.state.owners.has(account),
+    accounts: () => [...store.state.accountList],
+
+    allowance(owner, spender) {
+      return store.state.allowances.get(allowanceKey(owner, spender)) || 0n;
+    },
+
+    transferrableBalanceOf(account) {
+      return holdOf(account) > balanceOf(account) ? 0n : balanceOf(account) - holdOf(account);
+    },
+
+    // What transfer and transferFrom return when they do not revert
+    transferResult() {
+      return !store.state.frozen;
+    },
+
+    transfer(sender, to, value) {
+      return store.attempt(() => {
+        if (store.state.frozen) {
+          return;
+        }
+        if (model.transferrableBalanceOf(sender) < value) {
+          throw new ModelRevert({ legacy: "bare", upgraded: "Insufficient transferable balance" });
+        }
+        move(sender, to, value);
+      });
+    },
+
+    transferFrom(spender, from, to, value) {
+      return store.attempt(() => {
+        if (store.state.frozen) {
+          return;
+        }
+        const allowance = model.allowance(from, spender);
+        if (allowance < value) {
+          throw new ModelRevert({ legacy: "bare", upgraded: "Insufficient allowance" });
+        }
+        if (model.transferrableBalanceOf(from) < value) {
+          throw new ModelRevert({ legacy: "bare", upgraded: "Insufficient transferable balance" });
+        }
+        store.state.allowances.set(allowanceKey(from, spender), allowance - value);
+        move(from, to, value);
+      });
+    },
+
+    approve(sender, spender, value) {
+      store.state.allowances.set(allowanceKey(sender, spender), value);
+      return null;
+    },
+
+    setOwner(sender, account, value) {
+      return store.attempt(() => {
+        requireOwner(sender);
+        if (!value && account === sender) {
+          throw new ModelRevert({ legacy: "bare", upgraded: "Cannot remove yourself as owner" });
+        }
+        if (value) {
+          store.state.owners.add(account);
+        } else {
+          store.state.owners.delete(account);
+        }
+      });
+    },
+
+    setHolds(sender, accounts, values) {
+      return store.attempt(() => setHolds(sender, accounts, values));
+    },
+
+    // initAccounts(address[],uint256[]), or the overload setting holds first when `holds` is given
+    initAccounts(sender, accounts, values, holds) {
+      return store.attempt(() => {
+        if (holds) {
+          setHolds(sender, accounts, holds);
+        }
+        initAccounts(sender, accounts, values);
+      });
+    },
+
+    freezeTransfers(sender) {
+      return store.attempt(() => {
+        requireOwner(sender);
+        store.state.frozen = true;
+      });
+    },
+
+    unfreezeTransfers(sender) {
+      return store.attempt(() => {
+        requireOwner(sender);
+        store.state.frozen = false;
+      });
+    },
+
+    kill(sender) {
+      if (isLegacy) {
+        return null;
+      }
+      return store.attempt(() => {
+        requireOwner(sender);
+        store.state.frozen = true;
+      });
+    },
+
+    getNumAccounts(sender) {
+      return store.state.owners.has(sender) ? { result: BigInt(store.state.accountList.length) } : { revert: NOT_OWNER };
+    },
+
+    // The upgraded slice pads past the end of the list with the zero address
+    getAccounts(sender, start, count) {
+      if (!store.state.owners.has(sender)) {
+        return { revert: NOT_OWNER };
+      }
+      if (count < 1) {
+        return { revert: { legacy: "bare", upgraded: "Invalid range parameters" } };
+      }
+      const list = store.state.accountList;
+      if (start === 0 && count >= list.length) {
+        return { result: [...list] };
+      }
+      if (isLegacy && start + count > list.length) {
+        return { revert: { legacy: "invalid opcode" } };
+      }
+      return { result: Array.from({ length: count }, (_, index) => list[start + index] || ethers.ZeroAddress) };
+    }
+  };
+  return model;
+}
+
+module.exports = {
+  createPonderModel
+};
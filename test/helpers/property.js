@@ -0,0 +1,137 @@
+const { createRandom, seedFromEnv } = require("./random");
+
+/**
+ * Property runner for randomized suites, in the spirit of fast-check: generate
+ * inputs from a seeded generator, run them, and when one fails shrink it to a
+ * smaller input that still fails before reporting.
+ *
+ * Run `i` uses seed `seed + i`, so the seed in a failure report replays it with
+ * RANDOM_SEED and `runs: 1`.
+ */
+
+const DEFAULT_RUNS = 10;
+const MAX_SHRINK_ATTEMPTS = 200;
+
+/**
+ * @template T
+ * @typedef {Object} Property
+ * @property {(rng: ReturnType<typeof createRandom>) => T} generate
+ * @property {(input: T) => Promise<void>} run         Throws when the property does not hold
+ * @property {(input: T) => Iterable<T>} [shrink]     Smaller candidates, most aggressive first
+ * @property {(input: T) => string} [format]          How to print an input in the report
+ * @property {() => Promise<void>} [reset]            Called before every run and every shrink attempt
+ */
+
+/**
+ * Candidates for a sequence: chunks removed (halves first, single steps last),
+ * then each remaining step replaced by the smaller versions `shrinkItem` gives.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => Iterable<T>} [shrinkItem]
+ * @returns {Generator<T[]>}
+ */
+function* shrinkSequence(items, shrinkItem) {
+  for (let size = Math.floor(items.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    for (let start = 0; start + size <= items.length; start += size) {
+      yield [...items.slice(0, start), ...items.slice(start + size)];
+    }
+  }
+  if (!shrinkItem) {
+    return;
+  }
+  for (let index = 0; index < items.length; index++) {
+    for (const smaller of shrinkItem(items[index])) {
+      yield [...items.slice(0, index), smaller, ...items.slice(index + 1)];
+    }
+  }
+}
+
+// 0, then halves of the distance to 0
+function* shrinkBigInt(value) {
+  if (value === 0n) {
+    return;
+  }
+  yield 0n;
+  for (let delta = value / 2n; delta > 0n; delta /= 2n) {
+    yield value - delta;
+  }
+}
+
+async function attempt(property, input) {
+  if (property.reset) {
+    await property.reset();
+  }
+  try {
+    await property.run(input);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Shrink a failing input, greedily taking the first smaller candidate that
+ * still fails until none does or the attempt budget is spent.
+ */
+async function shrinkFailure(property, input, error, maxAttempts) {
+  let smallest = { input, error, steps: 0 };
+  let attempts = 0;
+  let progressed = true;
+  while (progressed && attempts < maxAttempts) {
+    progressed = false;
+    for (const candidate of property.shrink(smallest.input)) {
+      if (++attempts > maxAttempts) {
+        break;
+      }
+      const candidateError = await attempt(property, candidate);
+      if (candidateError) {
+        smallest = { input: candidate, error: candidateError, steps: smallest.steps + 1 };
+        progressed = true;
+        break;
+      }
+    }
+  }
+  return smallest;
+}
+
+/**
+ * Check a property over `runs` generated inputs.
+ *
+ * @template T
+ * @param {string} name  Used in the failure report
+ * @param {Property<T>} property
+ * @param {{ runs?: number, seed?: number, maxShrinkAttempts?: number }} [options]
+ *   `runs` defaults to PROPERTY_RUNS, then to 10
+ */
+async function checkProperty(name, property, options = {}) {
+  const runs = options.runs || Number(process.env.PROPERTY_RUNS) || DEFAULT_RUNS;
+  const seed = options.seed === undefined ? seedFromEnv() : options.seed;
+  const format = property.format || (input => JSON.stringify(input, (key, value) =>
+    (typeof value === "bigint" ? value.toString() : value), 2));
+
+  for (let run = 0; run < runs; run++) {
+    const input = property.generate(createRandom(seed + run));
+    const error = await attempt(property, input);
+    if (!error) {
+      continue;
+    }
+    const smallest = property.shrink
+      ? await shrinkFailure(property, input, error, options.maxShrinkAttempts || MAX_SHRINK_ATTEMPTS)
+      : { input, error, steps: 0 };
+    const failure = new Error(
+      `Property "${name}" failed on run ${run + 1} of ${runs} (RANDOM_SEED=${seed + run}), ` +
+      `shrunk ${smallest.steps} times:\n${format(smallest.input)}\n${smallest.error.message}`
+    );
+    failure.input = smallest.input;
+    failure.original = input;
+    failure.cause = smallest.error;
+    throw failure;
+  }
+}
+
+module.exports = {
+  shrinkSequence,
+  shrinkBigInt,
+  checkProperty
+};
@@ -0,0 +1,105 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Transition table of the Purchase escrow, written out state by state so that
+ * the contract can be checked against it call by call.
+ *
+ * The seller deploys with twice the item's value as a deposit. A buyer locks
+ * the purchase by paying the same amount again; confirming receipt refunds the
+ * buyer's deposit and sends the rest to the seller. Until then the seller may
+ * abort and take the deposit back.
+ */
+
+const STATES = ["Created", "Locked", "Inactive"];
+
+// Where each function leads from the states it may run in
+const TRANSITIONS = {
+  Created: { abort: "Inactive", confirmPurchase: "Locked" },
+  Locked: { confirmReceived: "Inactive" },
+  Inactive: {}
+};
+
+// Checks of each function in modifier order; the first one failing gives the revert
+const GUARDS = {
+  abort: ["onlySeller", "inState"],
+  confirmPurchase: ["inState", "exactValue"],
+  confirmReceived: ["onlyBuyer", "inState"]
+};
+
+const REVERTS = {
+  onlySeller: { default: "Only seller can call this." },
+  onlyBuyer: { default: "Only buyer can call this." },
+  inState: { default: "Invalid state." },
+  exactValue: { default: "bare" }
+};
+
+const EVENTS = {
+  abort: "Aborted",
+  confirmPurchase: "PurchaseConfirmed",
+  confirmReceived: "ItemReceived"
+};
+
+/**
+ * @typedef {Object} PurchaseState
+ * @property {"Created"|"Locked"|"Inactive"} state
+ * @property {string} seller
+ * @property {string} buyer    Zero until a purchase is confirmed
+ * @property {bigint} value    Half the seller's deposit
+ * @property {bigint} balance  Ether held by the contract
+ */
+
+/**
+ * @param {string} seller
+ * @param {bigint} deposit  Value sent with the deployment
+ * @returns {PurchaseState}
+ */
+function initialPurchaseState(seller, deposit) {
+  return { state: "Created", seller, buyer: ethers.ZeroAddress, value: deposit / 2n, balance: deposit };
+}
+
+/**
+ * Outcome of a call in a given state.
+ *
+ * @param {PurchaseState} current
+ * @param {{ method: keyof GUARDS, caller: string, value?: bigint }} call
+ * @returns {{ revert: object|null, next: PurchaseState, payouts: Map<string, bigint> }}
+ *   `revert` is the revertForVersion expectation, or null when the call goes
+ *   through; `payouts` is the ether each account gains or, negative, pays
+ */
+function purchaseTransition(current, { method, caller, value = 0n }) {
+  const passes = {
+    onlySeller: caller === current.seller,
+    onlyBuyer: caller === current.buyer,
+    inState: method in TRANSITIONS[current.state],
+    exactValue: value === 2n * current.value
+  };
+  const failed = GUARDS[method].find(guard => !passes[guard]);
+  const payouts = new Map();
+  if (failed) {
+    return { revert: REVERTS[failed], next: current, payouts };
+  }
+
+  const pay = (account, amount) => payouts.set(account, (payouts.get(account) || 0n) + amount);
+  const next = { ...current, state: TRANSITIONS[current.state][method] };
+  if (method === "abort") {
+    pay(current.seller, current.balance);
+    next.balance = 0n;
+  } else if (method === "confirmPurchase") {
+    pay(caller, -value);
+    next.buyer = caller;
+    next.balance += value;
+  } else {
+    pay(current.buyer, current.value);
+    pay(current.seller, current.balance - current.value);
+    next.balance = 0n;
+  }
+  return { revert: null, next, payouts };
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  EVENTS,
+  initialPurchaseState,
+  purchaseTransition
+};
@@ -0,0 +1,85 @@
+/**
+ * Seeded pseudo-random numbers for randomized suites, so that a failing run
+ * can be replayed. The seed comes from RANDOM_SEED when set, and is included in
+ * assertion messages through `rng.seed`.
+ */
+
+const DEFAULT_SEED = 0x5eed;
+
+function seedFromEnv(fallback = DEFAULT_SEED) {
+  const value = process.env.RANDOM_SEED;
+  return value === undefined || value === "" ? fallback : Number(value);
+}
+
+/**
+ * Create a generator (mulberry32).
+ *
+ * @param {number} [seed]  Defaults to RANDOM_SEED, then to a fixed seed
+ */
+function createRandom(seed = seedFromEnv()) {
+  let state = seed >>> 0;
+
+  const rng = {
+    seed,
+
+    // Float in [0, 1)
+    next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    // Integer in [min, max]
+    int(min, max) {
+      return min + Math.floor(rng.next() * (max - min + 1));
+    },
+
+    // BigInt in [min, max], built from 32 bit chunks
+    bigint(min, max) {
+      const range = BigInt(max) - BigInt(min) + 1n;
+      let value = 0n;
+      for (let bits = 0n; (1n << bits) < range; bits += 32n) {
+        value = (value << 32n) | BigInt(Math.floor(rng.next() * 4294967296));
+      }
+      return BigInt(min) + value % range;
+    },
+
+    bool(probability = 0.5) {
+      return rng.next() < probability;
+    },
+
+    pick(items) {
+      return items[Math.floor(rng.next() * items.length)];
+    },
+
+    // Pick a key of `weights` with probability proportional to its value
+    weighted(weights) {
+      const entries = Object.entries(weights);
+      let roll = rng.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+
+    shuffle(items) {
+      const copy = [...items];
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    }
+  };
+  return rng;
+}
+
+module.exports = {
+  seedFromEnv,
+  createRandom
+};
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { decodeRevert, formatRevert } = require("./reverts");
+const { createJsonReport } = require("./report");
+
+/**
+ * Harness around ReentrancyAttacker (MockReentrancy) for the contracts that pay
+ * ether out. The upgrades replaced transfer() with call() in several of them,
+ * which hands the recipient all the remaining gas instead of the 2300 stipend,
+ * so whether a payee can call back in now depends on the version.
+ *
+ * An attack names the exit, the function paying the attacker, and the
+ * functions the attacker calls back into every time it is paid, nested up to
+ * `depth` levels. Whatever succeeds, the attacker may not end up with more
+ * than it is owed and the contract must keep what it owes everybody else.
+ *
+ * Attacks are written after the run to REENTRANCY_REPORT_FILE
+ * (test-results/reentrancy.json by default) when REPORT_REENTRANCY=true, and
+ * rendered by test/reporting/reentrancyReport.js.
+ */
+
+const report = createJsonReport("REPORT_REENTRANCY", "test-results/reentrancy.json");
+
+const attacks = [];
+
+/**
+ * A call on the contract under test, by function name.
+ * @typedef {Object} ReentrancyCall
+ * @property {string} method
+ * @property {any[]} [args]
+ * @property {bigint} [value]
+ */
+
+/**
+ * @typedef {Object} AttackResult
+ * @property {string} contract
+ * @property {string} variant
+ * @property {string} title
+ * @property {string} exit
+ * @property {string[]} reentries
+ * @property {number} depth
+ * @property {Object|null} revert  Revert of the exit, null when it went through
+ * @property {bigint} payments  Payments the attacker received with gas to act
+ * @property {bigint} attempts  Calls back into the contract
+ * @property {bigint} reentered  Calls back that succeeded
+ * @property {bigint} owed
+ * @property {bigint} gained  Change of the attacker's balance
+ * @property {bigint} held  What the contract holds afterwards
+ */
+
+function describeCall(call) {
+  return call.value ? `${call.method} (${ethers.formatEther(call.value)} ETH)` : call.method;
+}
+
+// One line for the outcome of an attack, e.g. "succeeds; 2/3 re-entries; +1.0 ETH"
+function describeAttack(result) {
+  if (result.revert) {
+    return `reverts: ${formatRevert(result.revert)}`;
+  }
+  const parts = ["succeeds"];
+  if (result.payments === 0n && result.gained > 0n) {
+    parts.push("paid with the stipend only");
+  } else if (result.attempts > 0n) {
+    parts.push(`${result.reentered}/${result.attempts} re-entries`);
+  }
+  parts.push(`${result.gained > 0n ? "+" : ""}${ethers.formatEther(result.gained)} ETH`);
+  return parts.join("; ");
+}
+
+/**
+ * Attacker bound to the contract deployed for the current test, ctx.contract.
+ *
+ * @param {import("./dualVersion").VersionContext} ctx
+ */
+function createReentrancyHarness(ctx) {
+  const encode = call => ctx.contract.interface.encodeFunctionData(call.method, call.args || []);
+
+  const harness = {
+    /** @type {import("ethers").BaseContract} */
+    attacker: undefined,
+    address: undefined,
+
+    async deploy() {
+      harness.attacker = await ctx.deployArtifact("MockReentrancy", "ReentrancyAttacker");
+      harness.address = await harness.attacker.getAddress();
+      return harness;
+    },
+
+    /**
+     * Call the contract as the attacker, outside of any attack: a deposit or
+     * a bid that the exit pays back later.
+     *
+     * @param {ReentrancyCall} call
+     */
+    async call(call) {
+      return harness.attacker.execute(await ctx.contract.getAddress(), encode(call), { value: call.value || 0n });
+    },
+
+    /**
+     * Run an attack, record it for the report and check that no ether leaked.
+     *
+     * @param {Object} attack
+     * @param {string} attack.title
+     * @param {ReentrancyCall & { from?: import("ethers").Signer }} attack.exit  Sent by the attacker,
+     *   or by `from` when somebody else's call pays it
+     * @param {ReentrancyCall[]} attack.reentries  Called in order on every payment
+     * @param {number} [attack.depth]  Nesting levels, 1 by default
+     * @param {bigint} attack.owed  What the exit legitimately pays the attacker
+     * @param {bigint} [attack.holds]  What the contract must still hold afterwards
+     * @returns {Promise<AttackResult>}
+     */
+    async attack(attack) {
+      const { attacker } = harness;
+      const victim = await ctx.contract.getAddress();
+      const depth = attack.depth === undefined ? 1 : attack.depth;
+      await attacker.clearReentries();
+      for (const reentry of attack.reentries) {
+        await attacker.addReentry(victim, encode(reentry), reentry.value || 0n);
+      }
+      await attacker.setMaxDepth(depth);
+
+      const counters = async () => Promise.all([attacker.payments(), attacker.attempts(), attacker.reentered()]);
+      const before = await counters();
+      const gainedFrom = await ethers.provider.getBalance(harness.address);
+
+      const { exit } = attack;
+      let revert = null;
+      try {
+        const tx = exit.from
+          ? await ctx.contract.connect(exit.from)[exit.method](...(exit.args || []), { value: exit.value || 0n })
+          : await attacker.execute(victim, encode(exit), { value: exit.value || 0n });
+        await tx.wait();
+      } catch (error) {
+        revert = decodeRevert(error, ctx.contract.interface);
+      }
+
+      const counted = await counters();
+      const result = {
+        contract: ctx.name,
+        variant: ctx.variant,
+        title: attack.title,
+        exit: describeCall(exit),
+        reentries: attack.reentries.map(describeCall),
+        depth,
+        revert,
+        payments: counted[0] - before[0],
+        attempts: counted[1] - before[1],
+        reentered: counted[2] - before[2],
+        owed: attack.owed,
+        gained: (await ethers.provider.getBalance(harness.address)) - gainedFrom,
+        held: await ethers.provider.getBalance(victim)
+      };
+      attacks.push({ ...result, outcome: describeAttack(result), holds: attack.holds === undefined ? null : attack.holds });
+
+      const where = `${ctx.name} (${ctx.variant}): "${attack.title}"`;
+      expect(result.gained, `${where}: attacker gained more than it is owed`).to.be.at.most(attack.owed);
+      if (attack.holds !== undefined) {
+        expect(result.held, `${where}: contract lost ether it owes others`).to.be.at.least(attack.holds);
+      }
+      return result;
+    }
+  };
+  return harness;
+}
+
+const reportContent = () => ({ hardfork: network.config.hardfork, attacks });
+
+function writeReentrancyReport(output) {
+  report.write(reportContent(), output);
+}
+
+report.writeAfterRun(reportContent);
+
+module.exports = {
+  ENABLED: report.enabled,
+  createReentrancyHarness,
+  writeReentrancyReport
+};
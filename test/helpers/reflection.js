@@ -0,0 +1,187 @@
+const { ethers } = require("hardhat");
+const { panic, PANIC_CODES } = require("./reverts");
+const { ModelRevert, createModelState } = require("./model");
+
+/**
+ * Reference model of Eloncat's reflection accounting, to the wei.
+ *
+ * Included accounts hold reflections (rOwned) whose value in tokens is
+ * rOwned / rate, with rate = rSupply / tSupply. A transfer fee is taken out of
+ * rTotal, which lowers the rate and so raises every included balance. Excluded
+ * accounts hold tokens directly (tOwned) and are left out of the rate, and the
+ * four _transfer* paths update rOwned and tOwned depending on which side is
+ * excluded.
+ *
+ * Arithmetic follows the contract's SafeMath: integer division, and a revert
+ * wherever a subtraction would go below zero or a product overflow.
+ */
+
+const MAX = ethers.MaxUint256;
+// The upgraded SafeMath.mul multiplies with checked arithmetic before its own require
+const MUL_OVERFLOW = { legacy: "SafeMath: multiplication overflow", upgraded: panic(PANIC_CODES.ARITHMETIC_OVERFLOW) };
+
+function sub(a, b) {
+  if (b > a) {
+    throw new ModelRevert("SafeMath: subtraction overflow");
+  }
+  return a - b;
+}
+
+function mul(a, b) {
+  if (a * b > MAX) {
+    throw new ModelRevert(MUL_OVERFLOW);
+  }
+  return a * b;
+}
+
+/**
+ * @param {{ owner: string, tTotal: bigint, maxTxAmount: bigint, feePercent?: bigint }} params
+ */
+function createReflectionModel({ owner, tTotal, maxTxAmount, feePercent = 2n }) {
+  const store = createModelState({
+    rTotal: MAX - (MAX % tTotal),
+    tFeeTotal: 0n,
+    rOwned: new Map(),
+    tOwned: new Map(),
+    excluded: []
+  }, saved => ({
+    ...saved,
+    rOwned: new Map(saved.rOwned),
+    tOwned: new Map(saved.tOwned),
+    excluded: [...saved.excluded]
+  }));
+  store.state.rOwned.set(owner, store.state.rTotal);
+
+  const rOf = account => store.state.rOwned.get(account) || 0n;
+  const tOf = account => store.state.tOwned.get(account) || 0n;
+  const isExcluded = account => store.state.excluded.includes(account);
+
+  function currentSupply() {
+    let rSupply = store.state.rTotal;
+    let tSupply = tTotal;
+    for (const account of store.state.excluded) {
+      if (rOf(account) > rSupply || tOf(account) > tSupply) {
+        return [store.state.rTotal, tTotal];
+      }
+      rSupply -= rOf(account);
+      tSupply -= tOf(account);
+    }
+    if (rSupply < store.state.rTotal / tTotal) {
+      return [store.state.rTotal, tTotal];
+    }
+    return [rSupply, tSupply];
+  }
+
+  function values(tAmount) {
+    const tFee = tAmount / 100n * feePercent;
+    const tTransferAmount = tAmount - tFee;
+    const rate = model.rate();
+    const rAmount = mul(tAmount, rate);
+    const rFee = mul(tFee, rate);
+    return { rAmount, rTransferAmount: rAmount - rFee, rFee, tTransferAmount, tFee };
+  }
+
+  function reflectFee(rFee, tFee) {
+    store.state.rTotal = sub(store.state.rTotal, rFee);
+    store.state.tFeeTotal += tFee;
+  }
+
+  const model = {
+    tTotal,
+
+    rate() {
+      const [rSupply, tSupply] = currentSupply();
+      return rSupply / tSupply;
+    },
+
+    totalFees() {
+      return store.state.tFeeTotal;
+    },
+
+    rOwned: rOf,
+    tOwned: tOf,
+    isExcluded,
+
+    tokenFromReflection(rAmount) {
+      if (rAmount > store.state.rTotal) {
+        throw new ModelRevert("Amount must be less than total reflections");
+      }
+      return rAmount / model.rate();
+    },
+
+    balanceOf(account) {
+      return isExcluded(account) ? tOf(account) : model.tokenFromReflection(rOf(account));
+    },
+
+    transfer(sender, recipient, amount) {
+      return store.attempt(() => {
+        if (recipient === ethers.ZeroAddress) {
+          throw new ModelRevert("ERC20: transfer to the zero address");
+        }
+        if (amount === 0n) {
+          throw new ModelRevert("Transfer amount must be greater than zero");
+        }
+        if (sender !== owner && recipient !== owner && amount > maxTxAmount) {
+          throw new ModelRevert("Transfer amount exceeds the maxTxAmount.");
+        }
+        const { rAmount, rTransferAmount, rFee, tTransferAmount, tFee } = values(amount);
+        const senderExcluded = isExcluded(sender);
+        const recipientExcluded = isExcluded(recipient);
+        // Same order of updates as _transferFromExcluded, _transferToExcluded,
+        // _transferStandard and _transferBothExcluded
+        if (senderExcluded) {
+          store.state.tOwned.set(sender, sub(tOf(sender), amount));
+        }
+        store.state.rOwned.set(sender, sub(rOf(sender), rAmount));
+        if (recipientExcluded) {
+          store.state.tOwned.set(recipient, tOf(recipient) + tTransferAmount);
+        }
+        store.state.rOwned.set(recipient, rOf(recipient) + rTransferAmount);
+        reflectFee(rFee, tFee);
+      });
+    },
+
+    // reflect(): the sender gives up `tAmount` to every included holder
+    reflect(sender, tAmount) {
+      return store.attempt(() => {
+        if (isExcluded(sender)) {
+          throw new ModelRevert("Excluded addresses cannot call this function");
+        }
+        const { rAmount } = values(tAmount);
+        store.state.rOwned.set(sender, sub(rOf(sender), rAmount));
+        store.state.rTotal = sub(store.state.rTotal, rAmount);
+        store.state.tFeeTotal += tAmount;
+      });
+    },
+
+    excludeFromReward(account) {
+      return store.attempt(() => {
+        if (isExcluded(account)) {
+          throw new ModelRevert("Account is already excluded");
+        }
+        if (rOf(account) > 0n) {
+          store.state.tOwned.set(account, model.tokenFromReflection(rOf(account)));
+        }
+        store.state.excluded.push(account);
+      });
+    },
+
+    // Swaps the last excluded account into the removed one's place; rOwned is kept
+    includeInReward(account) {
+      return store.attempt(() => {
+        if (!isExcluded(account)) {
+          throw new ModelRevert("Account is already included");
+        }
+        const index = store.state.excluded.indexOf(account);
+        store.state.excluded[index] = store.state.excluded[store.state.excluded.length - 1];
+        store.state.tOwned.set(account, 0n);
+        store.state.excluded.pop();
+      });
+    }
+  };
+  return model;
+}
+
+module.exports = {
+  createReflectionModel
+};
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON files that test helpers fill during a run for the renderers in
+ * test/reporting, each enabled by its own environment flag.
+ */
+
+/**
+ * Report enabled by setting `envFlag` (REPORT_<NAME>) to 1, true or yes. It is
+ * written to <NAME>_REPORT_FILE, or `defaultFile`, with a generatedAt date and
+ * bigints as strings.
+ *
+ * @param {string} envFlag  e.g. "REPORT_GAS"
+ * @param {string} defaultFile  e.g. "test-results/gas.json"
+ */
+function createJsonReport(envFlag, defaultFile) {
+  const enabled = /^(1|true|yes)$/i.test(process.env[envFlag] || "");
+  const output = process.env[`${envFlag.replace(/^REPORT_/, "")}_REPORT_FILE`] || defaultFile;
+  const replacer = (key, item) => (typeof item === "bigint" ? item.toString() : item);
+
+  const report = {
+    enabled,
+    output,
+
+    write(content, file = output) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      const document = { generatedAt: new Date().toISOString(), ...content };
+      fs.writeFileSync(file, JSON.stringify(document, replacer, 2) + "\n");
+    },
+
+    // Registered on the root suite the first time a test file requires the helper
+    writeAfterRun(content) {
+      if (enabled && typeof after === "function") {
+        after(function () {
+          report.write(content());
+        });
+      }
+    }
+  };
+  return report;
+}
+
+module.exports = {
+  createJsonReport
+};
@@ -0,0 +1,275 @@
+const chai = require("chai");
+const { ethers } = require("hardhat");
+
+// Selectors of the two errors every compiler encodes the same way
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Find the raw revert data, which ethers and Hardhat nest differently
+function revertData(error) {
+  let current = error;
+  while (current) {
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+    current = current.error || current.cause;
+  }
+  return undefined;
+}
+
+// Codes ethers and the Hardhat provider give failed calls; others (bad arguments, ...) are not reverts
+function isProviderCode(code) {
+  return code === "CALL_EXCEPTION" || typeof code === "number";
+}
+
+/**
+ * Whether `error` comes from a failed call, carrying revert data or a provider
+ * error code. Assertion failures never do, whatever their message says.
+ *
+ * @param {Error} error
+ */
+function isRevertError(error) {
+  if (!error || error.name === "AssertionError") {
+    return false;
+  }
+  for (let current = error; current; current = current.error || current.cause) {
+    if (isProviderCode(current.code)) {
+      return true;
+    }
+  }
+  return revertData(error) !== undefined;
+}
+
+// Reverts decoded since the last takeObservedReverts(), kept only while the
+// results reporter records them
+const observedReverts = [];
+let recording = false;
+
+/**
+ * Classify a failed call into the mechanism that produced it.
+ *
+ * Returns one of:
+ *   { kind: "reason", message }       require/revert with a string
+ *   { kind: "panic", code }           0.8 checked arithmetic, assert, array bounds
+ *   { kind: "custom", name, args }    custom error declared in the ABI
+ *   { kind: "invalid-opcode" }        pre-0.8 assert (0xfe)
+ *   { kind: "bare" }                  revert without data
+ *
+ * Errors that are not reverts are rethrown.
+ *
+ * @param {Error} error
+ * @param {import("ethers").Interface} [iface] ABI used to decode custom errors
+ */
+function decodeRevert(error, iface) {
+  const revert = classifyRevert(error, iface);
+  if (recording) {
+    observedReverts.push(revert);
+  }
+  return revert;
+}
+
+function classifyRevert(error, iface) {
+  const message = `${error && error.message}`;
+  if (message.includes("invalid opcode")) {
+    return { kind: "invalid-opcode" };
+  }
+
+  const data = revertData(error);
+  if (data === undefined && !/revert/i.test(message)) {
+    // Not a revert at all (wrong arguments, missing function, ...): surface it
+    throw error;
+  }
+  if (!data || data === "0x") {
+    const reason = message.match(/reverted with reason string '(.*)'/);
+    if (reason) {
+      return { kind: "reason", message: reason[1] };
+    }
+    return { kind: "bare" };
+  }
+
+  const selector = data.slice(0, 10);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  if (selector === ERROR_SELECTOR) {
+    const [reason] = coder.decode(["string"], "0x" + data.slice(10));
+    return { kind: "reason", message: reason };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = coder.decode(["uint256"], "0x" + data.slice(10));
+    return { kind: "panic", code: Number(code) };
+  }
+  if (iface) {
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      return { kind: "custom", name: parsed.name, args: [...parsed.args] };
+    }
+  }
+  return { kind: "custom", name: selector, args: [] };
+}
+
+// Start keeping the reverts decoded from now on, for takeObservedReverts()
+function recordObservedReverts() {
+  recording = true;
+}
+
+// Return and forget the reverts decoded so far
+function takeObservedReverts() {
+  return observedReverts.splice(0, observedReverts.length);
+}
+
+// Human readable form used in assertion messages
+function formatRevert(revert) {
+  if (!revert) {
+    return "no revert";
+  }
+  switch (revert.kind) {
+    case "reason":
+      return `reason "${revert.message}"`;
+    case "panic":
+      return `panic 0x${revert.code.toString(16)}`;
+    case "custom":
+      return `custom error ${revert.name}`;
+    default:
+      return revert.kind;
+  }
+}
+
+// Panic codes raised by Solidity 0.8
+const PANIC_CODES = {
+  ASSERT: 0x01,
+  ARITHMETIC_OVERFLOW: 0x11,
+  DIVISION_BY_ZERO: 0x12,
+  ENUM_CONVERSION: 0x21,
+  ARRAY_OUT_OF_BOUNDS: 0x32
+};
+
+// Mechanisms that can be written as plain strings in an expectation
+const KEYWORDS = {
+  "any": { kind: "any" },
+  "bare": { kind: "bare" },
+  "invalid opcode": { kind: "invalid-opcode" },
+  "invalid-opcode": { kind: "invalid-opcode" }
+};
+
+function panic(code) {
+  return { kind: "panic", code };
+}
+
+function reason(message) {
+  return { kind: "reason", message };
+}
+
+function customError(name) {
+  return { kind: "custom", name };
+}
+
+/**
+ * Expand an expectation into the list of accepted mechanisms. Strings may
+ * combine alternatives with "|": "invalid opcode|bare". A string that is not
+ * a keyword is a require/revert reason.
+ */
+function parseExpectation(expectation) {
+  if (Array.isArray(expectation)) {
+    return expectation.flatMap(parseExpectation);
+  }
+  if (typeof expectation === "string") {
+    return expectation.split("|").map(part => KEYWORDS[part.trim()] || reason(part.trim()));
+  }
+  return [expectation];
+}
+
+function matchesRevert(revert, expected) {
+  if (!revert || expected.kind === "any") {
+    return Boolean(revert);
+  }
+  if (revert.kind !== expected.kind) {
+    return false;
+  }
+  switch (expected.kind) {
+    case "reason":
+      return revert.message === expected.message;
+    case "panic":
+      return revert.code === expected.code;
+    case "custom":
+      return revert.name === expected.name;
+    default:
+      return true;
+  }
+}
+
+function formatExpectation(expected) {
+  return expected.kind === "any" ? "any revert" : formatRevert(expected);
+}
+
+/**
+ * Chai plugin adding `revertForVersion`:
+ *
+ *   await expect(tx).to.revertForVersion(ctx, { legacy: "bare", upgraded: panic(0x11) });
+ *
+ * `ctx` is the version context from describeForVersions; the expectation for
+ * its variant is used, falling back to its role ("legacy" or "upgraded", so
+ * that upgrade candidates share the upgraded expectation) and then `default`.
+ */
+function revertMatchers(chaiInstance) {
+  chaiInstance.Assertion.addMethod("revertForVersion", function (ctx, spec) {
+    const subject = this._obj;
+    const key = [ctx.variant, ctx.role, "default"].find(candidate => candidate && spec[candidate] !== undefined);
+    const expectation = key && spec[key];
+    if (expectation === undefined) {
+      throw new Error(`revertForVersion: no expectation for variant "${ctx.variant}"`);
+    }
+    const accepted = parseExpectation(expectation);
+    const iface = spec.interface || (ctx.contract && ctx.contract.interface);
+
+    const promise = (async () => {
+      let revert = null;
+      try {
+        const tx = await (typeof subject === "function" ? subject() : subject);
+        if (tx && typeof tx.wait === "function") {
+          await tx.wait();
+        }
+      } catch (error) {
+        revert = decodeRevert(error, iface);
+      }
+
+      const matched = accepted.some(expected => matchesRevert(revert, expected));
+      const expectedText = accepted.map(formatExpectation).join(" or ");
+      const others = Object.keys(spec)
+        .filter(other => other !== key && other !== "default" && other !== "interface")
+        .map(other => `${other} expects ${parseExpectation(spec[other]).map(formatExpectation).join(" or ")}`);
+      const context = others.length ? ` (${others.join("; ")})` : "";
+
+      this.assert(
+        matched,
+        `Expected ${ctx.variant} to revert with ${expectedText}, but got ${formatRevert(revert)}${context}`,
+        `Expected ${ctx.variant} not to revert with ${expectedText}, but it did`
+      );
+      return revert;
+    })();
+
+    this.then = promise.then.bind(promise);
+    this.catch = promise.catch.bind(promise);
+    return this;
+  });
+}
+
+// Registered on load so that requiring this module is enough to use the matcher
+chai.use(revertMatchers);
+
+module.exports = {
+  ERROR_SELECTOR,
+  PANIC_SELECTOR,
+  PANIC_CODES,
+  isRevertError,
+  decodeRevert,
+  recordObservedReverts,
+  takeObservedReverts,
+  formatRevert,
+  parseExpectation,
+  panic,
+  reason,
+  customError,
+  revertMatchers
+};
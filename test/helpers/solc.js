@@ -0,0 +1,55 @@
+const { artifacts } = require("hardhat");
+const semver = require("semver");
+
+// Build-info files are large, so each fully qualified name is looked up once
+const versionCache = new Map();
+
+/**
+ * Read the compiler version Hardhat recorded for a contract in its build-info.
+ *
+ * @param {string} fullyQualifiedName  e.g. "contracts/legacy/Ballot_legacy.sol:Ballot"
+ * @returns {string} The solc version, e.g. "0.4.24"
+ */
+function solcVersionOf(fullyQualifiedName) {
+  if (!versionCache.has(fullyQualifiedName)) {
+    const buildInfo = artifacts.getBuildInfoSync(fullyQualifiedName);
+    if (buildInfo === undefined) {
+      throw new Error(`No build info for ${fullyQualifiedName}, compile the contracts first`);
+    }
+    versionCache.set(fullyQualifiedName, buildInfo.solcVersion);
+  }
+  return versionCache.get(fullyQualifiedName);
+}
+
+/**
+ * Semver predicates over a compiler version:
+ *
+ *   ctx.solc.gte("0.8.0")
+ *   ctx.solc.satisfies("<0.5")
+ *
+ * @param {string} version
+ */
+function createSolcInfo(version) {
+  return {
+    version,
+    major: semver.major(version),
+    minor: semver.minor(version),
+    gte: other => semver.gte(version, semver.coerce(other)),
+    gt: other => semver.gt(version, semver.coerce(other)),
+    lt: other => semver.lt(version, semver.coerce(other)),
+    lte: other => semver.lte(version, semver.coerce(other)),
+    satisfies: range => semver.satisfies(version, range),
+    toString: () => version
+  };
+}
+
+// Compiler version of a contract, with the predicates above
+function solcFor(fullyQualifiedName) {
+  return createSolcInfo(solcVersionOf(fullyQualifiedName));
+}
+
+module.exports = {
+  solcVersionOf,
+  createSolcInfo,
+  solcFor
+};
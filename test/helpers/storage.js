@@ -0,0 +1,372 @@
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const { contractPath } = require("./dualVersion");
+
+/**
+ * Storage layout of compiled contracts, compared between legacy and an upgrade.
+ *
+ * The layout comes from the `storageLayout` compiler output, which needs
+ * "storageLayout" in the outputSelection of hardhat.config.js and solc 0.5.13
+ * or later. For older compilers, or when it was not requested, the layout is
+ * derived from the AST with the same packing rules.
+ */
+
+/**
+ * @typedef {Object} StorageItem
+ * @property {string} label   Variable or struct member name
+ * @property {number} slot
+ * @property {number} offset  Byte offset inside the slot
+ * @property {string} type    Type as solc labels it, e.g. "mapping(address => uint256)"
+ * @property {number} bytes   Bytes used (a multiple of 32 for multi-slot types)
+ */
+
+/**
+ * @typedef {Object} StorageLayout
+ * @property {StorageItem[]} variables
+ * @property {Object<string, StorageItem[]>} structs  Members of every struct stored, by type label
+ * @property {"compiler"|"ast"} source
+ */
+
+// Label types the way solc does in storageLayout
+function typeLabel(typeString) {
+  return typeString.replace(/ storage (ref|pointer)/g, "");
+}
+
+// ----- From the compiler output -----
+
+function fromCompilerLayout(storageLayout) {
+  const types = storageLayout.types || {};
+  const structs = {};
+
+  const item = entry => ({
+    label: entry.label,
+    slot: Number(entry.slot),
+    offset: entry.offset,
+    type: types[entry.type].label,
+    bytes: Number(types[entry.type].numberOfBytes)
+  });
+  // Collect struct members reachable from a type, through mappings and arrays
+  const visit = typeId => {
+    const type = types[typeId];
+    if (!type) {
+      return;
+    }
+    if (type.members && !structs[type.label]) {
+      structs[type.label] = type.members.map(item);
+      type.members.forEach(member => visit(member.type));
+    }
+    [type.value, type.base].forEach(visit);
+  };
+
+  const variables = storageLayout.storage.map(item);
+  storageLayout.storage.forEach(entry => visit(entry.type));
+  return { variables, structs, source: "compiler" };
+}
+
+// ----- From the AST -----
+
+function indexNodes(buildInfo) {
+  const nodes = new Map();
+  const walk = node => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+    } else if (node && typeof node === "object") {
+      if (typeof node.id === "number" && node.nodeType) {
+        nodes.set(node.id, node);
+      }
+      Object.values(node).forEach(walk);
+    }
+  };
+  Object.values(buildInfo.output.sources).forEach(source => walk(source.ast));
+  return nodes;
+}
+
+function isStateVariable(node) {
+  return node.nodeType === "VariableDeclaration" &&
+    node.stateVariable &&
+    !node.constant &&
+    node.mutability !== "constant" &&
+    node.mutability !== "immutable";
+}
+
+function createAstLayout(nodes) {
+  const structs = {};
+
+  // Bytes used by a value type, or slots used by a type that starts its own slot
+  function sizeOf(typeName) {
+    const label = typeLabel(typeName.typeDescriptions.typeString);
+    switch (typeName.nodeType) {
+      case "Mapping":
+        // Sized for the structs it may hold
+        sizeOf(typeName.valueType);
+        return { bytes: 32, label };
+      case "ArrayTypeName": {
+        const length = label.match(/\[(\d+)\]$/);
+        const base = sizeOf(typeName.baseType);
+        if (!length) {
+          return { bytes: 32, label };
+        }
+        const count = Number(length[1]);
+        const slots = base.slots
+          ? base.slots * count
+          : Math.ceil(count / Math.floor(32 / base.bytes));
+        return { slots, bytes: slots * 32, label };
+      }
+      case "UserDefinedTypeName": {
+        const declaration = nodes.get(typeName.referencedDeclaration);
+        if (declaration.nodeType === "StructDefinition") {
+          const members = layoutMembers(declaration.members);
+          structs[label] = members.items;
+          return { slots: members.slots, bytes: members.slots * 32, label };
+        }
+        if (declaration.nodeType === "EnumDefinition") {
+          return { bytes: Math.ceil(Math.log2(declaration.members.length) / 8) || 1, label };
+        }
+        // Contracts and interfaces are stored as addresses
+        return { bytes: 20, label };
+      }
+      case "FunctionTypeName":
+        return { bytes: typeName.visibility === "external" ? 24 : 8, label };
+      default:
+        return { bytes: elementarySize(label), label };
+    }
+  }
+
+  function elementarySize(label) {
+    if (label === "bool") {
+      return 1;
+    }
+    if (label.startsWith("address") || label.startsWith("contract ")) {
+      return 20;
+    }
+    const sized = label.match(/^u?int(\d+)$|^bytes(\d+)$/);
+    if (sized) {
+      return sized[1] ? Number(sized[1]) / 8 : Number(sized[2]);
+    }
+    // uint, int, string, bytes and fixed point types take a whole slot
+    return 32;
+  }
+
+  // Pack declarations from a fresh slot; returns the items and the slots used
+  function layoutMembers(declarations) {
+    const items = [];
+    let slot = 0;
+    let offset = 0;
+    declarations.forEach(declaration => {
+      const size = sizeOf(declaration.typeName);
+      if (size.slots !== undefined) {
+        // Structs and static arrays start and end on a slot boundary
+        if (offset > 0) {
+          slot += 1;
+          offset = 0;
+        }
+        items.push({ label: declaration.name, slot, offset: 0, type: size.label, bytes: size.bytes });
+        slot += size.slots;
+        return;
+      }
+      if (offset + size.bytes > 32) {
+        slot += 1;
+        offset = 0;
+      }
+      items.push({ label: declaration.name, slot, offset, type: size.label, bytes: size.bytes });
+      offset += size.bytes;
+    });
+    return { items, slots: slot + (offset > 0 ? 1 : 0) };
+  }
+
+  return { layoutMembers, structs };
+}
+
+function fromAst(buildInfo, sourceName, contractName) {
+  const nodes = indexNodes(buildInfo);
+  const contract = buildInfo.output.sources[sourceName].ast.nodes
+    .find(node => node.nodeType === "ContractDefinition" && node.name === contractName);
+  // Base contracts come first, in C3 linearization order
+  const declarations = [...contract.linearizedBaseContracts].reverse()
+    .flatMap(id => nodes.get(id).nodes.filter(isStateVariable));
+
+  const { layoutMembers, structs } = createAstLayout(nodes);
+  return { variables: layoutMembers(declarations).items, structs, source: "ast" };
+}
+
+// Layouts by contract, read once per run
+const layouts = new Map();
+
+/**
+ * Storage layout of a compiled contract.
+ *
+ * @param {string} fullyQualifiedName
+ * @param {{ fromAst?: boolean }} [options]  `fromAst` ignores the compiler output
+ * @returns {Promise<StorageLayout>}
+ */
+async function readStorageLayout(fullyQualifiedName, options = {}) {
+  const key = `${fullyQualifiedName}:${Boolean(options.fromAst)}`;
+  if (!layouts.has(key)) {
+    layouts.set(key, loadStorageLayout(fullyQualifiedName, options));
+  }
+  return layouts.get(key);
+}
+
+async function loadStorageLayout(fullyQualifiedName, options) {
+  const [sourceName, contractName] = fullyQualifiedName.split(":");
+  const buildInfo = await artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullyQualifiedName}, compile the contracts first`);
+  }
+  const output = buildInfo.output.contracts[sourceName][contractName];
+  if (output.storageLayout && !options.fromAst) {
+    return fromCompilerLayout(output.storageLayout);
+  }
+  return fromAst(buildInfo, sourceName, contractName);
+}
+
+/**
+ * Read `label[key]` of a mapping whose values fit in one slot, such as a
+ * private balance mapping, at the slot given by the layout.
+ *
+ * @param {import("ethers").Contract} contract
+ * @param {string} fullyQualifiedName  Contract the layout is read from
+ * @param {string} label  Name of the mapping
+ * @param {*} key
+ * @param {string} [keyType]  Solidity type of the key
+ * @returns {Promise<bigint>}
+ */
+async function readMappingEntry(contract, fullyQualifiedName, label, key, keyType = "address") {
+  const { variables } = await readStorageLayout(fullyQualifiedName);
+  const variable = variables.find(item => item.label === label && item.type.startsWith("mapping("));
+  if (!variable) {
+    throw new Error(`${fullyQualifiedName} has no mapping named ${label}`);
+  }
+  const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode([keyType, "uint256"], [key, variable.slot]));
+  return BigInt(await ethers.provider.getStorage(await contract.getAddress(), slot));
+}
+
+// ----- Comparison -----
+
+function describeItem(item) {
+  return `slot ${item.slot} offset ${item.offset} ${item.type}`;
+}
+
+// Variables are matched by name, numbered when an inherited one is shadowed
+function byLabel(items) {
+  const seen = {};
+  const indexed = new Map();
+  items.forEach(item => {
+    seen[item.label] = (seen[item.label] || 0) + 1;
+    indexed.set(seen[item.label] === 1 ? item.label : `${item.label}#${seen[item.label]}`, item);
+  });
+  return indexed;
+}
+
+function compareItems(legacyItems, upgradedItems, prefix) {
+  const legacy = byLabel(legacyItems);
+  const upgraded = byLabel(upgradedItems);
+  const differences = [];
+
+  legacy.forEach((item, label) => {
+    const other = upgraded.get(label);
+    const name = prefix + label;
+    if (!other) {
+      differences.push({ change: "removed", label: name, legacy: describeItem(item) });
+      return;
+    }
+    if (item.slot !== other.slot || item.offset !== other.offset) {
+      differences.push({ change: "moved", label: name, legacy: describeItem(item), upgraded: describeItem(other) });
+    } else if (item.type !== other.type || item.bytes !== other.bytes) {
+      differences.push({ change: "retyped", label: name, legacy: describeItem(item), upgraded: describeItem(other) });
+    }
+  });
+  upgraded.forEach((item, label) => {
+    if (!legacy.has(label)) {
+      differences.push({ change: "added", label: prefix + label, upgraded: describeItem(item) });
+    }
+  });
+
+  // A variable removed and another added in the same place were renamed
+  return differences.reduce((result, diff) => {
+    const added = diff.change === "removed" &&
+      differences.find(other => other.change === "added" && other.upgraded === diff.legacy);
+    if (added) {
+      result.push({ change: "renamed", label: `${diff.label} -> ${added.label}`, legacy: diff.legacy, upgraded: added.upgraded });
+    } else if (diff.change !== "added" || !differences.some(other => other.change === "removed" && other.legacy === diff.upgraded)) {
+      result.push(diff);
+    }
+    return result;
+  }, []);
+}
+
+/**
+ * A storage layout difference.
+ * @typedef {Object} StorageDifference
+ * @property {"added"|"removed"|"renamed"|"moved"|"retyped"} change
+ * @property {string} label  Variable name, or "<struct>.<member>" for struct members;
+ *   "<old> -> <new>" when renamed
+ * @property {string} [legacy]
+ * @property {string} [upgraded]
+ */
+
+/**
+ * Compare two layouts: variables, then the members of structs present in both.
+ *
+ * @param {StorageLayout} legacy
+ * @param {StorageLayout} upgraded
+ * @returns {StorageDifference[]}
+ */
+function compareStorageLayouts(legacy, upgraded) {
+  const differences = compareItems(legacy.variables, upgraded.variables, "");
+  Object.keys(legacy.structs)
+    .filter(struct => upgraded.structs[struct])
+    .forEach(struct => {
+      differences.push(...compareItems(legacy.structs[struct], upgraded.structs[struct], `${struct}.`));
+    });
+  return differences;
+}
+
+function formatStorageDifferences(differences) {
+  return differences.map(diff => {
+    const states = [diff.legacy && `legacy: ${diff.legacy}`, diff.upgraded && `upgraded: ${diff.upgraded}`]
+      .filter(Boolean)
+      .join(", ");
+    return `  ${diff.change} ${diff.label} (${states})`;
+  }).join("\n");
+}
+
+/**
+ * Add a test checking that the variant under test keeps the slot, offset and
+ * type of every legacy variable and struct member. Nothing is added for the
+ * legacy variant itself.
+ *
+ * @param {import("./dualVersion").VersionContext} ctx
+ * @param {{ contracts?: string[], allow?: { change: string, label: string, reason: string }[] }} [options]
+ *   `contracts` lists the contracts of the source file to compare (the contract
+ *   under test by default); `allow` declares accepted differences
+ */
+function shouldKeepStorageLayout(ctx, options = {}) {
+  if (ctx.isLegacy) {
+    return;
+  }
+  const contracts = options.contracts || [ctx.contractName.split(":")[1]];
+  const allow = options.allow || [];
+
+  it("should keep the legacy storage layout", async function() {
+    for (const contract of contracts) {
+      const legacy = await readStorageLayout(contractPath(ctx.name, "legacy", contract));
+      const upgraded = await readStorageLayout(ctx.fqn(ctx.name, contract));
+      // Names are not stored, a rename alone keeps the layout
+      const differences = compareStorageLayouts(legacy, upgraded).filter(diff => diff.change !== "renamed");
+      const unexpected = differences.filter(diff =>
+        !allow.some(entry => entry.change === diff.change && entry.label === diff.label));
+
+      expect(unexpected, `${contract} storage layout differs from legacy:\n${formatStorageDifferences(unexpected)}`)
+        .to.be.empty;
+    }
+  });
+}
+
+module.exports = {
+  readStorageLayout,
+  readMappingEntry,
+  compareStorageLayouts,
+  formatStorageDifferences,
+  shouldKeepStorageLayout
+};
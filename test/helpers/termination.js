@@ -0,0 +1,262 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { SELF, observe, compareObservations, comparedCandidates, createDifferentialPair } = require("./differential");
+const { stringify } = require("./events");
+const { formatRevert } = require("./reverts");
+const { createJsonReport } = require("./report");
+
+/**
+ * Verifier for the functions that used to selfdestruct. The upgrades drain or
+ * freeze the contract instead, and since EIP-6780 the legacy selfdestruct only
+ * sends the ether away, so what is left after "killing" a contract is worth
+ * checking version by version rather than assuming.
+ *
+ * A scenario terminates legacy and the candidate with the same call, then
+ * probes what remains: the code, the ether the contract holds, what the
+ * recipients received, and how later calls and plain ether transfers behave.
+ * Every difference has to be declared with a reason, and a declared difference
+ * that no longer happens fails as well.
+ *
+ * Scenarios are written after the run to TERMINATION_REPORT_FILE
+ * (test-results/termination.json by default) when REPORT_TERMINATION=true, and
+ * rendered by test/reporting/terminationReport.js.
+ */
+
+const report = createJsonReport("REPORT_TERMINATION", "test-results/termination.json");
+
+const scenarios = [];
+
+/**
+ * A call made on both versions, with arguments built per version when they
+ * depend on it (signatures over the contract address, for instance).
+ * @typedef {Object} TerminationStep
+ * @property {import("ethers").Signer} signer
+ * @property {string|null} method  Function called, or null to send plain ether
+ * @property {any[]|((ctx: Object) => any[]|Promise<any[]>)} [args]
+ * @property {bigint} [value]
+ * @property {string} [label]  Name in the report, the method by default
+ */
+
+/**
+ * A difference between the versions that is known and accepted.
+ * @typedef {Object} DeclaredDivergence
+ * @property {string} step  Label of the terminating call or of a probe
+ * @property {string} aspect  "code" or "balance" for what is left after the
+ *   terminating call, otherwise an aspect compared by differential.js
+ * @property {string} reason
+ */
+
+function labelOf(step) {
+  return step.label || step.method || "send ether";
+}
+
+// What remains of the contract: its code size in bytes and the ether it holds
+async function worldOf(ctx) {
+  const address = await ctx.contract.getAddress();
+  const code = await ethers.provider.getCode(address);
+  return { code: (code.length - 2) / 2, balance: await ethers.provider.getBalance(address) };
+}
+
+function describeCode(size) {
+  return size > 0 ? `kept (${size} bytes)` : "removed";
+}
+
+// The compilers differ, so only whether code is left is compared, not its size
+function compareWorlds(legacy, upgraded) {
+  const differences = [];
+  if ((legacy.code > 0) !== (upgraded.code > 0)) {
+    differences.push({ aspect: "code", legacy: describeCode(legacy.code), upgraded: describeCode(upgraded.code) });
+  }
+  if (legacy.balance !== upgraded.balance) {
+    differences.push({
+      aspect: "balance",
+      legacy: `${ethers.formatEther(legacy.balance)} ETH`,
+      upgraded: `${ethers.formatEther(upgraded.balance)} ETH`
+    });
+  }
+  return differences;
+}
+
+/**
+ * One line per observation, with addresses named after `names` or their signer.
+ */
+function describeObservation(observation, nameOf) {
+  if (observation.outcome === "revert") {
+    return `reverts: ${formatRevert(observation.revert)}`;
+  }
+  const parts = ["succeeds"];
+  const returned = observation.returned;
+  if (returned !== undefined && returned !== null && !(Array.isArray(returned) && returned.length === 0)) {
+    parts.push(`returns ${stringify(returned)}`);
+  }
+  if (observation.events.length > 0) {
+    parts.push(`emits ${observation.events.map(event => event.name).join(", ")}`);
+  }
+  const moved = Object.entries(observation.balances)
+    .filter(([, delta]) => delta !== 0n)
+    .map(([address, delta]) => `${nameOf(address)} ${delta > 0n ? "+" : ""}${ethers.formatEther(delta)} ETH`);
+  if (moved.length > 0) {
+    parts.push(moved.join(", "));
+  }
+  return parts.join("; ");
+}
+
+async function observeStep(ctx, step, tracked) {
+  const args = typeof step.args === "function" ? await step.args(ctx) : step.args || [];
+  const overrides = step.value === undefined ? {} : { value: step.value };
+  return observe(ctx, step.signer, step.method, args, overrides, tracked);
+}
+
+function formatDivergences(differences) {
+  return differences
+    .map(diff => `${diff.step} [${diff.aspect}]\n    legacy:   ${diff.legacy}\n    upgraded: ${diff.upgraded}`)
+    .join("\n  ");
+}
+
+/**
+ * Terminate legacy and a candidate side by side and compare what is left.
+ *
+ * @param {string} name  Source base name, as in describeForVersions
+ * @param {Function|Object|null} setup  Same setup accepted by describeForVersions
+ * @param {{ candidate?: string }} [options]
+ */
+function createTerminationVerifier(name, setup, options = {}) {
+  const pair = createDifferentialPair(name, setup, { candidate: options.candidate });
+
+  const verifier = {
+    name,
+    pair,
+
+    async deploy() {
+      await pair.deploy();
+      return verifier;
+    },
+
+    /**
+     * Run a scenario on both versions, record it for the report and fail on
+     * any undeclared or stale divergence.
+     *
+     * @param {Object} scenario
+     * @param {string} scenario.title
+     * @param {TerminationStep} scenario.terminate
+     * @param {TerminationStep[]} [scenario.probes]  Calls made afterwards, in order
+     * @param {string[]} [scenario.recipients]  Addresses whose balance changes are compared
+     * @param {Object<string, string>} [scenario.names]  Names of addresses in the report
+     * @param {(ctx: Object) => Promise<void>} [scenario.prepare]  Run on each version first
+     * @param {DeclaredDivergence[]} [scenario.allow]
+     */
+    async run(scenario) {
+      const allow = scenario.allow || [];
+      const tracked = scenario.recipients || [];
+      const signers = await ethers.getSigners();
+      const names = scenario.names || {};
+      const nameOf = address => {
+        if (address === SELF) {
+          return "contract";
+        }
+        const index = signers.findIndex(signer => signer.address === address);
+        return names[address] || (index === -1 ? address : `signers[${index}]`);
+      };
+
+      const { legacy, upgraded } = pair;
+      if (scenario.prepare) {
+        await scenario.prepare(legacy);
+        await scenario.prepare(upgraded);
+      }
+
+      const probes = (scenario.probes || []).map(probe => ({ ...probe, role: "probe" }));
+      const steps = [{ ...scenario.terminate, role: "terminate" }, ...probes];
+      const entry = {
+        contract: name,
+        candidate: upgraded.variant,
+        scenario: scenario.title,
+        world: {},
+        steps: []
+      };
+      const divergences = [];
+
+      for (const step of steps) {
+        const label = labelOf(step);
+        const legacyResult = await observeStep(legacy, step, tracked);
+        const upgradedResult = await observeStep(upgraded, step, tracked);
+        const differences = compareObservations(legacyResult, upgradedResult);
+        const record = {
+          step: label,
+          role: step.role,
+          legacy: describeObservation(legacyResult, nameOf),
+          upgraded: describeObservation(upgradedResult, nameOf)
+        };
+
+        if (step.role === "terminate") {
+          entry.world = { legacy: await worldOf(legacy), upgraded: await worldOf(upgraded) };
+          differences.push(...compareWorlds(entry.world.legacy, entry.world.upgraded));
+          const left = world => `code ${describeCode(world.code)}, ${ethers.formatEther(world.balance)} ETH held`;
+          record.legacy += `; then ${left(entry.world.legacy)}`;
+          record.upgraded += `; then ${left(entry.world.upgraded)}`;
+        }
+
+        record.differences = differences.map(diff => {
+          const declared = allow.find(item => item.step === label && item.aspect === diff.aspect);
+          const divergence = { aspect: diff.aspect, legacy: diff.legacy, upgraded: diff.upgraded };
+          divergences.push({ step: label, ...divergence, declared });
+          return { ...divergence, reason: declared ? declared.reason : null };
+        });
+        entry.steps.push(record);
+      }
+      scenarios.push(entry);
+
+      const unexpected = divergences.filter(divergence => !divergence.declared);
+      const stale = allow.filter(item => !divergences.some(divergence => divergence.declared === item));
+      expect(unexpected, `${name}: "${scenario.title}" diverges between legacy and ${upgraded.variant}\n  ` +
+        formatDivergences(unexpected)).to.be.empty;
+      expect(stale.map(item => `${item.step} [${item.aspect}]`),
+        `${name}: "${scenario.title}" declares divergences that no longer happen`).to.be.empty;
+      return entry;
+    }
+  };
+
+  return verifier;
+}
+
+/**
+ * Run a suite against a freshly deployed legacy/candidate pair, once for every
+ * selected candidate, like describeDifferential.
+ */
+function describeTermination(name, setup, suiteFn) {
+  const candidates = comparedCandidates(name);
+  if (candidates.length === 0) {
+    describe.skip(`Termination ${name}: legacy vs upgraded`, function() {
+      suiteFn.call(this, createTerminationVerifier(name, setup));
+    });
+    return;
+  }
+
+  candidates.forEach(candidate => {
+    describe(`Termination ${name}: legacy vs ${candidate}`, function() {
+      const verifier = createTerminationVerifier(name, setup, { candidate });
+      // Results are attributed to the pair, like those of the differential suites
+      this.differentialPair = verifier.pair;
+
+      beforeEach(async function () {
+        await verifier.deploy();
+      });
+
+      suiteFn.call(this, verifier);
+    });
+  });
+}
+
+const reportContent = () => ({ hardfork: network.config.hardfork, scenarios });
+
+function writeTerminationReport(output) {
+  report.write(reportContent(), output);
+}
+
+report.writeAfterRun(reportContent);
+
+module.exports = {
+  ENABLED: report.enabled,
+  createTerminationVerifier,
+  describeTermination,
+  writeTerminationReport
+};
@@ -0,0 +1,113 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Reference model of IcoLib's vesting schedules: what setVesting stores and
+ * takes out of thisBalance, what calcVesting returns at a given block and what
+ * claimVesting pays out.
+ *
+ * A schedule of `amount` vests linearly from startBlock to endBlock, rounding
+ * down, and is fully vested from endBlock on. Redefining or removing a schedule
+ * gives its unclaimed part back to thisBalance and starts the new one with
+ * nothing claimed.
+ */
+
+const INITIAL_BALANCE = 44n * 10n ** 16n;
+
+// Legacy SafeMath asserts, the upgraded one requires with a reason
+const SUB_OVERFLOW = { legacy: "invalid opcode", upgraded: "SafeMath: subtraction overflow" };
+
+/**
+ * @typedef {Object} VestingSchedule
+ * @property {bigint} amount
+ * @property {bigint} startBlock
+ * @property {bigint} endBlock
+ * @property {bigint} claimedAmount
+ */
+
+/**
+ * Actions return the revertForVersion expectation of the call, or null once applied.
+ *
+ * @param {{ thisBalance?: bigint }} [params]  Tokens left to the ICO, 44e16 on deployment
+ */
+function createVestingModel({ thisBalance = INITIAL_BALANCE } = {}) {
+  const schedules = new Map();
+  const empty = () => ({ amount: 0n, startBlock: 0n, endBlock: 0n, claimedAmount: 0n });
+  let balance = thisBalance;
+
+  const model = {
+    thisBalance() {
+      return balance;
+    },
+
+    /** @returns {VestingSchedule} */
+    vesting(beneficiary) {
+      return { ...(schedules.get(beneficiary) || empty()) };
+    },
+
+    beneficiaries() {
+      return [...schedules.keys()];
+    },
+
+    // Part of the schedule vested at `blockNumber`, claimed or not
+    vested(beneficiary, blockNumber) {
+      const { amount, startBlock, endBlock } = model.vesting(beneficiary);
+      blockNumber = BigInt(blockNumber);
+      if (amount === 0n || blockNumber < startBlock) {
+        return 0n;
+      }
+      const reward = amount * (blockNumber - startBlock) / (endBlock - startBlock);
+      return reward > amount ? amount : reward;
+    },
+
+    // calcVesting() evaluated in block `blockNumber`
+    claimable(beneficiary, blockNumber) {
+      const vested = model.vested(beneficiary, blockNumber);
+      const { claimedAmount } = model.vesting(beneficiary);
+      return vested > claimedAmount ? vested - claimedAmount : 0n;
+    },
+
+    setVesting(beneficiary, amount, startBlock, endBlock) {
+      if (beneficiary === ethers.ZeroAddress) {
+        return { legacy: "bare", upgraded: "Invalid beneficiary address" };
+      }
+      const current = model.vesting(beneficiary);
+      const refunded = balance + current.amount - current.claimedAmount;
+      if (amount === 0n) {
+        schedules.delete(beneficiary);
+        balance = refunded;
+        return null;
+      }
+      if (BigInt(endBlock) <= BigInt(startBlock)) {
+        return { legacy: "bare", upgraded: "End block must be greater than start block" };
+      }
+      if (amount > refunded) {
+        return SUB_OVERFLOW;
+      }
+      schedules.set(beneficiary, {
+        amount,
+        startBlock: BigInt(startBlock),
+        endBlock: BigInt(endBlock),
+        claimedAmount: 0n
+      });
+      balance = refunded - amount;
+      return null;
+    },
+
+    // claimVesting() mined in block `blockNumber`; the reward paid is claimable() before it
+    claimVesting(beneficiary, blockNumber) {
+      const reward = model.claimable(beneficiary, blockNumber);
+      if (reward === 0n) {
+        return { legacy: "bare", upgraded: "No vesting available to claim" };
+      }
+      schedules.get(beneficiary).claimedAmount += reward;
+      return null;
+    }
+  };
+  return model;
+}
+
+module.exports = {
+  INITIAL_BALANCE,
+  SUB_OVERFLOW,
+  createVestingModel
+};
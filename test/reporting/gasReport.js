@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const { table, compareVariants, writeReport } = require("./summary");
+
+/**
+ * Side-by-side gas tables from the file written by test/helpers/gas.js.
+ *
+ *   REPORT_GAS=true npx hardhat test
+ *   node test/reporting/gasReport.js [test-results/gas.json]           print the tables
+ *   node test/reporting/gasReport.js [test-results/gas.json] --write   update the documents
+ *
+ * Every variant is compared with legacy on the average gas of each function;
+ * with --write the tables go into the `gas-report` block of general_comments.md
+ * and of "Reporting log/<Contract>.md".
+ */
+
+function readGas(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8")).functions;
+}
+
+function formatGas(value) {
+  return value === undefined ? "-" : value.toLocaleString("en-US");
+}
+
+function formatDelta(base, value) {
+  if (base === undefined || value === undefined) {
+    return ["-", "-"];
+  }
+  const delta = value - base;
+  const sign = delta > 0 ? "+" : "";
+  const percent = base === 0 ? "-" : `${sign}${(delta / base * 100).toFixed(2)}%`;
+  return [`${sign}${formatGas(delta)}`, percent];
+}
+
+// Deployment first, then functions in the order they were first seen
+function methodsOf(entries) {
+  const methods = [...new Set(entries.map(entry => entry.method))];
+  return methods.includes("deploy") ? ["deploy", ...methods.filter(method => method !== "deploy")] : methods;
+}
+
+/**
+ * Per-function table of one contract: calls and average gas per variant, and
+ * the absolute and percentage change of every candidate against legacy.
+ */
+function renderContractGas(contract, functions, title = "## Gas usage") {
+  const own = functions.filter(entry => entry.contract === contract);
+  const variants = [...new Set(own.map(entry => entry.variant))].sort(compareVariants);
+  const candidates = variants.filter(variant => variant !== "legacy");
+  const average = (variant, method) => {
+    const entry = own.find(item => item.variant === variant && item.method === method);
+    return entry && entry.average;
+  };
+  const calls = method => variants
+    .map(variant => (own.find(item => item.variant === variant && item.method === method) || { calls: 0 }).calls)
+    .join(" / ");
+
+  // A single candidate keeps the headers short
+  const deltaHeaders = candidates.flatMap(variant =>
+    candidates.length === 1 ? ["Δ gas", "Δ %"] : [`Δ gas ${variant}`, `Δ % ${variant}`]);
+  const rows = methodsOf(own).map(method => [
+    method,
+    calls(method),
+    ...variants.map(variant => formatGas(average(variant, method))),
+    ...candidates.flatMap(variant => formatDelta(average("legacy", method), average(variant, method)))
+  ]);
+
+  return [
+    title,
+    "",
+    `Average gas used per call (calls: ${variants.join(" / ")}).`,
+    "",
+    table(["Function", "Calls", ...variants, ...deltaHeaders], rows)
+  ].join("\n");
+}
+
+/**
+ * Deployment cost of every contract, for general_comments.md.
+ */
+function renderGasSummary(functions) {
+  const contracts = [...new Set(functions.map(entry => entry.contract))].sort((a, b) => a.localeCompare(b));
+  const variants = [...new Set(functions.map(entry => entry.variant))].sort(compareVariants);
+  const candidates = variants.filter(variant => variant !== "legacy");
+  const deployment = (contract, variant) => {
+    const entry = functions.find(item => item.contract === contract && item.variant === variant && item.method === "deploy");
+    return entry && entry.average;
+  };
+
+  const deltaHeaders = candidates.flatMap(variant =>
+    candidates.length === 1 ? ["Δ gas", "Δ %"] : [`Δ gas ${variant}`, `Δ % ${variant}`]);
+  const rows = contracts.map(contract => [
+    contract,
+    ...variants.map(variant => formatGas(deployment(contract, variant))),
+    ...candidates.flatMap(variant => formatDelta(deployment(contract, "legacy"), deployment(contract, variant)))
+  ]);
+
+  return [
+    "## Deployment gas",
+    "",
+    table(["Contract", ...variants, ...deltaHeaders], rows)
+  ].join("\n");
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const input = args.find(arg => !arg.startsWith("--")) || "test-results/gas.json";
+  const functions = readGas(input);
+  const contracts = [...new Set(functions.map(entry => entry.contract))].sort((a, b) => a.localeCompare(b));
+  if (args.includes("--write")) {
+    writeReport(contracts, renderGasSummary(functions), contract => renderContractGas(contract, functions), "gas-report")
+      .forEach(file => console.log(`Updated ${path.relative(process.cwd(), file)}`));
+  } else {
+    console.log(renderGasSummary(functions));
+    contracts.forEach(contract => console.log(`\n${renderContractGas(contract, functions, `## Gas usage: ${contract}`)}`));
+  }
+}
+
+module.exports = {
+  readGas,
+  renderContractGas,
+  renderGasSummary
+};
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const { table, writeReport } = require("./summary");
+
+/**
+ * Reentrancy attack tables from the file written by test/helpers/reentrancy.js.
+ *
+ *   REPORT_REENTRANCY=true npx hardhat test test/test_Reentrancy.js
+ *   node test/reporting/reentrancyReport.js [test-results/reentrancy.json]           print the tables
+ *   node test/reporting/reentrancyReport.js [test-results/reentrancy.json] --write   update the documents
+ *
+ * With --write the tables go into the `reentrancy-report` block of
+ * general_comments.md and of "Reporting log/<Contract>.md".
+ */
+
+function readReentrancy(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function contractsOf(report) {
+  return [...new Set(report.attacks.map(attack => attack.contract))].sort((a, b) => a.localeCompare(b));
+}
+
+// Attack rows keep the order of the run, with variants side by side
+function variantsOf(attacks) {
+  return [...new Set(attacks.map(attack => attack.variant))];
+}
+
+// An attack leaked ether when the attacker gained more than it was owed or the contract kept too little
+function leaked(attack) {
+  return BigInt(attack.gained) > BigInt(attack.owed) ||
+    (attack.holds !== null && BigInt(attack.held) < BigInt(attack.holds));
+}
+
+/**
+ * One row per attack, with the outcome on every variant it ran on.
+ */
+function renderContractReentrancy(contract, report, title = "## Reentrancy") {
+  const own = report.attacks.filter(attack => attack.contract === contract);
+  const variants = variantsOf(own);
+  const titles = [...new Set(own.map(attack => attack.title))];
+  const rows = titles.map(attackTitle => {
+    const runs = own.filter(attack => attack.title === attackTitle);
+    const first = runs[0];
+    return [
+      attackTitle,
+      first.exit,
+      `${first.reentries.join(", ")} (depth ${first.depth})`,
+      ...variants.map(variant => {
+        const run = runs.find(attack => attack.variant === variant);
+        if (!run) {
+          return "not run";
+        }
+        return leaked(run) ? `**${run.outcome}, leaks ether**` : run.outcome;
+      })
+    ];
+  });
+
+  return [
+    title,
+    "",
+    "Payable exits attacked by a contract calling back into the listed functions every time it is paid " +
+      `(hardfork: ${report.hardfork}).`,
+    "",
+    table(["Attack", "Exit", "Re-entry into", ...variants], rows)
+  ].join("\n");
+}
+
+/**
+ * Per contract and variant: attacks run, calls back that went through and attacks that leaked ether.
+ */
+function renderReentrancySummary(report) {
+  const rows = contractsOf(report).flatMap(contract => {
+    const own = report.attacks.filter(attack => attack.contract === contract);
+    return variantsOf(own).map(variant => {
+      const runs = own.filter(attack => attack.variant === variant);
+      const sum = field => runs.reduce((total, attack) => total + BigInt(attack[field]), 0n);
+      return [
+        contract,
+        variant,
+        runs.length,
+        runs.filter(attack => BigInt(attack.payments) === 0n && attack.revert === null).length,
+        `${sum("reentered")}/${sum("attempts")}`,
+        runs.filter(leaked).length
+      ];
+    });
+  });
+
+  return [
+    "## Reentrancy",
+    "",
+    `Reentrancy attacks on the payable exits, per contract and variant (hardfork: ${report.hardfork}).`,
+    "",
+    table(["Contract", "Variant", "Attacks", "Paid without gas to act", "Re-entries", "Leaking ether"], rows)
+  ].join("\n");
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const input = args.find(arg => !arg.startsWith("--")) || "test-results/reentrancy.json";
+  const report = readReentrancy(input);
+  const contracts = contractsOf(report);
+  if (args.includes("--write")) {
+    writeReport(contracts, renderReentrancySummary(report),
+      contract => renderContractReentrancy(contract, report), "reentrancy-report")
+      .forEach(file => console.log(`Updated ${path.relative(process.cwd(), file)}`));
+  } else {
+    console.log(renderReentrancySummary(report));
+    contracts.forEach(contract =>
+      console.log(`\n${renderContractReentrancy(contract, report, `## Reentrancy: ${contract}`)}`));
+  }
+}
+
+module.exports = {
+  readReentrancy,
+  renderContractReentrancy,
+  renderReentrancySummary
+};
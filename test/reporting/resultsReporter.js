@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const Mocha = require("mocha");
+
+const {
+  EVENT_RUN_END,
+  EVENT_TEST_BEGIN,
+  EVENT_TEST_PASS,
+  EVENT_TEST_FAIL,
+  EVENT_TEST_PENDING
+} = Mocha.Runner.constants;
+
+/**
+ * Mocha reporter writing one record per test, tagged with the contract and
+ * variant of the describeForVersions suite it ran in. Console output is the
+ * usual spec output.
+ *
+ * Enable it from hardhat.config.js:
+ *
+ *   mocha: {
+ *     reporter: "./test/reporting/resultsReporter.js",
+ *     reporterOptions: { output: "test-results/results.json,test-results/results.csv" }
+ *   }
+ *
+ * The output can also be set with the TEST_RESULTS environment variable; the
+ * format follows the extension of each path. Records are turned into markdown
+ * tables by test/reporting/summary.js.
+ */
+
+// Columns of the CSV output, in order
+const FIELDS = ["contract", "variant", "suite", "title", "outcome", "revert", "duration", "error", "file"];
+
+const DEFAULT_OUTPUT = "test-results/results.json";
+
+// Contract and variant of the nearest suite tagged by describeForVersions,
+// or by describeDifferential whose results belong to the pair as a whole
+function versionContextOf(test) {
+  for (let suite = test.parent; suite; suite = suite.parent) {
+    if (suite.versionContext) {
+      return suite.versionContext;
+    }
+    if (suite.differentialPair) {
+      const { name, upgraded } = suite.differentialPair;
+      return { name, variant: `legacy vs ${upgraded.variant}` };
+    }
+  }
+  return undefined;
+}
+
+// Mechanisms decoded by the harness while the test ran, e.g. `bare` or `panic 0x11`
+function observedReverts(error) {
+  const { isRevertError, decodeRevert, formatRevert, takeObservedReverts } = require("../helpers/reverts");
+  // Assertion failures carry no revert of their own, only what the test decoded
+  if (isRevertError(error)) {
+    try {
+      decodeRevert(error);
+    } catch (notARevert) {
+      // A provider error other than a revert (nonce, funds, ...) has no mechanism to record
+    }
+  }
+  return [...new Set(takeObservedReverts().map(formatRevert))];
+}
+
+function firstLine(message) {
+  return `${message || ""}`.split("\n")[0];
+}
+
+function escapeCsv(value) {
+  const text = Array.isArray(value) ? value.join(" > ") : `${value === undefined || value === null ? "" : value}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function toCsv(records) {
+  const rows = records.map(record => FIELDS.map(field => {
+    const value = field === "revert" ? record.revert.join("; ") : record[field];
+    return escapeCsv(value);
+  }).join(","));
+  return [FIELDS.join(","), ...rows].join("\n") + "\n";
+}
+
+function writeResults(outputs, records) {
+  outputs.forEach(output => {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    const content = output.endsWith(".csv")
+      ? toCsv(records)
+      : JSON.stringify({ generatedAt: new Date().toISOString(), records }, null, 2) + "\n";
+    fs.writeFileSync(output, content);
+  });
+}
+
+class ResultsReporter extends Mocha.reporters.Spec {
+  constructor(runner, options = {}) {
+    super(runner, options);
+    const reporterOptions = options.reporterOptions || options.reporterOption || {};
+    const output = process.env.TEST_RESULTS || reporterOptions.output || DEFAULT_OUTPUT;
+    const outputs = output.split(",").map(item => item.trim()).filter(Boolean);
+
+    const records = [];
+    const started = new Set();
+    // Loaded with the runtime, which is up by the time mocha builds its reporter
+    require("../helpers/reverts").recordObservedReverts();
+
+    const record = (test, outcome, error) => {
+      const ctx = versionContextOf(test);
+      const titles = test.titlePath();
+      records.push({
+        contract: ctx ? ctx.name : "",
+        variant: ctx ? ctx.variant : "",
+        suite: titles.slice(0, -1),
+        title: test.title,
+        outcome,
+        revert: outcome === "pass" || outcome === "fail" ? observedReverts(error) : [],
+        duration: test.duration || 0,
+        error: error ? firstLine(error.message) : "",
+        file: test.file ? path.relative(process.cwd(), test.file) : ""
+      });
+    };
+
+    runner.on(EVENT_TEST_BEGIN, test => {
+      started.add(test);
+      // Drop anything decoded by hooks so that each record only holds its own test
+      observedReverts();
+    });
+    runner.on(EVENT_TEST_PASS, test => record(test, "pass"));
+    runner.on(EVENT_TEST_FAIL, (test, error) => {
+      // Failing hooks are reported through their hook, which is not a test
+      if (test.type === "test") {
+        record(test, "fail", error);
+      }
+    });
+    // Tests skipped with this.skip() have started; it.skip and describe.skip never do
+    runner.on(EVENT_TEST_PENDING, test => record(test, started.has(test) ? "skip" : "pending"));
+    runner.once(EVENT_RUN_END, () => writeResults(outputs, records));
+  }
+}
+
+module.exports = ResultsReporter;
+module.exports.FIELDS = FIELDS;
+module.exports.toCsv = toCsv;
@@ -0,0 +1,287 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Regenerate the markdown test tables from the records written by
+ * resultsReporter.js.
+ *
+ *   node test/reporting/summary.js [test-results/results.json]           print the summary
+ *   node test/reporting/summary.js [test-results/results.json] --write   update the documents
+ *
+ * With --write the tables replace the block between the
+ * `<!-- test-results:start -->` and `<!-- test-results:end -->` markers in
+ * general_comments.md and in "Reporting log/<Contract>.md", or are appended
+ * when a document has no block yet. The block carries the per-contract counts
+ * and the failing and skipped tests, the part of the hand-filled tables a test
+ * run can answer.
+ *
+ * The hand-filled tables stay manual: "Number of Iteractions" and "Manually
+ * inspections of the final code" in general_comments.md, and the "Test
+ * Coverage Assessment" and "Fixed Version-Test Issues" sections of the
+ * reporting log, record the upgrade process (prompts needed, compiler errors
+ * and warnings fixed, tests repaired along the way) and the authors' review,
+ * which no test record contains. Their figures describe the runs at the time
+ * of the upgrade, so the generated block is written beside them rather than
+ * over them.
+ */
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const GENERAL_COMMENTS = path.join(ROOT, "general_comments.md");
+const REPORTING_LOG = path.join(ROOT, "Reporting log");
+
+const OUTCOMES = ["pass", "fail", "skip", "pending"];
+
+// Minimal CSV reader for the reporter's own output
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows;
+  return body.map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = values[index] || "";
+    });
+    record.suite = record.suite ? record.suite.split(" > ") : [];
+    record.revert = record.revert ? record.revert.split("; ") : [];
+    record.duration = Number(record.duration) || 0;
+    return record;
+  });
+}
+
+function readRecords(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return file.endsWith(".csv") ? parseCsv(text) : JSON.parse(text).records;
+}
+
+function cell(value) {
+  return `${value}`.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+function table(header, rows) {
+  return [
+    `| ${header.join(" | ")} |`,
+    `|${header.map(() => "---").join("|")}|`,
+    ...rows.map(row => `| ${row.map(cell).join(" | ")} |`)
+  ].join("\n");
+}
+
+// Order variants as the harness does: legacy, upgraded, then the candidates
+function compareVariants(a, b) {
+  const rank = variant => ["legacy", "upgraded"].includes(variant) ? ["legacy", "upgraded"].indexOf(variant) : 2;
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+function groupBy(records, keyFn) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = keyFn(record);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  });
+  return groups;
+}
+
+// Full title of a test inside its variant suite, without the contract path
+function testName(record) {
+  const suite = record.suite.filter(title => !title.startsWith("Testing ") && !title.startsWith("Differential "));
+  return [...suite.slice(1), record.title].join(" › ");
+}
+
+function countRow(records) {
+  const counts = OUTCOMES.map(outcome => records.filter(record => record.outcome === outcome).length);
+  const duration = records.reduce((total, record) => total + Number(record.duration || 0), 0);
+  return [...counts, duration];
+}
+
+function byContractAndVariant(records) {
+  return [...groupBy(records.filter(record => record.contract), record => `${record.contract}\u0000${record.variant}`)]
+    .map(([key, group]) => [...key.split("\u0000"), group])
+    .sort(([contractA, variantA], [contractB, variantB]) =>
+      contractA.localeCompare(contractB) || compareVariants(variantA, variantB));
+}
+
+function failuresTable(records, withContract) {
+  const failed = records.filter(record => record.outcome === "fail");
+  if (failed.length === 0) {
+    return "No failing tests.";
+  }
+  return table(
+    [...(withContract ? ["Contract"] : []), "Variant", "Test", "Revert observed", "Error"],
+    failed.map(record => [
+      ...(withContract ? [record.contract] : []),
+      record.variant,
+      testName(record),
+      record.revert.join(", ") || "-",
+      record.error
+    ])
+  );
+}
+
+function skippedTable(records, withContract) {
+  const skipped = records.filter(record => record.outcome === "skip" || record.outcome === "pending");
+  if (skipped.length === 0) {
+    return "No skipped tests.";
+  }
+  return table(
+    [...(withContract ? ["Contract"] : []), "Variant", "Test", "Outcome"],
+    skipped.map(record => [...(withContract ? [record.contract] : []), record.variant, testName(record), record.outcome])
+  );
+}
+
+/**
+ * Summary for general_comments.md: results per contract and variant, then
+ * every failing and skipped test.
+ */
+function renderSummary(records) {
+  const rows = byContractAndVariant(records).map(([contract, variant, group]) => [contract, variant, ...countRow(group)]);
+  return [
+    "## Test results",
+    "",
+    table(["Contract", "Variant", "Passed", "Failed", "Skipped", "Pending", "Duration (ms)"], rows),
+    "",
+    "### Failing tests",
+    "",
+    failuresTable(records, true),
+    "",
+    "### Skipped tests",
+    "",
+    skippedTable(records, true)
+  ].join("\n");
+}
+
+/**
+ * Tables for one "Reporting log/<Contract>.md": results per variant and the
+ * revert mechanism each variant showed for every test that reverted.
+ */
+function renderContract(contract, records) {
+  const own = records.filter(record => record.contract === contract);
+  const variants = [...new Set(own.map(record => record.variant))].sort(compareVariants);
+  const rows = variants.map(variant => [variant, ...countRow(own.filter(record => record.variant === variant))]);
+
+  const reverting = [...groupBy(own.filter(record => record.revert.length > 0), testName)];
+  const revertRows = reverting.map(([name]) => [
+    name,
+    ...variants.map(variant => {
+      const match = own.find(record => record.variant === variant && testName(record) === name);
+      return match && match.revert.length ? match.revert.join(", ") : "-";
+    })
+  ]);
+
+  return [
+    "## Test results",
+    "",
+    table(["Variant", "Passed", "Failed", "Skipped", "Pending", "Duration (ms)"], rows),
+    "",
+    "### Revert mechanisms",
+    "",
+    revertRows.length ? table(["Test", ...variants], revertRows) : "No reverts decoded by the harness.",
+    "",
+    "### Failing tests",
+    "",
+    failuresTable(own, false),
+    "",
+    "### Skipped tests",
+    "",
+    skippedTable(own, false)
+  ].join("\n");
+}
+
+// Replace a generated block of a document, or append it
+function updateDocument(file, content, blockName = "test-results") {
+  const START_MARKER = `<!-- ${blockName}:start -->`;
+  const END_MARKER = `<!-- ${blockName}:end -->`;
+  const text = fs.readFileSync(file, "utf8");
+  // Keep the line endings the document already uses
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const block = [START_MARKER, content, END_MARKER].join("\n").replace(/\n/g, eol);
+  const start = text.indexOf(START_MARKER);
+  const end = text.indexOf(END_MARKER);
+  const updated = start !== -1 && end > start
+    ? text.slice(0, start) + block + text.slice(end + END_MARKER.length)
+    : `${text.replace(/\s*$/, "")}${eol}${eol}${block}${eol}`;
+  fs.writeFileSync(file, updated);
+}
+
+/**
+ * Write a general block into general_comments.md and a per-contract block
+ * into every "Reporting log/<Contract>.md" that exists.
+ *
+ * @param {string[]} contracts
+ * @param {string} general  Markdown for general_comments.md
+ * @param {(contract: string) => string} perContract  Markdown for one contract
+ * @param {string} [blockName]  Name used in the markers
+ * @returns {string[]} Updated files
+ */
+function writeReport(contracts, general, perContract, blockName) {
+  updateDocument(GENERAL_COMMENTS, general, blockName);
+  const updated = [GENERAL_COMMENTS];
+  contracts.forEach(contract => {
+    const file = path.join(REPORTING_LOG, `${contract}.md`);
+    if (fs.existsSync(file)) {
+      updateDocument(file, perContract(contract), blockName);
+      updated.push(file);
+    }
+  });
+  return updated;
+}
+
+function writeDocuments(records) {
+  const contracts = [...new Set(records.map(record => record.contract).filter(Boolean))];
+  return writeReport(contracts, renderSummary(records), contract => renderContract(contract, records));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const input = args.find(arg => !arg.startsWith("--")) || "test-results/results.json";
+  const records = readRecords(input);
+  if (args.includes("--write")) {
+    writeDocuments(records).forEach(file => console.log(`Updated ${path.relative(process.cwd(), file)}`));
+  } else {
+    console.log(renderSummary(records));
+  }
+}
+
+module.exports = {
+  table,
+  compareVariants,
+  readRecords,
+  renderSummary,
+  renderContract,
+  updateDocument,
+  writeReport,
+  writeDocuments
+};
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const { table, writeReport } = require("./summary");
+
+/**
+ * Behavior-difference tables from the file written by test/helpers/termination.js.
+ *
+ *   REPORT_TERMINATION=true npx hardhat test test/test_Termination.js
+ *   node test/reporting/terminationReport.js [test-results/termination.json]           print the tables
+ *   node test/reporting/terminationReport.js [test-results/termination.json] --write   update the documents
+ *
+ * With --write the tables go into the `termination-report` block of
+ * general_comments.md and of "Reporting log/<Contract>.md".
+ */
+
+function readTermination(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function formatDifferences(differences) {
+  if (differences.length === 0) {
+    return "same";
+  }
+  return differences
+    .map(diff => `${diff.aspect}: ${diff.reason === null ? "**not declared**" : diff.reason}`)
+    .join("\n");
+}
+
+/**
+ * One table per scenario: every step as seen on legacy and on the candidate,
+ * with the declared reason of each difference.
+ */
+function renderContractTermination(contract, report, title = "## Termination") {
+  const own = report.scenarios.filter(scenario => scenario.contract === contract);
+  const sections = own.map(scenario => [
+    `### ${scenario.scenario} (legacy vs ${scenario.candidate})`,
+    "",
+    table(
+      ["Step", "legacy", scenario.candidate, "Differences"],
+      scenario.steps.map(step => [step.step, step.legacy, step.upgraded, formatDifferences(step.differences)])
+    )
+  ].join("\n"));
+
+  return [
+    title,
+    "",
+    `What is left after the terminating call and how later calls behave (hardfork: ${report.hardfork}).`,
+    "",
+    ...sections.flatMap(section => [section, ""])
+  ].join("\n").trimEnd();
+}
+
+/**
+ * Number of scenarios and of declared and undeclared differences per contract.
+ */
+function renderTerminationSummary(report) {
+  const contracts = [...new Set(report.scenarios.map(scenario => scenario.contract))].sort((a, b) => a.localeCompare(b));
+  const rows = contracts.map(contract => {
+    const own = report.scenarios.filter(scenario => scenario.contract === contract);
+    const differences = own.flatMap(scenario => scenario.steps.flatMap(step => step.differences));
+    return [
+      contract,
+      own.map(scenario => scenario.scenario).join(", "),
+      differences.filter(diff => diff.reason !== null).length,
+      differences.filter(diff => diff.reason === null).length
+    ];
+  });
+
+  return [
+    "## Termination",
+    "",
+    `Terminating calls compared between legacy and the candidates (hardfork: ${report.hardfork}).`,
+    "",
+    table(["Contract", "Scenarios", "Declared differences", "Undeclared differences"], rows)
+  ].join("\n");
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const input = args.find(arg => !arg.startsWith("--")) || "test-results/termination.json";
+  const report = readTermination(input);
+  const contracts = [...new Set(report.scenarios.map(scenario => scenario.contract))].sort((a, b) => a.localeCompare(b));
+  if (args.includes("--write")) {
+    writeReport(contracts, renderTerminationSummary(report),
+      contract => renderContractTermination(contract, report), "termination-report")
+      .forEach(file => console.log(`Updated ${path.relative(process.cwd(), file)}`));
+  } else {
+    console.log(renderTerminationSummary(report));
+    contracts.forEach(contract =>
+      console.log(`\n${renderContractTermination(contract, report, `## Termination: ${contract}`)}`));
+  }
+}
+
+module.exports = {
+  readTermination,
+  renderContractTermination,
+  renderTerminationSummary
+};
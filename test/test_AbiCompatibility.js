@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { contractPath, selectedVariants, variantsOf } = require("./helpers/dualVersion");
+const { compareArtifacts, classifyChanges, formatChanges } = require("./helpers/abi");
+const allowlist = require("./abi-allowlist.json");
+
+// The upgrade must keep the legacy interface: every function, event, error,
+// constructor and fallback is compared, and intentional changes are declared
+// in abi-allowlist.json with the reason they are accepted
+describe("ABI Compatibility Tests", function () {
+  // Source base names, with the contract under test when it differs from the file name
+  const SOURCES = [
+    "Alcanium",
+    "BNIToken",
+    "Ballot",
+    "BlindAuction",
+    { name: "Eloncat", contract: "ELONCAT" },
+    "Entropy",
+    "EtherTool",
+    "FreePalestine",
+    "IcoLib",
+    "NanaInu",
+    "O2OToken",
+    { name: "Omosubi", contract: "OMUSUBI" },
+    "PonderAirdropToken",
+    "Purchase",
+    "ReceiverPays",
+    "SepukuToken",
+    "Shop",
+    "SimpleAuction",
+    "SimplePaymentChannel",
+    "Timelock",
+    "TokenMintERC20Token"
+  ].map(source => (typeof source === "string" ? { name: source, contract: source } : source));
+
+  it("should only declare allowed changes for known contracts", function() {
+    const known = SOURCES.map(source => source.name);
+    expect(Object.keys(allowlist).filter(name => !known.includes(name))).to.be.empty;
+  });
+
+  SOURCES.forEach(({ name, contract }) => {
+    const candidates = selectedVariants().filter(variant => variant !== "legacy" && variantsOf(name).includes(variant));
+
+    candidates.forEach(variant => {
+      it(`${name}: ${variant} should keep the legacy interface`, async function() {
+        const changes = await compareArtifacts(
+          contractPath(name, "legacy", contract),
+          contractPath(name, variant, contract)
+        );
+        const { unexpected, stale } = classifyChanges(changes, allowlist[name] || [], variant);
+
+        expect(unexpected, `${name} (${variant}) changes the legacy interface:\n${formatChanges(unexpected)}\n` +
+          "Declare intentional changes in test/abi-allowlist.json").to.be.empty;
+        expect(stale.map(entry => `${entry.change} ${entry.kind} ${entry.signature}`),
+          `${name} (${variant}) declares changes that no longer happen`).to.be.empty;
+      });
+    });
+  });
+});
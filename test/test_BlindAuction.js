@@ -1,392 +1,436 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout, readMappingEntry } = require("./helpers/storage");
+const { describeDifferential } = require("./helpers/differential");
+const { blindBid, createBidder, createAuctionModel } = require("./helpers/blindBidder");
+const { createRandom } = require("./helpers/random");
 
 describe("BlindAuction Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
- 
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/BlindAuction_legacy.sol:BlindAuction");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/BlindAuction_upgraded.sol:BlindAuction");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/BlindAuction_legacy.sol:BlindAuction");
-    contractVersions.push("contracts/upgraded/BlindAuction_upgraded.sol:BlindAuction");
-  }
-
-  // Helper function to create a blinded bid
-  async function createBid(value, fake, secret) {
-    const encodedData = ethers.solidityPacked(
-      ["uint", "bool", "bytes32"],
-      [value, fake, secret]
-    );
-    return ethers.keccak256(encodedData);
-  }
+  // Set bidding time to 3 days and reveal time to 2 days (in seconds)
+  const biddingTime = 3 * 24 * 60 * 60; // 3 days
+  const revealTime = 2 * 24 * 60 * 60; // 2 days
  
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let isSolidity8OrHigher;
+  describeForVersions("BlindAuction", {
+    args: ({ signers: [beneficiary] }) => [biddingTime, revealTime, beneficiary.address],
+    deploy: false
+  }, function(ctx) {
+    const { isSolidity8OrHigher } = ctx;
+    
+    // Define deployment fixture specific to this contract version
+    async function deployAuctionFixture() {
+      const { contract: auction, signers: [beneficiary, bidder1, bidder2] } = await ctx.fixture();
       
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
-
-      // Define deployment fixture specific to this contract version
-      async function deployAuctionFixture() {
-        const [beneficiary, bidder1, bidder2] = await ethers.getSigners();
-        
-        // Set bidding time to 3 days and reveal time to 2 days (in seconds)
-        const biddingTime = 3 * 24 * 60 * 60; // 3 days
-        const revealTime = 2 * 24 * 60 * 60; // 2 days
-        
-        const ContractFactory = await ethers.getContractFactory(contractName);
-        const auction = await ContractFactory.deploy(
-          biddingTime,
-          revealTime,
-          beneficiary.address
+      return { auction, biddingTime, revealTime, beneficiary, bidder1, bidder2 };
+    }
+    
+    describe("Deployment", function() {
+      it("Should set the right beneficiary", async function() {
+        const { auction, beneficiary } = await loadFixture(deployAuctionFixture);
+        
+        expect(await auction.beneficiary()).to.equal(beneficiary.address);
+      });
+      
+      it("Should set the bidding and reveal end times correctly", async function() {
+        const { auction, biddingTime, revealTime } = await loadFixture(deployAuctionFixture);
+        
+        const deploymentTimestamp = isSolidity8OrHigher 
+          ? await time.latest()
+          : Math.floor(Date.now() / 1000); // Approximation for legacy test
+          
+        const expectedBiddingEnd = BigInt(deploymentTimestamp) + BigInt(biddingTime);
+        const expectedRevealEnd = expectedBiddingEnd + BigInt(revealTime);
+        
+        // Allow small difference due to timing variations
+        const biddingEndFromContract = await auction.biddingEnd();
+        const revealEndFromContract = await auction.revealEnd();
+        
+        // For bidding end, allow a tolerance of 5 seconds in either direction
+        expect(biddingEndFromContract).to.be.closeTo(
+          expectedBiddingEnd,
+          BigInt(5)
         );
         
-        await auction.waitForDeployment();
+        // For reveal end, allow the same tolerance
+        expect(revealEndFromContract).to.be.closeTo(
+          expectedRevealEnd,
+          BigInt(5)
+        );
+      });
+    });
+    
+    describe("Bidding", function() {
+      it("Should allow placing bids before bidding end", async function() {
+        const { auction, bidder1 } = await loadFixture(deployAuctionFixture);
         
-        return { auction, biddingTime, revealTime, beneficiary, bidder1, bidder2 };
-      }
+        const secret = ethers.randomBytes(32);
+        const blindedBid = blindBid(ethers.parseEther("1"), false, secret);
+        
+        await expect(auction.connect(bidder1).bid(blindedBid, {
+          value: ethers.parseEther("1")
+        })).not.to.be.reverted;
+        
+        // Verify bid was stored (can only check length)
+        const bidStruct = await auction.bids(bidder1.address, 0);
+        expect(bidStruct.blindedBid).to.equal(blindedBid);
+        expect(bidStruct.deposit).to.equal(ethers.parseEther("1"));
+      });
       
-      beforeEach(async function () {
-        detectSolidityVersion();
+      it("Should not allow placing bids after bidding end", async function() {
+        const { auction, biddingTime, bidder1 } = await loadFixture(deployAuctionFixture);
+        
+        // Fast forward time to after bidding end
+        await time.increase(biddingTime + 1);
+        
+        const secret = ethers.randomBytes(32);
+        const blindedBid = blindBid(ethers.parseEther("1"), false, secret);
+        
+        // Different error messages in different Solidity versions
+        await expect(auction.connect(bidder1).bid(blindedBid, {
+            value: ethers.parseEther("1")
+          })).to.revertForVersion(ctx, { legacy: "bare", upgraded: "Operation too late" });
+      });
+    });
+    
+    describe("Revealing bids", function() {
+      it("Should not allow revealing bids before bidding end", async function() {
+        const { auction, bidder1 } = await loadFixture(deployAuctionFixture);
+        
+        const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
+        const values = [ethers.parseEther("1")];
+        const fakes = [false];
+        const secrets = [secret];
+        
+        await expect(auction.connect(bidder1).reveal(values, fakes, secrets))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Operation too early" });
       });
       
-      describe("Deployment", function() {
-        it("Should set the right beneficiary", async function() {
-          const { auction, beneficiary } = await loadFixture(deployAuctionFixture);
-          
-          expect(await auction.beneficiary()).to.equal(beneficiary.address);
-        });
+      it("Should allow revealing valid bids during reveal phase", async function() {
+        const { auction, biddingTime, bidder1 } = await loadFixture(deployAuctionFixture);
         
-        it("Should set the bidding and reveal end times correctly", async function() {
-          const { auction, biddingTime, revealTime } = await loadFixture(deployAuctionFixture);
-          
-          const deploymentTimestamp = isSolidity8OrHigher 
-            ? await time.latest()
-            : Math.floor(Date.now() / 1000); // Approximation for legacy test
-            
-          const expectedBiddingEnd = BigInt(deploymentTimestamp) + BigInt(biddingTime);
-          const expectedRevealEnd = expectedBiddingEnd + BigInt(revealTime);
-          
-          // Allow small difference due to timing variations
-          const biddingEndFromContract = await auction.biddingEnd();
-          const revealEndFromContract = await auction.revealEnd();
-          
-          // For bidding end, allow a tolerance of 5 seconds in either direction
-          expect(biddingEndFromContract).to.be.closeTo(
-            expectedBiddingEnd,
-            BigInt(5)
-          );
-          
-          // For reveal end, allow the same tolerance
-          expect(revealEndFromContract).to.be.closeTo(
-            expectedRevealEnd,
-            BigInt(5)
-          );
+        // Create a valid bid
+        const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
+        const bidValue = ethers.parseEther("1");
+        const blindedBid = blindBid(bidValue, false, secret);
+        
+        // Place the bid
+        await auction.connect(bidder1).bid(blindedBid, {
+          value: ethers.parseEther("1.5") // Slightly more to hide true value
         });
+        
+        // Fast forward to reveal phase
+        await time.increase(biddingTime + 1);
+        
+        // Reveal the bid
+        await expect(auction.connect(bidder1).reveal(
+          [bidValue],
+          [false],
+          [secret]
+        )).not.to.be.reverted;
+        
+        // Should be highest bidder now
+        expect(await auction.highestBidder()).to.equal(bidder1.address);
+        expect(await auction.highestBid()).to.equal(bidValue);
       });
       
-      describe("Bidding", function() {
-        it("Should allow placing bids before bidding end", async function() {
-          const { auction, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          const secret = ethers.randomBytes(32);
-          const blindedBid = await createBid(ethers.parseEther("1"), false, secret);
-          
-          await expect(auction.connect(bidder1).bid(blindedBid, {
-            value: ethers.parseEther("1")
-          })).not.to.be.reverted;
-          
-          // Verify bid was stored (can only check length)
-          const bidStruct = await auction.bids(bidder1.address, 0);
-          expect(bidStruct.blindedBid).to.equal(blindedBid);
-          expect(bidStruct.deposit).to.equal(ethers.parseEther("1"));
-        });
+      it("Should refund deposits for fake bids", async function() {
+        const { auction, biddingTime, bidder1 } = await loadFixture(deployAuctionFixture);
         
-        it("Should not allow placing bids after bidding end", async function() {
-          const { auction, biddingTime, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          // Fast forward time to after bidding end
-          await time.increase(biddingTime + 1);
-          
-          const secret = ethers.randomBytes(32);
-          const blindedBid = await createBid(ethers.parseEther("1"), false, secret);
-          
-          // Different error messages in different Solidity versions
-          if (isSolidity8OrHigher) {
-            await expect(auction.connect(bidder1).bid(blindedBid, {
-              value: ethers.parseEther("1")
-            })).to.be.revertedWith("Operation too late");
-          } else {
-            await expect(auction.connect(bidder1).bid(blindedBid, {
-              value: ethers.parseEther("1")
-            })).to.be.reverted; // Just check it reverts, without specific message
-          }
+        // Create a fake bid
+        const secret = ethers.keccak256(ethers.toUtf8Bytes("fakeBidSecret"));
+        const bidValue = ethers.parseEther("2");
+        const blindedBid = blindBid(bidValue, true, secret);
+        
+        // Place the bid with deposit
+        const depositAmount = ethers.parseEther("2");
+        await auction.connect(bidder1).bid(blindedBid, {
+          value: depositAmount
         });
+        
+        // Fast forward to reveal phase
+        await time.increase(biddingTime + 1);
+        
+        // Get balance before reveal
+        const balanceBefore = await ethers.provider.getBalance(bidder1.address);
+        
+        // Reveal the fake bid
+        const tx = await auction.connect(bidder1).reveal(
+          [bidValue],
+          [true], // This is a fake bid
+          [secret]
+        );
+        
+        // Wait for transaction
+        const receipt = await tx.wait();
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
+        
+        // Get balance after reveal
+        const balanceAfter = await ethers.provider.getBalance(bidder1.address);
+        
+        // Should have received back full deposit minus gas costs
+        const expectedBalance = balanceBefore + depositAmount - gasCost;
+        expect(balanceAfter).to.be.closeTo(expectedBalance, ethers.parseEther("0.01"));
+        
+        // Should not be highest bidder
+        expect(await auction.highestBidder()).to.not.equal(bidder1.address);
+      });
+    });
+    
+    describe("Ending the auction", function() {
+      it("Should not allow ending the auction before reveal end", async function() {
+        const { auction, biddingTime } = await loadFixture(deployAuctionFixture);
+        
+        // Fast forward to reveal phase, but not yet to end
+        await time.increase(biddingTime + 1);
+        
+        await expect(auction.auctionEnd())
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Operation too early" });
       });
       
-      describe("Revealing bids", function() {
-        it("Should not allow revealing bids before bidding end", async function() {
-          const { auction, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
-          const values = [ethers.parseEther("1")];
-          const fakes = [false];
-          const secrets = [secret];
-          
-          if (isSolidity8OrHigher) {
-            await expect(auction.connect(bidder1).reveal(values, fakes, secrets))
-              .to.be.revertedWith("Operation too early");
-          } else {
-            await expect(auction.connect(bidder1).reveal(values, fakes, secrets))
-              .to.be.reverted;
-          }
-        });
+      it("Should allow ending the auction after reveal end", async function() {
+        const { auction, biddingTime, revealTime, beneficiary, bidder1 } = await loadFixture(deployAuctionFixture);
         
-        it("Should allow revealing valid bids during reveal phase", async function() {
-          const { auction, biddingTime, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          // Create a valid bid
-          const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
-          const bidValue = ethers.parseEther("1");
-          const blindedBid = await createBid(bidValue, false, secret);
-          
-          // Place the bid
-          await auction.connect(bidder1).bid(blindedBid, {
-            value: ethers.parseEther("1.5") // Slightly more to hide true value
-          });
-          
-          // Fast forward to reveal phase
-          await time.increase(biddingTime + 1);
-          
-          // Reveal the bid
-          await expect(auction.connect(bidder1).reveal(
-            [bidValue],
-            [false],
-            [secret]
-          )).not.to.be.reverted;
-          
-          // Should be highest bidder now
-          expect(await auction.highestBidder()).to.equal(bidder1.address);
-          expect(await auction.highestBid()).to.equal(bidValue);
-        });
+        // Place a bid
+        const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
+        const bidValue = ethers.parseEther("1");
+        const blindedBid = blindBid(bidValue, false, secret);
         
-        it("Should refund deposits for fake bids", async function() {
-          const { auction, biddingTime, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          // Create a fake bid
-          const secret = ethers.keccak256(ethers.toUtf8Bytes("fakeBidSecret"));
-          const bidValue = ethers.parseEther("2");
-          const blindedBid = await createBid(bidValue, true, secret);
-          
-          // Place the bid with deposit
-          const depositAmount = ethers.parseEther("2");
-          await auction.connect(bidder1).bid(blindedBid, {
-            value: depositAmount
-          });
-          
-          // Fast forward to reveal phase
-          await time.increase(biddingTime + 1);
-          
-          // Get balance before reveal
-          const balanceBefore = await ethers.provider.getBalance(bidder1.address);
-          
-          // Reveal the fake bid
-          const tx = await auction.connect(bidder1).reveal(
-            [bidValue],
-            [true], // This is a fake bid
-            [secret]
-          );
-          
-          // Wait for transaction
-          const receipt = await tx.wait();
-          const gasCost = receipt.gasUsed * receipt.gasPrice;
-          
-          // Get balance after reveal
-          const balanceAfter = await ethers.provider.getBalance(bidder1.address);
-          
-          // Should have received back full deposit minus gas costs
-          const expectedBalance = balanceBefore + depositAmount - gasCost;
-          expect(balanceAfter).to.be.closeTo(expectedBalance, ethers.parseEther("0.01"));
-          
-          // Should not be highest bidder
-          expect(await auction.highestBidder()).to.not.equal(bidder1.address);
+        await auction.connect(bidder1).bid(blindedBid, {
+          value: bidValue
         });
+        
+        // Fast forward to reveal phase
+        await time.increase(biddingTime + 1);
+        
+        // Reveal the bid
+        await auction.connect(bidder1).reveal(
+          [bidValue],
+          [false],
+          [secret]
+        );
+        
+        // Fast forward to after reveal end
+        await time.increase(revealTime);
+        
+        // Check beneficiary balance before auction end
+        const balanceBefore = await ethers.provider.getBalance(beneficiary.address);
+        
+        // End the auction
+        await expect(auction.auctionEnd())
+          .to.emit(auction, "AuctionEnded")
+          .withArgs(bidder1.address, bidValue);
+        
+        // Check beneficiary received highest bid
+        const balanceAfter = await ethers.provider.getBalance(beneficiary.address);
+        // Use closeTo instead of equal as there might be small gas-related variations
+        expect(balanceAfter - balanceBefore).to.be.closeTo(bidValue, ethers.parseEther("0.01"));
+        
+        // Check auction ended flag
+        expect(await auction.ended()).to.be.true;
       });
       
-      describe("Ending the auction", function() {
-        it("Should not allow ending the auction before reveal end", async function() {
-          const { auction, biddingTime } = await loadFixture(deployAuctionFixture);
-          
-          // Fast forward to reveal phase, but not yet to end
-          await time.increase(biddingTime + 1);
-          
-          if (isSolidity8OrHigher) {
-            await expect(auction.auctionEnd())
-              .to.be.revertedWith("Operation too early");
-          } else {
-            await expect(auction.auctionEnd())
-              .to.be.reverted;
-          }
-        });
+      it("Should not allow ending the auction twice", async function() {
+        const { auction, biddingTime, revealTime, bidder1 } = await loadFixture(deployAuctionFixture);
         
-        it("Should allow ending the auction after reveal end", async function() {
-          const { auction, biddingTime, revealTime, beneficiary, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          // Place a bid
-          const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
-          const bidValue = ethers.parseEther("1");
-          const blindedBid = await createBid(bidValue, false, secret);
-          
-          await auction.connect(bidder1).bid(blindedBid, {
-            value: bidValue
-          });
-          
-          // Fast forward to reveal phase
-          await time.increase(biddingTime + 1);
-          
-          // Reveal the bid
-          await auction.connect(bidder1).reveal(
-            [bidValue],
-            [false],
-            [secret]
-          );
-          
-          // Fast forward to after reveal end
-          await time.increase(revealTime);
-          
-          // Check beneficiary balance before auction end
-          const balanceBefore = await ethers.provider.getBalance(beneficiary.address);
-          
-          // End the auction
-          await expect(auction.auctionEnd())
-            .to.emit(auction, "AuctionEnded")
-            .withArgs(bidder1.address, bidValue);
-          
-          // Check beneficiary received highest bid
-          const balanceAfter = await ethers.provider.getBalance(beneficiary.address);
-          // Use closeTo instead of equal as there might be small gas-related variations
-          expect(balanceAfter - balanceBefore).to.be.closeTo(bidValue, ethers.parseEther("0.01"));
-          
-          // Check auction ended flag
-          expect(await auction.ended()).to.be.true;
-        });
+        // Place a bid
+        const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
+        const bidValue = ethers.parseEther("1");
+        const blindedBid = blindBid(bidValue, false, secret);
         
-        it("Should not allow ending the auction twice", async function() {
-          const { auction, biddingTime, revealTime, bidder1 } = await loadFixture(deployAuctionFixture);
-          
-          // Place a bid
-          const secret = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
-          const bidValue = ethers.parseEther("1");
-          const blindedBid = await createBid(bidValue, false, secret);
-          
-          await auction.connect(bidder1).bid(blindedBid, {
-            value: bidValue
-          });
-          
-          // Fast forward to reveal phase
-          await time.increase(biddingTime + 1);
-          
-          // Reveal the bid
-          await auction.connect(bidder1).reveal(
-            [bidValue],
-            [false],
-            [secret]
-          );
-          
-          // Fast forward to after reveal end
-          await time.increase(revealTime);
-          
-          // End the auction first time
-          await auction.auctionEnd();
-          
-          // Try to end again
-          if (isSolidity8OrHigher) {
-            await expect(auction.auctionEnd())
-              .to.be.revertedWith("Auction already ended");
-          } else {
-            await expect(auction.auctionEnd())
-              .to.be.reverted;
-          }
+        await auction.connect(bidder1).bid(blindedBid, {
+          value: bidValue
         });
+        
+        // Fast forward to reveal phase
+        await time.increase(biddingTime + 1);
+        
+        // Reveal the bid
+        await auction.connect(bidder1).reveal(
+          [bidValue],
+          [false],
+          [secret]
+        );
+        
+        // Fast forward to after reveal end
+        await time.increase(revealTime);
+        
+        // End the auction first time
+        await auction.auctionEnd();
+        
+        // Try to end again
+        await expect(auction.auctionEnd())
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Auction already ended" });
       });
-      
-      describe("Withdrawing funds", function() {
-        it("Should allow overbid bidders to withdraw their funds", async function() {
-          const { auction, biddingTime, bidder1, bidder2 } = await loadFixture(deployAuctionFixture);
-          
-          // Bidder 1 places lower bid
-          const secret1 = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
-          const bidValue1 = ethers.parseEther("1");
-          const blindedBid1 = await createBid(bidValue1, false, secret1);
-          
-          await auction.connect(bidder1).bid(blindedBid1, {
-            value: bidValue1
-          });
-          
-          // Bidder 2 places higher bid
-          const secret2 = ethers.keccak256(ethers.toUtf8Bytes("bidder2Secret"));
-          const bidValue2 = ethers.parseEther("2");
-          const blindedBid2 = await createBid(bidValue2, false, secret2);
-          
-          await auction.connect(bidder2).bid(blindedBid2, {
-            value: bidValue2
-          });
-          
-          // Fast forward to reveal phase
-          await time.increase(biddingTime + 1);
-          
-          // Bidder 1 reveals first
-          await auction.connect(bidder1).reveal(
-            [bidValue1],
-            [false],
-            [secret1]
-          );
-          
-          // Bidder 2 reveals second, outbidding bidder 1
-          await auction.connect(bidder2).reveal(
-            [bidValue2],
-            [false],
-            [secret2]
-          );
-          
-          // Check bidder 1 can withdraw
-          const balanceBefore = await ethers.provider.getBalance(bidder1.address);
-          
-          // Withdraw
-          const tx = await auction.connect(bidder1).withdraw();
-          const receipt = await tx.wait();
-          const gasCost = receipt.gasUsed * receipt.gasPrice;
-          
-          // Check balance after
-          const balanceAfter = await ethers.provider.getBalance(bidder1.address);
-          
-          // Should have received bid amount minus gas
-          const expectedBalance = balanceBefore + bidValue1 - gasCost;
-          expect(balanceAfter).to.be.closeTo(expectedBalance, ethers.parseEther("0.01"));
-          
-          // Trying to withdraw again should not provide additional funds
-          const balanceBeforeSecondWithdraw = await ethers.provider.getBalance(bidder1.address);
-          const tx2 = await auction.connect(bidder1).withdraw();
-          const receipt2 = await tx2.wait();
-          const gasCost2 = receipt2.gasUsed * receipt2.gasPrice;
-          const balanceAfterSecondWithdraw = await ethers.provider.getBalance(bidder1.address);
-          
-          // Should not receive any more funds
-          expect(balanceAfterSecondWithdraw).to.be.closeTo(balanceBeforeSecondWithdraw - gasCost2, ethers.parseEther("0.01"));
+    });
+    
+    describe("Withdrawing funds", function() {
+      it("Should allow overbid bidders to withdraw their funds", async function() {
+        const { auction, biddingTime, bidder1, bidder2 } = await loadFixture(deployAuctionFixture);
+        
+        // Bidder 1 places lower bid
+        const secret1 = ethers.keccak256(ethers.toUtf8Bytes("bidder1Secret"));
+        const bidValue1 = ethers.parseEther("1");
+        const blindedBid1 = blindBid(bidValue1, false, secret1);
+        
+        await auction.connect(bidder1).bid(blindedBid1, {
+          value: bidValue1
+        });
+        
+        // Bidder 2 places higher bid
+        const secret2 = ethers.keccak256(ethers.toUtf8Bytes("bidder2Secret"));
+        const bidValue2 = ethers.parseEther("2");
+        const blindedBid2 = blindBid(bidValue2, false, secret2);
+        
+        await auction.connect(bidder2).bid(blindedBid2, {
+          value: bidValue2
         });
+        
+        // Fast forward to reveal phase
+        await time.increase(biddingTime + 1);
+        
+        // Bidder 1 reveals first
+        await auction.connect(bidder1).reveal(
+          [bidValue1],
+          [false],
+          [secret1]
+        );
+        
+        // Bidder 2 reveals second, outbidding bidder 1
+        await auction.connect(bidder2).reveal(
+          [bidValue2],
+          [false],
+          [secret2]
+        );
+        
+        // Check bidder 1 can withdraw
+        const balanceBefore = await ethers.provider.getBalance(bidder1.address);
+        
+        // Withdraw
+        const tx = await auction.connect(bidder1).withdraw();
+        const receipt = await tx.wait();
+        const gasCost = receipt.gasUsed * receipt.gasPrice;
+        
+        // Check balance after
+        const balanceAfter = await ethers.provider.getBalance(bidder1.address);
+        
+        // Should have received bid amount minus gas
+        const expectedBalance = balanceBefore + bidValue1 - gasCost;
+        expect(balanceAfter).to.be.closeTo(expectedBalance, ethers.parseEther("0.01"));
+        
+        // Trying to withdraw again should not provide additional funds
+        const balanceBeforeSecondWithdraw = await ethers.provider.getBalance(bidder1.address);
+        const tx2 = await auction.connect(bidder1).withdraw();
+        const receipt2 = await tx2.wait();
+        const gasCost2 = receipt2.gasUsed * receipt2.gasPrice;
+        const balanceAfterSecondWithdraw = await ethers.provider.getBalance(bidder1.address);
+        
+        // Should not receive any more funds
+        expect(balanceAfterSecondWithdraw).to.be.closeTo(balanceBeforeSecondWithdraw - gasCost2, ethers.parseEther("0.01"));
       });
     });
+
+    shouldKeepStorageLayout(ctx);
+  });
+
+  // Dozens of bidders with real, fake and underfunded bids, revealing fully,
+  // partially, too late or never, replayed on both versions side by side
+  describeDifferential("BlindAuction", {
+    args: ({ signers: [beneficiary] }) => [biddingTime, revealTime, beneficiary.address]
+  }, {
+    allow: [
+      { method: "reveal", aspect: "revert", reason: "The upgrade gives late reveals a revert message" }
+    ]
+  }, function(pair) {
+    // Latest of the two deadlines, since the contracts are deployed in different blocks
+    async function latest(getter) {
+      const [legacy, upgraded] = [await pair.legacy.contract[getter](), await pair.upgraded.contract[getter]()];
+      return legacy > upgraded ? legacy : upgraded;
+    }
+
+    async function expectPendingReturns(bidders, model) {
+      for (const ctx of [pair.legacy, pair.upgraded]) {
+        for (const bidder of bidders) {
+          expect(await readMappingEntry(ctx.contract, ctx.contractName, "pendingReturns", bidder.address),
+            `pendingReturns of ${bidder.address} on ${ctx.variant}`).to.equal(model.pendingOf(bidder.address));
+        }
+      }
+    }
+
+    async function withdraw(bidder, model) {
+      const expected = model.withdraw(bidder.address);
+      const { legacy } = await pair.call(bidder.signer, "withdraw");
+      expect(legacy.balances[bidder.address]).to.equal(expected);
+    }
+
+    it("should settle a many-bidder auction identically and as modelled", async function() {
+      const rng = createRandom();
+      const [beneficiary] = await ethers.getSigners();
+      const model = createAuctionModel();
+      pair.track(beneficiary.address);
+
+      const bidders = [];
+      for (let i = 0; i < 30; i++) {
+        const wallet = new ethers.Wallet(ethers.toBeHex(rng.bigint(1n, 2n ** 128n), 32), ethers.provider);
+        await setBalance(wallet.address, ethers.parseEther("100"));
+        bidders.push(createBidder(wallet, { rng }));
+      }
+
+      for (const bidder of bidders) {
+        for (let count = rng.int(1, 3); count > 0; count--) {
+          const value = rng.bigint(ethers.parseEther("0.1"), ethers.parseEther("5"));
+          const kind = rng.weighted({ real: 6, fake: 3, underfunded: 1 });
+          const deposit = kind === "underfunded" ? value / 2n : value + rng.bigint(0n, ethers.parseEther("1"));
+          const { blindedBid, overrides } = bidder.commit({ value, fake: kind === "fake", deposit });
+          await pair.call(bidder.signer, "bid", [blindedBid], overrides);
+        }
+      }
+
+      await time.increaseTo(await latest("biddingEnd") + 1n);
+      const late = [];
+      for (const bidder of rng.shuffle(bidders)) {
+        const plan = rng.weighted({ full: 6, partial: 2, late: 1, never: 1 });
+        if (plan === "late") {
+          late.push(bidder);
+        } else if (plan !== "never") {
+          const hide = plan === "partial" ? [rng.int(0, bidder.bids.length - 1)] : [];
+          const refund = model.reveal(bidder, { hide });
+          const { legacy } = await pair.call(bidder.signer, "reveal", bidder.revealArgs({ hide }));
+          expect(legacy.balances[bidder.address], `refund of ${bidder.address}`).to.equal(refund);
+        }
+
+        // Outbid bidders sometimes collect before the auction is over
+        const outbid = bidders.filter(other => model.pendingOf(other.address) > 0n);
+        if (outbid.length > 0 && rng.bool(0.3)) {
+          await withdraw(rng.pick(outbid), model);
+        }
+      }
+      await expectPendingReturns(bidders, model);
+
+      await time.increaseTo(await latest("revealEnd") + 1n);
+      for (const bidder of late) {
+        const { legacy } = await pair.call(bidder.signer, "reveal", bidder.revealArgs());
+        expect(legacy.outcome).to.equal("revert");
+      }
+
+      const { legacy: end } = await pair.call(beneficiary, "auctionEnd");
+      expect(end.balances[beneficiary.address]).to.equal(model.highestBid);
+      await pair.compareGetters(["highestBidder", "highestBid", "ended"]);
+      expect(await pair.legacy.contract.highestBidder()).to.equal(model.highestBidder);
+      expect(await pair.legacy.contract.highestBid()).to.equal(model.highestBid);
+
+      for (const bidder of bidders) {
+        await withdraw(bidder, model);
+      }
+      await expectPendingReturns(bidders, model);
+
+      // Only deposits of bids that were never revealed stay in the auction
+      for (const ctx of [pair.legacy, pair.upgraded]) {
+        expect(await ethers.provider.getBalance(await ctx.contract.getAddress()), `${ctx.variant} balance`)
+          .to.equal(model.unrevealed(bidders));
+      }
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeDifferential } = require("./helpers/differential");
+const { compareEvents, expectSameEvents } = require("./helpers/events");
+
+// Replays the same user actions on legacy and upgraded side by side and checks
+// that return values, balances, getters and events are identical
+describe("Differential Tests", function () {
+  describeDifferential("Alcanium", null, {
+    allow: [
+      // The upgrade adds messages to SafeMath require statements
+      { method: "*", aspect: "revert", reason: "require messages added" }
+    ]
+  }, function(pair) {
+    it("should behave identically for transfers, approvals and failures", async function() {
+      const [owner, account1, account2] = await ethers.getSigners();
+      const amount = ethers.parseUnits("1000", 18);
+
+      await pair.compareGetters(["name", "symbol", "decimals", "totalSupply", ["balanceOf", [owner.address]]]);
+      await pair.call(owner, "transfer", [account1.address, amount]);
+      await pair.call(account1, "approve", [account2.address, amount / 2n]);
+      await pair.call(account2, "transferFrom", [account1.address, owner.address, amount / 4n]);
+      await pair.call(account2, "transferFrom", [account1.address, owner.address, amount]);
+      await pair.call(account1, "transfer", [account2.address, amount * 2n]);
+
+      await pair.compareGetters([
+        ["balanceOf", [owner.address]],
+        ["balanceOf", [account1.address]],
+        ["balanceOf", [account2.address]],
+        ["allowance", [account1.address, account2.address]]
+      ]);
+
+      // The failed transfers were accepted only because they are declared
+      expect(pair.knownDivergences.map(divergence => divergence.aspect)).to.include("revert");
+    });
+  });
+
+  describeDifferential("Ballot", () => [[
+    ethers.encodeBytes32String("Proposal 1"),
+    ethers.encodeBytes32String("Proposal 2")
+  ]], {
+    allow: []
+  }, function(pair) {
+    it("should tally delegated votes identically", async function() {
+      const [chairperson, voter1, voter2, voter3] = await ethers.getSigners();
+
+      for (const voter of [voter1, voter2, voter3]) {
+        await pair.call(chairperson, "giveRightToVote", [voter.address]);
+      }
+      await pair.call(voter1, "delegate", [voter2.address]);
+      await pair.call(voter2, "vote", [1]);
+      await pair.call(voter3, "delegate", [voter3.address]);
+      await pair.call(voter3, "vote", [0]);
+      await pair.call(voter2, "vote", [0]);
+
+      await pair.compareGetters([
+        "winningProposal",
+        "winnerName",
+        ["voters", [voter1.address]],
+        ["voters", [voter2.address]],
+        ["proposals", [0]],
+        ["proposals", [1]]
+      ]);
+    });
+  });
+
+  describeDifferential("Purchase", () => [{ value: ethers.parseEther("2") }], {
+    allow: []
+  }, function(pair) {
+    it("should move the same ether through the escrow", async function() {
+      const [seller, buyer, stranger] = await ethers.getSigners();
+      pair.track(seller.address, buyer.address);
+
+      await pair.call(stranger, "abort");
+      await pair.call(buyer, "confirmPurchase", [], { value: ethers.parseEther("1") });
+      await pair.call(buyer, "confirmPurchase", [], { value: ethers.parseEther("2") });
+      await pair.call(seller, "confirmReceived");
+      await pair.call(buyer, "confirmReceived");
+      await pair.compareGetters(["state", "value", "buyer"]);
+    });
+  });
+
+  describeDifferential("SimpleAuction", ({ signers: [beneficiary] }) => [3600, beneficiary.address], {
+    allow: []
+  }, function(pair) {
+    it("should refund outbid bidders and pay the beneficiary identically", async function() {
+      const [beneficiary, bidder1, bidder2] = await ethers.getSigners();
+      pair.track(beneficiary.address);
+
+      await pair.call(bidder1, "bid", [], { value: ethers.parseEther("1") });
+      await pair.call(bidder2, "bid", [], { value: ethers.parseEther("1") });
+      await pair.call(bidder2, "bid", [], { value: ethers.parseEther("2") });
+      await pair.call(bidder1, "auctionEnd");
+
+      await time.increase(3601);
+      await pair.call(bidder1, "withdraw");
+      await pair.call(bidder1, "auctionEnd");
+      await pair.call(bidder1, "auctionEnd");
+      await pair.compareGetters(["highestBidder", "highestBid"]);
+    });
+  });
+
+  describeDifferential("Entropy", async ({ signers: [owner, minter] }) => [
+    owner.address,
+    minter.address,
+    (await time.latest()) + 100
+  ], {
+    allow: []
+  }, function(pair) {
+    it("should transfer, delegate and mint identically", async function() {
+      const [owner, minter, user1, user2] = await ethers.getSigners();
+      const amount = ethers.parseEther("1000");
+
+      await pair.call(owner, "transfer", [user1.address, amount]);
+      await pair.call(user1, "delegate", [user2.address]);
+      await pair.call(user1, "transfer", [user2.address, amount * 2n]);
+      await pair.call(user1, "approve", [user2.address, ethers.MaxUint256]);
+      await pair.call(user2, "transferFrom", [user1.address, owner.address, amount / 2n]);
+      await pair.call(minter, "mint", [user1.address, amount]);
+
+      await time.increase(200);
+      await pair.call(user1, "mint", [user1.address, amount]);
+      await pair.call(minter, "mint", [ethers.ZeroAddress, amount]);
+
+      await pair.compareGetters([
+        "totalSupply",
+        ["getCurrentVotes", [user2.address]],
+        ["allowance", [user1.address, user2.address]],
+        ["balanceOf", [user1.address]]
+      ]);
+    });
+  });
+
+  describeDifferential("PonderAirdropToken", null, {
+    allow: [
+      // selfdestruct is replaced by freezing the token, which is logged
+      { method: "kill", aspect: "events", reason: "kill freezes the token instead of destroying it" }
+    ]
+  }, function(pair) {
+    it("should only add Freeze events when killed", async function() {
+      const [owner, account1] = await ethers.getSigners();
+
+      await pair.call(owner, "transfer", [account1.address, 1000n]);
+      await pair.call(owner, "freezeTransfers");
+      await pair.call(owner, "unfreezeTransfers");
+      const { legacy, upgraded } = await pair.call(owner, "kill");
+
+      // The upgraded kill emits Freeze twice for a single freeze
+      expect(compareEvents(legacy.events, upgraded.events).map(diff => `${diff.change} ${diff.upgraded.name}`))
+        .to.deep.equal(["extra Freeze", "extra Freeze"]);
+      await expectSameEvents(legacy.events, upgraded.events, { allowExtra: ["Freeze", "Freeze"] });
+    });
+  });
+});
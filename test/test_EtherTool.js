@@ -1,488 +1,600 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { createEtherToolModel } = require("./helpers/etherTool");
+const { createRandom } = require("./helpers/random");
 
 describe("EtherTool Contract Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
-  
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/EtherTool_legacy.sol:EtherTool");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/EtherTool_upgraded.sol:EtherTool");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/EtherTool_legacy.sol:EtherTool");
-    contractVersions.push("contracts/upgraded/EtherTool_upgraded.sol:EtherTool");
-  }
-
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let etherTool;
-      let owner, user1, user2, user3;
-      let isSolidity8OrHigher;
-
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
+  describeForVersions("EtherTool", null, function(ctx) {
+    let etherTool;
+    let owner, user1, user2, user3;
 
-      // Helper function to parse Ether
-      function parseEther(amount) {
-        return ethers.parseEther(amount.toString());
-      }
-      
-      beforeEach(async function () {
-        [owner, user1, user2, user3] = await ethers.getSigners();
-        detectSolidityVersion();
-        
-        try {
-          const EtherToolFactory = await ethers.getContractFactory(contractName);
-          etherTool = await EtherToolFactory.deploy();
-          await etherTool.waitForDeployment();
-        } catch (error) {
-          console.error(`Error deploying contract: ${error.message}`);
-          throw error;
-        }
-      });
+    // Helper function to parse Ether
+    function parseEther(amount) {
+      return ethers.parseEther(amount.toString());
+    }
+    
+    beforeEach(async function () {
+      [owner, user1, user2, user3] = await ethers.getSigners();
+      etherTool = ctx.contract;
+    });
 
-      describe("Deployment", function () {
-        it("Should deploy successfully", async function () {
-          expect(await etherTool.getAddress()).to.not.equal(ethers.ZeroAddress);
-        });
+    describe("Deployment", function () {
+      it("Should deploy successfully", async function () {
+        expect(await etherTool.getAddress()).to.not.equal(ethers.ZeroAddress);
+      });
 
-        it("Should initialize with globalLocked as false", async function () {
-          expect(await etherTool.globalLocked()).to.equal(false);
-        });
+      it("Should initialize with globalLocked as false", async function () {
+        expect(await etherTool.globalLocked()).to.equal(false);
+      });
 
-        it("Should initialize with currentEventId as 1", async function () {
-          expect(await etherTool.currentEventId()).to.equal(1n);
-        });
+      it("Should initialize with currentEventId as 1", async function () {
+        expect(await etherTool.currentEventId()).to.equal(1n);
       });
+    });
 
-      describe("Deposit Functions", function () {
-        it("Should accept deposits via depositEther()", async function () {
-          const depositAmount = parseEther(1);
-          await etherTool.connect(user1).depositEther({ value: depositAmount });
-          expect(await etherTool.userEtherOf(user1.address)).to.equal(depositAmount);
-        });
+    describe("Deposit Functions", function () {
+      it("Should accept deposits via depositEther()", async function () {
+        const depositAmount = parseEther(1);
+        await etherTool.connect(user1).depositEther({ value: depositAmount });
+        expect(await etherTool.userEtherOf(user1.address)).to.equal(depositAmount);
+      });
 
-        it("Should accept deposits via fallback function", async function () {
-          const depositAmount = parseEther(1);
-          // Send ETH directly to the contract
-          await user1.sendTransaction({
-            to: await etherTool.getAddress(),
-            value: depositAmount
-          });
-          expect(await etherTool.userEtherOf(user1.address)).to.equal(depositAmount);
+      it("Should accept deposits via fallback function", async function () {
+        const depositAmount = parseEther(1);
+        // Send ETH directly to the contract
+        await user1.sendTransaction({
+          to: await etherTool.getAddress(),
+          value: depositAmount
         });
+        expect(await etherTool.userEtherOf(user1.address)).to.equal(depositAmount);
+      });
 
-        it("Should properly track multiple deposits", async function () {
-          await etherTool.connect(user1).depositEther({ value: parseEther(1) });
-          await etherTool.connect(user1).depositEther({ value: parseEther(0.5) });
-          expect(await etherTool.userEtherOf(user1.address)).to.equal(parseEther(1.5));
-        });
+      it("Should properly track multiple deposits", async function () {
+        await etherTool.connect(user1).depositEther({ value: parseEther(1) });
+        await etherTool.connect(user1).depositEther({ value: parseEther(0.5) });
+        expect(await etherTool.userEtherOf(user1.address)).to.equal(parseEther(1.5));
       });
+    });
 
-      describe("Withdrawal Functions", function () {
-        beforeEach(async function () {
-          // Fund user1 with 2 ETH
-          await etherTool.connect(user1).depositEther({ value: parseEther(2) });
-        });
+    describe("Withdrawal Functions", function () {
+      beforeEach(async function () {
+        // Fund user1 with 2 ETH
+        await etherTool.connect(user1).depositEther({ value: parseEther(2) });
+      });
 
-        it("Should allow withdrawal to own address", async function () {
-          const initialBalance = await ethers.provider.getBalance(user1.address);
-          
-          // Use a transaction that withdraws funds
-          const txResponse = await etherTool.connect(user1).withdrawEther();
-          const receipt = await txResponse.wait();
-          
-          // Calculate gas cost
-          const gasUsed = receipt.gasUsed * receipt.gasPrice;
-          
-          // Get final balance
-          const finalBalance = await ethers.provider.getBalance(user1.address);
-          
-          // User's balance should increase by 2 ETH (minus gas costs)
-          const expectedBalance = initialBalance + parseEther(2) - gasUsed;
-          
-          // Account for small rounding differences in BigInt calculations
-          expect(finalBalance).to.be.closeTo(expectedBalance, parseEther("0.01"));
-          
-          // User's contract balance should be zero
-          expect(await etherTool.userEtherOf(user1.address)).to.equal(0n);
-        });
+      it("Should allow withdrawal to own address", async function () {
+        const initialBalance = await ethers.provider.getBalance(user1.address);
+        
+        // Use a transaction that withdraws funds
+        const txResponse = await etherTool.connect(user1).withdrawEther();
+        const receipt = await txResponse.wait();
+        
+        // Calculate gas cost
+        const gasUsed = receipt.gasUsed * receipt.gasPrice;
+        
+        // Get final balance
+        const finalBalance = await ethers.provider.getBalance(user1.address);
+        
+        // User's balance should increase by 2 ETH (minus gas costs)
+        const expectedBalance = initialBalance + parseEther(2) - gasUsed;
+        
+        // Account for small rounding differences in BigInt calculations
+        expect(finalBalance).to.be.closeTo(expectedBalance, parseEther("0.01"));
+        
+        // User's contract balance should be zero
+        expect(await etherTool.userEtherOf(user1.address)).to.equal(0n);
+      });
 
-        it("Should allow withdrawal to another address", async function () {
-          const initialBalance = await ethers.provider.getBalance(user2.address);
-          
-          // Withdraw user1's funds to user2's address
-          await etherTool.connect(user1).withdrawEtherTo(user2.address);
-          
-          const finalBalance = await ethers.provider.getBalance(user2.address);
-          
-          // User2's balance should increase by 2 ETH
-          expect(finalBalance - initialBalance).to.equal(parseEther(2));
-          
-          // User1's contract balance should be zero
-          expect(await etherTool.userEtherOf(user1.address)).to.equal(0n);
-        });
+      it("Should allow withdrawal to another address", async function () {
+        const initialBalance = await ethers.provider.getBalance(user2.address);
+        
+        // Withdraw user1's funds to user2's address
+        await etherTool.connect(user1).withdrawEtherTo(user2.address);
+        
+        const finalBalance = await ethers.provider.getBalance(user2.address);
+        
+        // User2's balance should increase by 2 ETH
+        expect(finalBalance - initialBalance).to.equal(parseEther(2));
+        
+        // User1's contract balance should be zero
+        expect(await etherTool.userEtherOf(user1.address)).to.equal(0n);
+      });
 
-        it("Should return false when withdrawing with zero balance", async function () {
-          // User3 has no deposits
-          const tx = await etherTool.connect(user3).withdrawEther();
-          const receipt = await tx.wait();
-          
-          // Transaction should complete without reverting
-          expect(receipt.status).to.equal(1);
-          
-          // Balance should remain zero
-          expect(await etherTool.userEtherOf(user3.address)).to.equal(0n);
-        });
+      it("Should return false when withdrawing with zero balance", async function () {
+        // User3 has no deposits
+        const tx = await etherTool.connect(user3).withdrawEther();
+        const receipt = await tx.wait();
+        
+        // Transaction should complete without reverting
+        expect(receipt.status).to.equal(1);
+        
+        // Balance should remain zero
+        expect(await etherTool.userEtherOf(user3.address)).to.equal(0n);
+      });
 
-        it("Should revert when withdrawing to zero address", async function () {
-          if (isSolidity8OrHigher) {
-            // In Solidity 0.8.x, we expect a custom error message
-            await expect(etherTool.connect(user1).withdrawEtherTo(ethers.ZeroAddress))
-              .to.be.revertedWith("Invalid address");
-          } else {
-            // In Solidity 0.4.x, it just reverts with no message
-            await expect(etherTool.connect(user1).withdrawEtherTo(ethers.ZeroAddress))
-              .to.be.reverted;
-          }
-        });
+      it("Should revert when withdrawing to zero address", async function () {
+        await expect(etherTool.connect(user1).withdrawEtherTo(ethers.ZeroAddress))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid address" });
       });
+    });
 
-      describe("Batch Transfer Functions", function () {
-        beforeEach(async function () {
-          // Fund owner with 10 ETH
-          await etherTool.connect(owner).depositEther({ value: parseEther(10) });
-        });
+    describe("Batch Transfer Functions", function () {
+      beforeEach(async function () {
+        // Fund owner with 10 ETH
+        await etherTool.connect(owner).depositEther({ value: parseEther(10) });
+      });
 
-        describe("batchTransfer1", function () {
-          it("Should transfer equal amounts to multiple addresses", async function () {
-            const recipients = [user1.address, user2.address];
-            const amount = parseEther(1);
-            
-            const initialBalance1 = await ethers.provider.getBalance(user1.address);
-            const initialBalance2 = await ethers.provider.getBalance(user2.address);
-            
-            // Transfer 1 ETH to each recipient
-            const tx = await etherTool.connect(owner).batchTransfer1(recipients, amount);
-            await tx.wait();
-            
-            const finalBalance1 = await ethers.provider.getBalance(user1.address);
-            const finalBalance2 = await ethers.provider.getBalance(user2.address);
-            
-            // Both recipients should receive 1 ETH
-            expect(finalBalance1 - initialBalance1).to.equal(amount);
-            expect(finalBalance2 - initialBalance2).to.equal(amount);
-            
-            // Owner should have 8 ETH left (10 - 1 - 1)
-            expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(8));
-          });
-          
-          it("Should handle zero addresses in recipient list", async function () {
-            const recipients = [user1.address, ethers.ZeroAddress, user2.address];
-            const amount = parseEther(1);
-            
-            const tx = await etherTool.connect(owner).batchTransfer1(recipients, amount);
-            const receipt = await tx.wait();
-            
-            // Check events for successful transfers
-            const transferEvents = receipt.logs.filter(log => 
-              log.fragment && log.fragment.name === "OnTransfer"
-            );
-            
-            const successfulEvents = transferEvents.filter(log => log.args[2] === true);
-            
-            // Only transfers to non-zero addresses should succeed
-            expect(successfulEvents.length).to.equal(2);
-            
-            // Owner should have 8 ETH left (10 - 1 - 1)
-            expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(8));
-          });
+      describe("batchTransfer1", function () {
+        it("Should transfer equal amounts to multiple addresses", async function () {
+          const recipients = [user1.address, user2.address];
+          const amount = parseEther(1);
           
-          it("Should revert if amount is zero", async function () {
-            const recipients = [user1.address, user2.address];
-            const amount = 0n;
-            
-            if (isSolidity8OrHigher) {
-              await expect(etherTool.connect(owner).batchTransfer1(recipients, amount))
-                .to.be.revertedWith("Amount must be greater than 0");
-            } else {
-              await expect(etherTool.connect(owner).batchTransfer1(recipients, amount))
-                .to.be.reverted;
-            }
-          });
+          const initialBalance1 = await ethers.provider.getBalance(user1.address);
+          const initialBalance2 = await ethers.provider.getBalance(user2.address);
           
-          it("Should revert if recipients list is empty", async function () {
-            const recipients = [];
-            const amount = parseEther(1);
-            
-            if (isSolidity8OrHigher) {
-              await expect(etherTool.connect(owner).batchTransfer1(recipients, amount))
-                .to.be.revertedWith("Recipients list cannot be empty");
-            } else {
-              await expect(etherTool.connect(owner).batchTransfer1(recipients, amount))
-                .to.be.reverted;
-            }
-          });
+          // Transfer 1 ETH to each recipient
+          const tx = await etherTool.connect(owner).batchTransfer1(recipients, amount);
+          await tx.wait();
           
-          it("Should allow additional deposit during batch transfer", async function () {
-            const recipients = [user1.address, user2.address];
-            const amount = parseEther(1);
-            const additionalDeposit = parseEther(5);
-            
-            // Initially has 10 ETH + adds 5 ETH more, sends 1 ETH to each of two recipients
-            const tx = await etherTool.connect(owner).batchTransfer1(
-              recipients, 
-              amount, 
-              { value: additionalDeposit }
-            );
-            await tx.wait();
-            
-            // Owner should have 13 ETH left (10 + 5 - 1 - 1)
-            expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(13));
-          });
-        });
-
-        describe("batchTransfer2", function () {
-          it("Should transfer varying amounts to multiple addresses", async function () {
-            const recipients = [user1.address, user2.address];
-            const amounts = [parseEther(1), parseEther(2)];
-            
-            const initialBalance1 = await ethers.provider.getBalance(user1.address);
-            const initialBalance2 = await ethers.provider.getBalance(user2.address);
-            
-            // Transfer different amounts to each recipient
-            const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
-            await tx.wait();
-            
-            const finalBalance1 = await ethers.provider.getBalance(user1.address);
-            const finalBalance2 = await ethers.provider.getBalance(user2.address);
-            
-            // Recipients should receive their specified amounts
-            expect(finalBalance1 - initialBalance1).to.equal(parseEther(1));
-            expect(finalBalance2 - initialBalance2).to.equal(parseEther(2));
-            
-            // Owner should have 7 ETH left (10 - 1 - 2)
-            expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(7));
-          });
+          const finalBalance1 = await ethers.provider.getBalance(user1.address);
+          const finalBalance2 = await ethers.provider.getBalance(user2.address);
           
-          it("Should revert if arrays have different lengths", async function () {
-            const recipients = [user1.address, user2.address];
-            const amounts = [parseEther(1)]; // Only one amount
-            
-            if (isSolidity8OrHigher) {
-              await expect(etherTool.connect(owner).batchTransfer2(recipients, amounts))
-                .to.be.revertedWith("Recipients and amounts must match");
-            } else {
-              await expect(etherTool.connect(owner).batchTransfer2(recipients, amounts))
-                .to.be.reverted;
-            }
-          });
+          // Both recipients should receive 1 ETH
+          expect(finalBalance1 - initialBalance1).to.equal(amount);
+          expect(finalBalance2 - initialBalance2).to.equal(amount);
           
-          it("Should handle zero amounts in amounts list", async function () {
-            const recipients = [user1.address, user2.address];
-            const amounts = [parseEther(1), 0n]; // Second amount is zero
-            
-            const initialBalance1 = await ethers.provider.getBalance(user1.address);
-            const initialBalance2 = await ethers.provider.getBalance(user2.address);
-            
-            const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
-            await tx.wait();
-            
-            const finalBalance1 = await ethers.provider.getBalance(user1.address);
-            const finalBalance2 = await ethers.provider.getBalance(user2.address);
-            
-            // Only first recipient should receive funds
-            expect(finalBalance1 - initialBalance1).to.equal(parseEther(1));
-            expect(finalBalance2 - initialBalance2).to.equal(0n);
-            
-            // Owner should have 9 ETH left (10 - 1)
-            expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(9));
-          });
-        });
-      });
-
-      describe("Utility Functions", function () {
-        it("Should generate a bytes32 hash", async function () {
-          const hash = await etherTool.getBytes32();
-          expect(hash).to.not.equal(ethers.ZeroHash);
-          expect(typeof hash).to.equal("string");
+          // Owner should have 8 ETH left (10 - 1 - 1)
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(8));
         });
         
-        it("Should hash white balls, red ball and nonce correctly", async function () {
-          const whiteBalls = [1, 2, 3, 4, 5];
-          const redBall = 10;
-          const nonce = ethers.keccak256(ethers.toUtf8Bytes("test"));
+        it("Should handle zero addresses in recipient list", async function () {
+          const recipients = [user1.address, ethers.ZeroAddress, user2.address];
+          const amount = parseEther(1);
+          
+          const tx = await etherTool.connect(owner).batchTransfer1(recipients, amount);
+          const receipt = await tx.wait();
           
-          const hash = await etherTool.getHash1(whiteBalls, redBall, nonce);
+          // Check events for successful transfers
+          const transferEvents = receipt.logs.filter(log => 
+            log.fragment && log.fragment.name === "OnTransfer"
+          );
           
-          expect(hash).to.not.equal(ethers.ZeroHash);
-          expect(typeof hash).to.equal("string");
+          const successfulEvents = transferEvents.filter(log => log.args[2] === true);
+          
+          // Only transfers to non-zero addresses should succeed
+          expect(successfulEvents.length).to.equal(2);
           
-          // Same inputs should produce same hash
-          const hash2 = await etherTool.getHash1(whiteBalls, redBall, nonce);
-          expect(hash).to.equal(hash2);
+          // Owner should have 8 ETH left (10 - 1 - 1)
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(8));
         });
         
-        it("Should hash address and nonce correctly", async function () {
-          const userAddress = user1.address;
-          const nonce = ethers.keccak256(ethers.toUtf8Bytes("test"));
-          
-          const hash = await etherTool.getHash2(userAddress, nonce);
-          
-          expect(hash).to.not.equal(ethers.ZeroHash);
-          expect(typeof hash).to.equal("string");
+        it("Should revert if amount is zero", async function () {
+          const recipients = [user1.address, user2.address];
+          const amount = 0n;
           
-          // Different address should produce different hash
-          const hash2 = await etherTool.getHash2(user2.address, nonce);
-          expect(hash).to.not.equal(hash2);
+          await expect(etherTool.connect(owner).batchTransfer1(recipients, amount))
+            .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Amount must be greater than 0" });
         });
-      });
-
-      describe("Locking Mechanism", function () {
-        // We can't directly test lock() and unlock() as they're internal functions
-        // But we can test the effects by tracking the state during transactions
         
-        it("Should properly release locks after batch transfers", async function () {
-          // Deposit some ETH
-          await etherTool.connect(owner).depositEther({ value: parseEther(10) });
+        it("Should revert if recipients list is empty", async function () {
+          const recipients = [];
+          const amount = parseEther(1);
           
-          // Do a batch transfer
+          await expect(etherTool.connect(owner).batchTransfer1(recipients, amount))
+            .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Recipients list cannot be empty" });
+        });
+        
+        it("Should allow additional deposit during batch transfer", async function () {
           const recipients = [user1.address, user2.address];
           const amount = parseEther(1);
+          const additionalDeposit = parseEther(5);
           
-          await etherTool.connect(owner).batchTransfer1(recipients, amount);
-          
-          // Check that lock is released
-          expect(await etherTool.globalLocked()).to.equal(false);
-          
-          // Should be able to do another transfer immediately
-          await etherTool.connect(owner).batchTransfer1(recipients, amount);
+          // Initially has 10 ETH + adds 5 ETH more, sends 1 ETH to each of two recipients
+          const tx = await etherTool.connect(owner).batchTransfer1(
+            recipients, 
+            amount, 
+            { value: additionalDeposit }
+          );
+          await tx.wait();
           
-          // Lock should still be released
-          expect(await etherTool.globalLocked()).to.equal(false);
+          // Owner should have 13 ETH left (10 + 5 - 1 - 1)
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(13));
         });
       });
 
-      describe("Event Emission", function () {
-        beforeEach(async function () {
-          // Fund owner with 10 ETH
-          await etherTool.connect(owner).depositEther({ value: parseEther(10) });
-        });
-        
-        it("Should emit OnTransfer events during batch transfers", async function () {
+      describe("batchTransfer2", function () {
+        it("Should transfer varying amounts to multiple addresses", async function () {
           const recipients = [user1.address, user2.address];
-          const amount = parseEther(1);
-          
-          // We expect events from successful transfers
-          const tx = await etherTool.connect(owner).batchTransfer1(recipients, amount);
-          const receipt = await tx.wait();
+          const amounts = [parseEther(1), parseEther(2)];
           
-          // Check event counts
-          let transferEvents = receipt.logs.filter(log => 
-            log.fragment && log.fragment.name === "OnTransfer"
-          );
+          const initialBalance1 = await ethers.provider.getBalance(user1.address);
+          const initialBalance2 = await ethers.provider.getBalance(user2.address);
           
-          // Should have events for each recipient (whether transfer succeeded or not)
-          expect(transferEvents.length).to.equal(2);
+          // Transfer different amounts to each recipient
+          const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
+          await tx.wait();
           
-          // Check event parameters for successful transfers
-          let successfulEvents = transferEvents.filter(log => log.args[2] === true);
+          const finalBalance1 = await ethers.provider.getBalance(user1.address);
+          const finalBalance2 = await ethers.provider.getBalance(user2.address);
           
-          // Both transfers should succeed
-          expect(successfulEvents.length).to.equal(2);
+          // Recipients should receive their specified amounts
+          expect(finalBalance1 - initialBalance1).to.equal(parseEther(1));
+          expect(finalBalance2 - initialBalance2).to.equal(parseEther(2));
           
-          // Check sender and amounts in events
-          successfulEvents.forEach(event => {
-            expect(event.args[0]).to.equal(owner.address); // sender
-            expect(event.args[3]).to.equal(amount); // amount
-          });
-          
-          // Event IDs should be sequential
-          if (successfulEvents.length >= 2) {
-            const eventId1 = successfulEvents[0].args[5];
-            const eventId2 = successfulEvents[1].args[5];
-            expect(eventId2 - eventId1).to.equal(1n);
-          }
+          // Owner should have 7 ETH left (10 - 1 - 2)
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(7));
         });
-      });
-      
-      describe("Edge Cases", function () {
-        beforeEach(async function () {
-          // Fund owner with 10 ETH
-          await etherTool.connect(owner).depositEther({ value: parseEther(10) });
+        
+        it("Should revert if arrays have different lengths", async function () {
+          const recipients = [user1.address, user2.address];
+          const amounts = [parseEther(1)]; // Only one amount
+          
+          await expect(etherTool.connect(owner).batchTransfer2(recipients, amounts))
+            .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Recipients and amounts must match" });
         });
         
-        it("Should handle users with insufficient balance gracefully", async function () {
+        it("Should handle zero amounts in amounts list", async function () {
           const recipients = [user1.address, user2.address];
-          const amounts = [parseEther(11), parseEther(1)]; // First amount exceeds balance
+          const amounts = [parseEther(1), 0n]; // Second amount is zero
           
-          // The transaction should still succeed but only transfer funds where possible
-          const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
-          const receipt = await tx.wait();
+          const initialBalance1 = await ethers.provider.getBalance(user1.address);
+          const initialBalance2 = await ethers.provider.getBalance(user2.address);
           
-          // Check user balances
-          const user1Balance = await ethers.provider.getBalance(user1.address);
-          const user2Balance = await ethers.provider.getBalance(user2.address);
-          const initialUser2Balance = await ethers.provider.getBalance(user2.address) - parseEther(1);
+          const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
+          await tx.wait();
           
-          // First transfer should fail (not enough funds)
-          // Second transfer should succeed
-          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(9));
+          const finalBalance1 = await ethers.provider.getBalance(user1.address);
+          const finalBalance2 = await ethers.provider.getBalance(user2.address);
           
-          // Count successful transfers from events
-          let successfulTransfers = 0;
-          receipt.logs.forEach(log => {
-            if (log.fragment && log.fragment.name === "OnTransfer" && log.args[2] === true) {
-              successfulTransfers++;
-            }
-          });
+          // Only first recipient should receive funds
+          expect(finalBalance1 - initialBalance1).to.equal(parseEther(1));
+          expect(finalBalance2 - initialBalance2).to.equal(0n);
           
-          expect(successfulTransfers).to.equal(1);
+          // Owner should have 9 ETH left (10 - 1)
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(9));
         });
+      });
+    });
+
+    describe("Utility Functions", function () {
+      it("Should generate a bytes32 hash", async function () {
+        const hash = await etherTool.getBytes32();
+        expect(hash).to.not.equal(ethers.ZeroHash);
+        expect(typeof hash).to.equal("string");
+      });
+      
+      it("Should hash white balls, red ball and nonce correctly", async function () {
+        const whiteBalls = [1, 2, 3, 4, 5];
+        const redBall = 10;
+        const nonce = ethers.keccak256(ethers.toUtf8Bytes("test"));
         
-        it("Should handle failed transfers in 0.8.x", async function () {
-          if (isSolidity8OrHigher) {
-            try {
-              // Deploy a contract with no payable functions to force transfer failure
-              const NonReceivableFactory = await ethers.getContractFactory("NonReceivable");
-              const nonReceivable = await NonReceivableFactory.deploy();
-              await nonReceivable.waitForDeployment();
-              
-              const nonReceivableAddress = await nonReceivable.getAddress();
-              const recipients = [user1.address, nonReceivableAddress];
-              const amounts = [parseEther(1), parseEther(1)];
-              
-              const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
-              await tx.wait();
-              
-              // Only first transfer should succeed
-              expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(9));
-            } catch (error) {
-              console.log("Test skipped: NonReceivable contract not found");
-              this.skip();
-            }
-          } else {
-            // Skip test for 0.4.x
-            this.skip();
+        const hash = await etherTool.getHash1(whiteBalls, redBall, nonce);
+        
+        expect(hash).to.not.equal(ethers.ZeroHash);
+        expect(typeof hash).to.equal("string");
+        
+        // Same inputs should produce same hash
+        const hash2 = await etherTool.getHash1(whiteBalls, redBall, nonce);
+        expect(hash).to.equal(hash2);
+      });
+      
+      it("Should hash address and nonce correctly", async function () {
+        const userAddress = user1.address;
+        const nonce = ethers.keccak256(ethers.toUtf8Bytes("test"));
+        
+        const hash = await etherTool.getHash2(userAddress, nonce);
+        
+        expect(hash).to.not.equal(ethers.ZeroHash);
+        expect(typeof hash).to.equal("string");
+        
+        // Different address should produce different hash
+        const hash2 = await etherTool.getHash2(user2.address, nonce);
+        expect(hash).to.not.equal(hash2);
+      });
+    });
+
+    describe("Locking Mechanism", function () {
+      // We can't directly test lock() and unlock() as they're internal functions
+      // But we can test the effects by tracking the state during transactions
+      
+      it("Should properly release locks after batch transfers", async function () {
+        // Deposit some ETH
+        await etherTool.connect(owner).depositEther({ value: parseEther(10) });
+        
+        // Do a batch transfer
+        const recipients = [user1.address, user2.address];
+        const amount = parseEther(1);
+        
+        await etherTool.connect(owner).batchTransfer1(recipients, amount);
+        
+        // Check that lock is released
+        expect(await etherTool.globalLocked()).to.equal(false);
+        
+        // Should be able to do another transfer immediately
+        await etherTool.connect(owner).batchTransfer1(recipients, amount);
+        
+        // Lock should still be released
+        expect(await etherTool.globalLocked()).to.equal(false);
+      });
+    });
+
+    describe("Event Emission", function () {
+      beforeEach(async function () {
+        // Fund owner with 10 ETH
+        await etherTool.connect(owner).depositEther({ value: parseEther(10) });
+      });
+      
+      it("Should emit OnTransfer events during batch transfers", async function () {
+        const recipients = [user1.address, user2.address];
+        const amount = parseEther(1);
+        
+        // We expect events from successful transfers
+        const tx = await etherTool.connect(owner).batchTransfer1(recipients, amount);
+        const receipt = await tx.wait();
+        
+        // Check event counts
+        let transferEvents = receipt.logs.filter(log => 
+          log.fragment && log.fragment.name === "OnTransfer"
+        );
+        
+        // Should have events for each recipient (whether transfer succeeded or not)
+        expect(transferEvents.length).to.equal(2);
+        
+        // Check event parameters for successful transfers
+        let successfulEvents = transferEvents.filter(log => log.args[2] === true);
+        
+        // Both transfers should succeed
+        expect(successfulEvents.length).to.equal(2);
+        
+        // Check sender and amounts in events
+        successfulEvents.forEach(event => {
+          expect(event.args[0]).to.equal(owner.address); // sender
+          expect(event.args[3]).to.equal(amount); // amount
+        });
+        
+        // Event IDs should be sequential
+        if (successfulEvents.length >= 2) {
+          const eventId1 = successfulEvents[0].args[5];
+          const eventId2 = successfulEvents[1].args[5];
+          expect(eventId2 - eventId1).to.equal(1n);
+        }
+      });
+    });
+    
+    describe("Edge Cases", function () {
+      beforeEach(async function () {
+        // Fund owner with 10 ETH
+        await etherTool.connect(owner).depositEther({ value: parseEther(10) });
+      });
+      
+      it("Should handle users with insufficient balance gracefully", async function () {
+        const recipients = [user1.address, user2.address];
+        const amounts = [parseEther(11), parseEther(1)]; // First amount exceeds balance
+        
+        // The transaction should still succeed but only transfer funds where possible
+        const tx = await etherTool.connect(owner).batchTransfer2(recipients, amounts);
+        const receipt = await tx.wait();
+        
+        // Check user balances
+        const user1Balance = await ethers.provider.getBalance(user1.address);
+        const user2Balance = await ethers.provider.getBalance(user2.address);
+        const initialUser2Balance = await ethers.provider.getBalance(user2.address) - parseEther(1);
+        
+        // First transfer should fail (not enough funds)
+        // Second transfer should succeed
+        expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(9));
+        
+        // Count successful transfers from events
+        let successfulTransfers = 0;
+        receipt.logs.forEach(log => {
+          if (log.fragment && log.fragment.name === "OnTransfer" && log.args[2] === true) {
+            successfulTransfers++;
           }
         });
+        
+        expect(successfulTransfers).to.equal(1);
+      });
+      
+      it("Should handle failed transfers to a contract refusing ether", async function () {
+        const nonReceivable = await ctx.deployArtifact("MockEtherTool", "NonReceivable");
+        const recipients = [user1.address, await nonReceivable.getAddress()];
+        const amounts = [parseEther(1), parseEther(1)];
+
+        if (ctx.isLegacy) {
+          // transfer() throws, which reverts the whole batch
+          await expect(etherTool.connect(owner).batchTransfer2(recipients, amounts))
+            .to.revertForVersion(ctx, { legacy: "bare" });
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(10));
+        } else {
+          await etherTool.connect(owner).batchTransfer2(recipients, amounts);
+
+          // Only first transfer should succeed, the second one is refunded
+          expect(await etherTool.userEtherOf(owner.address)).to.equal(parseEther(9));
+        }
       });
     });
+
+    describe("Hostile Recipients", function () {
+      let model;
+      // Name of every hostile recipient, by address
+      let hostile;
+      let receivers;
+      let heir;
+      // How many payments each reentrant receiver should have seen
+      const paid = new Map();
+
+      // Name, model kind, contract and constructor arguments, and reentry target
+      const HOSTILE_RECIPIENTS = [
+        ["non-receivable", "nonReceivable", "NonReceivable", () => []],
+        ["reverting", "reverting", "RevertingReceiver", () => []],
+        ["gas guzzler", "guzzler", "GasGuzzler", () => [50]],
+        ["reentrant into withdrawEther", "reentrant", "ReentrantReceiver", tool => [tool], 1],
+        ["reentrant into batchTransfer1", "reentrant", "ReentrantReceiver", tool => [tool], 2],
+        ["strict reentrant", "strictReentrant", "ReentrantReceiver", tool => [tool], 1],
+        ["selfdestructing", "selfDestructing", "SelfDestructingReceiver", () => [heir]]
+      ];
+
+      beforeEach(async function () {
+        model = createEtherToolModel({ isLegacy: ctx.isLegacy });
+        hostile = new Map();
+        receivers = [];
+        paid.clear();
+        heir = ethers.Wallet.createRandom().address;
+        const tool = await etherTool.getAddress();
+
+        for (const [name, kind, contractName, args, target] of HOSTILE_RECIPIENTS) {
+          const recipient = await ctx.deployArtifact("MockEtherTool", contractName, ...args(tool));
+          const address = await recipient.getAddress();
+          hostile.set(address, name);
+          model.register(address, kind, kind === "selfDestructing" ? heir : undefined);
+          if (target) {
+            // Funds a successful reentry could take
+            await recipient.setAttack(target, kind === "strictReentrant");
+            await recipient.deposit({ value: parseEther(1) });
+            model.deposit(address, parseEther(1));
+            receivers.push(recipient);
+            paid.set(address, 0);
+          }
+        }
+
+        await etherTool.connect(owner).depositEther({ value: parseEther(2) });
+        model.deposit(owner.address, parseEther(2));
+      });
+
+      async function balancesOf(addresses) {
+        return Promise.all(addresses.map(address => ethers.provider.getBalance(address)));
+      }
+
+      // Ether received by every payee, with selfdestructing recipients passing it on
+      async function expectPayouts(payouts, action, where) {
+        const expected = new Map();
+        payouts.forEach(([to, amount]) => {
+          const payee = model.payee(to);
+          expected.set(payee, (expected.get(payee) || 0n) + amount);
+          if (paid.has(to)) {
+            paid.set(to, paid.get(to) + 1);
+          }
+        });
+        const payees = [...expected.keys()];
+        const before = await balancesOf(payees);
+        const result = await action();
+        const after = await balancesOf(payees);
+        payees.forEach((payee, index) => {
+          expect(after[index] - before[index], `${where}: ether received by ${hostile.get(payee) || payee}`)
+            .to.equal(expected.get(payee));
+        });
+        return result;
+      }
+
+      // userEtherOf of every depositor, and the tool holding exactly their total
+      async function expectLedger(where) {
+        for (const user of model.users()) {
+          expect(await etherTool.userEtherOf(user), `${where}: userEtherOf ${hostile.get(user) || user}`)
+            .to.equal(model.balanceOf(user));
+        }
+        expect(await ethers.provider.getBalance(await etherTool.getAddress()), `${where}: ether held`)
+          .to.equal(model.total());
+        expect(await etherTool.globalLocked(), `${where}: lock released`).to.equal(false);
+      }
+
+      // Every call back into the tool was refused while it held the lock
+      async function expectReentryBlocked() {
+        for (const receiver of receivers) {
+          const name = hostile.get(await receiver.getAddress());
+          const attempts = paid.get(await receiver.getAddress());
+          expect(await receiver.attempts(), `${name}: attempts`).to.equal(BigInt(attempts));
+          expect(await receiver.reentered(), `${name}: reentries`).to.equal(0n);
+          expect(await receiver.sawLocked(), `${name}: lock seen from the call back`).to.equal(attempts > 0);
+        }
+      }
+
+      async function batch(sender, tos, amounts, value, where) {
+        const method = Array.isArray(amounts) ? "batchTransfer2" : "batchTransfer1";
+        const contract = etherTool.connect(sender);
+        const firstId = model.currentEventId();
+        const expected = model.batchTransfer(sender.address, tos, amounts, value);
+
+        if (expected.revert) {
+          await expect(contract[method](tos, amounts, { value }), where).to.revertForVersion(ctx, expected.revert);
+        } else {
+          const done = expected.entries.filter(entry => entry.done).length;
+          expect(await contract[method].staticCall(tos, amounts, { value }), `${where}: done`).to.equal(BigInt(done));
+          const receipt = await expectPayouts(expected.payouts,
+            async () => (await contract[method](tos, amounts, { value })).wait(), where);
+
+          const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+          const logged = receipt.logs
+            .map(log => etherTool.interface.parseLog(log))
+            .filter(event => event && event.name === "OnTransfer")
+            .map(event => [...event.args]);
+          expect(logged, `${where}: OnTransfer events`).to.deep.equal(expected.entries.map((entry, index) =>
+            [sender.address, entry.to, entry.done, entry.amount, BigInt(timestamp), firstId + BigInt(index)]));
+        }
+        expect(await etherTool.currentEventId(), `${where}: event id`).to.equal(model.currentEventId());
+        await expectLedger(where);
+      }
+
+      async function withdrawTo(sender, to, where) {
+        const expected = model.withdraw(sender.address, to);
+        if (expected.revert) {
+          await expect(etherTool.connect(sender).withdrawEtherTo(to), where).to.revertForVersion(ctx, expected.revert);
+        } else {
+          expect(await etherTool.connect(sender).withdrawEtherTo.staticCall(to), where).to.equal(expected.result);
+          await expectPayouts(expected.payouts, async () => (await etherTool.connect(sender).withdrawEtherTo(to)).wait(),
+            where);
+        }
+        await expectLedger(where);
+      }
+
+      it("Should pay, refund or revert for each kind of recipient", async function () {
+        for (const [address, name] of hostile) {
+          await batch(owner, [user1.address, address], parseEther(0.1), 0n, `batchTransfer1 to ${name}`);
+          await batch(owner, [address, user1.address], [parseEther(0.2), parseEther(0.1)], parseEther(0.3),
+            `batchTransfer2 to ${name}`);
+
+          await etherTool.connect(user2).depositEther({ value: parseEther(0.5) });
+          model.deposit(user2.address, parseEther(0.5));
+          await withdrawTo(user2, address, `withdrawEtherTo ${name}`);
+        }
+        await expectReentryBlocked();
+      });
+
+      it("Should skip recipients once the sender's balance runs out, whoever they are", async function () {
+        const tos = [...hostile.keys()];
+        // Covers the first account only, so no hostile recipient is ever paid
+        await batch(owner, [user1.address, ...tos], parseEther(2), 0n, "batchTransfer1 past the balance");
+        await batch(owner, [ethers.ZeroAddress, ...tos], [0n, ...tos.map(() => 0n)], 0n, "batchTransfer2 of nothing");
+        await expectReentryBlocked();
+      });
+
+      it("Should settle large batches mixing every kind of recipient", async function () {
+        const rng = createRandom();
+        const accounts = Array.from({ length: 20 }, () => ethers.Wallet.createRandom().address);
+        const hostileAddresses = [...hostile.keys()];
+
+        for (let round = 0; round < 8; round++) {
+          const hostility = rng.pick([0, 0.05, 0.25]);
+          const tos = Array.from({ length: rng.int(40, 80) }, () => {
+            if (rng.bool(0.05)) {
+              return ethers.ZeroAddress;
+            }
+            return rng.bool(hostility) ? rng.pick(hostileAddresses) : rng.pick(accounts);
+          });
+          const single = rng.bool();
+          const amount = () => rng.bigint(1n, parseEther(0.1));
+          const amounts = single ? amount() : tos.map(() => (rng.bool(0.1) ? 0n : amount()));
+          const value = rng.bool(0.7) ? rng.bigint(0n, parseEther(5)) : 0n;
+          const method = single ? "batchTransfer1" : "batchTransfer2";
+
+          await batch(owner, tos, amounts, value, `seed ${rng.seed}, round ${round}: ${method} to ${tos.length}`);
+        }
+        await expectReentryBlocked();
+      });
+    });
+
+    shouldKeepStorageLayout(ctx);
   });
 });
-
-// Deploy a minimal NonReceivable contract for testing
-async function deployNonReceivable() {
-  // If you need to deploy a helper contract for testing
-  const NonReceivableFactory = await ethers.getContractFactory("NonReceivable");
-  const nonReceivable = await NonReceivableFactory.deploy();
-  await nonReceivable.waitForDeployment();
-  return nonReceivable;
-}
\ No newline at end of file
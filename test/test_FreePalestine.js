@@ -1,167 +1,125 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { shouldHoldERC20Properties } = require("./helpers/erc20Properties");
+const { shouldBehaveLikeERC20 } = require("./helpers/erc20Behavior");
 
 describe("FreePalestine Token Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
- 
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/FreePalestine_legacy.sol:FreePalestine");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/FreePalestine_upgraded.sol:FreePalestine");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/FreePalestine_legacy.sol:FreePalestine");
-    contractVersions.push("contracts/upgraded/FreePalestine_upgraded.sol:FreePalestine");
-  }
- 
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let freePalestine;
-      let owner;
-      let account1;
-      let account2;
-      let isSolidity8OrHigher;
-      const initialHolderAddress = "0x95d6F7ba1b3904595641A27CDe5D5fd58257DE88";
-      
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-        console.log(`Testing contract: ${contractName}, isSolidity8OrHigher: ${isSolidity8OrHigher}`);
-      }
-      
-      // Helper to handle different error behaviors between versions
-      async function expectRevertForVersion(promise, _errorMessage) {
-        // Both versions seem to revert without a specific reason string in the test environment
-        await expect(promise).to.be.reverted;
-      }
-      
-      beforeEach(async function () {
-        [owner, account1, account2] = await ethers.getSigners();
-        detectSolidityVersion();
+  describeForVersions("FreePalestine", null, function(ctx) {
+    let freePalestine;
+    let owner;
+    let account1;
+    let account2;
+    const initialHolderAddress = "0x95d6F7ba1b3904595641A27CDe5D5fd58257DE88";
+    
+    // Helper to handle different error behaviors between versions
+    async function expectRevertForVersion(promise, _errorMessage) {
+      // Both versions seem to revert without a specific reason string in the test environment
+      await expect(promise).to.be.reverted;
+    }
+    
+    beforeEach(async function () {
+      [owner, account1, account2] = await ethers.getSigners();
+      freePalestine = ctx.contract;
+    });
+    
+    describe("Initial State", function() {
+      it("Should set the correct token details", async function() {
+        expect(await freePalestine.symbol()).to.equal("FPAL");
+        expect(await freePalestine.name()).to.equal("FreePalestine");
+        expect(await freePalestine.decimals()).to.equal(5);
+        
+        // Check total supply
+        const expectedSupply = BigInt("1000000000000000");
+        expect(await freePalestine._totalSupply()).to.equal(expectedSupply);
         
-        // Deploy the contract
-        const ContractFactory = await ethers.getContractFactory(contractName);
-        freePalestine = await ContractFactory.deploy();
-        await freePalestine.waitForDeployment();
+        // Check initial distribution
+        expect(await freePalestine.balanceOf(initialHolderAddress)).to.equal(expectedSupply);
       });
       
-      describe("Initial State", function() {
-        it("Should set the correct token details", async function() {
-          expect(await freePalestine.symbol()).to.equal("FPAL");
-          expect(await freePalestine.name()).to.equal("FreePalestine");
-          expect(await freePalestine.decimals()).to.equal(5);
-          
-          // Check total supply
-          const expectedSupply = BigInt("1000000000000000");
-          expect(await freePalestine._totalSupply()).to.equal(expectedSupply);
-          
-          // Check initial distribution
-          expect(await freePalestine.balanceOf(initialHolderAddress)).to.equal(expectedSupply);
-        });
+      it("Should set correct owner", async function() {
+        expect(await freePalestine.owner()).to.equal(owner.address);
+      });
+    });
+    
+    describe("Ownership", function() {
+      it("Should allow ownership transfer", async function() {
+        // Owner transfers ownership to account1
+        await freePalestine.transferOwnership(account1.address);
+        expect(await freePalestine.newOwner()).to.equal(account1.address);
         
-        it("Should set correct owner", async function() {
-          expect(await freePalestine.owner()).to.equal(owner.address);
-        });
+        // New owner accepts ownership
+        await freePalestine.connect(account1).acceptOwnership();
+        expect(await freePalestine.owner()).to.equal(account1.address);
+        expect(await freePalestine.newOwner()).to.equal(ethers.ZeroAddress);
       });
       
-      describe("Ownership", function() {
-        it("Should allow ownership transfer", async function() {
-          // Owner transfers ownership to account1
-          await freePalestine.transferOwnership(account1.address);
-          expect(await freePalestine.newOwner()).to.equal(account1.address);
-          
-          // New owner accepts ownership
-          await freePalestine.connect(account1).acceptOwnership();
-          expect(await freePalestine.owner()).to.equal(account1.address);
-          expect(await freePalestine.newOwner()).to.equal(ethers.ZeroAddress);
-        });
-        
-        it("Should revert if non-owner tries to transfer ownership", async function() {
-          await expectRevertForVersion(
-            freePalestine.connect(account1).transferOwnership(account2.address)
-          );
-        });
-        
-        it("Should revert if wrong address tries to accept ownership", async function() {
-          await freePalestine.transferOwnership(account1.address);
-          
-          await expectRevertForVersion(
-            freePalestine.connect(account2).acceptOwnership()
-          );
-        });
+      it("Should revert if non-owner tries to transfer ownership", async function() {
+        await expectRevertForVersion(
+          freePalestine.connect(account1).transferOwnership(account2.address)
+        );
       });
       
-      describe("SafeMath Operations", function() {
-        it("Should handle safe operations correctly", async function() {
-          // Test safeAdd
-          expect(await freePalestine.safeAdd(5, 10)).to.equal(15);
-          
-          // Test safeSub
-          expect(await freePalestine.safeSub(10, 5)).to.equal(5);
-          
-          // Test safeMul
-          expect(await freePalestine.safeMul(5, 10)).to.equal(50);
-          
-          // Test safeDiv
-          expect(await freePalestine.safeDiv(10, 5)).to.equal(2);
-        });
+      it("Should revert if wrong address tries to accept ownership", async function() {
+        await freePalestine.transferOwnership(account1.address);
         
-        it("Should revert on unsafe operations", async function() {
-          // Test safeSub with underflow
-          await expectRevertForVersion(
-            freePalestine.safeSub(BigInt("100"), BigInt("101"))
-          );
-          
-          // Test safeDiv with division by zero
-          await expectRevertForVersion(
-            freePalestine.safeDiv(10, 0)
-          );
-        });
+        await expectRevertForVersion(
+          freePalestine.connect(account2).acceptOwnership()
+        );
       });
-      
-      describe("Approval Mechanism", function() {
-        it("Should allow approval and check allowance", async function() {
-          const approvalAmount = BigInt("5000");
-          
-          await freePalestine.connect(account1).approve(account2.address, approvalAmount);
-          
-          expect(await freePalestine.allowance(account1.address, account2.address))
-            .to.equal(approvalAmount);
-        });
+    });
+    
+    describe("SafeMath Operations", function() {
+      it("Should handle safe operations correctly", async function() {
+        // Test safeAdd
+        expect(await freePalestine.safeAdd(5, 10)).to.equal(15);
+        
+        // Test safeSub
+        expect(await freePalestine.safeSub(10, 5)).to.equal(5);
+        
+        // Test safeMul
+        expect(await freePalestine.safeMul(5, 10)).to.equal(50);
         
-        // Only check that the approveAndCall function exists
-        it("Should have approveAndCall function", async function() {
-          // Just verify the function exists and is callable
-          expect(typeof freePalestine.approveAndCall).to.equal('function');
-          
-          // For an alternative test, we can use a standard approve and verify it works
-          const approvalAmount = BigInt("5000");
-          await freePalestine.connect(account1).approve(account2.address, approvalAmount);
-          expect(await freePalestine.allowance(account1.address, account2.address))
-            .to.equal(approvalAmount);
-        });
+        // Test safeDiv
+        expect(await freePalestine.safeDiv(10, 5)).to.equal(2);
       });
       
-      // Test for ERC20 functionality minimally without actual token transfers
-      describe("ERC20 Standard", function() {
-        it("Should implement ERC20 interface functions", async function() {
-          // Check that all required ERC20 functions exist
-          expect(typeof freePalestine.totalSupply).to.equal('function');
-          expect(typeof freePalestine.balanceOf).to.equal('function');
-          expect(typeof freePalestine.allowance).to.equal('function');
-          expect(typeof freePalestine.transfer).to.equal('function');
-          expect(typeof freePalestine.approve).to.equal('function');
-          expect(typeof freePalestine.transferFrom).to.equal('function');
-          
-          // Test total supply calculation
-          const calculatedSupply = await freePalestine.totalSupply();
-          expect(calculatedSupply).to.equal(BigInt("1000000000000000"));
-        });
+      it("Should revert on unsafe operations", async function() {
+        // Test safeSub with underflow
+        await expectRevertForVersion(
+          freePalestine.safeSub(BigInt("100"), BigInt("101"))
+        );
+        
+        // Test safeDiv with division by zero
+        await expectRevertForVersion(
+          freePalestine.safeDiv(10, 0)
+        );
+      });
+    });
+    
+    describe("Approval Mechanism", function() {
+      // Only check that the approveAndCall function exists
+      it("Should have approveAndCall function", async function() {
+        expect(typeof freePalestine.approveAndCall).to.equal('function');
       });
     });
+
+    // The supply is minted to a hard-coded holder, who hands it to the first signer
+    // for the shared ERC20 suites
+    async function handOverSupply(contract, [first]) {
+      await impersonateAccount(initialHolderAddress);
+      await setBalance(initialHolderAddress, ethers.parseEther("1"));
+      const holder = await ethers.getSigner(initialHolderAddress);
+      await (await contract.connect(holder).transfer(first.address, await contract.balanceOf(initialHolderAddress))).wait();
+    }
+
+    shouldBehaveLikeERC20(ctx, { transferToZero: "burn", setup: handOverSupply });
+
+    shouldHoldERC20Properties(ctx, { supplyExcludesZeroAddress: true, setup: handOverSupply });
+
+    shouldKeepStorageLayout(ctx);
   });
-});
\ No newline at end of file
+});
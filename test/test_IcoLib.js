@@ -1,421 +1,739 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { createRandom } = require("./helpers/random");
+const { INITIAL_BALANCE, createVestingModel } = require("./helpers/vesting");
+const { PHASES, PHASE, BONUS_TIERS, createIcoModel } = require("./helpers/ico");
 
 describe("IcoLib Contract Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
-  
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/IcoLib_legacy.sol:IcoLib");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/IcoLib_upgraded.sol:IcoLib");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/IcoLib_legacy.sol:IcoLib");
-    contractVersions.push("contracts/upgraded/IcoLib_upgraded.sol:IcoLib");
-  }
-
-  // Helper function for version-specific revert expectations
-  function expectRevert(promise, isSolidity8OrHigher, reason) {
-    if (isSolidity8OrHigher) {
-      // For Solidity 0.8+, expect specific revert reason
-      return expect(promise).to.be.revertedWith(reason);
-    } else {
-      // For Solidity 0.4, just expect a revert without checking the reason
-      return expect(promise).to.be.reverted;
-    }
-  }
-
-  // Helper function to handle address(0) syntax differences
-  function getZeroAddress(isSolidity8OrHigher) {
-    return isSolidity8OrHigher ? ethers.ZeroAddress : "0x0000000000000000000000000000000000000000";
-  }
-
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let icoLibContract;
-      let tokenContract;
-      let tokenDBContract;
-      let owner;
-      let user1;
-      let user2;
-      let kycSetter;
-      let rateSetter;
-      let offchainUploader;
-      let isSolidity8OrHigher;
-
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
+  describeForVersions("IcoLib", { deploy: false }, function(ctx) {
+    let icoLibContract;
+    let tokenContract;
+    let tokenDBContract;
+    let owner;
+    let user1;
+    let user2;
+    let kycSetter;
+    let rateSetter;
+    let offchainUploader;
 
-      async function setupTokenContract() {
-        // First, we need to deploy the mock contracts
-        const mockPrefix = isSolidity8OrHigher ? "TokenMockUpgraded" : "TokenMockLegacy";
-        const mockDBPrefix = isSolidity8OrHigher ? "TokenDBMockUpgraded" : "TokenDBMockLegacy";
-        
-        // For TokenDBMock
-        const TokenDBMockFactory = await ethers.getContractFactory(mockDBPrefix);
-        tokenDBContract = await TokenDBMockFactory.deploy(owner.address);
-        await tokenDBContract.waitForDeployment();
+    async function setupTokenContract() {
+      // First, we need to deploy the mock contracts
+      const mockPrefix = ctx.isLegacy ? "TokenMockLegacy" : "TokenMockUpgraded";
+      const mockDBPrefix = ctx.isLegacy ? "TokenDBMockLegacy" : "TokenDBMockUpgraded";
+      
+      // For TokenDBMock
+      tokenDBContract = await ctx.deployArtifact("MockIcoLib", mockDBPrefix, owner.address);
 
-        // For TokenMock
-        const TokenMockFactory = await ethers.getContractFactory(mockPrefix);
-        tokenContract = await TokenMockFactory.deploy(owner.address);
-        await tokenContract.waitForDeployment();
+      // For TokenMock
+      tokenContract = await ctx.deployArtifact("MockIcoLib", mockPrefix, owner.address);
 
-        // Set transfer success to true by default for our tests
-        await tokenContract.setTransferSuccess(true);
-        
-        return tokenContract;
-      }
+      // Set transfer success to true by default for our tests
+      await tokenContract.setTransferSuccess(true);
+      
+      return tokenContract;
+    }
 
-      beforeEach(async function () {
-        [owner, user1, user2, kycSetter, rateSetter, offchainUploader] = await ethers.getSigners();
-        detectSolidityVersion();
+    beforeEach(async function () {
+      [owner, user1, user2, kycSetter, rateSetter, offchainUploader] = await ethers.getSigners();
 
-        // Deploy token contract
-        tokenContract = await setupTokenContract();
+      // Deploy token contract
+      tokenContract = await setupTokenContract();
 
-        // Deploy IcoLib
-        const IcoLibFactory = await ethers.getContractFactory(contractName);
-        icoLibContract = await IcoLibFactory.deploy(
-          owner.address,
-          await tokenContract.getAddress(),
-          offchainUploader.address,
-          kycSetter.address,
-          rateSetter.address
-        );
-        await icoLibContract.waitForDeployment();
+      // Deploy IcoLib
+      icoLibContract = await ctx.deploy(
+        owner.address,
+        await tokenContract.getAddress(),
+        offchainUploader.address,
+        kycSetter.address,
+        rateSetter.address
+      );
 
-        // Connect token to the IcoLib
-        await tokenContract.changeIcoAddress(await icoLibContract.getAddress());
-      });
+      // Connect token to the IcoLib
+      await tokenContract.changeIcoAddress(await icoLibContract.getAddress());
+    });
 
-      describe("Ownership tests", function() {
-        it("should set the owner correctly in constructor", async function() {
-          expect(await icoLibContract.owner()).to.equal(owner.address);
-        });
+    describe("Ownership tests", function() {
+      it("should set the owner correctly in constructor", async function() {
+        expect(await icoLibContract.owner()).to.equal(owner.address);
+      });
 
-        it("should allow owner to replace owner", async function() {
-          await icoLibContract.connect(owner).replaceOwner(user1.address);
-          expect(await icoLibContract.owner()).to.equal(user1.address);
-        });
+      it("should allow owner to replace owner", async function() {
+        await icoLibContract.connect(owner).replaceOwner(user1.address);
+        expect(await icoLibContract.owner()).to.equal(user1.address);
+      });
 
-        it("should revert when non-owner tries to replace owner", async function() {
-          await expectRevert(
-            icoLibContract.connect(user1).replaceOwner(user2.address),
-            isSolidity8OrHigher,
-            "Not owner"
-          );
-        });
+      it("should revert when non-owner tries to replace owner", async function() {
+        await expect(icoLibContract.connect(user1).replaceOwner(user2.address))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not owner" });
       });
+    });
 
-      describe("KYC functionality", function() {
-        it("should allow authorized address to set KYC status", async function() {
-          await icoLibContract.connect(kycSetter).setKYC([user1.address], []);
-          // We need to check if the KYC mapping is updated correctly
-          expect(await icoLibContract.KYC(user1.address)).to.equal(true);
-        });
+    describe("KYC functionality", function() {
+      it("should allow authorized address to set KYC status", async function() {
+        await icoLibContract.connect(kycSetter).setKYC([user1.address], []);
+        // We need to check if the KYC mapping is updated correctly
+        expect(await icoLibContract.KYC(user1.address)).to.equal(true);
+      });
 
-        it("should revert when unauthorized address tries to set KYC", async function() {
-          await expectRevert(
-            icoLibContract.connect(user2).setKYC([user1.address], []),
-            isSolidity8OrHigher,
-            "Not authorized to set KYC"
-          );
-        });
+      it("should revert when unauthorized address tries to set KYC", async function() {
+        await expect(icoLibContract.connect(user2).setKYC([user1.address], []))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not authorized to set KYC" });
+      });
 
-        it("should be able to remove KYC status", async function() {
-          // First add
-          await icoLibContract.connect(kycSetter).setKYC([user1.address], []);
-          expect(await icoLibContract.KYC(user1.address)).to.equal(true);
-          
-          // Then remove
-          await icoLibContract.connect(kycSetter).setKYC([], [user1.address]);
-          expect(await icoLibContract.KYC(user1.address)).to.equal(false);
-        });
+      it("should be able to remove KYC status", async function() {
+        // First add
+        await icoLibContract.connect(kycSetter).setKYC([user1.address], []);
+        expect(await icoLibContract.KYC(user1.address)).to.equal(true);
+        
+        // Then remove
+        await icoLibContract.connect(kycSetter).setKYC([], [user1.address]);
+        expect(await icoLibContract.KYC(user1.address)).to.equal(false);
       });
+    });
 
-      describe("Transfer rights", function() {
-        it("should allow owner to set transfer rights", async function() {
-          await icoLibContract.connect(owner).setTransferRight([user1.address], []);
-          expect(await icoLibContract.transferRight(user1.address)).to.equal(true);
-        });
+    describe("Transfer rights", function() {
+      it("should allow owner to set transfer rights", async function() {
+        await icoLibContract.connect(owner).setTransferRight([user1.address], []);
+        expect(await icoLibContract.transferRight(user1.address)).to.equal(true);
+      });
 
-        it("should revert when non-owner tries to set transfer rights", async function() {
-          await expectRevert(
-            icoLibContract.connect(user1).setTransferRight([user2.address], []),
-            isSolidity8OrHigher,
-            "Not owner"
-          );
-        });
+      it("should revert when non-owner tries to set transfer rights", async function() {
+        await expect(icoLibContract.connect(user1).setTransferRight([user2.address], []))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not owner" });
+      });
 
-        it("should allow checking if transfer is allowed", async function() {
-          await icoLibContract.connect(owner).setTransferRight([user1.address], []);
-          const [success, allowed] = await icoLibContract.allowTransfer(user1.address);
-          expect(success).to.equal(true);
-          expect(allowed).to.equal(true);
-        });
+      it("should allow checking if transfer is allowed", async function() {
+        await icoLibContract.connect(owner).setTransferRight([user1.address], []);
+        const [success, allowed] = await icoLibContract.allowTransfer(user1.address);
+        expect(success).to.equal(true);
+        expect(allowed).to.equal(true);
       });
+    });
 
-      describe("Rate management", function() {
-        it("should allow rate setter to update rate", async function() {
-          const newRate = 2000;
-          await icoLibContract.connect(rateSetter).setCurrentRate(newRate);
-          expect(await icoLibContract.currentRate()).to.equal(newRate);
-        });
+    describe("Rate management", function() {
+      it("should allow rate setter to update rate", async function() {
+        const newRate = 2000;
+        await icoLibContract.connect(rateSetter).setCurrentRate(newRate);
+        expect(await icoLibContract.currentRate()).to.equal(newRate);
+      });
 
-        it("should revert when rate is too low", async function() {
-          const tooLowRate = 100; // Less than currentRateM (1000)
-          await expectRevert(
-            icoLibContract.connect(rateSetter).setCurrentRate(tooLowRate),
-            isSolidity8OrHigher,
-            "Rate too low"
-          );
-        });
+      it("should revert when rate is too low", async function() {
+        const tooLowRate = 100; // Less than currentRateM (1000)
+        await expect(icoLibContract.connect(rateSetter).setCurrentRate(tooLowRate))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Rate too low" });
+      });
 
-        it("should revert when unauthorized user tries to set rate", async function() {
-          const newRate = 2000;
-          await expectRevert(
-            icoLibContract.connect(user1).setCurrentRate(newRate),
-            isSolidity8OrHigher,
-            "Not authorized to set rate"
-          );
-        });
+      it("should revert when unauthorized user tries to set rate", async function() {
+        const newRate = 2000;
+        await expect(icoLibContract.connect(user1).setCurrentRate(newRate))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not authorized to set rate" });
       });
+    });
 
-      describe("Phase management", function() {
-        it("should allow owner to set the phase", async function() {
-          // enum phaseType { pause(0), privateSale1(1), privateSale2(2), sales1(3), sales2(4), sales3(5), sales4(6), preFinish(7), finish(8) }
-          const newPhase = 2; // privateSale2
-          await icoLibContract.connect(owner).setCurrentPhase(newPhase);
-          expect(await icoLibContract.currentPhase()).to.equal(newPhase);
-        });
+    describe("Phase management", function() {
+      it("should allow owner to set the phase", async function() {
+        // enum phaseType { pause(0), privateSale1(1), privateSale2(2), sales1(3), sales2(4), sales3(5), sales4(6), preFinish(7), finish(8) }
+        const newPhase = 2; // privateSale2
+        await icoLibContract.connect(owner).setCurrentPhase(newPhase);
+        expect(await icoLibContract.currentPhase()).to.equal(newPhase);
+      });
 
-        it("should revert when non-owner tries to set phase", async function() {
-          const newPhase = 2;
-          await expectRevert(
-            icoLibContract.connect(user1).setCurrentPhase(newPhase),
-            isSolidity8OrHigher,
-            "Not owner"
-          );
-        });
+      it("should revert when non-owner tries to set phase", async function() {
+        const newPhase = 2;
+        await expect(icoLibContract.connect(user1).setCurrentPhase(newPhase))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not owner" });
       });
+    });
 
-      describe("Vesting functionality", function() {
-        it("should allow owner to set vesting", async function() {
-          const amount = ethers.parseUnits("100", 8); // 100 tokens with 8 decimals
-          const startBlock = await ethers.provider.getBlockNumber() + 10;
-          const endBlock = startBlock + 100;
-          
-          await expect(
-            icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock)
-          ).to.emit(icoLibContract, "VestingDefined")
-            .withArgs(user1.address, amount, startBlock, endBlock);
-            
-          // Verify vesting data was stored correctly
-          const vesting = await icoLibContract.vesting(user1.address);
-          expect(vesting.amount).to.equal(amount);
-          expect(vesting.startBlock).to.equal(startBlock);
-          expect(vesting.endBlock).to.equal(endBlock);
-          expect(vesting.claimedAmount).to.equal(0);
-        });
+    describe("Vesting functionality", function() {
+      it("should allow owner to set vesting", async function() {
+        const amount = ethers.parseUnits("100", 8); // 100 tokens with 8 decimals
+        const startBlock = await ethers.provider.getBlockNumber() + 10;
+        const endBlock = startBlock + 100;
         
-        it("should revert when non-owner tries to set vesting", async function() {
-          const amount = ethers.parseUnits("100", 8);
-          const startBlock = await ethers.provider.getBlockNumber() + 10;
-          const endBlock = startBlock + 100;
+        await expect(
+          icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock)
+        ).to.emit(icoLibContract, "VestingDefined")
+          .withArgs(user1.address, amount, startBlock, endBlock);
           
-          await expectRevert(
-            icoLibContract.connect(user1).setVesting(user2.address, amount, startBlock, endBlock),
-            isSolidity8OrHigher,
-            "Not owner"
-          );
-        });
+        // Verify vesting data was stored correctly
+        const vesting = await icoLibContract.vesting(user1.address);
+        expect(vesting.amount).to.equal(amount);
+        expect(vesting.startBlock).to.equal(startBlock);
+        expect(vesting.endBlock).to.equal(endBlock);
+        expect(vesting.claimedAmount).to.equal(0);
+      });
+      
+      it("should revert when non-owner tries to set vesting", async function() {
+        const amount = ethers.parseUnits("100", 8);
+        const startBlock = await ethers.provider.getBlockNumber() + 10;
+        const endBlock = startBlock + 100;
         
-        it("should revert when end block is not greater than start block", async function() {
-          const amount = ethers.parseUnits("100", 8);
-          const startBlock = await ethers.provider.getBlockNumber() + 10;
-          const endBlock = startBlock; // Equal to start block, should fail
-          
-          await expectRevert(
-            icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock),
-            isSolidity8OrHigher,
-            "End block must be greater than start block"
-          );
-        });
+        await expect(icoLibContract.connect(user1).setVesting(user2.address, amount, startBlock, endBlock))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not owner" });
+      });
+      
+      it("should revert when end block is not greater than start block", async function() {
+        const amount = ethers.parseUnits("100", 8);
+        const startBlock = await ethers.provider.getBlockNumber() + 10;
+        const endBlock = startBlock; // Equal to start block, should fail
         
-        it("should return 0 for vesting calculation when block number is before start block", async function() {
-          const amount = ethers.parseUnits("100", 8);
-          const startBlock = await ethers.provider.getBlockNumber() + 100; // Far in the future
-          const endBlock = startBlock + 100;
-          
-          await icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock);
-          
-          const [success, reward] = await icoLibContract.calcVesting(user1.address);
-          expect(success).to.equal(true);
-          expect(reward).to.equal(0);
-        });
+        await expect(icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "End block must be greater than start block" });
+      });
+      
+      it("should return 0 for vesting calculation when block number is before start block", async function() {
+        const amount = ethers.parseUnits("100", 8);
+        const startBlock = await ethers.provider.getBlockNumber() + 100; // Far in the future
+        const endBlock = startBlock + 100;
         
-        it("should correctly calculate partial vesting", async function() {
-          const amount = ethers.parseUnits("100", 8);
-          const currentBlock = await ethers.provider.getBlockNumber();
-          const startBlock = currentBlock + 1;
-          const endBlock = startBlock + 10;
-          
-          await icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock);
-          
-          // Mine 5 blocks to advance halfway through the vesting period
-          for (let i = 0; i < 6; i++) {
-            await ethers.provider.send("evm_mine");
-          }
-          
-          const [success, reward] = await icoLibContract.calcVesting(user1.address);
-          expect(success).to.equal(true);
-          
-          // Should be approximately 50% vested (5/10)
-          // Don't check the exact amount, just ensure it's above zero and less than full amount
-          expect(reward).to.be.gt(0);
-          expect(reward).to.be.lt(amount);
-        });
+        await icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock);
         
-        it("should allow claiming available vested tokens", async function() {
-          // Create a vesting schedule that starts immediately
-          const amount = ethers.parseUnits("100", 8);
-          const currentBlock = await ethers.provider.getBlockNumber();
-          const startBlock = currentBlock;
-          const endBlock = startBlock + 10;
-          
-          await icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock);
-          
-          // Mine some blocks to create vestable tokens
-          for (let i = 0; i < 5; i++) {
-            await ethers.provider.send("evm_mine");
-          }
-          
-          // Calculate expected amount (approximately)
-          // Skipping this test since it's not consistent across versions
-          // Just check that the transaction doesn't revert
-          await expect(
-            icoLibContract.connect(user1).claimVesting()
-          ).not.to.be.reverted;
-        });
+        const [success, reward] = await icoLibContract.calcVesting(user1.address);
+        expect(success).to.equal(true);
+        expect(reward).to.equal(0);
       });
       
-      describe("Buy and reward calculation", function() {
-        beforeEach(async function() {
-          // Setup ICO for sales
-          await icoLibContract.connect(owner).setCurrentPhase(2); // privateSale2
-          await icoLibContract.connect(kycSetter).setKYC([user1.address], []);
-          
-          // Set a valid rate (not too high to avoid errors)
-          await icoLibContract.connect(rateSetter).setCurrentRate(2000);
-        });
+      it("should correctly calculate partial vesting", async function() {
+        const amount = ethers.parseUnits("100", 8);
+        const currentBlock = await ethers.provider.getBlockNumber();
+        const startBlock = currentBlock + 1;
+        const endBlock = startBlock + 10;
         
-        it("should validate contract's current phase", async function() {
-          expect(await icoLibContract.currentPhase()).to.equal(2); // privateSale2
-        });
+        await icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock);
         
-        it("should validate KYC settings", async function() {
-          expect(await icoLibContract.KYC(user1.address)).to.equal(true);
-          expect(await icoLibContract.KYC(user2.address)).to.equal(false);
-        });
+        // Mine 5 blocks to advance halfway through the vesting period
+        for (let i = 0; i < 6; i++) {
+          await ethers.provider.send("evm_mine");
+        }
         
-        it("should not allow purchase in paused phase", async function() {
-          // Set to pause phase
-          await icoLibContract.connect(owner).setCurrentPhase(0);
-          
-          const ethAmount = ethers.parseEther("1");
-          
-          await expectRevert(
-            icoLibContract.connect(user1).buy({ value: ethAmount }),
-            isSolidity8OrHigher,
-            "Invalid phase for buying"
-          );
-        });
+        const [success, reward] = await icoLibContract.calcVesting(user1.address);
+        expect(success).to.equal(true);
         
-        it("should not allow purchase without KYC", async function() {
-          const ethAmount = ethers.parseEther("1");
-          
-          await expectRevert(
-            icoLibContract.connect(user2).buy({ value: ethAmount }),
-            isSolidity8OrHigher,
-            "KYC not approved"
-          );
-        });
+        // Should be approximately 50% vested (5/10)
+        // Don't check the exact amount, just ensure it's above zero and less than full amount
+        expect(reward).to.be.gt(0);
+        expect(reward).to.be.lt(amount);
       });
       
-      describe("Offchain upload functionality", function() {
-        beforeEach(async function() {
-          // Setup ICO for sales
-          await icoLibContract.connect(owner).setCurrentPhase(2); // privateSale2
-        });
+      it("should allow claiming available vested tokens", async function() {
+        // Create a vesting schedule that starts immediately
+        const amount = ethers.parseUnits("100", 8);
+        const currentBlock = await ethers.provider.getBlockNumber();
+        const startBlock = currentBlock;
+        const endBlock = startBlock + 10;
         
-        it("should allow offchain uploader to distribute tokens", async function() {
-          const recipients = [user1.address, user2.address];
-          const amounts = [ethers.parseUnits("10", 8), ethers.parseUnits("20", 8)];
-          
-          // Skip actual token distribution test since it depends on token implementation
-          // Just check the authorized caller part
-          if (icoLibContract.connect(offchainUploader).offchainUpload) {
-            expect(offchainUploader.address).to.equal(await icoLibContract.offchainUploaderAddress());
+        await icoLibContract.connect(owner).setVesting(user1.address, amount, startBlock, endBlock);
+        
+        // Mine some blocks to create vestable tokens
+        for (let i = 0; i < 5; i++) {
+          await ethers.provider.send("evm_mine");
+        }
+        
+        // Calculate expected amount (approximately)
+        // Skipping this test since it's not consistent across versions
+        // Just check that the transaction doesn't revert
+        await expect(
+          icoLibContract.connect(user1).claimVesting()
+        ).not.to.be.reverted;
+      });
+    });
+
+    describe("Vesting Simulation", function() {
+      let beneficiaries;
+
+      beforeEach(async function() {
+        // Claims come from the beneficiaries themselves, so they must be able to send transactions
+        beneficiaries = (await ethers.getSigners()).slice(6, 12);
+      });
+
+      async function latestBlock() {
+        return BigInt(await ethers.provider.getBlockNumber());
+      }
+
+      // A schedule starting within 20 blocks and lasting up to 80, with dust
+      // amounts now and then to exercise the rounding
+      function randomSchedule(rng, now, maxAmount) {
+        const startBlock = now + BigInt(rng.int(0, 20));
+        const endBlock = startBlock + BigInt(rng.int(1, 80));
+        const amount = rng.bool(0.25)
+          ? rng.bigint(1n, (endBlock - startBlock) * 2n)
+          : rng.bigint(1n, maxAmount);
+        return { amount, startBlock, endBlock };
+      }
+
+      // Define a schedule on both sides; true when the contract took it
+      async function setVesting(model, beneficiary, schedule, where) {
+        const { amount, startBlock, endBlock } = schedule;
+        const expected = model.setVesting(beneficiary, amount, startBlock, endBlock);
+        const call = icoLibContract.connect(owner).setVesting(beneficiary, amount, startBlock, endBlock);
+        if (expected) {
+          await expect(call, where).to.revertForVersion(ctx, expected);
+        } else {
+          await expect(call, where).to.emit(icoLibContract, "VestingDefined")
+            .withArgs(beneficiary, amount, amount === 0n ? 0n : startBlock, amount === 0n ? 0n : endBlock);
+        }
+        return expected === null;
+      }
+
+      // Claim for `beneficiary` and return what the contract paid, checked against the model
+      async function claim(model, beneficiary, where) {
+        const blockNumber = (await latestBlock()) + 1n;
+        const reward = model.claimable(beneficiary.address, blockNumber);
+        const before = (await icoLibContract.vesting(beneficiary.address)).claimedAmount;
+        const expected = model.claimVesting(beneficiary.address, blockNumber);
+        const call = icoLibContract.connect(beneficiary).claimVesting();
+        if (expected) {
+          await expect(call, where).to.revertForVersion(ctx, expected);
+          return 0n;
+        }
+        if (ctx.isLegacy) {
+          // The legacy claimVesting declares VestingClaimed but never emits it
+          await expect(call, where).not.to.be.reverted;
+        } else {
+          await expect(call, where).to.emit(icoLibContract, "VestingClaimed").withArgs(beneficiary.address, reward);
+        }
+        const paid = (await icoLibContract.vesting(beneficiary.address)).claimedAmount - before;
+        expect(paid, `${where}: claimed amount`).to.equal(reward);
+        return paid;
+      }
+
+      // Every schedule, calcVesting and thisBalance against the model at the latest block
+      async function expectMatchesModel(model, where) {
+        const blockNumber = await latestBlock();
+        for (const beneficiary of beneficiaries) {
+          const { amount, startBlock, endBlock, claimedAmount } = await icoLibContract.vesting(beneficiary.address);
+          expect({ amount, startBlock, endBlock, claimedAmount }, `${where}: schedule of ${beneficiary.address}`)
+            .to.deep.equal(model.vesting(beneficiary.address));
+          const [success, reward] = await icoLibContract.calcVesting(beneficiary.address);
+          expect(success, where).to.equal(true);
+          expect(reward, `${where}: calcVesting of ${beneficiary.address}`)
+            .to.equal(model.claimable(beneficiary.address, blockNumber));
+        }
+        expect(await icoLibContract.thisBalance(), `${where}: thisBalance`).to.equal(model.thisBalance());
+      }
+
+      // Mine past every end block, claim whatever is left and check that each
+      // schedule was paid exactly its amount
+      async function settle(model, paid, where) {
+        const lastEnd = model.beneficiaries()
+          .map(address => model.vesting(address).endBlock)
+          .reduce((last, endBlock) => (endBlock > last ? endBlock : last), 0n);
+        const now = await latestBlock();
+        if (lastEnd > now) {
+          await mine(lastEnd - now);
+        }
+        for (const beneficiary of beneficiaries) {
+          const { amount } = model.vesting(beneficiary.address);
+          if (model.claimable(beneficiary.address, (await latestBlock()) + 1n) > 0n) {
+            paid.set(beneficiary, paid.get(beneficiary) + await claim(model, beneficiary, `${where}, final claim`));
           }
-        });
+          expect(paid.get(beneficiary), `${where}: total claimed by ${beneficiary.address}`).to.equal(amount);
+          expect((await icoLibContract.vesting(beneficiary.address)).claimedAmount, where).to.equal(amount);
+        }
+        await expectMatchesModel(model, `${where}, settled`);
+      }
+
+      it("should pay every schedule in full over irregular claims", async function() {
+        const rng = createRandom();
+        const model = createVestingModel();
+        const paid = new Map(beneficiaries.map(beneficiary => [beneficiary, 0n]));
+        const now = await latestBlock();
+        for (const beneficiary of beneficiaries) {
+          await setVesting(model, beneficiary.address, randomSchedule(rng, now, INITIAL_BALANCE / 10n),
+            `seed ${rng.seed}, schedule of ${beneficiary.address}`);
+        }
+        const total = model.beneficiaries().reduce((sum, address) => sum + model.vesting(address).amount, 0n);
+        expect(await icoLibContract.thisBalance()).to.equal(INITIAL_BALANCE - total);
+
+        // Claims at random gaps, including several in a row and some before the start
+        for (let step = 0; (await latestBlock()) < now + 100n; step++) {
+          const where = `seed ${rng.seed}, step ${step}`;
+          const gap = rng.weighted({ none: 3, short: 4, long: 1 });
+          if (gap !== "none") {
+            await mine(gap === "short" ? rng.int(1, 5) : rng.int(10, 30));
+          }
+          const beneficiary = rng.pick(beneficiaries);
+          const reward = await claim(model, beneficiary, `${where}: claim by ${beneficiary.address}`);
+          paid.set(beneficiary, paid.get(beneficiary) + reward);
+          await expectMatchesModel(model, where);
+        }
+
+        await settle(model, paid, `seed ${rng.seed}`);
+        // Claims do not touch thisBalance: vested tokens left it when the schedules were set
+        expect(await icoLibContract.thisBalance()).to.equal(INITIAL_BALANCE - total);
+      });
+
+      it("should give unclaimed tokens back when schedules are redefined or removed", async function() {
+        const rng = createRandom();
+        const model = createVestingModel();
+        // Claimed under the current schedule of each beneficiary, and under the ones replaced
+        const paid = new Map(beneficiaries.map(beneficiary => [beneficiary, 0n]));
+        let paidBeforeReplacement = 0n;
+
+        for (let step = 0; step < 60; step++) {
+          const where = `seed ${rng.seed}, step ${step}`;
+          const beneficiary = rng.pick(beneficiaries);
+          const now = await latestBlock();
+          switch (rng.weighted({ define: 3, remove: 1, invalid: 1, claim: 5, mine: 2 })) {
+            case "define": {
+              // Up to the whole remaining balance and then some, to hit the subtraction overflow
+              const available = model.thisBalance() + model.vesting(beneficiary.address).amount
+                - model.vesting(beneficiary.address).claimedAmount;
+              const schedule = randomSchedule(rng, now, available + available / 20n + 1n);
+              if (await setVesting(model, beneficiary.address, schedule, `${where}: redefine ${beneficiary.address}`)) {
+                paidBeforeReplacement += paid.get(beneficiary);
+                paid.set(beneficiary, 0n);
+              }
+              break;
+            }
+            case "remove":
+              await setVesting(model, beneficiary.address, { amount: 0n, startBlock: 0n, endBlock: 0n },
+                `${where}: remove ${beneficiary.address}`);
+              paidBeforeReplacement += paid.get(beneficiary);
+              paid.set(beneficiary, 0n);
+              break;
+            case "invalid": {
+              const startBlock = now + BigInt(rng.int(0, 20));
+              const endBlock = startBlock - BigInt(rng.int(0, 1));
+              await setVesting(model, beneficiary.address, { amount: 1n, startBlock, endBlock },
+                `${where}: invalid schedule for ${beneficiary.address}`);
+              break;
+            }
+            case "claim": {
+              const reward = await claim(model, beneficiary, `${where}: claim by ${beneficiary.address}`);
+              paid.set(beneficiary, paid.get(beneficiary) + reward);
+              break;
+            }
+            default:
+              await mine(rng.int(1, 15));
+          }
+          await expectMatchesModel(model, where);
+        }
+
+        await settle(model, paid, `seed ${rng.seed}`);
+        const total = model.beneficiaries().reduce((sum, address) => sum + model.vesting(address).amount, 0n);
+        // Only what was actually claimed has left for good
+        expect(await icoLibContract.thisBalance()).to.equal(INITIAL_BALANCE - total - paidBeforeReplacement);
+      });
+    });
+    
+    describe("Buy and reward calculation", function() {
+      beforeEach(async function() {
+        // Setup ICO for sales
+        await icoLibContract.connect(owner).setCurrentPhase(2); // privateSale2
+        await icoLibContract.connect(kycSetter).setKYC([user1.address], []);
         
-        it("should revert when arrays have different lengths", async function() {
-          const recipients = [user1.address, user2.address];
-          const amounts = [ethers.parseUnits("10", 8)]; // Only one amount
-          
-          await expectRevert(
-            icoLibContract.connect(offchainUploader).offchainUpload(recipients, amounts),
-            isSolidity8OrHigher,
-            "Array length mismatch"
-          );
-        });
+        // Set a valid rate (not too high to avoid errors)
+        await icoLibContract.connect(rateSetter).setCurrentRate(2000);
+      });
+      
+      it("should validate contract's current phase", async function() {
+        expect(await icoLibContract.currentPhase()).to.equal(2); // privateSale2
+      });
+      
+      it("should validate KYC settings", async function() {
+        expect(await icoLibContract.KYC(user1.address)).to.equal(true);
+        expect(await icoLibContract.KYC(user2.address)).to.equal(false);
+      });
+      
+      it("should not allow purchase in paused phase", async function() {
+        // Set to pause phase
+        await icoLibContract.connect(owner).setCurrentPhase(0);
         
-        it("should revert when unauthorized address tries to upload", async function() {
-          const recipients = [user1.address];
-          const amounts = [ethers.parseUnits("10", 8)];
-          
-          await expectRevert(
-            icoLibContract.connect(user1).offchainUpload(recipients, amounts),
-            isSolidity8OrHigher,
-            "Not authorized for offchain upload"
-          );
-        });
+        const ethAmount = ethers.parseEther("1");
         
-        it("should revert when ICO is in pause or finish phase", async function() {
-          await icoLibContract.connect(owner).setCurrentPhase(0); // pause
-          
-          const recipients = [user1.address];
-          const amounts = [ethers.parseUnits("10", 8)];
-          
-          await expectRevert(
-            icoLibContract.connect(offchainUploader).offchainUpload(recipients, amounts),
-            isSolidity8OrHigher,
-            "Invalid phase"
-          );
-        });
+        await expect(icoLibContract.connect(user1).buy({ value: ethAmount }))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid phase for buying" });
       });
       
-      describe("Address handling", function() {
-        it("should reject zero address in vesting", async function() {
-          const amount = ethers.parseUnits("100", 8); 
-          const startBlock = await ethers.provider.getBlockNumber() + 10;
-          const endBlock = startBlock + 100;
-          const zeroAddress = getZeroAddress(isSolidity8OrHigher);
-          
-          await expectRevert(
-            icoLibContract.connect(owner).setVesting(zeroAddress, amount, startBlock, endBlock),
-            isSolidity8OrHigher,
-            "Invalid beneficiary address"
-          );
+      it("should not allow purchase without KYC", async function() {
+        const ethAmount = ethers.parseEther("1");
+        
+        await expect(icoLibContract.connect(user2).buy({ value: ethAmount }))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "KYC not approved" });
+      });
+    });
+    
+    describe("Offchain upload functionality", function() {
+      beforeEach(async function() {
+        // Setup ICO for sales
+        await icoLibContract.connect(owner).setCurrentPhase(2); // privateSale2
+      });
+      
+      it("should allow offchain uploader to distribute tokens", async function() {
+        const recipients = [user1.address, user2.address];
+        const amounts = [ethers.parseUnits("10", 8), ethers.parseUnits("20", 8)];
+        
+        // Skip actual token distribution test since it depends on token implementation
+        // Just check the authorized caller part
+        if (icoLibContract.connect(offchainUploader).offchainUpload) {
+          expect(offchainUploader.address).to.equal(await icoLibContract.offchainUploaderAddress());
+        }
+      });
+      
+      it("should revert when arrays have different lengths", async function() {
+        const recipients = [user1.address, user2.address];
+        const amounts = [ethers.parseUnits("10", 8)]; // Only one amount
+        
+        await expect(icoLibContract.connect(offchainUploader).offchainUpload(recipients, amounts))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Array length mismatch" });
+      });
+      
+      it("should revert when unauthorized address tries to upload", async function() {
+        const recipients = [user1.address];
+        const amounts = [ethers.parseUnits("10", 8)];
+        
+        await expect(icoLibContract.connect(user1).offchainUpload(recipients, amounts))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not authorized for offchain upload" });
+      });
+      
+      it("should revert when ICO is in pause or finish phase", async function() {
+        await icoLibContract.connect(owner).setCurrentPhase(0); // pause
+        
+        const recipients = [user1.address];
+        const amounts = [ethers.parseUnits("10", 8)];
+        
+        await expect(icoLibContract.connect(offchainUploader).offchainUpload(recipients, amounts))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid phase" });
+      });
+    });
+
+    describe("ICO Lifecycle", function() {
+      let buyers;
+      let model;
+
+      beforeEach(async function() {
+        buyers = (await ethers.getSigners()).slice(6, 10);
+        for (const buyer of buyers) {
+          await setBalance(buyer.address, ethers.parseEther("1000000"));
+        }
+        model = createIcoModel({
+          owner: owner.address,
+          offchainUploader: offchainUploader.address,
+          kycSetter: kycSetter.address,
+          rateSetter: rateSetter.address,
+          isLegacy: ctx.isLegacy
         });
       });
+
+      async function play(expected, call, where) {
+        if (expected) {
+          await expect(call, where).to.revertForVersion(ctx, expected);
+        } else {
+          await expect(call, where).not.to.be.reverted;
+        }
+      }
+
+      async function setPhase(sender, name, where) {
+        await play(model.setCurrentPhase(sender.address, name),
+          icoLibContract.connect(sender).setCurrentPhase(PHASE[name]), where);
+      }
+
+      async function setRate(sender, rate, where) {
+        await play(model.setCurrentRate(sender.address, rate), icoLibContract.connect(sender).setCurrentRate(rate), where);
+      }
+
+      async function setKYC(on, off, where) {
+        const addresses = signers => signers.map(signer => signer.address);
+        await play(model.setKYC(kycSetter.address, addresses(on), addresses(off)),
+          icoLibContract.connect(kycSetter).setKYC(addresses(on), addresses(off)), where);
+      }
+
+      // Buy with `value` wei and return the tokens received, checked against the model
+      async function buy(buyer, value, where) {
+        const reward = model.calculateReward(value);
+        const [success, calculated] = await icoLibContract.calculateReward(value);
+        expect(success, where).to.equal(true);
+        expect(calculated, `${where}: calculateReward(${value})`).to.equal(reward);
+
+        const expected = model.buy(buyer.address, value);
+        const call = icoLibContract.connect(buyer).buy({ value });
+        if (expected) {
+          await expect(call, `${where}: buy(${value})`).to.revertForVersion(ctx, expected);
+          return 0n;
+        }
+        await expect(call, where).to.emit(icoLibContract, "Brought").withArgs(buyer.address, buyer.address, value, reward);
+        // The ether goes straight through to the owner
+        await expect(call, where).to.changeEtherBalances([buyer, owner, icoLibContract], [-value, value, 0n]);
+        return reward;
+      }
+
+      // Upload rewards from the off-chain sale and return their total when accepted
+      async function upload(beneficiaries, rewards, where) {
+        const addresses = beneficiaries.map(beneficiary => beneficiary.address);
+        const expected = model.offchainUpload(offchainUploader.address, addresses, rewards);
+        const call = icoLibContract.connect(offchainUploader).offchainUpload(addresses, rewards);
+        if (expected) {
+          await expect(call, `${where}: upload`).to.revertForVersion(ctx, expected);
+          return 0n;
+        }
+        for (const [index, address] of addresses.entries()) {
+          await expect(call, `${where}: upload`).to.emit(icoLibContract, "Brought")
+            .withArgs(offchainUploader.address, address, 0n, rewards[index]);
+        }
+        return rewards.reduce((sum, reward) => sum + reward, 0n);
+      }
+
+      async function expectMatchesModel(where) {
+        expect(await icoLibContract.currentPhase(), `${where}: phase`).to.equal(model.phase());
+        expect(await icoLibContract.currentRate(), `${where}: rate`).to.equal(model.rate());
+        expect(await icoLibContract.thisBalance(), `${where}: thisBalance`).to.equal(model.thisBalance());
+        expect(await icoLibContract.privateSale1Hardcap(), `${where}: privateSale1 hardcap`)
+          .to.equal(model.hardcap("privateSale1"));
+        expect(await icoLibContract.privateSale2Hardcap(), `${where}: privateSale2 hardcap`)
+          .to.equal(model.hardcap("privateSale2"));
+        for (const buyer of buyers) {
+          expect(await icoLibContract.KYC(buyer.address), `${where}: KYC of ${buyer.address}`)
+            .to.equal(model.hasKYC(buyer.address));
+        }
+      }
+
+      it("should walk every phase with KYC'd buyers, rate changes and uploads", async function() {
+        const rng = createRandom();
+        const verified = buyers.slice(0, 3);
+        let distributed = 0n;
+        await setKYC(verified, [], "initial KYC");
+
+        for (const name of PHASES) {
+          const where = `seed ${rng.seed}, ${name}`;
+          await setPhase(user1, name, `${where}: phase set by a stranger`);
+          await setPhase(owner, name, where);
+          // Between 1000 and 5000 dollars per ether
+          await setRate(rateSetter, BigInt(rng.int(1000, 5000)) * 1000n, where);
+
+          // The smallest input reaching each bonus tier, and one wei less
+          for (const [minimum] of BONUS_TIERS[name] || []) {
+            const input = model.inputFor(minimum);
+            for (const value of [input - 1n, input]) {
+              distributed += await buy(rng.pick(verified), value, `${where}, tier ${minimum}`);
+            }
+          }
+          for (let i = 0; i < 3; i++) {
+            distributed += await buy(rng.pick(buyers), rng.bigint(1n, ethers.parseEther("100")), `${where}, buy ${i}`);
+          }
+
+          const recipients = rng.shuffle(buyers).slice(0, rng.int(1, 3));
+          distributed += await upload(recipients, recipients.map(() => rng.bigint(1n, 10n ** 13n)), where);
+          await expectMatchesModel(where);
+
+          if (name === "sales2") {
+            // A buyer losing KYC halfway through the public sale
+            await setKYC([], [verified[0]], where);
+            await expectMatchesModel(`${where}, KYC revoked`);
+          }
+        }
+
+        expect(await icoLibContract.thisBalance()).to.equal(INITIAL_BALANCE - distributed);
+        // Once the sale is over everyone may transfer
+        const [, allowed] = await icoLibContract.allowTransfer(user2.address);
+        expect(allowed).to.equal(true);
+      });
+
+      it("should only take rates from the rate setter, and no lower than 1000", async function() {
+        await setKYC(buyers, [], "KYC");
+        await setPhase(owner, "sales1", "sales1");
+        await setRate(rateSetter, 1000n, "lowest rate");
+        const value = ethers.parseEther("10");
+        const atLowest = await buy(buyers[0], value, "at the lowest rate");
+
+        await setRate(user1, 4000n, "rate set by a stranger");
+        await setRate(owner, 4000n, "rate set by the owner");
+        await setRate(rateSetter, 999n, "rate below the minimum");
+        await expectMatchesModel("after the refused rates");
+
+        await setRate(rateSetter, 4000n, "four times the rate");
+        expect(await buy(buyers[1], value, "at four times the rate")).to.equal(atLowest * 4n);
+        await expectMatchesModel("end");
+      });
+
+      it("should stop rewards at the private sale hardcaps and the remaining balance", async function() {
+        await setKYC(buyers, [], "KYC");
+        await setRate(rateSetter, 10n ** 6n, "rate");
+
+        // privateSale1 only sells off-chain; rewards above what is left of the hardcap come out as 0
+        await setPhase(owner, "privateSale1", "privateSale1");
+        const hardcap1 = model.hardcap("privateSale1");
+        await upload([buyers[0]], [hardcap1 - 10n ** 13n], "privateSale1 almost full");
+        await buy(buyers[1], model.inputFor(2n * 10n ** 13n), "privateSale1 buy");
+        await upload([buyers[0], buyers[1]], [10n ** 13n, 1n], "privateSale1 over the hardcap");
+        await upload([buyers[0], buyers[1]], [10n ** 13n - 1n, 1n], "privateSale1 up to the hardcap");
+        await expectMatchesModel("privateSale1 sold out");
+        expect(model.hardcap("privateSale1")).to.equal(0n);
+
+        await setPhase(owner, "privateSale2", "privateSale2");
+        const topTier = model.inputFor(125n * 10n ** 13n);
+        const bought = await buy(buyers[1], topTier, "privateSale2 top tier");
+        expect(bought).to.equal(model.baseAmount(topTier) * 129n / 100n);
+        await upload([buyers[2]], [model.hardcap("privateSale2") - bought + 1n], "privateSale2 upload");
+        await buy(buyers[3], topTier, "privateSale2 above the hardcap");
+        await buy(buyers[3], model.inputFor(10n * 10n ** 13n), "privateSale2 lowest tier, within what is left");
+        await expectMatchesModel("privateSale2 nearly sold out");
+
+        // A rate high enough for a single purchase to exceed the balance
+        await setPhase(owner, "sales1", "sales1");
+        await setRate(rateSetter, 10n ** 12n, "very high rate");
+        const rest = model.thisBalance();
+        await buy(buyers[0], model.inputFor(rest), "sales1 above the balance");
+        const fitting = model.inputFor(rest * 100n / 117n) - 1n;
+        const sold = await buy(buyers[0], fitting, "sales1 within the balance");
+        expect(sold).to.be.greaterThan(0n);
+        await upload([buyers[1]], [model.thisBalance() + 1n], "upload above the balance");
+        await upload([buyers[1]], [model.thisBalance()], "upload of the balance");
+        expect(model.thisBalance()).to.equal(0n);
+        await buy(buyers[2], ethers.parseEther("1"), "sold out");
+        await expectMatchesModel("sold out");
+      });
+
+      it("should keep the ether when the token refuses the transfer", async function() {
+        await setKYC([buyers[0]], [], "KYC");
+        await setPhase(owner, "sales3", "sales3");
+        await setRate(rateSetter, 2000n * 1000n, "rate");
+
+        await tokenContract.setTransferSuccess(false);
+        model.setTransferSuccess(false);
+        const ownerBalance = await ethers.provider.getBalance(owner.address);
+        await buy(buyers[0], ethers.parseEther("1"), "buy with a failing token");
+        expect(await ethers.provider.getBalance(owner.address)).to.equal(ownerBalance);
+        // The legacy upload ignores what bulkTransfer returns
+        await upload([buyers[1]], [10n ** 12n], "upload with a failing token");
+        await expectMatchesModel("failing token");
+
+        await tokenContract.setTransferSuccess(true);
+        model.setTransferSuccess(true);
+        await buy(buyers[0], ethers.parseEther("1"), "buy once the token works again");
+        await expectMatchesModel("token working again");
+      });
+
+      it("should buy with plain ether sent to the contract", async function() {
+        await setKYC([buyers[0]], [], "KYC");
+        await setPhase(owner, "sales4", "sales4");
+        await setRate(rateSetter, 3000n * 1000n, "rate");
+        const value = ethers.parseEther("2");
+        const reward = model.calculateReward(value);
+        expect(model.buy(buyers[0].address, value)).to.equal(null);
+
+        const call = buyers[0].sendTransaction({ to: await icoLibContract.getAddress(), value });
+        await expect(call).to.emit(icoLibContract, "Brought").withArgs(buyers[0].address, buyers[0].address, value, reward);
+        await expect(call).to.changeEtherBalances([buyers[0], owner], [-value, value]);
+        await expectMatchesModel("after the transfer");
+      });
     });
+    
+    describe("Address handling", function() {
+      it("should reject zero address in vesting", async function() {
+        const amount = ethers.parseUnits("100", 8); 
+        const startBlock = await ethers.provider.getBlockNumber() + 10;
+        const endBlock = startBlock + 100;
+        await expect(icoLibContract.connect(owner).setVesting(ethers.ZeroAddress, amount, startBlock, endBlock))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid beneficiary address" });
+      });
+    });
+
+    shouldKeepStorageLayout(ctx, { contracts: ["IcoLib", "Token", "TokenDB"] });
   });
 });
@@ -1,406 +1,556 @@
 const { ethers } = require("hardhat");
 const { expect } = require("chai");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { createRandom } = require("./helpers/random");
+const { createPonderModel } = require("./helpers/ponder");
 
 describe("PonderAirdropToken Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
-  
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/PonderAirdropToken_legacy.sol:PonderAirdropToken");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/PonderAirdropToken_upgraded.sol:PonderAirdropToken");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/PonderAirdropToken_legacy.sol:PonderAirdropToken");
-    contractVersions.push("contracts/upgraded/PonderAirdropToken_upgraded.sol:PonderAirdropToken");
-  }
-
   // Helper function to parse large numbers
   function parseTokenAmount(amount) {
     return ethers.parseUnits(amount.toString(), 18);
   }
   
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let token;
-      let owner;
-      let account1;
-      let account2;
-      let isSolidity8OrHigher;
+  describeForVersions("PonderAirdropToken", null, function(ctx) {
+    let token;
+    let owner;
+    let account1;
+    let account2;
+    
+    beforeEach(async function () {
+      [owner, account1, account2] = await ethers.getSigners();
+      token = ctx.contract;
+    });
+    
+    describe("Basic Token Information", function() {
+      it("should have the correct name", async function() {
+        expect(await token.name()).to.equal("Ponder Airdrop Token");
+      });
       
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
-
-      // Helper to handle different error patterns between versions
-      async function expectRevert(promise, errorMessage) {
-        if (isSolidity8OrHigher) {
-          // In Solidity 0.8+, errors have better messages
-          await expect(promise).to.be.revertedWith(errorMessage);
-        } else {
-          // In older Solidity, errors often just revert without a message
-          await expect(promise).to.be.reverted;
-        }
-      }
+      it("should have the correct symbol", async function() {
+        expect(await token.symbol()).to.equal("PONA");
+      });
       
-      beforeEach(async function () {
-        [owner, account1, account2] = await ethers.getSigners();
-        detectSolidityVersion();
+      it("should have 18 decimals", async function() {
+        expect(await token.decimals()).to.equal(18);
+      });
+      
+      it("should have correct total supply", async function() {
+        const expectedSupply = parseTokenAmount(480000000);
+        expect(await token.totalSupply()).to.equal(expectedSupply);
+      });
+    });
+    
+    describe("Initial State", function() {
+      it("should assign all tokens to the owner", async function() {
+        const totalSupply = await token.totalSupply();
+        expect(await token.balanceOf(owner.address)).to.equal(totalSupply);
+      });
+      
+      it("should set the deployer as an owner", async function() {
+        // Owner check is done by testing if they can freeze transfers
+        await token.freezeTransfers();
+        const initialTransferResult = await token.transfer(account1.address, parseTokenAmount(1));
+        expect(initialTransferResult.wait).to.be.a('function'); // Just checking the transaction went through
         
-        const ContractFactory = await ethers.getContractFactory(contractName);
-        token = await ContractFactory.deploy();
-        await token.waitForDeployment();
+        // Transfer should fail now
+        await expect(token.connect(account1).transfer(account2.address, parseTokenAmount(1))).to.be.revertedWithoutReason;
+      });
+    });
+    
+    describe("Owner Management", function() {
+      it("should allow adding new owners", async function() {
+        await token.setOwner(account1.address, true);
+        
+        // Test if the new owner can execute an owner-only function
+        await token.connect(account1).freezeTransfers();
+        await token.connect(account1).unfreezeTransfers();
       });
       
-      describe("Basic Token Information", function() {
-        it("should have the correct name", async function() {
-          expect(await token.name()).to.equal("Ponder Airdrop Token");
-        });
+      it("should allow removing owners", async function() {
+        // First make account1 an owner
+        await token.setOwner(account1.address, true);
         
-        it("should have the correct symbol", async function() {
-          expect(await token.symbol()).to.equal("PONA");
-        });
+        // Then remove them
+        await token.setOwner(account1.address, false);
         
-        it("should have 18 decimals", async function() {
-          expect(await token.decimals()).to.equal(18);
-        });
+        // Test that ex-owner can't execute owner-only functions
+        await expect(token.connect(account1).freezeTransfers())
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Not an owner" });
+      });
+      
+      it("should prevent owner from removing themselves", async function() {
+        await expect(token.setOwner(owner.address, false))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Cannot remove yourself as owner" });
+      });
+    });
+    
+    describe("Token Transfers", function() {
+      beforeEach(async function() {
+        // Transfer some tokens to account1
+        await token.transfer(account1.address, parseTokenAmount(1000));
+      });
+      
+      it("should allow token transfers", async function() {
+        const transferAmount = parseTokenAmount(100);
+        await token.connect(account1).transfer(account2.address, transferAmount);
         
-        it("should have correct total supply", async function() {
-          const expectedSupply = parseTokenAmount(480000000);
-          expect(await token.totalSupply()).to.equal(expectedSupply);
-        });
+        expect(await token.balanceOf(account2.address)).to.equal(transferAmount);
+        expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(900));
       });
       
-      describe("Initial State", function() {
-        it("should assign all tokens to the owner", async function() {
-          const totalSupply = await token.totalSupply();
-          expect(await token.balanceOf(owner.address)).to.equal(totalSupply);
-        });
+      it("should prevent transfers when frozen", async function() {
+        await token.freezeTransfers();
+        const transferAmount = parseTokenAmount(100);
         
-        it("should set the deployer as an owner", async function() {
-          // Owner check is done by testing if they can freeze transfers
-          await token.freezeTransfers();
-          const initialTransferResult = await token.transfer(account1.address, parseTokenAmount(1));
-          expect(initialTransferResult.wait).to.be.a('function'); // Just checking the transaction went through
-          
-          // Transfer should fail now
-          await expect(token.connect(account1).transfer(account2.address, parseTokenAmount(1))).to.be.revertedWithoutReason;
-        });
+        // Direct transfer should fail
+        const tx = await token.connect(account1).transfer(account2.address, transferAmount);
+        expect(await tx.wait()).to.not.be.undefined;
+        
+        // Balance should remain unchanged
+        expect(await token.balanceOf(account2.address)).to.equal(0);
+        expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(1000));
       });
       
-      describe("Owner Management", function() {
-        it("should allow adding new owners", async function() {
-          await token.setOwner(account1.address, true);
-          
-          // Test if the new owner can execute an owner-only function
-          await token.connect(account1).freezeTransfers();
-          await token.connect(account1).unfreezeTransfers();
-        });
+      it("should allow transfers after unfreezing", async function() {
+        await token.freezeTransfers();
+        await token.unfreezeTransfers();
         
-        it("should allow removing owners", async function() {
-          // First make account1 an owner
-          await token.setOwner(account1.address, true);
-          
-          // Then remove them
-          await token.setOwner(account1.address, false);
-          
-          // Test that ex-owner can't execute owner-only functions
-          if (isSolidity8OrHigher) {
-            await expect(token.connect(account1).freezeTransfers())
-              .to.be.revertedWith("Not an owner");
-          } else {
-            await expect(token.connect(account1).freezeTransfers())
-              .to.be.reverted;
-          }
-        });
+        const transferAmount = parseTokenAmount(100);
+        await token.connect(account1).transfer(account2.address, transferAmount);
         
-        it("should prevent owner from removing themselves", async function() {
-          if (isSolidity8OrHigher) {
-            await expect(token.setOwner(owner.address, false))
-              .to.be.revertedWith("Cannot remove yourself as owner");
-          } else {
-            await expect(token.setOwner(owner.address, false))
-              .to.be.reverted;
-          }
-        });
+        expect(await token.balanceOf(account2.address)).to.equal(transferAmount);
+      });
+    });
+    
+    describe("Token Holds", function() {
+      beforeEach(async function() {
+        // Transfer some tokens to account1
+        await token.transfer(account1.address, parseTokenAmount(1000));
       });
       
-      describe("Token Transfers", function() {
-        beforeEach(async function() {
-          // Transfer some tokens to account1
-          await token.transfer(account1.address, parseTokenAmount(1000));
-        });
+      it("should properly track transferrable balance", async function() {
+        // Initially all balance should be transferrable
+        expect(await token.transferrableBalanceOf(account1.address)).to.equal(parseTokenAmount(1000));
         
-        it("should allow token transfers", async function() {
-          const transferAmount = parseTokenAmount(100);
-          await token.connect(account1).transfer(account2.address, transferAmount);
-          
-          expect(await token.balanceOf(account2.address)).to.equal(transferAmount);
-          expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(900));
-        });
+        // Set a hold of 300 tokens
+        await token.setHolds([account1.address], [parseTokenAmount(300)]);
         
-        it("should prevent transfers when frozen", async function() {
-          await token.freezeTransfers();
-          const transferAmount = parseTokenAmount(100);
-          
-          // Direct transfer should fail
-          const tx = await token.connect(account1).transfer(account2.address, transferAmount);
-          expect(await tx.wait()).to.not.be.undefined;
-          
-          // Balance should remain unchanged
-          expect(await token.balanceOf(account2.address)).to.equal(0);
-          expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(1000));
-        });
+        // Transferrable balance should be reduced
+        expect(await token.transferrableBalanceOf(account1.address)).to.equal(parseTokenAmount(700));
+      });
+      
+      it("should prevent transfers exceeding transferrable balance", async function() {
+        // Set a hold of 800 tokens
+        await token.setHolds([account1.address], [parseTokenAmount(800)]);
         
-        it("should allow transfers after unfreezing", async function() {
-          await token.freezeTransfers();
-          await token.unfreezeTransfers();
-          
-          const transferAmount = parseTokenAmount(100);
-          await token.connect(account1).transfer(account2.address, transferAmount);
-          
-          expect(await token.balanceOf(account2.address)).to.equal(transferAmount);
-        });
+        // Try to transfer more than the transferrable balance
+        await expect(token.connect(account1).transfer(account2.address, parseTokenAmount(300)))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Insufficient transferable balance" });
+        
+        // Should allow transfer within transferrable balance
+        await token.connect(account1).transfer(account2.address, parseTokenAmount(200));
+        expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(200));
+      });
+    });
+    
+    describe("Account Management", function() {
+      it("should track account holders", async function() {
+        // Initially only owner should be tracked
+        expect(await token.getNumAccounts()).to.equal(1);
+        
+        // After transfer to another account, should track that account too
+        await token.transfer(account1.address, parseTokenAmount(100));
+        expect(await token.getNumAccounts()).to.equal(2);
+        
+        // Getting the list of accounts
+        const accounts = await token.getAccounts(0, 2);
+        expect(accounts[0]).to.equal(owner.address);
+        expect(accounts[1]).to.equal(account1.address);
       });
       
-      describe("Token Holds", function() {
-        beforeEach(async function() {
-          // Transfer some tokens to account1
-          await token.transfer(account1.address, parseTokenAmount(1000));
-        });
+      it("should initialize accounts in batch", async function() {
+        const addresses = [account1.address, account2.address];
+        const amounts = [parseTokenAmount(500), parseTokenAmount(300)];
         
-        it("should properly track transferrable balance", async function() {
-          // Initially all balance should be transferrable
-          expect(await token.transferrableBalanceOf(account1.address)).to.equal(parseTokenAmount(1000));
-          
-          // Set a hold of 300 tokens
-          await token.setHolds([account1.address], [parseTokenAmount(300)]);
-          
-          // Transferrable balance should be reduced
-          expect(await token.transferrableBalanceOf(account1.address)).to.equal(parseTokenAmount(700));
-        });
+        // Use specific function signature to avoid ambiguity
+        const functionName = "initAccounts(address[],uint256[])";
+        await token[functionName](addresses, amounts);
         
-        it("should prevent transfers exceeding transferrable balance", async function() {
-          // Set a hold of 800 tokens
-          await token.setHolds([account1.address], [parseTokenAmount(800)]);
-          
-          // Try to transfer more than the transferrable balance
-          if (isSolidity8OrHigher) {
-            await expect(token.connect(account1).transfer(account2.address, parseTokenAmount(300)))
-              .to.be.revertedWith("Insufficient transferable balance");
-          } else {
-            await expect(token.connect(account1).transfer(account2.address, parseTokenAmount(300)))
-              .to.be.reverted;
-          }
-          
-          // Should allow transfer within transferrable balance
-          await token.connect(account1).transfer(account2.address, parseTokenAmount(200));
-          expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(200));
-        });
+        expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(500));
+        expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(300));
       });
       
-      describe("Account Management", function() {
-        it("should track account holders", async function() {
-          // Initially only owner should be tracked
-          expect(await token.getNumAccounts()).to.equal(1);
-          
-          // After transfer to another account, should track that account too
-          await token.transfer(account1.address, parseTokenAmount(100));
-          expect(await token.getNumAccounts()).to.equal(2);
-          
-          // Getting the list of accounts
-          const accounts = await token.getAccounts(0, 2);
-          expect(accounts[0]).to.equal(owner.address);
-          expect(accounts[1]).to.equal(account1.address);
-        });
+      it("should initialize accounts with holds", async function() {
+        const addresses = [account1.address, account2.address];
+        const amounts = [parseTokenAmount(500), parseTokenAmount(300)];
+        const holds = [parseTokenAmount(200), parseTokenAmount(100)];
         
-        it("should initialize accounts in batch", async function() {
-          const addresses = [account1.address, account2.address];
-          const amounts = [parseTokenAmount(500), parseTokenAmount(300)];
-          
-          // Use specific function signature to avoid ambiguity
-          const functionName = "initAccounts(address[],uint256[])";
-          await token[functionName](addresses, amounts);
-          
-          expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(500));
-          expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(300));
-        });
+        // Use specific function signature to avoid ambiguity
+        const functionName = "initAccounts(address[],uint256[],uint256[])";
+        await token[functionName](addresses, amounts, holds);
         
-        it("should initialize accounts with holds", async function() {
-          const addresses = [account1.address, account2.address];
-          const amounts = [parseTokenAmount(500), parseTokenAmount(300)];
-          const holds = [parseTokenAmount(200), parseTokenAmount(100)];
-          
-          // Use specific function signature to avoid ambiguity
-          const functionName = "initAccounts(address[],uint256[],uint256[])";
-          await token[functionName](addresses, amounts, holds);
-          
-          expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(500));
-          expect(await token.transferrableBalanceOf(account1.address)).to.equal(parseTokenAmount(300));
-          
-          expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(300));
-          expect(await token.transferrableBalanceOf(account2.address)).to.equal(parseTokenAmount(200));
-        });
+        expect(await token.balanceOf(account1.address)).to.equal(parseTokenAmount(500));
+        expect(await token.transferrableBalanceOf(account1.address)).to.equal(parseTokenAmount(300));
+        
+        expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(300));
+        expect(await token.transferrableBalanceOf(account2.address)).to.equal(parseTokenAmount(200));
+      });
+    });
+    
+    describe("Approval and Allowance", function() {
+      beforeEach(async function() {
+        // Transfer some tokens to account1
+        await token.transfer(account1.address, parseTokenAmount(1000));
       });
       
-      describe("Approval and Allowance", function() {
-        beforeEach(async function() {
-          // Transfer some tokens to account1
-          await token.transfer(account1.address, parseTokenAmount(1000));
-        });
+      it("should handle approvals correctly", async function() {
+        // Use the standard approve function with 2 parameters
+        const simpleApproveFn = "approve(address,uint256)";
+        await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(500));
         
-        it("should handle approvals correctly", async function() {
-          // Use the standard approve function with 2 parameters
-          const simpleApproveFn = "approve(address,uint256)";
-          await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(500));
-          
-          expect(await token.allowance(account1.address, account2.address))
-            .to.equal(parseTokenAmount(500));
+        expect(await token.allowance(account1.address, account2.address))
+          .to.equal(parseTokenAmount(500));
+        
+        // Test the conditional approve function with 3 parameters
+        const conditionalApproveFn = "approve(address,uint256,uint256)";
+        await token.connect(account1)[conditionalApproveFn](
+          account2.address, 
+          parseTokenAmount(500), 
+          parseTokenAmount(300)
+        );
+        
+        expect(await token.allowance(account1.address, account2.address))
+          .to.equal(parseTokenAmount(300));
+        
+        // Should fail if current value doesn't match
+        await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(200));
+        
+        const result = await token.connect(account1)[conditionalApproveFn](
+          account2.address, 
+          parseTokenAmount(300), // Wrong current value
+          parseTokenAmount(100)
+        );
+        
+        // This approve call should return false but not revert
+        await result.wait();
+        expect(await token.allowance(account1.address, account2.address))
+          .to.equal(parseTokenAmount(200)); // Value should remain unchanged
+      });
+      
+      it("should allow transferFrom with allowance", async function() {
+        // Use the standard approve function with 2 parameters
+        const simpleApproveFn = "approve(address,uint256)";
+        await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(500));
+        
+        await token.connect(account2).transferFrom(
+          account1.address,
+          account2.address,
+          parseTokenAmount(200)
+        );
+        
+        expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(200));
+        expect(await token.allowance(account1.address, account2.address))
+          .to.equal(parseTokenAmount(300));
+      });
+      
+      it("should prevent transferFrom without allowance", async function() {
+        await expect(
+            token.connect(account2).transferFrom(
+              account1.address,
+              account2.address,
+              parseTokenAmount(200)
+            )
+          ).to.revertForVersion(ctx, { legacy: "bare", upgraded: "Insufficient allowance" });
+      });
+      
+      it("should respect holds for transferFrom", async function() {
+        // Use the standard approve function with 2 parameters
+        const simpleApproveFn = "approve(address,uint256)";
+        await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(1000));
+        
+        // Set a hold of 800 tokens
+        await token.setHolds([account1.address], [parseTokenAmount(800)]);
+        
+        // Try to transfer more than the transferrable balance
+        await expect(
+            token.connect(account2).transferFrom(
+              account1.address,
+              account2.address,
+              parseTokenAmount(300)
+            )
+          ).to.revertForVersion(ctx, { legacy: "bare", upgraded: "Insufficient transferable balance" });
+        
+        // Should allow transfer within transferrable balance
+        await token.connect(account2).transferFrom(
+          account1.address,
+          account2.address,
+          parseTokenAmount(200)
+        );
+        
+        expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(200));
+      });
+    });
+    
+    describe("Contract Destruction", function() {
+      // Skip for legacy contract since we can't test selfdestruct effectively
+      // and can't modify the legacy contract to match our test
+      if (ctx.isLegacy) {
+        it("should have a kill function", async function() {
+          // Just verify the function exists and can be called
+          await token.kill();
+        });
+      } else {
+        // Only test detailed behavior on the upgraded contract
+        it("should properly implement kill functionality", async function() {
+          // First transfer some tokens to accounts for testing
+          await token.transfer(account1.address, parseTokenAmount(1000));
           
-          // Test the conditional approve function with 3 parameters
-          const conditionalApproveFn = "approve(address,uint256,uint256)";
-          await token.connect(account1)[conditionalApproveFn](
-            account2.address, 
-            parseTokenAmount(500), 
-            parseTokenAmount(300)
-          );
+          // Test kill function by a non-owner (should fail with proper error)
+          await expect(token.connect(account1).kill())
+            .to.be.revertedWith("Not an owner");
           
-          expect(await token.allowance(account1.address, account2.address))
-            .to.equal(parseTokenAmount(300));
+          // Execute kill by the owner
+          await token.kill();
           
-          // Should fail if current value doesn't match
-          await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(200));
+          // After kill, the contract should be frozen
+          // Try to transfer from account1 to account2
+          const transferResult = await token.connect(account1).transfer(account2.address, parseTokenAmount(100));
+          await transferResult.wait();
           
-          const result = await token.connect(account1)[conditionalApproveFn](
-            account2.address, 
-            parseTokenAmount(300), // Wrong current value
-            parseTokenAmount(100)
-          );
+          // The transfer should fail silently (return false rather than revert)
+          // Verify this by checking that the balances haven't changed
           
-          // This approve call should return false but not revert
-          await result.wait();
-          expect(await token.allowance(account1.address, account2.address))
-            .to.equal(parseTokenAmount(200)); // Value should remain unchanged
-        });
-        
-        it("should allow transferFrom with allowance", async function() {
-          // Use the standard approve function with 2 parameters
-          const simpleApproveFn = "approve(address,uint256)";
-          await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(500));
+          // account2 should have 0 tokens
+          expect(await token.balanceOf(account2.address)).to.equal(0);
           
-          await token.connect(account2).transferFrom(
-            account1.address,
-            account2.address,
-            parseTokenAmount(200)
-          );
+          // account1 should still have 1000 tokens
+          const account1Balance = await token.balanceOf(account1.address);
           
-          expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(200));
-          expect(await token.allowance(account1.address, account2.address))
-            .to.equal(parseTokenAmount(300));
+          // Check if the account1 balance is still 1000 tokens
+          expect(account1Balance.toString()).to.equal(parseTokenAmount(1000).toString());
         });
-        
-        it("should prevent transferFrom without allowance", async function() {
-          if (isSolidity8OrHigher) {
-            await expect(
-              token.connect(account2).transferFrom(
-                account1.address,
-                account2.address,
-                parseTokenAmount(200)
-              )
-            ).to.be.revertedWith("Insufficient allowance");
-          } else {
-            await expect(
-              token.connect(account2).transferFrom(
-                account1.address,
-                account2.address,
-                parseTokenAmount(200)
-              )
-            ).to.be.reverted;
-          }
-        });
-        
-        it("should respect holds for transferFrom", async function() {
-          // Use the standard approve function with 2 parameters
-          const simpleApproveFn = "approve(address,uint256)";
-          await token.connect(account1)[simpleApproveFn](account2.address, parseTokenAmount(1000));
-          
-          // Set a hold of 800 tokens
-          await token.setHolds([account1.address], [parseTokenAmount(800)]);
-          
-          // Try to transfer more than the transferrable balance
-          if (isSolidity8OrHigher) {
-            await expect(
-              token.connect(account2).transferFrom(
-                account1.address,
-                account2.address,
-                parseTokenAmount(300)
-              )
-            ).to.be.revertedWith("Insufficient transferable balance");
-          } else {
-            await expect(
-              token.connect(account2).transferFrom(
-                account1.address,
-                account2.address,
-                parseTokenAmount(300)
-              )
-            ).to.be.reverted;
-          }
-          
-          // Should allow transfer within transferrable balance
-          await token.connect(account2).transferFrom(
-            account1.address,
-            account2.address,
-            parseTokenAmount(200)
-          );
-          
-          expect(await token.balanceOf(account2.address)).to.equal(parseTokenAmount(200));
+      }
+    });
+
+    describe("Scenario Engine", function() {
+      const INIT_TWO = "initAccounts(address[],uint256[])";
+      const INIT_THREE = "initAccounts(address[],uint256[],uint256[])";
+      const APPROVE = "approve(address,uint256)";
+      let actors;
+      let model;
+
+      beforeEach(async function() {
+        actors = (await ethers.getSigners()).slice(0, 6);
+        model = createPonderModel({
+          deployer: owner.address,
+          totalSupply: await token.totalSupply(),
+          isLegacy: ctx.isLegacy
         });
       });
-      
-      describe("Contract Destruction", function() {
-        // Skip for legacy contract since we can't test selfdestruct effectively
-        // and can't modify the legacy contract to match our test
-        if (contractName.includes("legacy")) {
-          it("should have a kill function", async function() {
-            // Just verify the function exists and can be called
-            await token.kill();
-          });
+
+      // Addresses that only ever receive, far more than there are signers
+      function randomAddresses(rng, count) {
+        return Array.from({ length: count }, () => ethers.getAddress(ethers.toBeHex(rng.bigint(1n, 2n ** 160n - 1n), 20)));
+      }
+
+      async function send(expected, call, where) {
+        if (expected) {
+          await expect(call(), where).to.revertForVersion(ctx, expected);
         } else {
-          // Only test detailed behavior on the upgraded contract
-          it("should properly implement kill functionality", async function() {
-            // First transfer some tokens to accounts for testing
-            await token.transfer(account1.address, parseTokenAmount(1000));
-            
-            // Test kill function by a non-owner (should fail with proper error)
-            await expect(token.connect(account1).kill())
-              .to.be.revertedWith("Not an owner");
-            
-            // Execute kill by the owner
-            await token.kill();
-            
-            // After kill, the contract should be frozen
-            // Try to transfer from account1 to account2
-            const transferResult = await token.connect(account1).transfer(account2.address, parseTokenAmount(100));
-            await transferResult.wait();
-            
-            // The transfer should fail silently (return false rather than revert)
-            // Verify this by checking that the balances haven't changed
-            
-            // account2 should have 0 tokens
-            expect(await token.balanceOf(account2.address)).to.equal(0);
-            
-            // account1 should still have 1000 tokens
-            const account1Balance = await token.balanceOf(account1.address);
-            
-            // Check if the account1 balance is still 1000 tokens
-            expect(account1Balance.toString()).to.equal(parseTokenAmount(1000).toString());
+          await expect(call(), where).not.to.be.reverted;
+        }
+      }
+
+      async function initAccounts(sender, accounts, values, holds, where) {
+        const expected = model.initAccounts(sender.address, accounts, values, holds);
+        const contract = token.connect(sender);
+        const call = () => (holds ? contract[INIT_THREE](accounts, values, holds) : contract[INIT_TWO](accounts, values));
+        await send(expected, call, where);
+      }
+
+      async function expectBalances(accounts, where) {
+        for (const account of accounts) {
+          expect(await token.balanceOf(account), `${where}: balance of ${account}`).to.equal(model.balanceOf(account));
+          expect(await token.transferrableBalanceOf(account), `${where}: transferrable balance of ${account}`)
+            .to.equal(model.transferrableBalanceOf(account));
+        }
+      }
+
+      async function expectView(outcome, call, where) {
+        if (outcome.revert) {
+          await expect(call(), where).to.revertForVersion(ctx, outcome.revert);
+        } else {
+          expect(await call(), where).to.deep.equal(outcome.result);
+        }
+      }
+
+      // The account list, read whole and in random pages by an owner and a stranger
+      async function expectAccountList(rng, where) {
+        const stranger = actors.find(actor => !model.isOwner(actor.address));
+        const reader = actors.find(actor => model.isOwner(actor.address));
+        const length = model.accounts().length;
+        await expectView(model.getNumAccounts(reader.address), () => token.connect(reader).getNumAccounts(),
+          `${where}: getNumAccounts`);
+        await expectView(model.getAccounts(reader.address, 0, length), () => token.connect(reader).getAccounts(0, length),
+          `${where}: whole account list`);
+        for (let i = 0; i < 3; i++) {
+          const start = rng.int(0, length);
+          const count = rng.int(0, Math.min(length, 60));
+          await expectView(model.getAccounts(reader.address, start, count),
+            () => token.connect(reader).getAccounts(start, count),
+            `${where}: getAccounts(${start}, ${count})`);
+        }
+        if (stranger) {
+          await expectView(model.getNumAccounts(stranger.address), () => token.connect(stranger).getNumAccounts(),
+            `${where}: getNumAccounts by a stranger`);
+          await expectView(model.getAccounts(stranger.address, 0, 1), () => token.connect(stranger).getAccounts(0, 1),
+            `${where}: getAccounts by a stranger`);
+        }
+      }
+
+      it("should batch-initialize hundreds of accounts with holds and page through them", async function() {
+        const rng = createRandom();
+        const recipients = randomAddresses(rng, 300);
+        const unit = ethers.parseUnits("1", 18);
+
+        // Batches of 50, every other one through the overload that sets holds
+        for (let start = 0; start < recipients.length; start += 50) {
+          const batch = recipients.slice(start, start + 50);
+          const values = batch.map(() => rng.bigint(0n, 1000n) * unit);
+          const holds = start % 100 === 0 ? batch.map(() => rng.bigint(0n, 1200n) * unit) : undefined;
+          await initAccounts(owner, batch, values, holds, `seed ${rng.seed}, batch at ${start}`);
+        }
+        // Initialising again raises some balances and gives the excess of others back to the owner
+        const again = rng.shuffle(recipients).slice(0, 40);
+        const raised = again.map(() => rng.bigint(0n, 2000n) * unit);
+        await initAccounts(owner, again, raised, undefined, `seed ${rng.seed}, second pass`);
+        // Holds alone, including holds above the balance
+        const held = rng.shuffle(recipients).slice(0, 30);
+        const holds = held.map(() => rng.bigint(0n, 3000n) * unit);
+        await send(model.setHolds(owner.address, held, holds), () => token.setHolds(held, holds), `seed ${rng.seed}, holds`);
+        // Mismatched batches and batches from strangers change nothing
+        await initAccounts(owner, recipients.slice(0, 3), [unit], undefined, "length mismatch");
+        await initAccounts(owner, recipients.slice(0, 2), [unit, unit], [unit], "hold length mismatch");
+        await initAccounts(account1, recipients.slice(0, 2), [unit, unit], undefined, "batch from a stranger");
+
+        await expectBalances([owner.address, ...recipients], `seed ${rng.seed}`);
+        const total = [owner.address, ...recipients].reduce((sum, account) => sum + model.balanceOf(account), 0n);
+        // Legacy batches charge the owner differences left over from earlier
+        // entries, so balances drift away from the supply either way
+        if (!ctx.isLegacy) {
+          expect(total).to.equal(await token.totalSupply());
+        }
+        expect(model.accounts().length).to.equal(recipients.length + 1);
+        await expectAccountList(rng, `seed ${rng.seed}`);
+      });
+
+      it("should match the model over random holds, freezes, owner changes and transfers", async function() {
+        const rng = createRandom();
+        const passive = randomAddresses(rng, 20);
+        const addresses = [...actors.map(actor => actor.address), ...passive];
+        const amount = () => rng.bool(0.1) ? 0n : rng.bigint(0n, 10n ** 24n);
+
+        await initAccounts(owner, addresses.slice(1), addresses.slice(1).map(() => rng.bigint(0n, 10n ** 24n)),
+          undefined, `seed ${rng.seed}, initial batch`);
+
+        for (let step = 0; step < 80; step++) {
+          const sender = rng.pick(actors);
+          const senderName = `signer ${actors.indexOf(sender)}`;
+          const action = rng.weighted({
+            transfer: 6, transferFrom: 3, approve: 2, setHolds: 2, initAccounts: 2,
+            freeze: 1, unfreeze: 1, setOwner: 2, kill: 0.3
           });
+          const where = `seed ${rng.seed}, step ${step}: ${senderName} ${action}`;
+          const contract = token.connect(sender);
+
+          if (action === "transfer" || action === "transferFrom") {
+            const from = action === "transfer" ? sender.address : rng.pick(addresses);
+            const to = rng.bool(0.1) ? from : rng.pick(addresses);
+            // Mostly within what is transferrable, so that transfers go through
+            const value = rng.bool(0.7) ? rng.bigint(0n, model.transferrableBalanceOf(from)) : amount();
+            const returns = model.transferResult();
+            const expected = action === "transfer"
+              ? model.transfer(sender.address, to, value)
+              : model.transferFrom(sender.address, from, to, value);
+            const call = () => (action === "transfer"
+              ? contract.transfer(to, value)
+              : contract.transferFrom(from, to, value));
+            if (!expected) {
+              const staticCall = action === "transfer"
+                ? contract.transfer.staticCall(to, value)
+                : contract.transferFrom.staticCall(from, to, value);
+              // Frozen transfers return false without reverting
+              expect(await staticCall, `${where}: return value`).to.equal(returns);
+            }
+            await send(expected, call, where);
+            await expectBalances([...new Set([from, to])], where);
+            if (action === "transferFrom") {
+              expect(await token.allowance(from, sender.address), `${where}: allowance`)
+                .to.equal(model.allowance(from, sender.address));
+            }
+          } else if (action === "approve") {
+            const spender = rng.pick(actors).address;
+            const value = rng.bigint(0n, 10n ** 24n);
+            await send(model.approve(sender.address, spender, value), () => contract[APPROVE](spender, value), where);
+          } else if (action === "setHolds") {
+            const accounts = rng.shuffle(addresses).slice(0, rng.int(1, 5));
+            const holds = accounts.map(() => amount());
+            await send(model.setHolds(sender.address, accounts, holds), () => contract.setHolds(accounts, holds), where);
+            await expectBalances(accounts, where);
+          } else if (action === "initAccounts") {
+            const accounts = [...rng.shuffle(addresses).slice(0, rng.int(1, 4)), ...randomAddresses(rng, rng.int(0, 3))];
+            const values = accounts.map(() => rng.bigint(0n, 10n ** 24n));
+            const holds = rng.bool() ? accounts.map(() => amount()) : undefined;
+            await initAccounts(sender, accounts, values, holds, where);
+            await expectBalances([sender.address, ...accounts], where);
+          } else if (action === "freeze" || action === "unfreeze") {
+            const method = `${action}Transfers`;
+            const toggles = model.frozen() !== (action === "freeze");
+            const expected = model[method](sender.address);
+            if (expected || !toggles) {
+              await send(expected, () => contract[method](), where);
+            } else {
+              await expect(contract[method](), where).to.emit(token, action === "freeze" ? "Freeze" : "Unfreeze");
+            }
+          } else if (action === "setOwner") {
+            const account = rng.pick(actors).address;
+            const value = rng.bool(0.6);
+            await send(model.setOwner(sender.address, account, value), () => contract.setOwner(account, value), where);
+          } else {
+            await send(model.kill(sender.address), () => contract.kill(), where);
+            expect(await ethers.provider.getCode(await token.getAddress()), `${where}: code`).to.not.equal("0x");
+          }
         }
+
+        await expectBalances(addresses, `seed ${rng.seed}, end`);
+        await expectAccountList(rng, `seed ${rng.seed}, end`);
+      });
+
+      it("should leave a killed upgraded token frozen and a killed legacy one working", async function() {
+        const value = ethers.parseUnits("1", 18);
+        const transfer = async where => {
+          expect(await token.connect(account1).transfer.staticCall(account2.address, value), where)
+            .to.equal(model.transferResult());
+          await send(model.transfer(account1.address, account2.address, value),
+            () => token.connect(account1).transfer(account2.address, value), where);
+          await expectBalances([account1.address, account2.address], where);
+        };
+        await initAccounts(owner, [account1.address], [ethers.parseUnits("100", 18)], undefined, "setup");
+
+        await send(model.kill(account1.address), () => token.connect(account1).kill(), "kill by a stranger");
+        await send(model.kill(owner.address), () => token.kill(), "kill by the owner");
+        expect(await ethers.provider.getCode(await token.getAddress())).to.not.equal("0x");
+        await transfer("transfer after kill");
+        expect(model.frozen()).to.equal(!ctx.isLegacy);
+
+        // Owners can still bring the upgraded token back
+        await send(model.unfreezeTransfers(owner.address), () => token.unfreezeTransfers(), "unfreeze");
+        await transfer("transfer after unfreeze");
       });
     });
+
+    shouldKeepStorageLayout(ctx);
   });
 });
\ No newline at end of file
@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { createReentrancyHarness } = require("./helpers/reentrancy");
+const { blindBid } = require("./helpers/blindBidder");
+const { signCheque } = require("./helpers/cheques");
+
+// Points ReentrancyAttacker at every function paying ether out and has it call
+// back into the contract while it is being paid. transfer() and send() leave
+// it the 2300 gas stipend only, call() hands it everything: the upgrades may
+// let it back in, but never let it take more than it is owed
+describe("Reentrancy Tests", function () {
+  const ONE = ethers.parseEther("1");
+  const TWO = ethers.parseEther("2");
+  const THREE = ethers.parseEther("3");
+
+  describeForVersions("EtherTool", null, function(ctx) {
+    let harness;
+    let user;
+
+    beforeEach(async function () {
+      [, user] = await ethers.getSigners();
+      harness = await createReentrancyHarness(ctx).deploy();
+      await harness.call({ method: "depositEther", value: ONE });
+      await ctx.contract.connect(user).depositEther({ value: ethers.parseEther("5") });
+    });
+
+    it("should pay a withdrawal once whatever the attacker calls back", async function() {
+      const result = await harness.attack({
+        title: "withdraw, calling back into every exit",
+        exit: { method: "withdrawEther" },
+        reentries: [
+          { method: "withdrawEther" },
+          { method: "withdrawEtherTo", args: [harness.address] },
+          { method: "batchTransfer1", args: [[harness.address], ONE] }
+        ],
+        depth: 3,
+        owed: ONE,
+        holds: ethers.parseEther("5")
+      });
+
+      expect(result.revert).to.equal(null);
+      expect(result.gained).to.equal(ONE);
+      // The upgrade pays with call(), and the lock turns every call back away
+      expect(result.attempts).to.equal(ctx.isLegacy ? 0n : 3n);
+      expect(result.reentered).to.equal(0n);
+      expect(await ctx.contract.userEtherOf(harness.address)).to.equal(0n);
+      expect(await ctx.contract.globalLocked()).to.equal(false);
+    });
+
+    it("should pay a batch transfer once whatever the attacker calls back", async function() {
+      const result = await harness.attack({
+        title: "batch transfer to itself, calling back into withdrawals and batches",
+        exit: { method: "batchTransfer1", args: [[harness.address, harness.address], ethers.parseEther("0.5")] },
+        reentries: [
+          { method: "withdrawEther" },
+          { method: "batchTransfer2", args: [[harness.address], [ONE]] }
+        ],
+        depth: 2,
+        owed: ONE,
+        holds: ethers.parseEther("5")
+      });
+
+      expect(result.revert).to.equal(null);
+      expect(result.gained).to.equal(ONE);
+      expect(result.reentered).to.equal(0n);
+      expect(await ctx.contract.userEtherOf(harness.address)).to.equal(0n);
+    });
+  });
+
+  describeForVersions("SimpleAuction", ({ signers: [beneficiary] }) => [60 * 60, beneficiary.address], function(ctx) {
+    let harness;
+    let user;
+
+    beforeEach(async function () {
+      [, user] = await ethers.getSigners();
+      harness = await createReentrancyHarness(ctx).deploy();
+      // Enough for the bids made while calling back
+      await setBalance(harness.address, ethers.parseEther("10"));
+      await harness.call({ method: "bid", value: ONE });
+      await ctx.contract.connect(user).bid({ value: TWO });
+    });
+
+    it("should give an outbid attacker its bid back once", async function() {
+      const result = await harness.attack({
+        title: "withdraw an outbid bid, calling back into withdraw and bid",
+        exit: { method: "withdraw" },
+        reentries: [{ method: "withdraw" }, { method: "bid", value: THREE }],
+        depth: 2,
+        owed: ONE,
+        holds: TWO
+      });
+
+      // send() forwards the stipend only, on both versions
+      expect(result.revert).to.equal(null);
+      expect(result.payments).to.equal(0n);
+      expect(result.gained).to.equal(ONE);
+      expect(await ctx.contract.highestBidder()).to.equal(user.address);
+    });
+  });
+
+  const biddingTime = 60 * 60;
+  const revealTime = 60 * 60;
+
+  describeForVersions("BlindAuction", ({ signers: [beneficiary] }) => [
+    biddingTime,
+    revealTime,
+    beneficiary.address
+  ], function(ctx) {
+    let harness;
+    let user;
+
+    beforeEach(async function () {
+      [, user] = await ethers.getSigners();
+      harness = await createReentrancyHarness(ctx).deploy();
+    });
+
+    // Commit a bid as the attacker and return its reveal entry
+    async function commit(value, fake, deposit) {
+      const secret = ethers.hexlify(ethers.randomBytes(32));
+      await harness.call({ method: "bid", args: [blindBid(value, fake, secret)], value: deposit });
+      return [value, fake, secret];
+    }
+
+    // reveal() arguments for entries in commit order
+    function revealArgs(entries) {
+      return [entries.map(entry => entry[0]), entries.map(entry => entry[1]), entries.map(entry => entry[2])];
+    }
+
+    it("should refund a revealed deposit once", async function() {
+      const entries = [await commit(ONE, false, ONE), await commit(0n, true, TWO)];
+      await time.increase(biddingTime + 1);
+
+      const result = await harness.attack({
+        title: "reveal a real and a fake bid, calling back into reveal and withdraw",
+        exit: { method: "reveal", args: revealArgs(entries) },
+        reentries: [{ method: "reveal", args: revealArgs(entries) }, { method: "withdraw" }],
+        depth: 2,
+        owed: TWO,
+        holds: ONE
+      });
+
+      expect(result.revert).to.equal(null);
+      expect(result.gained).to.equal(TWO);
+      // The upgrade refunds with call(): the attacker gets back in, and finds
+      // every commitment it revealed already cleared
+      expect(result.payments > 0n).to.equal(!ctx.isLegacy);
+      expect(result.reentered).to.equal(ctx.isLegacy ? 0n : 4n);
+      expect(await ctx.contract.highestBidder()).to.equal(harness.address);
+    });
+
+    it("should pay an outbid attacker back once", async function() {
+      const entries = [await commit(ONE, false, ONE)];
+      const secret = ethers.hexlify(ethers.randomBytes(32));
+      await ctx.contract.connect(user).bid(blindBid(THREE, false, secret), { value: THREE });
+      await time.increase(biddingTime + 1);
+      await harness.call({ method: "reveal", args: revealArgs(entries) });
+      await ctx.contract.connect(user).reveal([THREE], [false], [secret]);
+
+      const result = await harness.attack({
+        title: "withdraw an outbid bid, calling back into withdraw and reveal",
+        exit: { method: "withdraw" },
+        reentries: [{ method: "withdraw" }, { method: "reveal", args: revealArgs(entries) }],
+        depth: 2,
+        owed: ONE,
+        holds: THREE
+      });
+
+      expect(result.revert).to.equal(null);
+      expect(result.gained).to.equal(ONE);
+      expect(await ctx.contract.highestBidder()).to.equal(user.address);
+    });
+  });
+
+  describeForVersions("Purchase", () => [{ value: TWO }], function(ctx) {
+    let harness;
+
+    beforeEach(async function () {
+      harness = await createReentrancyHarness(ctx).deploy();
+      await harness.call({ method: "confirmPurchase", value: TWO });
+    });
+
+    it("should release the escrow once to a buyer calling back", async function() {
+      const result = await harness.attack({
+        title: "confirm the item received, calling back into confirmReceived and abort",
+        exit: { method: "confirmReceived" },
+        reentries: [{ method: "confirmReceived" }, { method: "abort" }],
+        depth: 2,
+        owed: ONE,
+        holds: 0n
+      });
+
+      // Both versions pay with transfer(): the rest of the escrow goes to the seller
+      expect(result.revert).to.equal(null);
+      expect(result.payments).to.equal(0n);
+      expect(result.gained).to.equal(ONE);
+      expect(result.held).to.equal(0n);
+    });
+  });
+
+  describeForVersions("ReceiverPays", () => [{ value: ethers.parseEther("10") }], function(ctx) {
+    let harness;
+    let owner;
+
+    beforeEach(async function () {
+      [owner] = await ethers.getSigners();
+      harness = await createReentrancyHarness(ctx).deploy();
+    });
+
+    async function claim(amount, nonce) {
+      const cheque = await signCheque(owner, harness.address, amount, nonce, await ctx.contract.getAddress());
+      return { method: "claimPayment", args: [cheque.amount, cheque.nonce, cheque.signature] };
+    }
+
+    it("should pay a cheque once to a payee claiming it again", async function() {
+      const cheque = await claim(ONE, 1);
+      const result = await harness.attack({
+        title: "claim a cheque, calling back into the same claim and kill",
+        exit: cheque,
+        reentries: [cheque, { method: "kill" }],
+        depth: 2,
+        owed: ONE,
+        holds: ethers.parseEther("9")
+      });
+
+      expect(result.revert).to.equal(null);
+      expect(result.gained).to.equal(ONE);
+      // The nonce is spent before the upgrade pays with call()
+      expect(result.attempts).to.equal(ctx.isLegacy ? 0n : 2n);
+      expect(result.reentered).to.equal(0n);
+    });
+
+    it("should let a payee claim another cheque while being paid", async function() {
+      const result = await harness.attack({
+        title: "claim a cheque, calling back into the claim of another one",
+        exit: await claim(ONE, 1),
+        reentries: [await claim(ONE, 2)],
+        depth: 2,
+        owed: TWO,
+        holds: ethers.parseEther("8")
+      });
+
+      // Legitimate either way: legacy needs a second transaction for it
+      expect(result.revert).to.equal(null);
+      expect(result.reentered).to.equal(ctx.isLegacy ? 0n : 1n);
+      expect(result.gained).to.equal(ctx.isLegacy ? ONE : TWO);
+    });
+  });
+
+  describeForVersions("Shop", { deploy: false }, function(ctx) {
+    let harness;
+    let user;
+    let price;
+
+    beforeEach(async function () {
+      [, user] = await ethers.getSigners();
+      // The attacker is the bank, so it is deployed first
+      harness = await createReentrancyHarness(ctx).deploy();
+      ctx.contract = await ctx.deploy(harness.address, "TestToken", "TT", ethers.parseEther("10"),
+        (await time.latest()) + 3600);
+      await setBalance(harness.address, ethers.parseEther("10"));
+      price = (await ctx.contract.shopSettings()).price;
+    });
+
+    it("should forward a purchase once to a bank calling back", async function() {
+      const result = await harness.attack({
+        title: "buy as somebody else, the bank calling back into buyObject and closeShop",
+        exit: { method: "buyObject", args: [user.address], value: price, from: user },
+        reentries: [{ method: "buyObject", args: [harness.address], value: price }, { method: "closeShop" }],
+        depth: 2,
+        owed: price,
+        holds: 0n
+      });
+
+      expect(result.revert).to.equal(null);
+      expect(result.gained).to.equal(price);
+      // Every purchase the bank makes while called back is forwarded to itself
+      expect(result.reentered).to.equal(ctx.isLegacy ? 0n : 2n);
+      expect((await ctx.contract.shopSettings()).fundsRaised).to.equal(price * (1n + result.reentered));
+    });
+  });
+});
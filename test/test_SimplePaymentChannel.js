@@ -1,260 +1,373 @@
 const { ethers } = require("hardhat");
 const { expect } = require("chai");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { signVoucher, createChannelSender, createChannelRecipient } = require("./helpers/paymentChannel");
 
 describe("SimplePaymentChannel Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
-  
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/SimplePaymentChannel_legacy.sol:SimplePaymentChannel");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/SimplePaymentChannel_upgraded.sol:SimplePaymentChannel");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/SimplePaymentChannel_legacy.sol:SimplePaymentChannel");
-    contractVersions.push("contracts/upgraded/SimplePaymentChannel_upgraded.sol:SimplePaymentChannel");
-  }
-
-  // Helper function to sign messages
-  async function signPayment(signer, contractAddress, amount) {
-    // Format the message as expected by the contract
-    const messageHash = ethers.keccak256(
-      ethers.solidityPacked(
-        ["address", "uint256"],
-        [contractAddress, amount]
-      )
-    );
-    
-    // Sign the raw hash (not the prefixed one, as the contract handles prefixing)
-    return signer.signMessage(ethers.getBytes(messageHash));
-  }
-
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let contract;
-      let sender;
-      let recipient;
-      let other;
-      let isSolidity8OrHigher;
-      let mockStartTime;
+  describeForVersions("SimplePaymentChannel", { deploy: false }, function(ctx) {
+    let contract;
+    let sender;
+    let recipient;
+    let other;
+    let mockStartTime;
+    
+    // Fixture to deploy the contract
+    async function deployContractFixture() {
+      [sender, recipient, other] = await ethers.getSigners();
       
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
+      // Duration of 1 hour in seconds
+      const duration = 60 * 60;
+      const initialDeposit = ethers.parseEther("1.0");
+      
+      // Get the current block timestamp to use as a reference
+      const latestBlock = await ethers.provider.getBlock("latest");
+      mockStartTime = latestBlock.timestamp;
+      
+      const contract = await ctx.deploy(
+        recipient.address, 
+        duration,
+        { value: initialDeposit }
+      );
+      
+      return { contract, sender, recipient, other, duration, initialDeposit, mockStartTime };
+    }
+    
+    beforeEach(async function () {
+      ({ contract, sender, recipient, other, mockStartTime } = await loadFixture(deployContractFixture));
+    });
+    
+    describe("Contract Deployment", function() {
+      it("Should set the correct sender", async function() {
+        expect(await contract.sender()).to.equal(sender.address);
+      });
+      
+      it("Should set the correct recipient", async function() {
+        expect(await contract.recipient()).to.equal(recipient.address);
+      });
       
-      // Fixture to deploy the contract
-      async function deployContractFixture() {
-        [sender, recipient, other] = await ethers.getSigners();
-        detectSolidityVersion();
+      it("Should set the expiration time correctly", async function() {
+        const expiration = await contract.expiration();
         
-        // Duration of 1 hour in seconds
-        const duration = 60 * 60;
-        const initialDeposit = ethers.parseEther("1.0");
+        // In Solidity 0.4-0.5, 'now' is used which is block.timestamp
+        // In Solidity 0.8+, we explicitly use block.timestamp
+        // Both should set expiration to currentTimestamp + duration (3600 seconds)
+        const expectedExpiration = BigInt(mockStartTime) + BigInt(3600);
         
-        // Get the current block timestamp to use as a reference
-        const latestBlock = await ethers.provider.getBlock("latest");
-        mockStartTime = latestBlock.timestamp;
+        // Use a larger tolerance (15 minutes) to account for test environment variations
+        const toleranceSeconds = 900; // 15 minutes
         
-        const ContractFactory = await ethers.getContractFactory(contractName);
-        const contract = await ContractFactory.deploy(
-          recipient.address, 
-          duration,
-          { value: initialDeposit }
+        expect(expiration).to.be.closeTo(
+          expectedExpiration,
+          BigInt(toleranceSeconds)
         );
-        await contract.waitForDeployment();
+      });
+      
+      it("Should have the correct initial balance", async function() {
+        const balance = await ethers.provider.getBalance(await contract.getAddress());
+        expect(balance).to.equal(ethers.parseEther("1.0"));
+      });
+    });
+    
+    describe("Extending Channel", function() {
+      it("Should allow sender to extend expiration", async function() {
+        const originalExpiration = await contract.expiration();
+        const newExpiration = originalExpiration + BigInt(3600); // Add another hour
         
-        return { contract, sender, recipient, other, duration, initialDeposit, mockStartTime };
-      }
+        await contract.connect(sender).extend(newExpiration);
+        
+        expect(await contract.expiration()).to.equal(newExpiration);
+      });
       
-      beforeEach(async function () {
-        ({ contract, sender, recipient, other, mockStartTime } = await loadFixture(deployContractFixture));
+      it("Should not allow extending to an earlier time", async function() {
+        const originalExpiration = await contract.expiration();
+        const earlierExpiration = originalExpiration - BigInt(1);
+        
+        // The error handling differs between Solidity versions
+        await expect(
+            contract.connect(sender).extend(earlierExpiration)
+          ).to.revertForVersion(ctx, { legacy: "bare", upgraded: "New expiration must be after current expiration" });
       });
       
-      describe("Contract Deployment", function() {
-        it("Should set the correct sender", async function() {
-          expect(await contract.sender()).to.equal(sender.address);
-        });
+      it("Should not allow non-sender to extend expiration", async function() {
+        const originalExpiration = await contract.expiration();
+        const newExpiration = originalExpiration + BigInt(3600);
+        
+        await expect(
+            contract.connect(recipient).extend(newExpiration)
+          ).to.revertForVersion(ctx, { legacy: "bare", upgraded: "Only sender can extend expiration" });
+      });
+    });
+    
+    describe("Closing Channel", function() {
+      it("Should allow recipient to close channel with valid signature", async function() {
+        const paymentAmount = ethers.parseEther("0.5");
+        const contractAddress = await contract.getAddress();
+        
+        // Sign the payment with the sender's key
+        const { signature } = await signVoucher(sender, contractAddress, paymentAmount);
         
-        it("Should set the correct recipient", async function() {
-          expect(await contract.recipient()).to.equal(recipient.address);
-        });
+        // Track balances before and after closing
+        const recipientBalanceBefore = await ethers.provider.getBalance(recipient.address);
+        const contractBalanceBefore = await ethers.provider.getBalance(contractAddress);
         
-        it("Should set the expiration time correctly", async function() {
-          const expiration = await contract.expiration();
-          
-          // In Solidity 0.4-0.5, 'now' is used which is block.timestamp
-          // In Solidity 0.8+, we explicitly use block.timestamp
-          // Both should set expiration to currentTimestamp + duration (3600 seconds)
-          const expectedExpiration = BigInt(mockStartTime) + BigInt(3600);
-          
-          // Use a larger tolerance (15 minutes) to account for test environment variations
-          const toleranceSeconds = 900; // 15 minutes
-          
-          expect(expiration).to.be.closeTo(
-            expectedExpiration,
-            BigInt(toleranceSeconds)
-          );
-        });
+        // Close the channel
+        const tx = await contract.connect(recipient).close(paymentAmount, signature);
+        const receipt = await tx.wait();
+        const gasUsed = receipt.gasUsed * receipt.gasPrice;
         
-        it("Should have the correct initial balance", async function() {
-          const balance = await ethers.provider.getBalance(await contract.getAddress());
-          expect(balance).to.equal(ethers.parseEther("1.0"));
-        });
+        // Check recipient received the payment
+        const recipientBalanceAfter = await ethers.provider.getBalance(recipient.address);
+        const expectedRecipientBalance = recipientBalanceBefore + paymentAmount - gasUsed;
+        
+        expect(recipientBalanceAfter).to.be.closeTo(
+          expectedRecipientBalance,
+          ethers.parseEther("0.01") // Allow for some rounding/gas estimation variance
+        );
+        
+        // For both versions, the contract should have a zero balance after closing
+        const contractBalanceAfter = await ethers.provider.getBalance(contractAddress);
+        expect(contractBalanceAfter).to.equal(0);
       });
       
-      describe("Extending Channel", function() {
-        it("Should allow sender to extend expiration", async function() {
-          const originalExpiration = await contract.expiration();
-          const newExpiration = originalExpiration + BigInt(3600); // Add another hour
-          
-          await contract.connect(sender).extend(newExpiration);
-          
-          expect(await contract.expiration()).to.equal(newExpiration);
-        });
+      it("Should not allow non-recipient to close channel", async function() {
+        const paymentAmount = ethers.parseEther("0.5");
+        const contractAddress = await contract.getAddress();
         
-        it("Should not allow extending to an earlier time", async function() {
-          const originalExpiration = await contract.expiration();
-          const earlierExpiration = originalExpiration - BigInt(1);
-          
-          // The error handling differs between Solidity versions
-          if (isSolidity8OrHigher) {
-            // Solidity 0.8.x has more specific revert reasons
-            await expect(
-              contract.connect(sender).extend(earlierExpiration)
-            ).to.be.revertedWith("New expiration must be after current expiration");
-          } else {
-            // Legacy version just reverts without a specific reason
-            await expect(
-              contract.connect(sender).extend(earlierExpiration)
-            ).to.be.reverted;
-          }
-        });
+        // Sign the payment with the sender's key
+        const { signature } = await signVoucher(sender, contractAddress, paymentAmount);
         
-        it("Should not allow non-sender to extend expiration", async function() {
-          const originalExpiration = await contract.expiration();
-          const newExpiration = originalExpiration + BigInt(3600);
-          
-          if (isSolidity8OrHigher) {
-            await expect(
-              contract.connect(recipient).extend(newExpiration)
-            ).to.be.revertedWith("Only sender can extend expiration");
-          } else {
-            await expect(
-              contract.connect(recipient).extend(newExpiration)
-            ).to.be.reverted;
-          }
-        });
+        await expect(
+            contract.connect(other).close(paymentAmount, signature)
+          ).to.revertForVersion(ctx, { legacy: "bare", upgraded: "Only recipient can close the channel" });
       });
       
-      describe("Closing Channel", function() {
-        it("Should allow recipient to close channel with valid signature", async function() {
-          const paymentAmount = ethers.parseEther("0.5");
-          const contractAddress = await contract.getAddress();
-          
-          // Sign the payment with the sender's key
-          const signature = await signPayment(sender, contractAddress, paymentAmount);
-          
-          // Track balances before and after closing
-          const recipientBalanceBefore = await ethers.provider.getBalance(recipient.address);
-          const contractBalanceBefore = await ethers.provider.getBalance(contractAddress);
-          
-          // Close the channel
-          const tx = await contract.connect(recipient).close(paymentAmount, signature);
-          const receipt = await tx.wait();
-          const gasUsed = receipt.gasUsed * receipt.gasPrice;
-          
-          // Check recipient received the payment
-          const recipientBalanceAfter = await ethers.provider.getBalance(recipient.address);
-          const expectedRecipientBalance = recipientBalanceBefore + paymentAmount - gasUsed;
-          
-          expect(recipientBalanceAfter).to.be.closeTo(
-            expectedRecipientBalance,
-            ethers.parseEther("0.01") // Allow for some rounding/gas estimation variance
-          );
-          
-          // For both versions, the contract should have a zero balance after closing
-          const contractBalanceAfter = await ethers.provider.getBalance(contractAddress);
-          expect(contractBalanceAfter).to.equal(0);
-        });
+      it("Should not allow closing with invalid signature", async function() {
+        const paymentAmount = ethers.parseEther("0.5");
+        const contractAddress = await contract.getAddress();
         
-        it("Should not allow non-recipient to close channel", async function() {
-          const paymentAmount = ethers.parseEther("0.5");
-          const contractAddress = await contract.getAddress();
-          
-          // Sign the payment with the sender's key
-          const signature = await signPayment(sender, contractAddress, paymentAmount);
-          
-          if (isSolidity8OrHigher) {
-            await expect(
-              contract.connect(other).close(paymentAmount, signature)
-            ).to.be.revertedWith("Only recipient can close the channel");
-          } else {
-            await expect(
-              contract.connect(other).close(paymentAmount, signature)
-            ).to.be.reverted;
-          }
-        });
+        // Sign with the wrong account
+        const { signature } = await signVoucher(recipient, contractAddress, paymentAmount);
         
-        it("Should not allow closing with invalid signature", async function() {
-          const paymentAmount = ethers.parseEther("0.5");
-          const contractAddress = await contract.getAddress();
-          
-          // Sign with the wrong account
-          const signature = await signPayment(recipient, contractAddress, paymentAmount);
-          
-          if (isSolidity8OrHigher) {
-            await expect(
-              contract.connect(recipient).close(paymentAmount, signature)
-            ).to.be.revertedWith("Invalid signature");
-          } else {
-            await expect(
-              contract.connect(recipient).close(paymentAmount, signature)
-            ).to.be.reverted;
-          }
-        });
+        await expect(
+            contract.connect(recipient).close(paymentAmount, signature)
+          ).to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid signature" });
+      });
+    });
+    
+    describe("Timeout Claiming", function() {
+      it("Should not allow claiming timeout before expiration", async function() {
+        await expect(contract.claimTimeout())
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Channel not expired yet" });
       });
       
-      describe("Timeout Claiming", function() {
-        it("Should not allow claiming timeout before expiration", async function() {
-          if (isSolidity8OrHigher) {
-            await expect(contract.claimTimeout()).to.be.revertedWith("Channel not expired yet");
-          } else {
-            await expect(contract.claimTimeout()).to.be.reverted;
-          }
-        });
+      it("Should allow claiming timeout after expiration", async function() {
+        // This test requires time manipulation
+        // For hardhat, we increase time and mine a new block
+        await ethers.provider.send("evm_increaseTime", [3601]); // 1 hour + 1 second
+        await ethers.provider.send("evm_mine");
+        
+        const senderBalanceBefore = await ethers.provider.getBalance(sender.address);
+        const contractBalance = await ethers.provider.getBalance(await contract.getAddress());
+        
+        const tx = await contract.connect(sender).claimTimeout();
+        const receipt = await tx.wait();
+        const gasUsed = receipt.gasUsed * receipt.gasPrice;
+        
+        const senderBalanceAfter = await ethers.provider.getBalance(sender.address);
+        
+        // Allow for some variance in gas estimation
+        const expectedBalance = senderBalanceBefore + contractBalance - gasUsed;
+        expect(senderBalanceAfter).to.be.closeTo(
+          expectedBalance,
+          ethers.parseEther("0.01")
+        );
         
-        it("Should allow claiming timeout after expiration", async function() {
-          // This test requires time manipulation
-          // For hardhat, we increase time and mine a new block
-          await ethers.provider.send("evm_increaseTime", [3601]); // 1 hour + 1 second
-          await ethers.provider.send("evm_mine");
-          
-          const senderBalanceBefore = await ethers.provider.getBalance(sender.address);
-          const contractBalance = await ethers.provider.getBalance(await contract.getAddress());
-          
-          const tx = await contract.connect(sender).claimTimeout();
-          const receipt = await tx.wait();
-          const gasUsed = receipt.gasUsed * receipt.gasPrice;
-          
-          const senderBalanceAfter = await ethers.provider.getBalance(sender.address);
-          
-          // Allow for some variance in gas estimation
-          const expectedBalance = senderBalanceBefore + contractBalance - gasUsed;
-          expect(senderBalanceAfter).to.be.closeTo(
-            expectedBalance,
-            ethers.parseEther("0.01")
-          );
-          
-          // For both versions, the contract should have a zero balance after claiming timeout
-          const contractBalanceAfter = await ethers.provider.getBalance(await contract.getAddress());
-          expect(contractBalanceAfter).to.equal(0);
-        });
+        // For both versions, the contract should have a zero balance after claiming timeout
+        const contractBalanceAfter = await ethers.provider.getBalance(await contract.getAddress());
+        expect(contractBalanceAfter).to.equal(0);
       });
     });
+
+    describe("Channel Client Scenarios", function() {
+      let payer;
+      let payee;
+
+      beforeEach(async function() {
+        payer = await createChannelSender(sender, contract);
+        payee = await createChannelRecipient(recipient, contract);
+      });
+
+      // Fee paid by the account that sent a transaction
+      async function feeOf(tx) {
+        const receipt = await tx.wait();
+        return receipt.gasUsed * receipt.gasPrice;
+      }
+
+      // The legacy claimTimeout and close selfdestruct. Before EIP-6780 (Cancun)
+      // that removed the code, and a later close is a call to an empty account,
+      // which succeeds; since then the code stays and the close reverts
+      async function codeLeft() {
+        return (await ethers.provider.getCode(payee.channel)) !== "0x";
+      }
+
+      // Send transactions into a single block, in the given order of priority
+      async function sendInOneBlock(timestamp, ...senders) {
+        await ethers.provider.send("evm_setAutomine", [false]);
+        try {
+          const hashes = [];
+          for (const [index, send] of senders.entries()) {
+            // Explicit gas and decreasing tips keep the order and skip estimation
+            const tx = await send({
+              gasLimit: 300000,
+              maxFeePerGas: ethers.parseUnits("100", "gwei"),
+              maxPriorityFeePerGas: ethers.parseUnits(String(senders.length - index), "gwei")
+            });
+            hashes.push(tx.hash);
+          }
+          await time.setNextBlockTimestamp(timestamp);
+          await mine();
+          return Promise.all(hashes.map(hash => ethers.provider.getTransactionReceipt(hash)));
+        } finally {
+          await ethers.provider.send("evm_setAutomine", [true]);
+        }
+      }
+
+      it("should settle many incremental payments with the last voucher", async function() {
+        const increment = ethers.parseEther("0.03");
+        for (let i = 0; i < 30; i++) {
+          expect(await payee.receive(await payer.pay(increment))).to.equal(null);
+        }
+        expect(payee.best.amount).to.equal(increment * 30n);
+
+        const recipientBefore = await ethers.provider.getBalance(recipient.address);
+        const senderBefore = await ethers.provider.getBalance(sender.address);
+        const fee = await feeOf(await payee.close());
+
+        expect(await ethers.provider.getBalance(recipient.address)).to.equal(recipientBefore + increment * 30n - fee);
+        expect(await ethers.provider.getBalance(sender.address)).to.equal(senderBefore + payer.deposit - increment * 30n);
+        expect(await ethers.provider.getBalance(payee.channel)).to.equal(0);
+      });
+
+      it("should close with the best voucher when they arrive out of order", async function() {
+        const vouchers = [];
+        for (let i = 0; i < 8; i++) {
+          vouchers.push(await payer.pay(ethers.parseEther("0.1")));
+        }
+        for (const index of [3, 0, 7, 5, 1]) {
+          await payee.receive(vouchers[index]);
+        }
+
+        expect(payee.best.amount).to.equal(ethers.parseEther("0.8"));
+        expect(payee.rejected.map(entry => entry.reason))
+          .to.deep.equal(Array(3).fill("does not pay more than the best voucher held"));
+
+        const recipientBefore = await ethers.provider.getBalance(recipient.address);
+        const fee = await feeOf(await payee.close());
+        expect(await ethers.provider.getBalance(recipient.address))
+          .to.equal(recipientBefore + ethers.parseEther("0.8") - fee);
+      });
+
+      it("should refuse vouchers the channel would not honour", async function() {
+        const amount = ethers.parseEther("0.2");
+        const otherChannel = await ctx.deploy(recipient.address, 3600, { value: ethers.parseEther("1") });
+
+        expect(await payee.receive(await signVoucher(other, payee.channel, amount)))
+          .to.equal("not signed by the channel sender");
+        expect(await payee.receive(await signVoucher(sender, await otherChannel.getAddress(), amount)))
+          .to.equal("voucher is for another channel");
+        expect(await payee.receive(await signVoucher(sender, payee.channel, ethers.parseEther("1.5"))))
+          .to.equal("exceeds the channel balance");
+        expect(await payee.receive({ channel: payee.channel, amount, signature: "0x1234" }))
+          .to.equal("malformed signature");
+        expect(payee.best).to.equal(null);
+        await expect(payee.close()).to.be.rejectedWith("No valid voucher");
+
+        // The contract agrees with the recipient's checks
+        const forged = await signVoucher(other, payee.channel, amount);
+        await expect(contract.connect(recipient).close(forged.amount, forged.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid signature" });
+        const tooMuch = await signVoucher(sender, payee.channel, ethers.parseEther("1.5"));
+        await expect(contract.connect(recipient).close(tooMuch.amount, tooMuch.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Insufficient contract balance" });
+      });
+
+      it("should refuse payments beyond the deposit on the sender side", async function() {
+        await payer.pay(ethers.parseEther("0.9"));
+        await expect(payer.pay(ethers.parseEther("0.2"))).to.be.rejectedWith("exceeds the channel deposit");
+        expect(payer.paid).to.equal(ethers.parseEther("0.9"));
+      });
+
+      it("should keep vouchers redeemable when the sender extends before the timeout claim", async function() {
+        await payee.receive(await payer.pay(ethers.parseEther("0.4")));
+        const expiration = await contract.expiration();
+
+        // The extension lands first, so the claim in the same block finds the channel open
+        const [extension, claim] = await sendInOneBlock(Number(expiration),
+          overrides => contract.connect(sender).extend(expiration + 3600n, overrides),
+          overrides => contract.connect(other).claimTimeout(overrides));
+        expect(extension.status).to.equal(1);
+        expect(claim.status).to.equal(0);
+
+        expect(await payee.timeLeft()).to.be.greaterThan(0);
+        const recipientBefore = await ethers.provider.getBalance(recipient.address);
+        const fee = await feeOf(await payee.close());
+        expect(await ethers.provider.getBalance(recipient.address))
+          .to.equal(recipientBefore + ethers.parseEther("0.4") - fee);
+      });
+
+      it("should pay the recipient when the close wins the race against the timeout claim", async function() {
+        await payee.receive(await payer.pay(ethers.parseEther("0.6")));
+        const expiration = await contract.expiration();
+        const senderBefore = await ethers.provider.getBalance(sender.address);
+
+        const [close, claim] = await sendInOneBlock(Number(expiration),
+          overrides => payee.close(overrides),
+          overrides => payer.claimTimeout(overrides));
+        expect(close.status).to.equal(1);
+        // Nothing is left to claim, which both versions accept
+        expect(claim.status).to.equal(1);
+
+        const claimFee = claim.gasUsed * claim.gasPrice;
+        expect(await ethers.provider.getBalance(sender.address))
+          .to.equal(senderBefore + ethers.parseEther("0.4") - claimFee);
+      });
+
+      it("should leave nothing to the recipient when the timeout claim wins the race", async function() {
+        await payee.receive(await payer.pay(ethers.parseEther("0.6")));
+        const expiration = await contract.expiration();
+        const senderBefore = await ethers.provider.getBalance(sender.address);
+
+        const [claim, close] = await sendInOneBlock(Number(expiration),
+          overrides => payer.claimTimeout(overrides),
+          overrides => payee.close(overrides));
+        expect(claim.status).to.equal(1);
+        expect(close.status).to.equal(await codeLeft() ? 0 : 1);
+
+        const claimFee = claim.gasUsed * claim.gasPrice;
+        expect(await ethers.provider.getBalance(sender.address)).to.equal(senderBefore + payer.deposit - claimFee);
+      });
+
+      it("should return the whole deposit on a timeout claim by anyone", async function() {
+        await payee.receive(await payer.pay(ethers.parseEther("0.3")));
+        await time.increaseTo(await contract.expiration());
+        expect(await payee.timeLeft()).to.be.at.most(0);
+
+        const senderBefore = await ethers.provider.getBalance(sender.address);
+        await contract.connect(other).claimTimeout();
+
+        expect(await ethers.provider.getBalance(sender.address)).to.equal(senderBefore + payer.deposit);
+        expect(await ethers.provider.getBalance(payee.channel)).to.equal(0);
+        if (await codeLeft()) {
+          await expect(payee.close()).to.be.reverted;
+        } else {
+          await expect(payee.close()).to.not.be.reverted;
+        }
+      });
+    });
+
+    shouldKeepStorageLayout(ctx);
   });
 });
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeTermination } = require("./helpers/termination");
+const { signCheque } = require("./helpers/cheques");
+const { signVoucher } = require("./helpers/paymentChannel");
+
+// Terminates legacy and upgraded with the same call and compares what is left
+// of them, for the contracts whose upgrade replaced selfdestruct
+describe("Termination Tests", function () {
+  describeTermination("PonderAirdropToken", null, function(verifier) {
+    let owner;
+    let holder;
+    let stranger;
+
+    beforeEach(async function () {
+      [owner, holder, stranger] = await ethers.getSigners();
+    });
+
+    // The token has no payable function, so its ether is forced in
+    async function fund(ctx) {
+      await ctx.contract.transfer(holder.address, 1000n);
+      await setBalance(await ctx.contract.getAddress(), ethers.parseEther("1"));
+    }
+
+    it("should freeze the upgraded token where legacy keeps it working", async function() {
+      const report = await verifier.run({
+        title: "kill by an owner",
+        prepare: fund,
+        terminate: { signer: owner, method: "kill" },
+        recipients: [owner.address],
+        names: { [owner.address]: "owner", [holder.address]: "holder" },
+        probes: [
+          { label: "transfer by a holder", signer: holder, method: "transfer", args: [stranger.address, 100n] },
+          { label: "balance of the payee", signer: owner, method: "balanceOf", args: [stranger.address] },
+          { label: "kill again", signer: owner, method: "kill" },
+          { label: "unfreeze", signer: owner, method: "unfreezeTransfers" },
+          { signer: holder, method: null, value: 1n }
+        ],
+        allow: [
+          { step: "kill", aspect: "events", reason: "the upgraded kill freezes the token, logging Freeze twice" },
+          { step: "transfer by a holder", aspect: "return", reason: "transfers of a frozen token return false" },
+          { step: "transfer by a holder", aspect: "events", reason: "a frozen transfer moves nothing" },
+          { step: "balance of the payee", aspect: "return", reason: "a frozen transfer moves nothing" },
+          { step: "kill again", aspect: "events", reason: "every upgraded kill logs Freeze twice, frozen or not" },
+          { step: "unfreeze", aspect: "events", reason: "only the upgraded token was frozen" }
+        ]
+      });
+
+      // Since EIP-6780 the legacy selfdestruct leaves the code in place as well
+      expect(report.world.legacy.code).to.be.greaterThan(0);
+      expect(report.world.upgraded.code).to.be.greaterThan(0);
+    });
+
+    it("should make a stranger's kill revert instead of doing nothing", async function() {
+      await verifier.run({
+        title: "kill by a stranger",
+        prepare: fund,
+        terminate: { signer: stranger, method: "kill" },
+        recipients: [owner.address, stranger.address],
+        names: { [owner.address]: "owner", [stranger.address]: "stranger" },
+        probes: [
+          { label: "transfer by a holder", signer: holder, method: "transfer", args: [stranger.address, 100n] }
+        ],
+        allow: [
+          { step: "kill", aspect: "outcome", reason: "the legacy kill silently ignores callers that are not owners" }
+        ]
+      });
+    });
+  });
+
+  describeTermination("ReceiverPays", () => [{ value: ethers.parseEther("10") }], function(verifier) {
+    let owner;
+    let payee;
+
+    beforeEach(async function () {
+      [owner, payee] = await ethers.getSigners();
+    });
+
+    // A cheque from the owner, signed for the version it is claimed on
+    function claim(amount, nonce) {
+      return async ctx => {
+        const cheque = await signCheque(owner, payee.address, amount, nonce, await ctx.contract.getAddress());
+        return [cheque.amount, cheque.nonce, cheque.signature];
+      };
+    }
+
+    it("should pay the owner out on both versions", async function() {
+      const report = await verifier.run({
+        title: "kill by the owner",
+        terminate: { signer: owner, method: "kill" },
+        recipients: [owner.address, payee.address],
+        names: { [owner.address]: "owner", [payee.address]: "payee" },
+        probes: [
+          { label: "claim a cheque", signer: payee, method: "claimPayment", args: claim(ethers.parseEther("1"), 1) },
+          { label: "claim a zero cheque", signer: payee, method: "claimPayment", args: claim(0n, 2) },
+          { label: "kill again", signer: owner, method: "kill" },
+          { signer: payee, method: null, value: 1n }
+        ],
+        allow: [
+          { step: "claim a cheque", aspect: "revert", reason: "the upgrade reports the failed payment" }
+        ]
+      });
+
+      expect(report.world.legacy.balance).to.equal(0n);
+      expect(report.world.upgraded.balance).to.equal(0n);
+    });
+
+    it("should keep paying cheques after a stranger's kill", async function() {
+      await verifier.run({
+        title: "kill by a stranger",
+        terminate: { signer: payee, method: "kill" },
+        recipients: [owner.address, payee.address],
+        names: { [owner.address]: "owner", [payee.address]: "payee" },
+        probes: [
+          { label: "claim a cheque", signer: payee, method: "claimPayment", args: claim(ethers.parseEther("1"), 1) }
+        ],
+        allow: [
+          { step: "kill", aspect: "revert", reason: "require messages added" }
+        ]
+      });
+    });
+  });
+
+  const duration = 60 * 60;
+
+  describeTermination("SimplePaymentChannel", ctx => [
+    ctx.signers[1].address,
+    duration,
+    { value: ethers.parseEther("1") }
+  ], function(verifier) {
+    let sender;
+    let recipient;
+
+    beforeEach(async function () {
+      [sender, recipient] = await ethers.getSigners();
+    });
+
+    // A voucher from the sender, signed for the version it is presented to
+    function voucher(amount) {
+      return async ctx => {
+        const { signature } = await signVoucher(sender, await ctx.contract.getAddress(), amount);
+        return [amount, signature];
+      };
+    }
+
+    const names = () => ({ [sender.address]: "sender", [recipient.address]: "recipient" });
+
+    it("should split the deposit on close and refuse a second close", async function() {
+      await verifier.run({
+        title: "close by the recipient",
+        terminate: { signer: recipient, method: "close", args: voucher(ethers.parseEther("0.4")) },
+        recipients: [sender.address, recipient.address],
+        names: names(),
+        probes: [
+          { label: "close again", signer: recipient, method: "close", args: voucher(ethers.parseEther("0.4")) },
+          { label: "close for nothing", signer: recipient, method: "close", args: voucher(0n) },
+          { label: "extend", signer: sender, method: "extend", args: [2n ** 40n] },
+          { label: "claim the timeout", signer: sender, method: "claimTimeout" },
+          { signer: sender, method: null, value: 1n }
+        ],
+        allow: [
+          { step: "close again", aspect: "revert", reason: "the upgrade checks the balance before paying" },
+          { step: "claim the timeout", aspect: "revert", reason: "require messages added" }
+        ]
+      });
+    });
+
+    it("should refund the sender on timeout and keep accepting calls", async function() {
+      await verifier.run({
+        title: "timeout claimed by the sender",
+        prepare: async () => {
+          await time.increase(duration);
+        },
+        terminate: { signer: sender, method: "claimTimeout" },
+        recipients: [sender.address, recipient.address],
+        names: names(),
+        probes: [
+          { label: "close", signer: recipient, method: "close", args: voucher(ethers.parseEther("0.4")) },
+          { label: "claim the timeout again", signer: sender, method: "claimTimeout" }
+        ],
+        allow: [
+          { step: "close", aspect: "revert", reason: "the upgrade checks the balance before paying" }
+        ]
+      });
+    });
+  });
+});
@@ -1,272 +1,114 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { shouldBehaveLikeERC20 } = require("./helpers/erc20Behavior");
+const { shouldHoldERC20Properties } = require("./helpers/erc20Properties");
 
 describe("TokenMintERC20Token Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
-  
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/TokenMintERC20Token_legacy.sol:TokenMintERC20Token");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/TokenMintERC20Token_upgraded.sol:TokenMintERC20Token");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/TokenMintERC20Token_legacy.sol:TokenMintERC20Token");
-    contractVersions.push("contracts/upgraded/TokenMintERC20Token_upgraded.sol:TokenMintERC20Token");
-  }
-
   // Constants for token creation
   const TOKEN_NAME = "Test Token";
   const TOKEN_SYMBOL = "TST";
   const DECIMALS = 18;
   const TOTAL_SUPPLY = ethers.parseUnits("1000000", 18); // 1 million tokens
   
-  // Helper function to handle revert reasons based on version
-  async function expectRevertWithReason(promise, legacyReason, upgradedReason, isSolidity8OrHigher) {
-    try {
-      await promise;
-      expect.fail("Expected transaction to revert");
-    } catch (error) {
-      if (isSolidity8OrHigher) {
-        // For Solidity 0.8+, we just check that it reverts without requiring specific error messages
-        // This is because error messages in 0.8+ can be formatted differently depending on 
-        // compilation settings and Hardhat configuration
-        expect(error.message).to.include("reverted");
-      } else {
-        // In Solidity 0.5.x, the revert message is formatted more consistently
-        expect(error.message).to.include(legacyReason);
-      }
-    }
+  // Constructor arguments: token metadata, fee receiver, token owner and the service fee
+  async function tokenArgs({ signers: [owner, feeReceiver] }) {
+    return [
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      DECIMALS,
+      TOTAL_SUPPLY,
+      await feeReceiver.getAddress(),
+      await owner.getAddress(),
+      { value: ethers.parseEther("0.01") } // Service fee
+    ];
   }
 
   // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let tokenContract;
-      let owner;
-      let feeReceiver;
-      let user1;
-      let user2;
-      let isSolidity8OrHigher;
-
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
+  describeForVersions("TokenMintERC20Token", tokenArgs, function(ctx) {
+    let tokenContract;
+    let owner;
+    let feeReceiver;
+    let user1;
+
+    beforeEach(async function () {
+      [owner, feeReceiver, user1] = await ethers.getSigners();
+      tokenContract = ctx.contract;
+    });
 
-      beforeEach(async function () {
-        [owner, feeReceiver, user1, user2] = await ethers.getSigners();
-        detectSolidityVersion();
-        
-        const TokenFactory = await ethers.getContractFactory(contractName);
-        tokenContract = await TokenFactory.deploy(
-          TOKEN_NAME,
-          TOKEN_SYMBOL,
-          DECIMALS,
-          TOTAL_SUPPLY,
-          await feeReceiver.getAddress(),
-          await owner.getAddress(),
-          { value: ethers.parseEther("0.01") } // Service fee
-        );
-        
-        await tokenContract.waitForDeployment();
+    describe("Basic Token Properties", function() {
+      it("should have correct name", async function() {
+        expect(await tokenContract.name()).to.equal(TOKEN_NAME);
       });
 
-      describe("Basic Token Properties", function() {
-        it("should have correct name", async function() {
-          expect(await tokenContract.name()).to.equal(TOKEN_NAME);
-        });
-
-        it("should have correct symbol", async function() {
-          expect(await tokenContract.symbol()).to.equal(TOKEN_SYMBOL);
-        });
-
-        it("should have correct decimals", async function() {
-          expect(await tokenContract.decimals()).to.equal(DECIMALS);
-        });
-
-        it("should have correct total supply", async function() {
-          expect(await tokenContract.totalSupply()).to.equal(TOTAL_SUPPLY);
-        });
-
-        it("should assign initial balance to owner", async function() {
-          expect(await tokenContract.balanceOf(await owner.getAddress())).to.equal(TOTAL_SUPPLY);
-        });
+      it("should have correct symbol", async function() {
+        expect(await tokenContract.symbol()).to.equal(TOKEN_SYMBOL);
       });
 
-      describe("Token Transfers", function() {
-        const transferAmount = ethers.parseUnits("1000", 18);
-
-        it("should transfer tokens between accounts", async function() {
-          // Transfer from owner to user1
-          await tokenContract.transfer(await user1.getAddress(), transferAmount);
-          
-          // Check balances
-          expect(await tokenContract.balanceOf(await owner.getAddress())).to.equal(TOTAL_SUPPLY - transferAmount);
-          expect(await tokenContract.balanceOf(await user1.getAddress())).to.equal(transferAmount);
-        });
-
-        it("should emit Transfer event", async function() {
-          await expect(tokenContract.transfer(await user1.getAddress(), transferAmount))
-            .to.emit(tokenContract, "Transfer")
-            .withArgs(await owner.getAddress(), await user1.getAddress(), transferAmount);
-        });
-
-        it("should fail when transferring more than balance", async function() {
-          const excessAmount = TOTAL_SUPPLY + ethers.parseUnits("1", 18);
-          
-          // The error message is the same in both versions for this case
-          await expectRevertWithReason(
-            tokenContract.transfer(await user1.getAddress(), excessAmount),
-            "revert",
-            "ERC20: transfer amount exceeds balance",
-            isSolidity8OrHigher
-          );
-        });
-
-        it("should fail when transferring to zero address", async function() {
-          await expectRevertWithReason(
-            tokenContract.transfer(ethers.ZeroAddress, transferAmount),
-            "ERC20: transfer to the zero address",
-            "ERC20: transfer to the zero address",
-            isSolidity8OrHigher
-          );
-        });
+      it("should have correct decimals", async function() {
+        expect(await tokenContract.decimals()).to.equal(DECIMALS);
       });
 
-      describe("Allowances and TransferFrom", function() {
-        const allowanceAmount = ethers.parseUnits("5000", 18);
-        const transferAmount = ethers.parseUnits("1000", 18);
-
-        beforeEach(async function() {
-          // Owner approves user1 to spend tokens
-          await tokenContract.approve(await user1.getAddress(), allowanceAmount);
-        });
-
-        it("should set correct allowance", async function() {
-          expect(await tokenContract.allowance(await owner.getAddress(), await user1.getAddress())).to.equal(allowanceAmount);
-        });
-
-        it("should emit Approval event", async function() {
-          await expect(tokenContract.approve(await user2.getAddress(), allowanceAmount))
-            .to.emit(tokenContract, "Approval")
-            .withArgs(await owner.getAddress(), await user2.getAddress(), allowanceAmount);
-        });
-
-        it("should allow transferFrom if properly approved", async function() {
-          // User1 transfers tokens from owner to user2
-          await tokenContract.connect(user1).transferFrom(
-            await owner.getAddress(),
-            await user2.getAddress(),
-            transferAmount
-          );
-          
-          // Check balances
-          expect(await tokenContract.balanceOf(await owner.getAddress())).to.equal(TOTAL_SUPPLY - transferAmount);
-          expect(await tokenContract.balanceOf(await user2.getAddress())).to.equal(transferAmount);
-          
-          // Check allowance was reduced
-          expect(await tokenContract.allowance(await owner.getAddress(), await user1.getAddress()))
-            .to.equal(allowanceAmount - transferAmount);
-        });
-
-        it("should fail transferFrom if allowance is exceeded", async function() {
-          // Try to transfer more than allowed
-          const excessAmount = allowanceAmount + ethers.parseUnits("1", 18);
-          
-          await expectRevertWithReason(
-            tokenContract.connect(user1).transferFrom(
-              await owner.getAddress(),
-              await user2.getAddress(),
-              excessAmount
-            ),
-            "revert",
-            "ERC20: transfer amount exceeds allowance",
-            isSolidity8OrHigher
-          );
-        });
+      it("should have correct total supply", async function() {
+        expect(await tokenContract.totalSupply()).to.equal(TOTAL_SUPPLY);
       });
+    });
 
-      describe("Allowance Management", function() {
-        const initialAllowance = ethers.parseUnits("1000", 18);
-        const increaseAmount = ethers.parseUnits("500", 18);
-        const decreaseAmount = ethers.parseUnits("300", 18);
-
-        beforeEach(async function() {
-          await tokenContract.approve(await user1.getAddress(), initialAllowance);
-        });
-
-        it("should increase allowance correctly", async function() {
-          await tokenContract.increaseAllowance(await user1.getAddress(), increaseAmount);
-          
-          expect(await tokenContract.allowance(await owner.getAddress(), await user1.getAddress()))
-            .to.equal(initialAllowance + increaseAmount);
-        });
-
-        it("should decrease allowance correctly", async function() {
-          await tokenContract.decreaseAllowance(await user1.getAddress(), decreaseAmount);
-          
-          expect(await tokenContract.allowance(await owner.getAddress(), await user1.getAddress()))
-            .to.equal(initialAllowance - decreaseAmount);
-        });
+    describe("Burning Tokens", function() {
+      const burnAmount = ethers.parseUnits("10000", 18);
 
-        it("should fail when decreasing allowance below zero", async function() {
-          const excessDecrease = initialAllowance + ethers.parseUnits("1", 18);
-          
-          await expectRevertWithReason(
-            tokenContract.decreaseAllowance(await user1.getAddress(), excessDecrease),
-            "revert",
-            "ERC20: decreased allowance below zero",
-            isSolidity8OrHigher
-          );
-        });
+      it("should burn tokens correctly", async function() {
+        const initialSupply = await tokenContract.totalSupply();
+        const initialOwnerBalance = await tokenContract.balanceOf(await owner.getAddress());
+        
+        await tokenContract.burn(burnAmount);
+        
+        // Check balances and supply
+        expect(await tokenContract.totalSupply()).to.equal(initialSupply - burnAmount);
+        expect(await tokenContract.balanceOf(await owner.getAddress())).to.equal(initialOwnerBalance - burnAmount);
       });
 
-      describe("Burning Tokens", function() {
-        const burnAmount = ethers.parseUnits("10000", 18);
-
-        it("should burn tokens correctly", async function() {
-          const initialSupply = await tokenContract.totalSupply();
-          const initialOwnerBalance = await tokenContract.balanceOf(await owner.getAddress());
-          
-          await tokenContract.burn(burnAmount);
-          
-          // Check balances and supply
-          expect(await tokenContract.totalSupply()).to.equal(initialSupply - burnAmount);
-          expect(await tokenContract.balanceOf(await owner.getAddress())).to.equal(initialOwnerBalance - burnAmount);
-        });
-
-        it("should emit Transfer event when burning", async function() {
-          await expect(tokenContract.burn(burnAmount))
-            .to.emit(tokenContract, "Transfer")
-            .withArgs(await owner.getAddress(), ethers.ZeroAddress, burnAmount);
-        });
+      it("should emit Transfer event when burning", async function() {
+        await expect(tokenContract.burn(burnAmount))
+          .to.emit(tokenContract, "Transfer")
+          .withArgs(await owner.getAddress(), ethers.ZeroAddress, burnAmount);
+      });
 
-        it("should fail when burning more than balance", async function() {
-          // Transfer some tokens to user1
-          await tokenContract.transfer(await user1.getAddress(), burnAmount);
-          
-          // Try to burn more than user1's balance
-          const excessBurnAmount = burnAmount + ethers.parseUnits("1", 18);
-          
-          await expectRevertWithReason(
-            tokenContract.connect(user1).burn(excessBurnAmount),
-            "revert",
-            "ERC20: burn amount exceeds balance",
-            isSolidity8OrHigher
-          );
-        });
+      it("should fail when burning more than balance", async function() {
+        // Transfer some tokens to user1
+        await tokenContract.transfer(await user1.getAddress(), burnAmount);
+        
+        // Try to burn more than user1's balance
+        const excessBurnAmount = burnAmount + ethers.parseUnits("1", 18);
+        
+        await expect(tokenContract.connect(user1).burn(excessBurnAmount))
+          .to.revertForVersion(ctx, { legacy: "SafeMath: subtraction overflow", upgraded: "ERC20: burn amount exceeds balance" });
       });
+    });
 
-      describe("Fee Receiver Payment", function() {
-        it("should send deployment fee to feeReceiver", async function() {
-          // We can't easily test this in the test environment since the fee is sent during deployment
-          // and we would need to track balances before and after, but we include it for completeness
-          // This would need special handling in a real-world scenario
-        });
+    describe("Fee Receiver Payment", function() {
+      it("should send deployment fee to feeReceiver", async function() {
+        // We can't easily test this in the test environment since the fee is sent during deployment
+        // and we would need to track balances before and after, but we include it for completeness
+        // This would need special handling in a real-world scenario
       });
     });
+
+    // Legacy fails inside SafeMath, upgraded checks the balance and allowance itself
+    shouldBehaveLikeERC20(ctx, {
+      approveToZero: "reject",
+      reverts: {
+        balance: { legacy: "SafeMath: subtraction overflow", upgraded: "ERC20: transfer amount exceeds balance" },
+        allowance: { legacy: "SafeMath: subtraction overflow", upgraded: "ERC20: transfer amount exceeds allowance" },
+        decreaseBelowZero: { legacy: "SafeMath: subtraction overflow", upgraded: "ERC20: decreased allowance below zero" },
+        zeroAddress: { default: "ERC20: transfer to the zero address" },
+        approveToZero: { default: "ERC20: approve to the zero address" }
+      }
+    });
+
+    shouldHoldERC20Properties(ctx);
+
+    shouldKeepStorageLayout(ctx);
   });
 });
@@ -1,276 +1,322 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { STATES, EVENTS, initialPurchaseState, purchaseTransition } = require("./helpers/purchase");
 
 describe("Purchase Contract Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
- 
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/Purchase_legacy.sol:Purchase");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/Purchase_upgraded.sol:Purchase");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/Purchase_legacy.sol:Purchase");
-    contractVersions.push("contracts/upgraded/Purchase_upgraded.sol:Purchase");
-  }
- 
-  // Helper function to check if transaction reverts with expected reason
-  async function expectRevert(promise, errorMessage, isSolidity8OrHigher) {
-    try {
-      await promise;
-      expect.fail("Expected transaction to revert");
-    } catch (error) {
-      // For deployment errors with odd values, we just check if it reverted
-      if (errorMessage === "Value has to be even") {
-        // We only check that it reverted, not the specific message
-        // as deployment errors can be hard to capture in both versions
-        return; // Pass the test if we reached here (transaction did revert)
-      }
+  const purchaseValue = ethers.parseEther("2.0"); // 2 ETH (must be even)
+
+  // Run the same tests for each contract version
+  describeForVersions("Purchase", () => [{value: purchaseValue}], function(ctx) {
+    let contractInstance;
+    let owner;
+    let buyer;
+    let third;
+   
+    beforeEach(async function () {
+      [owner, buyer, third] = await ethers.getSigners();
+      contractInstance = ctx.contract;
+    });
+   
+    describe("Deployment", function() {
+      it("should set the correct seller", async function() {
+        expect(await contractInstance.seller()).to.equal(owner.address);
+      });
       
-      // For condition errors in confirmPurchase
-      if (errorMessage === "condition") {
-        // Just verify it reverted for any reason
-        return; // Pass the test if we reached here (transaction did revert)
-      }
+      it("should set the correct value", async function() {
+        expect(await contractInstance.value()).to.equal(purchaseValue / 2n);
+      });
       
-      // For access control errors ("Only seller/buyer can call this")
-      if (errorMessage.includes("Only seller") || errorMessage.includes("Only buyer")) {
-        // Just verify it reverted for any reason
-        return; // Pass the test if we reached here (transaction did revert)
-      }
+      it("should start in Created state", async function() {
+        expect(await contractInstance.state()).to.equal(0); // State.Created = 0
+      });
       
-      // For other errors, check the message as before
-      if (isSolidity8OrHigher) {
-        // Solidity 0.8.x provides structured errors
-        expect(error.message).to.include(errorMessage);
-      } else {
-        // Legacy Solidity may have different error handling
-        expect(error.message).to.include(errorMessage);
-      }
-    }
-  }
-
-  // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let contractInstance;
-      let owner;
-      let buyer;
-      let third;
-      let isSolidity8OrHigher;
-      const purchaseValue = ethers.parseEther("2.0"); // 2 ETH (must be even)
-     
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
-      }
-     
-      beforeEach(async function () {
-        [owner, buyer, third] = await ethers.getSigners();
-        detectSolidityVersion();
+      it("should fail if value is odd", async function() {
+        const oddValue = ethers.parseEther("1.0") + 1n; // Odd wei value
         
-        const ContractFactory = await ethers.getContractFactory(contractName);
-        contractInstance = await ContractFactory.deploy({value: purchaseValue});
-        await contractInstance.waitForDeployment();
+        // We'll test this slightly differently - deployment should fail
+        try {
+          await ctx.deploy({value: oddValue});
+          expect.fail("Expected deployment to revert with odd value");
+        } catch (error) {
+          // Success - deployment reverted as expected
+        }
       });
-     
-      describe("Deployment", function() {
-        it("should set the correct seller", async function() {
-          expect(await contractInstance.seller()).to.equal(owner.address);
-        });
+    });
+    
+    describe("Abort functionality", function() {
+      it("should allow seller to abort", async function() {
+        const initialBalance = await ethers.provider.getBalance(owner.address);
         
-        it("should set the correct value", async function() {
-          expect(await contractInstance.value()).to.equal(purchaseValue / 2n);
-        });
+        // Call abort from seller (owner)
+        const tx = await contractInstance.abort();
+        const receipt = await tx.wait();
         
-        it("should start in Created state", async function() {
-          expect(await contractInstance.state()).to.equal(0); // State.Created = 0
-        });
+        // Verify state change
+        expect(await contractInstance.state()).to.equal(2); // State.Inactive = 2
         
-        it("should fail if value is odd", async function() {
-          const ContractFactory = await ethers.getContractFactory(contractName);
-          const oddValue = ethers.parseEther("1.0") + 1n; // Odd wei value
-          
-          // We'll test this slightly differently - deployment should fail
-          try {
-            const contract = await ContractFactory.deploy({value: oddValue});
-            await contract.waitForDeployment();
-            expect.fail("Expected deployment to revert with odd value");
-          } catch (error) {
-            // Success - deployment reverted as expected
-          }
-        });
+        // Verify event emission
+        const events = await contractInstance.queryFilter(
+          contractInstance.filters.Aborted(),
+          receipt.blockNumber
+        );
+        expect(events.length).to.equal(1);
+        
+        // Verify balance transfer (approximately due to gas costs)
+        const finalBalance = await ethers.provider.getBalance(owner.address);
+        expect(finalBalance > initialBalance).to.equal(true);
+      });
+      
+      it("should not allow buyer to abort", async function() {
+        // Instead of using expectRevert, test more directly
+        try {
+          await contractInstance.connect(buyer).abort();
+          expect.fail("Expected transaction to revert");
+        } catch (error) {
+          // Success - transaction reverted as expected
+        }
       });
       
-      describe("Abort functionality", function() {
-        it("should allow seller to abort", async function() {
-          const initialBalance = await ethers.provider.getBalance(owner.address);
-          
-          // Call abort from seller (owner)
-          const tx = await contractInstance.abort();
-          const receipt = await tx.wait();
-          
-          // Verify state change
-          expect(await contractInstance.state()).to.equal(2); // State.Inactive = 2
-          
-          // Verify event emission
-          const events = await contractInstance.queryFilter(
-            contractInstance.filters.Aborted(),
-            receipt.blockNumber
-          );
-          expect(events.length).to.equal(1);
-          
-          // Verify balance transfer (approximately due to gas costs)
-          const finalBalance = await ethers.provider.getBalance(owner.address);
-          expect(finalBalance > initialBalance).to.equal(true);
-        });
+      it("should not allow abort after purchase confirmation", async function() {
+        // First confirm purchase
+        await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
         
-        it("should not allow buyer to abort", async function() {
-          // Instead of using expectRevert, test more directly
-          try {
-            await contractInstance.connect(buyer).abort();
-            expect.fail("Expected transaction to revert");
-          } catch (error) {
-            // Success - transaction reverted as expected
-          }
-        });
+        // Try to abort
+        await expect(contractInstance.abort())
+          .to.be.revertedWith("Invalid state.");
+      });
+    });
+    
+    describe("Confirm Purchase functionality", function() {
+      it("should allow buyer to confirm purchase with correct value", async function() {
+        // Confirm purchase
+        const tx = await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
+        const receipt = await tx.wait();
+        
+        // Verify state change
+        expect(await contractInstance.state()).to.equal(1); // State.Locked = 1
+        expect(await contractInstance.buyer()).to.equal(buyer.address);
         
-        it("should not allow abort after purchase confirmation", async function() {
-          // First confirm purchase
-          await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
-          
-          // Try to abort
-          await expectRevert(
-            contractInstance.abort(),
-            "Invalid state",
-            isSolidity8OrHigher
-          );
-        });
+        // Verify event emission
+        const events = await contractInstance.queryFilter(
+          contractInstance.filters.PurchaseConfirmed(),
+          receipt.blockNumber
+        );
+        expect(events.length).to.equal(1);
       });
       
-      describe("Confirm Purchase functionality", function() {
-        it("should allow buyer to confirm purchase with correct value", async function() {
-          // Confirm purchase
-          const tx = await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
-          const receipt = await tx.wait();
-          
-          // Verify state change
-          expect(await contractInstance.state()).to.equal(1); // State.Locked = 1
-          expect(await contractInstance.buyer()).to.equal(buyer.address);
-          
-          // Verify event emission
-          const events = await contractInstance.queryFilter(
-            contractInstance.filters.PurchaseConfirmed(),
-            receipt.blockNumber
-          );
-          expect(events.length).to.equal(1);
-        });
+      it("should not allow purchase confirmation with incorrect value", async function() {
+        const incorrectValue = ethers.parseEther("1.0");
         
-        it("should not allow purchase confirmation with incorrect value", async function() {
-          const incorrectValue = ethers.parseEther("1.0");
-          
-          // Simply test that it reverts - don't check specific message
-          try {
-            await contractInstance.connect(buyer).confirmPurchase({value: incorrectValue});
-            expect.fail("Expected transaction to revert");
-          } catch (error) {
-            // Success - transaction reverted as expected
-          }
-        });
+        // Simply test that it reverts - don't check specific message
+        try {
+          await contractInstance.connect(buyer).confirmPurchase({value: incorrectValue});
+          expect.fail("Expected transaction to revert");
+        } catch (error) {
+          // Success - transaction reverted as expected
+        }
+      });
+      
+      it("should not allow purchase confirmation in wrong state", async function() {
+        // First confirm purchase correctly
+        await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
         
-        it("should not allow purchase confirmation in wrong state", async function() {
-          // First confirm purchase correctly
-          await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
-          
-          // Try to confirm again
-          await expectRevert(
-            contractInstance.connect(third).confirmPurchase({value: purchaseValue}),
-            "Invalid state",
-            isSolidity8OrHigher
-          );
-        });
+        // Try to confirm again
+        await expect(contractInstance.connect(third).confirmPurchase({value: purchaseValue}))
+          .to.be.revertedWith("Invalid state.");
+      });
+    });
+    
+    describe("Confirm Received functionality", function() {
+      beforeEach(async function() {
+        // Setup: confirm purchase first
+        await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
       });
       
-      describe("Confirm Received functionality", function() {
-        beforeEach(async function() {
-          // Setup: confirm purchase first
-          await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
-        });
+      it("should allow buyer to confirm received", async function() {
+        const buyerInitialBalance = await ethers.provider.getBalance(buyer.address);
+        const sellerInitialBalance = await ethers.provider.getBalance(owner.address);
         
-        it("should allow buyer to confirm received", async function() {
-          const buyerInitialBalance = await ethers.provider.getBalance(buyer.address);
-          const sellerInitialBalance = await ethers.provider.getBalance(owner.address);
-          
-          // Confirm received
-          const tx = await contractInstance.connect(buyer).confirmReceived();
-          const receipt = await tx.wait();
-          
-          // Verify state change
-          expect(await contractInstance.state()).to.equal(2); // State.Inactive = 2
-          
-          // Verify event emission
-          const events = await contractInstance.queryFilter(
-            contractInstance.filters.ItemReceived(),
-            receipt.blockNumber
-          );
-          expect(events.length).to.equal(1);
-          
-          // Verify balance transfers (approximately due to gas costs)
-          const buyerFinalBalance = await ethers.provider.getBalance(buyer.address);
-          const sellerFinalBalance = await ethers.provider.getBalance(owner.address);
-          
-          // Buyer should receive value (purchaseValue / 2)
-          // Seller should receive remaining balance (purchaseValue * 1.5)
-          expect(buyerFinalBalance > buyerInitialBalance).to.equal(true);
-          expect(sellerFinalBalance > sellerInitialBalance).to.equal(true);
-        });
+        // Confirm received
+        const tx = await contractInstance.connect(buyer).confirmReceived();
+        const receipt = await tx.wait();
         
-        it("should not allow seller to confirm received", async function() {
-          // Instead of using expectRevert, test more directly
-          try {
-            await contractInstance.confirmReceived();
-            expect.fail("Expected transaction to revert");
-          } catch (error) {
-            // Success - transaction reverted as expected
-          }
-        });
+        // Verify state change
+        expect(await contractInstance.state()).to.equal(2); // State.Inactive = 2
+        
+        // Verify event emission
+        const events = await contractInstance.queryFilter(
+          contractInstance.filters.ItemReceived(),
+          receipt.blockNumber
+        );
+        expect(events.length).to.equal(1);
         
-        it("should not allow confirm received in wrong state", async function() {
-          // First confirm received
-          await contractInstance.connect(buyer).confirmReceived();
-          
-          // Try to confirm again
-          await expectRevert(
-            contractInstance.connect(buyer).confirmReceived(),
-            "Invalid state",
-            isSolidity8OrHigher
-          );
-        });
+        // Verify balance transfers (approximately due to gas costs)
+        const buyerFinalBalance = await ethers.provider.getBalance(buyer.address);
+        const sellerFinalBalance = await ethers.provider.getBalance(owner.address);
+        
+        // Buyer should receive value (purchaseValue / 2)
+        // Seller should receive remaining balance (purchaseValue * 1.5)
+        expect(buyerFinalBalance > buyerInitialBalance).to.equal(true);
+        expect(sellerFinalBalance > sellerInitialBalance).to.equal(true);
+      });
+      
+      it("should not allow seller to confirm received", async function() {
+        // Instead of using expectRevert, test more directly
+        try {
+          await contractInstance.confirmReceived();
+          expect.fail("Expected transaction to revert");
+        } catch (error) {
+          // Success - transaction reverted as expected
+        }
       });
       
-      describe("End-to-end workflow", function() {
-        it("should allow complete purchase workflow", async function() {
-          // 1. Initial state
-          expect(await contractInstance.state()).to.equal(0); // State.Created = 0
-          
-          // 2. Confirm purchase
-          await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
-          expect(await contractInstance.state()).to.equal(1); // State.Locked = 1
-          
-          // 3. Confirm received
-          await contractInstance.connect(buyer).confirmReceived();
-          expect(await contractInstance.state()).to.equal(2); // State.Inactive = 2
-          
-          // Contract should have 0 balance at the end
-          const finalContractBalance = await ethers.provider.getBalance(
-            await contractInstance.getAddress()
-          );
-          expect(finalContractBalance).to.equal(0n);
-        });
+      it("should not allow confirm received in wrong state", async function() {
+        // First confirm received
+        await contractInstance.connect(buyer).confirmReceived();
+        
+        // Try to confirm again
+        await expect(contractInstance.connect(buyer).confirmReceived())
+          .to.be.revertedWith("Invalid state.");
       });
     });
+    
+    describe("End-to-end workflow", function() {
+      it("should allow complete purchase workflow", async function() {
+        // 1. Initial state
+        expect(await contractInstance.state()).to.equal(0); // State.Created = 0
+        
+        // 2. Confirm purchase
+        await contractInstance.connect(buyer).confirmPurchase({value: purchaseValue});
+        expect(await contractInstance.state()).to.equal(1); // State.Locked = 1
+        
+        // 3. Confirm received
+        await contractInstance.connect(buyer).confirmReceived();
+        expect(await contractInstance.state()).to.equal(2); // State.Inactive = 2
+        
+        // Contract should have 0 balance at the end
+        const finalContractBalance = await ethers.provider.getBalance(
+          await contractInstance.getAddress()
+        );
+        expect(finalContractBalance).to.equal(0n);
+      });
+    });
+
+    describe("State Machine Exploration", function() {
+      const DEPTH = 3;
+
+      // Every call a participant can make: both functions without ether, and
+      // confirmPurchase with the right amount and with wrong ones
+      function allActions(callers) {
+        const amounts = { exact: purchaseValue, none: 0n, half: purchaseValue / 2n, extra: purchaseValue + 1n };
+        const actions = [];
+        for (const [role, signer] of Object.entries(callers)) {
+          actions.push({ role, signer, method: "abort" });
+          actions.push({ role, signer, method: "confirmReceived" });
+          for (const [amount, value] of Object.entries(amounts)) {
+            actions.push({ role, signer, method: "confirmPurchase", value, amount });
+          }
+        }
+        return actions;
+      }
+
+      function label(action) {
+        return `${action.role}.${action.method}${action.amount ? `(${action.amount})` : ""}`;
+      }
+
+      async function expectState(model, where) {
+        expect(await contractInstance.state(), `${where}: state`).to.equal(STATES.indexOf(model.state));
+        expect(await contractInstance.seller(), `${where}: seller`).to.equal(model.seller);
+        expect(await contractInstance.buyer(), `${where}: buyer`).to.equal(model.buyer);
+        expect(await contractInstance.value(), `${where}: value`).to.equal(model.value);
+        expect(await ethers.provider.getBalance(await contractInstance.getAddress()), `${where}: balance`)
+          .to.equal(model.balance);
+      }
+
+      it(`should follow the transition table up to depth ${DEPTH}, pruning reverted prefixes`, async function() {
+        const callers = { seller: owner, buyer, stranger: third };
+        const actions = allActions(callers);
+        const roleOf = address => Object.keys(callers).find(role => callers[role].address === address) || "nobody";
+        const reached = new Set();
+        // Calls replayed on chain, and those of them that reverted, whose continuations were not replayed
+        let calls = 0;
+        let pruned = 0;
+
+        // Depth-first from a snapshot at every node. A reverted call is checked
+        // to leave the contract untouched, so what follows it behaves like the
+        // shorter sequences explored from the same state and is not replayed.
+        async function explore(model, path, depth) {
+          reached.add(`${model.state} (buyer: ${roleOf(model.buyer)})`);
+          if (depth === DEPTH) {
+            return;
+          }
+          const snapshot = await takeSnapshot();
+          for (const action of actions) {
+            const where = [...path, label(action)].join(" -> ");
+            const { revert, next, payouts } = purchaseTransition(model, {
+              method: action.method,
+              caller: action.signer.address,
+              value: action.value
+            });
+            const overrides = action.value === undefined ? {} : { value: action.value };
+            const call = contractInstance.connect(action.signer)[action.method](overrides);
+            calls++;
+
+            if (revert) {
+              await expect(call, where).to.revertForVersion(ctx, revert);
+              await expectState(model, where);
+              pruned++;
+            } else {
+              const accounts = [owner, buyer, third];
+              await expect(call, where).to.emit(contractInstance, EVENTS[action.method]);
+              await expect(call, where).to.changeEtherBalances(
+                [...accounts, contractInstance],
+                [...accounts.map(account => payouts.get(account.address) || 0n), next.balance - model.balance]
+              );
+              await expectState(next, where);
+              await explore(next, [...path, label(action)], depth + 1);
+            }
+            await snapshot.restore();
+          }
+        }
+
+        // What the same walk over the transition table alone visits, so that no
+        // branch of the replay on chain was skipped
+        function expectedWalk(model, depth) {
+          if (depth === DEPTH) {
+            return { calls: 0, pruned: 0 };
+          }
+          return actions.reduce((total, action) => {
+            const { revert, next } = purchaseTransition(model, {
+              method: action.method,
+              caller: action.signer.address,
+              value: action.value
+            });
+            const below = revert ? { calls: 0, pruned: 1 } : expectedWalk(next, depth + 1);
+            return { calls: total.calls + 1 + below.calls, pruned: total.pruned + below.pruned };
+          }, { calls: 0, pruned: 0 });
+        }
+
+        const initial = initialPurchaseState(owner.address, purchaseValue);
+        await explore(initial, [], 0);
+
+        expect({ calls, pruned }).to.deep.equal(expectedWalk(initial, 0));
+        // Aborted, or locked and then released by any of the three
+        expect([...reached].sort()).to.deep.equal([
+          "Created (buyer: nobody)",
+          "Inactive (buyer: buyer)",
+          "Inactive (buyer: nobody)",
+          "Inactive (buyer: seller)",
+          "Inactive (buyer: stranger)",
+          "Locked (buyer: buyer)",
+          "Locked (buyer: seller)",
+          "Locked (buyer: stranger)"
+        ]);
+      });
+    });
+
+    shouldKeepStorageLayout(ctx);
   });
-});
\ No newline at end of file
+});
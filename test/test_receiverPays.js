@@ -1,276 +1,302 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { describeForVersions } = require("./helpers/dualVersion");
+const { shouldKeepStorageLayout } = require("./helpers/storage");
+const { signCheque, splitSignature, malleate, createChequeBook } = require("./helpers/cheques");
+const { createRandom } = require("./helpers/random");
 
 describe("ReceiverPays Contract Tests", function () {
-  // Array of contract fully qualified names to test
-  const contractVersions = [];
- 
-  // Determine which contract(s) to test based on environment variable
-  const requestedVersion = process.env.CONTRACT_VERSION;
-  if (requestedVersion === "legacy") {
-    contractVersions.push("contracts/legacy/ReceiverPays_legacy.sol:ReceiverPays");
-  } else if (requestedVersion === "upgraded") {
-    contractVersions.push("contracts/upgraded/ReceiverPays_upgraded.sol:ReceiverPays");
-  } else {
-    // If no specific version is requested, test both
-    contractVersions.push("contracts/legacy/ReceiverPays_legacy.sol:ReceiverPays");
-    contractVersions.push("contracts/upgraded/ReceiverPays_upgraded.sol:ReceiverPays");
-  }
-
-  // Helper function to create signature using ethers v6
-  async function createSignature(signer, recipient, amount, nonce, contractAddress) {
-    // Create the same message hash that the contract creates
-    const messageHash = ethers.keccak256(
-      ethers.solidityPacked(
-        ["address", "uint256", "uint256", "address"],
-        [recipient.address, amount, nonce, contractAddress]
-      )
-    );
+  // Run the same tests for each contract version, deployed with 10 ETH initial balance
+  describeForVersions("ReceiverPays", () => [{ value: ethers.parseEther("10") }], function(ctx) {
+    let receiverPays;
+    let owner;
+    let account1;
+    let account2;
     
-    // Sign the message directly using the signer's signMessage
-    // This handles the Ethereum specific message prefix internally
-    const signature = await signer.signMessage(ethers.getBytes(messageHash));
+    beforeEach(async function () {
+      [owner, account1, account2] = await ethers.getSigners();
+      receiverPays = ctx.contract;
+    });
     
-    return signature;
-  }
-
-  // Run the same tests for each contract version
-  contractVersions.forEach(contractName => {
-    describe(`Testing ${contractName}`, function() {
-      let contractFactory;
-      let receiverPays;
-      let owner;
-      let account1;
-      let account2;
-      let isSolidity8OrHigher;
+    it("should deploy with correct initial balance", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      const balance = await ethers.provider.getBalance(contractAddress);
+      expect(balance).to.equal(ethers.parseEther("10"));
+    });
+    
+    it("should allow owner to kill the contract", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      const initialOwnerBalance = await ethers.provider.getBalance(owner.address);
+      const initialContractBalance = await ethers.provider.getBalance(contractAddress);
+      
+      // Kill the contract
+      const tx = await receiverPays.kill();
+      const receipt = await tx.wait();
+      
+      // Check if the contract balance is now 0
+      const contractBalance = await ethers.provider.getBalance(contractAddress);
+      expect(contractBalance).to.equal(0n);
+      
+      // Owner should have received the contract's balance
+      const finalOwnerBalance = await ethers.provider.getBalance(owner.address);
+      
+      // Calculate gas cost
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      
+      // Owner balance should increase by contract balance minus gas costs
+      // Use BigInt for precision
+      const expectedBalance = initialOwnerBalance + initialContractBalance - gasUsed;
       
-      // Version detection helper
-      function detectSolidityVersion() {
-        isSolidity8OrHigher = contractName.includes("upgraded");
+      // Allow for small calculation differences
+      const tolerance = ethers.parseEther("0.0001");
+      const difference = finalOwnerBalance > expectedBalance ? 
+          finalOwnerBalance - expectedBalance : 
+          expectedBalance - finalOwnerBalance;
+          
+      expect(difference).to.be.lt(tolerance);
+    });
+    
+    it("should not allow non-owner to kill the contract", async function () {
+      // Try to kill the contract from a non-owner account
+      try {
+        await receiverPays.connect(account1).kill();
+        // Should not reach here
+        expect.fail("Non-owner was able to kill the contract");
+      } catch (error) {
+        // For both versions, we just check that it reverted
+        // Hardhat sometimes doesn't expose the exact revert reason in the message
+        expect(error.message).to.include("revert");
       }
+    });
+    
+    it("should allow payment claims with valid signature", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      const paymentAmount = ethers.parseEther("1");
+      const nonce = 1;
       
-      beforeEach(async function () {
-        [owner, account1, account2] = await ethers.getSigners();
-        detectSolidityVersion();
-        
-        contractFactory = await ethers.getContractFactory(contractName);
-        
-        // Deploy with 10 ETH initial balance
-        receiverPays = await contractFactory.deploy({
-          value: ethers.parseEther("10")
-        });
-        
-        await receiverPays.waitForDeployment();
-      });
+      // Create a valid signature
+      const signature = (await signCheque(owner, account1.address, paymentAmount, nonce, contractAddress)).signature;
       
-      it("should deploy with correct initial balance", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        const balance = await ethers.provider.getBalance(contractAddress);
-        expect(balance).to.equal(ethers.parseEther("10"));
-      });
+      const initialBalance = await ethers.provider.getBalance(account1.address);
       
-      it("should allow owner to kill the contract", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        const initialOwnerBalance = await ethers.provider.getBalance(owner.address);
-        const initialContractBalance = await ethers.provider.getBalance(contractAddress);
-        
-        // Kill the contract
-        const tx = await receiverPays.kill();
-        const receipt = await tx.wait();
-        
-        // Check if the contract balance is now 0
-        const contractBalance = await ethers.provider.getBalance(contractAddress);
-        expect(contractBalance).to.equal(0n);
-        
-        // Owner should have received the contract's balance
-        const finalOwnerBalance = await ethers.provider.getBalance(owner.address);
-        
-        // Calculate gas cost
-        const gasUsed = receipt.gasUsed * receipt.gasPrice;
-        
-        // Owner balance should increase by contract balance minus gas costs
-        // Use BigInt for precision
-        const expectedBalance = initialOwnerBalance + initialContractBalance - gasUsed;
-        
-        // Allow for small calculation differences
-        const tolerance = ethers.parseEther("0.0001");
-        const difference = finalOwnerBalance > expectedBalance ? 
-            finalOwnerBalance - expectedBalance : 
-            expectedBalance - finalOwnerBalance;
-            
-        expect(difference).to.be.lt(tolerance);
-      });
+      // Claim payment
+      await receiverPays.connect(account1).claimPayment(paymentAmount, nonce, signature);
       
-      it("should not allow non-owner to kill the contract", async function () {
-        // Try to kill the contract from a non-owner account
-        try {
-          await receiverPays.connect(account1).kill();
-          // Should not reach here
-          expect.fail("Non-owner was able to kill the contract");
-        } catch (error) {
-          // For both versions, we just check that it reverted
-          // Hardhat sometimes doesn't expose the exact revert reason in the message
-          expect(error.message).to.include("revert");
-        }
-      });
+      // Check if account1 received the payment
+      const finalBalance = await ethers.provider.getBalance(account1.address);
       
-      it("should allow payment claims with valid signature", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        const paymentAmount = ethers.parseEther("1");
-        const nonce = 1;
-        
-        // Create a valid signature
-        const signature = await createSignature(
-          owner, 
-          account1, 
-          paymentAmount,
-          nonce,
-          contractAddress
-        );
-        
-        const initialBalance = await ethers.provider.getBalance(account1.address);
-        
-        // Claim payment
-        await receiverPays.connect(account1).claimPayment(paymentAmount, nonce, signature);
-        
-        // Check if account1 received the payment
-        const finalBalance = await ethers.provider.getBalance(account1.address);
-        
-        // Account for gas costs by checking if balance increased appropriately
-        // Using BigInt for precise comparisons
-        expect(finalBalance > initialBalance).to.be.true;
-        expect(finalBalance - initialBalance).to.be.gte(ethers.parseEther("0.9"));
-      });
+      // Account for gas costs by checking if balance increased appropriately
+      // Using BigInt for precise comparisons
+      expect(finalBalance > initialBalance).to.be.true;
+      expect(finalBalance - initialBalance).to.be.gte(ethers.parseEther("0.9"));
+    });
+    
+    it("should reject payment claims with invalid nonce", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      const paymentAmount = ethers.parseEther("1");
+      const nonce = 2;
       
-      it("should reject payment claims with invalid nonce", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        const paymentAmount = ethers.parseEther("1");
-        const nonce = 2;
-        
-        // Create a valid signature
-        const signature = await createSignature(
-          owner, 
-          account1, 
-          paymentAmount,
-          nonce,
-          contractAddress
-        );
-        
-        // Claim payment with the valid signature
-        await receiverPays.connect(account1).claimPayment(paymentAmount, nonce, signature);
-        
-        // Try to claim again with the same nonce
-        try {
-          await receiverPays.connect(account1).claimPayment(paymentAmount, nonce, signature);
-          expect.fail("Should not allow reuse of nonce");
-        } catch (error) {
-          if (isSolidity8OrHigher) {
-            // In Solidity 0.8.x, the error message is explicit
-            expect(error.message).to.include("Nonce already used");
-          } else {
-            // In older Solidity versions, we just check that it reverted
-            expect(error.message).to.include("revert");
-          }
-        }
-      });
+      // Create a valid signature
+      const signature = (await signCheque(owner, account1.address, paymentAmount, nonce, contractAddress)).signature;
+      
+      // Claim payment with the valid signature
+      await receiverPays.connect(account1).claimPayment(paymentAmount, nonce, signature);
+      
+      // Try to claim again with the same nonce
+      await expect(receiverPays.connect(account1).claimPayment(paymentAmount, nonce, signature))
+        .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Nonce already used" });
+    });
+    
+    it("should reject payment claims with invalid signature", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      const paymentAmount = ethers.parseEther("1");
+      const nonce = 3;
+      
+      // Create an invalid signature (signed by the wrong account)
+      const invalidSignature = (await signCheque(account2, account1.address, paymentAmount, nonce, contractAddress)).signature;
+      
+      // Try to claim with invalid signature
+      await expect(receiverPays.connect(account1).claimPayment(paymentAmount, nonce, invalidSignature))
+        .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid signature" });
+    });
+    
+    it("should reject payments that exceed contract balance", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      // Try to claim more than the contract has
+      const excessiveAmount = ethers.parseEther("11");
+      const nonce = 4;
+      
+      // Create a valid signature for an excessive amount
+      const signature = (await signCheque(owner, account1.address, excessiveAmount, nonce, contractAddress)).signature;
+      
+      // Try to claim with excessive amount
+      try {
+        await receiverPays.connect(account1).claimPayment(excessiveAmount, nonce, signature);
+        expect.fail("Should not allow excessive withdrawal");
+      } catch (error) {
+        // Both versions should revert, but 0.8.x might have more specific error message
+        expect(error.message).to.include("revert");
+      }
+    });
+    
+    it("should handle multiple valid claims correctly", async function () {
+      const contractAddress = await receiverPays.getAddress();
+      const paymentAmount1 = ethers.parseEther("1");
+      const paymentAmount2 = ethers.parseEther("2");
+      const nonce1 = 5;
+      const nonce2 = 6;
       
-      it("should reject payment claims with invalid signature", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        const paymentAmount = ethers.parseEther("1");
-        const nonce = 3;
-        
-        // Create an invalid signature (signed by the wrong account)
-        const invalidSignature = await createSignature(
-          account2, 
-          account1, 
-          paymentAmount,
-          nonce,
-          contractAddress
-        );
-        
-        // Try to claim with invalid signature
-        try {
-          await receiverPays.connect(account1).claimPayment(paymentAmount, nonce, invalidSignature);
-          expect.fail("Should not allow invalid signature");
-        } catch (error) {
-          if (isSolidity8OrHigher) {
-            // In Solidity 0.8.x, the error message is explicit
-            expect(error.message).to.include("Invalid signature");
+      // Create two valid signatures
+      const signature1 = (await signCheque(owner, account1.address, paymentAmount1, nonce1, contractAddress)).signature;
+      
+      const signature2 = (await signCheque(owner, account2.address, paymentAmount2, nonce2, contractAddress)).signature;
+      
+      const initialBalance1 = await ethers.provider.getBalance(account1.address);
+      const initialBalance2 = await ethers.provider.getBalance(account2.address);
+      
+      // Claim payments
+      await receiverPays.connect(account1).claimPayment(paymentAmount1, nonce1, signature1);
+      await receiverPays.connect(account2).claimPayment(paymentAmount2, nonce2, signature2);
+      
+      // Check if accounts received payments
+      const finalBalance1 = await ethers.provider.getBalance(account1.address);
+      const finalBalance2 = await ethers.provider.getBalance(account2.address);
+      
+      // Account for gas costs - using BigInt for precise comparisons
+      expect(finalBalance1 > initialBalance1).to.be.true;
+      expect(finalBalance2 > initialBalance2).to.be.true;
+      
+      // Rough checks accounting for gas
+      expect(finalBalance1 - initialBalance1).to.be.gte(ethers.parseEther("0.9"));
+      expect(finalBalance2 - initialBalance2).to.be.gte(ethers.parseEther("1.9"));
+    });
+
+    describe("Cheque Book", function() {
+      let book;
+      let claimers;
+
+      beforeEach(async function() {
+        book = await createChequeBook(owner, receiverPays);
+        claimers = (await ethers.getSigners()).slice(1, 5);
+      });
+
+      it("should pay a cheque once and remember its nonce", async function() {
+        const cheque = await book.issue(account1.address, ethers.parseEther("1"));
+        expect(book.verify(cheque)).to.equal(null);
+
+        const before = await ethers.provider.getBalance(account1.address);
+        const receipt = await book.claim(account1, cheque);
+        expect(await ethers.provider.getBalance(account1.address))
+          .to.equal(before + ethers.parseEther("1") - receipt.gasUsed * receipt.gasPrice);
+
+        expect(book.usedNonces()).to.deep.equal([cheque.nonce]);
+        expect(book.verify(cheque)).to.equal("Nonce already used");
+        await expect(receiverPays.connect(account1).claimPayment(cheque.amount, cheque.nonce, cheque.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Nonce already used" });
+      });
+
+      it("should hand out fresh nonces and list the unclaimed ones", async function() {
+        const first = await book.issue(account1.address, 1n);
+        const second = await book.issue(account2.address, 2n);
+        await book.claim(account2, second);
+
+        expect([first.nonce, second.nonce]).to.deep.equal([0n, 1n]);
+        expect(book.unusedNonces()).to.deep.equal([0n]);
+        expect((await book.issue(account1.address, 3n)).nonce).to.equal(2n);
+      });
+
+      it("should accept the high-s form of a signature like ecrecover does", async function() {
+        const cheque = await book.issue(account1.address, ethers.parseEther("0.5"));
+        const highS = { ...cheque, signature: malleate(cheque.signature) };
+        expect(BigInt(splitSignature(highS.signature).s)).to.be.greaterThan(BigInt(splitSignature(cheque.signature).s));
+        expect(book.verify(highS)).to.equal(null);
+
+        await book.claim(account1, highS);
+        // The nonce, not the signature, stops the original encoding from paying twice
+        expect(book.verify(cheque)).to.equal("Nonce already used");
+        await expect(receiverPays.connect(account1).claimPayment(cheque.amount, cheque.nonce, cheque.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Nonce already used" });
+      });
+
+      it("should reject malformed signatures the way splitSignature does", async function() {
+        const cheque = await book.issue(account1.address, 1n);
+        const { r, s } = splitSignature(cheque.signature);
+        const short = { ...cheque, signature: ethers.concat([r, s]) };
+        const badV = { ...cheque, signature: ethers.concat([r, s, "0x1d"]) };
+
+        expect(book.verify(short)).to.equal("Invalid signature length");
+        await expect(receiverPays.connect(account1).claimPayment(short.amount, short.nonce, short.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid signature length" });
+        expect(book.verify(badV)).to.equal("Invalid signature");
+        await expect(receiverPays.connect(account1).claimPayment(badV.amount, badV.nonce, badV.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid signature" });
+      });
+
+      it("should not honour a cheque written for another contract", async function() {
+        const otherContract = await ctx.deploy({ value: ethers.parseEther("1") });
+        const otherBook = await createChequeBook(owner, otherContract);
+        const cheque = await otherBook.issue(account1.address, 1n);
+
+        expect(book.verify(cheque)).to.equal("Invalid signature");
+        await expect(receiverPays.connect(account1).claimPayment(cheque.amount, cheque.nonce, cheque.signature))
+          .to.revertForVersion(ctx, { legacy: "bare", upgraded: "Invalid signature" });
+        await otherBook.claim(account1, cheque);
+      });
+
+      it("should agree with the contract on randomized cheques", async function() {
+        const rng = createRandom();
+        const otherBook = await createChequeBook(owner, await ctx.deploy({ value: ethers.parseEther("1") }));
+        const claimed = [];
+        let paid = 0n;
+
+        for (let step = 0; step < 40; step++) {
+          const action = rng.weighted({ fresh: 4, duplicate: 2, wrongClaimer: 1, crossContract: 1, malleable: 2, reusedNonce: 1 });
+          const recipient = rng.pick(claimers);
+          const amount = rng.bigint(1n, ethers.parseEther("0.1"));
+          let claimer = recipient;
+          let cheque;
+
+          if (action === "duplicate" && claimed.length > 0) {
+            cheque = rng.pick(claimed);
+            claimer = claimers.find(signer => signer.address === cheque.recipient);
+          } else if (action === "wrongClaimer") {
+            cheque = await book.issue(recipient.address, amount);
+            claimer = rng.pick(claimers.filter(signer => signer !== recipient));
+          } else if (action === "crossContract") {
+            cheque = await otherBook.issue(recipient.address, amount);
+          } else if (action === "malleable") {
+            cheque = await book.issue(recipient.address, amount);
+            cheque = { ...cheque, signature: malleate(cheque.signature) };
+          } else if (action === "reusedNonce" && claimed.length > 0) {
+            cheque = await book.issue(recipient.address, amount, rng.pick(book.usedNonces()));
           } else {
-            // In older Solidity versions, we just check that it reverted
-            expect(error.message).to.include("revert");
+            cheque = await book.issue(recipient.address, amount);
+          }
+
+          const expected = book.verify(cheque, claimer.address);
+          try {
+            if (expected === null) {
+              const before = await ethers.provider.getBalance(claimer.address);
+              const receipt = await book.claim(claimer, cheque);
+              expect(await ethers.provider.getBalance(claimer.address))
+                .to.equal(before + cheque.amount - receipt.gasUsed * receipt.gasPrice);
+              claimed.push(cheque);
+              paid += cheque.amount;
+            } else {
+              await expect(receiverPays.connect(claimer).claimPayment(cheque.amount, cheque.nonce, cheque.signature))
+                .to.revertForVersion(ctx, { legacy: "bare", upgraded: expected });
+            }
+          } catch (error) {
+            error.message = `seed ${rng.seed}, step ${step} (${action}): ${error.message}`;
+            throw error;
           }
         }
-      });
-      
-      it("should reject payments that exceed contract balance", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        // Try to claim more than the contract has
-        const excessiveAmount = ethers.parseEther("11");
-        const nonce = 4;
-        
-        // Create a valid signature for an excessive amount
-        const signature = await createSignature(
-          owner, 
-          account1, 
-          excessiveAmount,
-          nonce,
-          contractAddress
-        );
-        
-        // Try to claim with excessive amount
-        try {
-          await receiverPays.connect(account1).claimPayment(excessiveAmount, nonce, signature);
-          expect.fail("Should not allow excessive withdrawal");
-        } catch (error) {
-          // Both versions should revert, but 0.8.x might have more specific error message
-          expect(error.message).to.include("revert");
-        }
-      });
-      
-      it("should handle multiple valid claims correctly", async function () {
-        const contractAddress = await receiverPays.getAddress();
-        const paymentAmount1 = ethers.parseEther("1");
-        const paymentAmount2 = ethers.parseEther("2");
-        const nonce1 = 5;
-        const nonce2 = 6;
-        
-        // Create two valid signatures
-        const signature1 = await createSignature(
-          owner, 
-          account1, 
-          paymentAmount1,
-          nonce1,
-          contractAddress
-        );
-        
-        const signature2 = await createSignature(
-          owner, 
-          account2, 
-          paymentAmount2,
-          nonce2,
-          contractAddress
-        );
-        
-        const initialBalance1 = await ethers.provider.getBalance(account1.address);
-        const initialBalance2 = await ethers.provider.getBalance(account2.address);
-        
-        // Claim payments
-        await receiverPays.connect(account1).claimPayment(paymentAmount1, nonce1, signature1);
-        await receiverPays.connect(account2).claimPayment(paymentAmount2, nonce2, signature2);
-        
-        // Check if accounts received payments
-        const finalBalance1 = await ethers.provider.getBalance(account1.address);
-        const finalBalance2 = await ethers.provider.getBalance(account2.address);
-        
-        // Account for gas costs - using BigInt for precise comparisons
-        expect(finalBalance1 > initialBalance1).to.be.true;
-        expect(finalBalance2 > initialBalance2).to.be.true;
-        
-        // Rough checks accounting for gas
-        expect(finalBalance1 - initialBalance1).to.be.gte(ethers.parseEther("0.9"));
-        expect(finalBalance2 - initialBalance2).to.be.gte(ethers.parseEther("1.9"));
+
+        expect(claimed.length).to.be.greaterThan(0);
+        expect(await ethers.provider.getBalance(await receiverPays.getAddress())).to.equal(ethers.parseEther("10") - paid);
       });
     });
+
+    shouldKeepStorageLayout(ctx);
   });
-});
\ No newline at end of file
+});